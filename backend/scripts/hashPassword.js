@@ -0,0 +1,28 @@
+/**
+ * Print the password hash for a COORDINATOR_ACCOUNTS entry
+ *
+ *   npm run hash-password
+ *
+ * Reads the password from standard input, so it stays out of the shell
+ * history, and prints the hash to put in the entry's `passwordHash`:
+ *
+ *   COORDINATOR_ACCOUNTS='[{"name":"Ops","phone":"+15550100","passwordHash":"scrypt$..."}]'
+ */
+
+const readline = require('readline');
+const { hashPassword } = require('../src/services/passwords');
+
+const MIN_LENGTH = 12;
+
+const input = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: false });
+process.stderr.write('Password: ');
+
+input.once('line', async (password) => {
+  input.close();
+  if (password.length < MIN_LENGTH) {
+    console.error(`\nCoordinator passwords need at least ${MIN_LENGTH} characters`);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(await hashPassword(password));
+});
@@ -1,6 +1,64 @@
+const path = require('path');
+
 module.exports = {
   port: process.env.PORT || 4000,
   allowedOrigins: [
     process.env.FRONTEND_ORIGIN || 'http://localhost:5173'
-  ]
+  ],
+  storage: {
+    // 'file' persists across restarts, 'memory' keeps everything in-process
+    driver: process.env.STORAGE_DRIVER || 'file',
+    dataDir: process.env.DATA_DIR || path.join(__dirname, '..', 'data'),
+    // Fold the journal into a snapshot after this many entries...
+    snapshotEvery: Number(process.env.SNAPSHOT_EVERY) || 500,
+    // ...or on this interval, whichever comes first
+    snapshotIntervalMs: Number(process.env.SNAPSHOT_INTERVAL_MS) || 60 * 1000,
+    // How long deletions are remembered for clients catching up via /api/sync
+    tombstoneRetentionMs: Number(process.env.TOMBSTONE_RETENTION_MS) || 7 * 24 * 60 * 60 * 1000,
+    // How long audit entries are kept, and how many at most (oldest go first)
+    auditRetentionMs: Number(process.env.AUDIT_RETENTION_MS) || 30 * 24 * 60 * 60 * 1000,
+    auditMaxEntries: Number(process.env.AUDIT_MAX_ENTRIES) || 50000
+  },
+  // How long a replayed Idempotency-Key / sync operation ID returns the original result
+  idempotencyRetentionMs: Number(process.env.IDEMPOTENCY_RETENTION_MS) || 24 * 60 * 60 * 1000,
+  events: {
+    // Socket events kept so reconnecting clients can replay what they missed
+    logSize: Number(process.env.EVENT_LOG_SIZE) || 1000,
+    // Critical events are re-sent when a client has not acknowledged them in this time...
+    ackTimeoutMs: Number(process.env.EVENT_ACK_TIMEOUT_MS) || 10 * 1000,
+    // ...until they are this old
+    criticalTtlMs: Number(process.env.CRITICAL_EVENT_TTL_MS) || 60 * 60 * 1000
+  },
+  rooms: {
+    // Geohash length of the smallest area rooms (5 is about 5km across)...
+    geohashPrecision: Number(process.env.GEOHASH_PRECISION) || 5,
+    // ...and of the largest; records go to every length in between
+    minGeohashPrecision: Number(process.env.MIN_GEOHASH_PRECISION) || 2,
+    // Viewports join larger cells rather than more than this many rooms
+    maxAreaRooms: Number(process.env.MAX_AREA_ROOMS) || 32,
+    // Named operational sectors, e.g. [{"name":"north","bbox":{"minLat":..,"minLng":..,"maxLat":..,"maxLng":..}}]
+    sectors: JSON.parse(process.env.OPERATIONAL_SECTORS || '[]')
+  },
+  offers: {
+    // How long a volunteer has to answer before the offer moves on
+    timeoutMs: Number(process.env.OFFER_TIMEOUT_MS) || 60 * 1000,
+    // Volunteers tried before the request is escalated to coordinators
+    maxCandidates: Number(process.env.OFFER_MAX_CANDIDATES) || 5
+  },
+  auth: {
+    // HMAC key for session tokens; generated and kept in the store when unset
+    secret: process.env.AUTH_SECRET || null,
+    accessTokenTtlMs: Number(process.env.ACCESS_TOKEN_TTL_MS) || 15 * 60 * 1000,
+    // Lets a volunteer stay signed in through a long outage
+    refreshTokenTtlMs: Number(process.env.REFRESH_TOKEN_TTL_MS) || 30 * 24 * 60 * 60 * 1000,
+    // Failed logins allowed per phone number from one client address, and per
+    // address overall, before logins from there are refused for loginLockoutMs
+    loginMaxFailures: Number(process.env.LOGIN_MAX_FAILURES) || 5,
+    loginMaxFailuresPerAddress: Number(process.env.LOGIN_MAX_FAILURES_PER_ADDRESS) || 20,
+    loginLockoutMs: Number(process.env.LOGIN_LOCKOUT_MS) || 15 * 60 * 1000,
+    // Coordinator accounts set up by the operator, as JSON:
+    // [{ "name", "phone", "passwordHash" }] with hashes from `npm run hash-password`.
+    // They grant every other role; signing up never makes a coordinator.
+    coordinatorAccounts: JSON.parse(process.env.COORDINATOR_ACCOUNTS || '[]')
+  }
 };
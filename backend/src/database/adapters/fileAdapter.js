@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_FILE = 'snapshot.json';
+const JOURNAL_FILE = 'journal.log';
+
+/**
+ * File-backed storage adapter
+ *
+ * Mutations are appended to a journal (one JSON line per entry) and the
+ * journal is periodically folded into a compacted snapshot. On boot the
+ * snapshot is loaded and the journal replayed on top of it.
+ *
+ * Journal entries carry the full item for puts, so replaying an entry that
+ * is already reflected in the snapshot is harmless.
+ *
+ * @param {object} options
+ * @param {string} options.dataDir - Directory holding snapshot and journal
+ * @returns {object} Storage adapter
+ */
+function createFileAdapter({ dataDir }) {
+  const snapshotPath = path.join(dataDir, SNAPSHOT_FILE);
+  const journalPath = path.join(dataDir, JOURNAL_FILE);
+  let journalFd = null;
+  let journalEntries = 0;
+
+  fs.mkdirSync(dataDir, { recursive: true });
+
+  function openJournal() {
+    if (journalFd === null) {
+      journalFd = fs.openSync(journalPath, 'a');
+    }
+    return journalFd;
+  }
+
+  function readSnapshot() {
+    if (!fs.existsSync(snapshotPath)) {
+      return {};
+    }
+
+    try {
+      const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+      return snapshot.collections || {};
+    } catch (error) {
+      console.error('Failed to read storage snapshot, starting from journal only:', error.message);
+      return {};
+    }
+  }
+
+  function replayJournal(state) {
+    if (!fs.existsSync(journalPath)) {
+      return;
+    }
+
+    const lines = fs.readFileSync(journalPath, 'utf8').split('\n');
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A torn final line is expected after a crash mid-write
+        console.warn('Skipping unreadable journal entry');
+        continue;
+      }
+
+      const { op, collection, id, item } = entry;
+      const items = state[collection] || (state[collection] = new Map());
+
+      if (op === 'put') {
+        items.set(id, item);
+      } else if (op === 'delete') {
+        items.delete(id);
+      }
+
+      journalEntries++;
+    }
+  }
+
+  return {
+    name: 'file',
+
+    load() {
+      const state = {};
+
+      for (const [collection, items] of Object.entries(readSnapshot())) {
+        state[collection] = new Map(items.map(item => [item.id, item]));
+      }
+
+      replayJournal(state);
+
+      const loaded = {};
+      for (const [collection, items] of Object.entries(state)) {
+        loaded[collection] = Array.from(items.values());
+      }
+
+      return loaded;
+    },
+
+    append(entry) {
+      fs.writeSync(openJournal(), JSON.stringify(entry) + '\n');
+      journalEntries++;
+    },
+
+    compact(state) {
+      const tmpPath = `${snapshotPath}.tmp`;
+      const snapshot = {
+        compactedAt: new Date().toISOString(),
+        collections: state
+      };
+
+      fs.writeFileSync(tmpPath, JSON.stringify(snapshot));
+      fs.renameSync(tmpPath, snapshotPath);
+
+      // Snapshot now covers everything in the journal
+      if (journalFd !== null) {
+        fs.closeSync(journalFd);
+        journalFd = null;
+      }
+      fs.writeFileSync(journalPath, '');
+      journalEntries = 0;
+    },
+
+    journalSize() {
+      return journalEntries;
+    },
+
+    close() {
+      if (journalFd !== null) {
+        fs.closeSync(journalFd);
+        journalFd = null;
+      }
+    }
+  };
+}
+
+module.exports = { createFileAdapter };
@@ -0,0 +1,20 @@
+const { createMemoryAdapter } = require('./memoryAdapter');
+const { createFileAdapter } = require('./fileAdapter');
+
+/**
+ * Create the storage adapter selected in config
+ * @param {object} storageConfig - config.storage
+ * @returns {object} Storage adapter
+ */
+function createAdapter(storageConfig = {}) {
+  switch (storageConfig.driver) {
+    case 'memory':
+      return createMemoryAdapter();
+    case 'file':
+      return createFileAdapter({ dataDir: storageConfig.dataDir });
+    default:
+      throw new Error(`Unknown storage driver "${storageConfig.driver}"`);
+  }
+}
+
+module.exports = { createAdapter };
@@ -0,0 +1,34 @@
+/**
+ * Volatile storage adapter
+ *
+ * Keeps nothing outside the process. Useful for tests and demos where
+ * a restart should start from an empty store.
+ *
+ * Every adapter implements the same interface used by memoryStore:
+ * - load()            -> { [collectionName]: Array<item> }
+ * - append(entry)     -> record a single mutation ({ op, collection, id, item })
+ * - compact(state)    -> persist a full snapshot ({ [collectionName]: Array<item> })
+ * - journalSize()     -> number of mutations recorded since the last compaction
+ * - close()           -> release resources before shutdown
+ */
+function createMemoryAdapter() {
+  return {
+    name: 'memory',
+
+    load() {
+      return {};
+    },
+
+    append() {},
+
+    compact() {},
+
+    journalSize() {
+      return 0;
+    },
+
+    close() {}
+  };
+}
+
+module.exports = { createMemoryAdapter };
@@ -1,20 +1,353 @@
-// In-memory storage using Map for each collection
+const { storage } = require('../config');
+const { createAdapter } = require('./adapters');
+const { createSpatialIndex } = require('./spatialIndex');
+const { getLocation, distanceMeters } = require('../services/geoService');
+
+// In-memory storage using Map for each collection.
+// The Maps serve every read; the storage adapter only sees mutations.
 const collections = {
   requests: new Map(),
   volunteers: new Map(),
   shelters: new Map(),
   routes: new Map(),
   offlineQueue: new Map(),
-  peers: new Map()
+  peers: new Map(),
+  // Deletion markers keyed by "<collection>:<id>", kept for tombstoneRetentionMs
+  tombstones: new Map(),
+  // Store bookkeeping (e.g. the highest change sequence of purged tombstones)
+  meta: new Map(),
+  // Stored responses for replayed Idempotency-Key / sync operation IDs
+  idempotencyKeys: new Map(),
+  // Append-only audit entries, keyed by entry ID, in change-sequence order;
+  // the oldest are dropped past auditRetentionMs or auditMaxEntries
+  auditLog: new Map(),
+  // Dispatch offers and every step taken on them (see offerService)
+  offers: new Map(),
+  // Login accounts with password hashes; never replicated to clients
+  accounts: new Map(),
+  // Signed-in sessions, so logout and refresh-token reuse can revoke tokens
+  sessions: new Map(),
+  // Owner token hashes of anonymous requests (see requestOwnership); never replicated
+  requestOwners: new Map()
 };
 
+// Collections clients replicate; only these leave tombstones behind
+const TOMBSTONED_COLLECTIONS = ['requests', 'volunteers', 'shelters', 'routes', 'peers'];
+
+// Collections whose every mutation is written to the audit log
+const AUDITED_COLLECTIONS = TOMBSTONED_COLLECTIONS;
+
+// "<collection>:<id>" -> audit entries for that record, oldest first
+const auditIndex = new Map();
+
+// Collections with a position, indexed for near/bbox queries (see findNearby)
+const SPATIAL_COLLECTIONS = ['requests', 'volunteers', 'shelters'];
+const spatialIndexes = Object.fromEntries(
+  SPATIAL_COLLECTIONS.map(collectionName => [collectionName, createSpatialIndex()])
+);
+
+const adapter = createAdapter(storage);
+
+// Server-wide change sequence, bumped on every create, update and delete
+let changeSeq = 0;
+
+/**
+ * Allocate the next change sequence number
+ * @returns {number}
+ */
+function nextSeq() {
+  changeSeq += 1;
+  return changeSeq;
+}
+
+/**
+ * Load persisted state from the storage adapter into the in-memory Maps
+ */
+function recover() {
+  const loaded = adapter.load();
+  let count = 0;
+
+  for (const [collectionName, items] of Object.entries(loaded)) {
+    const collection = collections[collectionName];
+    if (!collection) {
+      console.warn(`Ignoring persisted data for unknown collection "${collectionName}"`);
+      continue;
+    }
+
+    for (const item of items) {
+      collection.set(item.id, collectionName === 'auditLog' ? Object.freeze(item) : item);
+      changeSeq = Math.max(changeSeq, item.seq || 0);
+      count++;
+    }
+  }
+
+  for (const entry of collections.auditLog.values()) {
+    indexAuditEntry(entry);
+  }
+
+  for (const collectionName of SPATIAL_COLLECTIONS) {
+    for (const item of collections[collectionName].values()) {
+      indexLocation(collectionName, item);
+    }
+  }
+
+  // Purged tombstones may have held the highest sequence handed out
+  const purged = collections.meta.get('purgedThroughSeq');
+  if (purged) {
+    changeSeq = Math.max(changeSeq, purged.value);
+  }
+
+  // Items stored before change sequences existed get one now
+  let sequenced = 0;
+  for (const [collectionName, collection] of Object.entries(collections)) {
+    if (collectionName === 'meta') continue;
+    for (const item of collection.values()) {
+      if (item.seq === undefined) {
+        item.seq = nextSeq();
+        sequenced++;
+      }
+    }
+  }
+  if (sequenced > 0) {
+    compact();
+  }
+
+  if (adapter.name !== 'memory') {
+    console.log(`Recovered ${count} items from ${adapter.name} storage`);
+  }
+}
+
+/**
+ * Serialize every collection for a compacted snapshot
+ * @returns {object} collectionName -> array of items
+ */
+function snapshotState() {
+  const state = {};
+  for (const [collectionName, collection] of Object.entries(collections)) {
+    state[collectionName] = Array.from(collection.values());
+  }
+  return state;
+}
+
+/**
+ * Fold the journal into a fresh snapshot
+ */
+function compact() {
+  adapter.compact(snapshotState());
+}
+
+/**
+ * Record a mutation with the storage adapter
+ * @param {string} op - 'put' or 'delete'
+ * @param {string} collectionName - Name of the collection
+ * @param {string} id - Item ID
+ * @param {object} [item] - Full item for puts
+ */
+function persist(op, collectionName, id, item) {
+  adapter.append({ op, collection: collectionName, id, item });
+
+  if (adapter.journalSize() >= storage.snapshotEvery) {
+    compact();
+  }
+}
+
+/**
+ * Add an audit entry to the per-record index
+ * @param {object} entry - Audit entry
+ */
+function indexAuditEntry(entry) {
+  const key = `${entry.collection}:${entry.recordId}`;
+  if (!auditIndex.has(key)) {
+    auditIndex.set(key, []);
+  }
+  auditIndex.get(key).push(entry);
+}
+
+/**
+ * Remove an audit entry from the per-record index
+ * @param {object} entry - Audit entry
+ */
+function unindexAuditEntry(entry) {
+  const key = `${entry.collection}:${entry.recordId}`;
+  const entries = auditIndex.get(key);
+  if (!entries) return;
+
+  const index = entries.indexOf(entry);
+  if (index !== -1) entries.splice(index, 1);
+  if (entries.length === 0) auditIndex.delete(key);
+}
+
+/**
+ * Keep the spatial index in step with an item's position
+ * @param {string} collectionName - Name of the collection
+ * @param {object} item - Stored item
+ */
+function indexLocation(collectionName, item) {
+  const index = spatialIndexes[collectionName];
+  if (index) {
+    index.set(item.id, getLocation(item));
+  }
+}
+
+recover();
+
+/**
+ * Build the tombstones key for an item
+ * @param {string} collectionName - Name of the collection
+ * @param {string} id - Item ID
+ * @returns {string}
+ */
+function tombstoneKey(collectionName, id) {
+  return `${collectionName}:${id}`;
+}
+
+/**
+ * Drop tombstones older than the retention window
+ * @returns {number} Number of tombstones purged
+ */
+function purgeTombstones() {
+  const cutoff = Date.now() - storage.tombstoneRetentionMs;
+  let purgedThroughSeq = getPurgedThroughSeq();
+  let purged = 0;
+
+  for (const [key, tombstone] of collections.tombstones) {
+    if (new Date(tombstone.deletedAt).getTime() < cutoff) {
+      collections.tombstones.delete(key);
+      persist('delete', 'tombstones', key);
+      purgedThroughSeq = Math.max(purgedThroughSeq, tombstone.seq || 0);
+      purged++;
+    }
+  }
+
+  if (purged > 0) {
+    const marker = { id: 'purgedThroughSeq', value: purgedThroughSeq };
+    collections.meta.set(marker.id, marker);
+    persist('put', 'meta', marker.id, marker);
+  }
+
+  return purged;
+}
+
+/**
+ * Drop audit entries older than the retention window, then the oldest
+ * beyond auditMaxEntries
+ * @returns {number} Number of entries purged
+ */
+function purgeAuditLog() {
+  const cutoff = Date.now() - storage.auditRetentionMs;
+  let excess = collections.auditLog.size - storage.auditMaxEntries;
+  let purged = 0;
+
+  // Entries are in change-sequence order, so the oldest come first
+  for (const [id, entry] of collections.auditLog) {
+    if (excess <= 0 && new Date(entry.timestamp).getTime() >= cutoff) break;
+
+    collections.auditLog.delete(id);
+    persist('delete', 'auditLog', id);
+    unindexAuditEntry(entry);
+    excess--;
+    purged++;
+  }
+
+  return purged;
+}
+
+/**
+ * Highest change sequence whose tombstone has been purged
+ * Clients holding an older cursor may have missed deletions.
+ * @returns {number}
+ */
+function getPurgedThroughSeq() {
+  const marker = collections.meta.get('purgedThroughSeq');
+  return marker ? marker.value : 0;
+}
+
+// Periodic maintenance: expire tombstones and audit entries, then compact so boot-time replay stays short
+const maintenanceTimer = setInterval(() => {
+  try {
+    purgeTombstones();
+    purgeAuditLog();
+    if (adapter.journalSize() > 0) {
+      compact();
+    }
+  } catch (error) {
+    console.error('Storage maintenance failed:', error);
+  }
+}, storage.snapshotIntervalMs);
+maintenanceTimer.unref();
+
+// Fields managed by the store itself, never tracked per field
+const METADATA_FIELDS = ['id', 'source', 'seq', 'version', 'fieldVersions', 'createdAt', 'updatedAt'];
+
+/**
+ * Field-level difference between two versions of an item
+ * @param {object|null} before - Previous item (null on create)
+ * @param {object|null} after - New item (null on delete)
+ * @returns {object} field -> { from, to }
+ */
+function diffFields(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (METADATA_FIELDS.includes(field)) continue;
+    const from = before && before[field] !== undefined ? before[field] : null;
+    const to = after && after[field] !== undefined ? after[field] : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Append an immutable entry to the audit log
+ * @param {string} op - 'create', 'update' or 'delete'
+ * @param {string} collectionName - Name of the collection
+ * @param {string} id - Item ID
+ * @param {object|null} before - Item before the change
+ * @param {object|null} after - Item after the change
+ * @param {object} context - { actor, clientId } of whoever made the change
+ * @param {number} seq - Change sequence of the mutation
+ */
+function audit(op, collectionName, id, before, after, context, seq) {
+  if (!AUDITED_COLLECTIONS.includes(collectionName)) {
+    return;
+  }
+
+  const { actor, clientId } = context || {};
+  const entry = Object.freeze({
+    id: `audit_${seq}`,
+    seq,
+    collection: collectionName,
+    recordId: id,
+    op,
+    actor: actor || clientId || 'system',
+    clientId: clientId || null,
+    timestamp: new Date().toISOString(),
+    version: after ? after.version : null,
+    changes: diffFields(before, after)
+  });
+
+  collections.auditLog.set(entry.id, entry);
+  persist('put', 'auditLog', entry.id, entry);
+  indexAuditEntry(entry);
+
+  if (collections.auditLog.size > storage.auditMaxEntries) {
+    purgeAuditLog();
+  }
+}
+
 /**
  * Create a new item in a collection
  * @param {string} collectionName - Name of the collection
  * @param {object} data - Item data
+ * @param {object} [context] - { actor, clientId } recorded in the audit log
  * @returns {object} Created item with ID and timestamps
+ * @throws {Error} If an item with the same ID already exists
  */
-function createItem(collectionName, data) {
+function createItem(collectionName, data, context) {
   const collection = collections[collectionName];
   if (!collection) {
     throw new Error(`Collection "${collectionName}" does not exist`);
@@ -22,18 +355,36 @@ function createItem(collectionName, data) {
 
   // Auto-generate ID if missing
   const id = data.id || `${collectionName}_${Date.now()}_${Math.random().toString(16).slice(2)}`;
+
+  // Creating never replaces a stored item; callers check first and answer 409
+  if (collection.has(id)) {
+    throw new Error(`Item "${id}" already exists in "${collectionName}"`);
+  }
   
   // Create item with metadata
   const item = {
     ...data,
     id,
     source: 'server',
+    seq: nextSeq(),
+    version: 1,
+    fieldVersions: {},
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString()
   };
 
   // Store in collection
   collection.set(id, item);
+  persist('put', collectionName, id, item);
+  indexLocation(collectionName, item);
+
+  // Re-creating a deleted ID revives it
+  const key = tombstoneKey(collectionName, id);
+  if (collections.tombstones.delete(key)) {
+    persist('delete', 'tombstones', key);
+  }
+
+  audit('create', collectionName, id, null, item, context, item.seq);
   
   return item;
 }
@@ -43,9 +394,10 @@ function createItem(collectionName, data) {
  * @param {string} collectionName - Name of the collection
  * @param {string} id - Item ID
  * @param {object} updates - Fields to update
+ * @param {object} [context] - { actor, clientId } recorded in the audit log
  * @returns {object|null} Updated item or null if not found
  */
-function updateItem(collectionName, id, updates) {
+function updateItem(collectionName, id, updates, context) {
   const collection = collections[collectionName];
   if (!collection) {
     throw new Error(`Collection "${collectionName}" does not exist`);
@@ -56,33 +408,96 @@ function updateItem(collectionName, id, updates) {
     return null;
   }
 
+  const version = (existing.version || 1) + 1;
+  const updatedAt = new Date().toISOString();
+
+  // Remember which version last changed each field, for conflict detection
+  const fieldVersions = { ...(existing.fieldVersions || {}) };
+  for (const [field, value] of Object.entries(updates)) {
+    if (METADATA_FIELDS.includes(field)) continue;
+    if (JSON.stringify(existing[field]) !== JSON.stringify(value)) {
+      fieldVersions[field] = { version, updatedAt };
+    }
+  }
+
   // Merge existing with updates
   const updated = {
     ...existing,
     ...updates,
     id: existing.id, // Preserve original ID
+    source: existing.source,
     createdAt: existing.createdAt, // Preserve creation timestamp
-    updatedAt: new Date().toISOString()
+    seq: nextSeq(),
+    version,
+    fieldVersions,
+    updatedAt
   };
 
   collection.set(id, updated);
+  persist('put', collectionName, id, updated);
+  indexLocation(collectionName, updated);
+
+  audit('update', collectionName, id, existing, updated, context, updated.seq);
   
   return updated;
 }
 
 /**
  * Delete an item from a collection
+ * Replicated collections leave a tombstone so sync clients learn about the deletion
  * @param {string} collectionName - Name of the collection
  * @param {string} id - Item ID
+ * @param {object} [context] - { actor, clientId } recorded in the audit log
  * @returns {boolean} True if deleted, false if not found
  */
-function deleteItem(collectionName, id) {
+function deleteItem(collectionName, id, context) {
   const collection = collections[collectionName];
   if (!collection) {
     throw new Error(`Collection "${collectionName}" does not exist`);
   }
 
-  return collection.delete(id);
+  const existing = collection.get(id);
+  const deleted = collection.delete(id);
+  if (deleted) {
+    persist('delete', collectionName, id);
+    if (spatialIndexes[collectionName]) {
+      spatialIndexes[collectionName].remove(id);
+    }
+  }
+
+  if (deleted && TOMBSTONED_COLLECTIONS.includes(collectionName)) {
+    const key = tombstoneKey(collectionName, id);
+    const tombstone = {
+      id: key,
+      collection: collectionName,
+      itemId: id,
+      seq: nextSeq(),
+      deletedAt: new Date().toISOString()
+    };
+    collections.tombstones.set(key, tombstone);
+    persist('put', 'tombstones', key, tombstone);
+    audit('delete', collectionName, id, existing, null, context, tombstone.seq);
+  }
+
+  return deleted;
+}
+
+/**
+ * Get deletions recorded in a collection after a given date
+ * @param {string} collectionName - Name of the collection
+ * @param {Date} sinceDate - Only tombstones newer than this are returned
+ * @returns {array} Array of { id, deletedAt }
+ */
+function getTombstonesSince(collectionName, sinceDate) {
+  const tombstones = [];
+
+  for (const tombstone of collections.tombstones.values()) {
+    if (tombstone.collection === collectionName && new Date(tombstone.deletedAt) > sinceDate) {
+      tombstones.push({ id: tombstone.itemId, deletedAt: tombstone.deletedAt });
+    }
+  }
+
+  return tombstones;
 }
 
 /**
@@ -121,11 +536,159 @@ function getAll(collectionName, filterFn) {
   return items;
 }
 
+/**
+ * Get located items near a point or inside a bounding box, nearest first
+ * Each result is a copy of the item with `distanceMeters` from the query
+ * point: `near` when given, otherwise the centre of `bbox`.
+ * @param {string} collectionName - A spatially indexed collection
+ * @param {object} query
+ * @param {{lat: number, lng: number}} [query.near] - Centre point
+ * @param {number} [query.radius] - Maximum distance from `near` in meters
+ * @param {object} [query.bbox] - { minLat, minLng, maxLat, maxLng }
+ * @param {function} [filterFn] - Optional filter function
+ * @returns {array} Items with distanceMeters, sorted by distance
+ */
+function findNearby(collectionName, { near, radius, bbox }, filterFn) {
+  const index = spatialIndexes[collectionName];
+  if (!index) {
+    throw new Error(`Collection "${collectionName}" has no spatial index`);
+  }
+
+  const origin = near || {
+    lat: (bbox.minLat + bbox.maxLat) / 2,
+    lng: (bbox.minLng + bbox.maxLng) / 2
+  };
+
+  // With both, the box narrows the candidates and the radius still applies
+  const ids = bbox ? index.search(bbox) : index.searchRadius(near, radius);
+  const results = [];
+
+  for (const id of ids) {
+    const item = collections[collectionName].get(id);
+    if (filterFn && !filterFn(item)) continue;
+
+    const distance = distanceMeters(origin, getLocation(item));
+    if (near && radius !== undefined && distance > radius) continue;
+
+    results.push({ ...item, distanceMeters: Math.round(distance) });
+  }
+
+  return results.sort((a, b) => a.distanceMeters - b.distanceMeters);
+}
+
+/**
+ * Get the current server-wide change sequence
+ * @returns {number}
+ */
+function getChangeSeq() {
+  return changeSeq;
+}
+
+/**
+ * Get changes across collections after a change sequence, in sequence order
+ * @param {array} collectionNames - Collections to include
+ * @param {number} sinceSeq - Only changes with a higher sequence are returned
+ * @param {number} limit - Maximum number of changes
+ * @returns {object} { changes: [{ collection, seq, item } | { collection, seq, deleted }], hasMore }
+ */
+function getChangesSince(collectionNames, sinceSeq, limit) {
+  const changes = [];
+
+  for (const collectionName of collectionNames) {
+    const collection = collections[collectionName];
+    if (!collection) {
+      throw new Error(`Collection "${collectionName}" does not exist`);
+    }
+
+    for (const item of collection.values()) {
+      const seq = item.seq || 0;
+      if (seq > sinceSeq) {
+        changes.push({ collection: collectionName, seq, item });
+      }
+    }
+  }
+
+  for (const tombstone of collections.tombstones.values()) {
+    if (collectionNames.includes(tombstone.collection) && (tombstone.seq || 0) > sinceSeq) {
+      changes.push({
+        collection: tombstone.collection,
+        seq: tombstone.seq,
+        deleted: { id: tombstone.itemId, deletedAt: tombstone.deletedAt }
+      });
+    }
+  }
+
+  changes.sort((a, b) => a.seq - b.seq);
+
+  return {
+    changes: changes.slice(0, limit),
+    hasMore: changes.length > limit
+  };
+}
+
+/**
+ * Get the audit trail of one record, oldest first
+ * Entries outlive the record, so deleted items keep their history until
+ * audit retention drops them (see purgeAuditLog).
+ * @param {string} collectionName - Name of the collection
+ * @param {string} id - Item ID
+ * @returns {array} Audit entries
+ */
+function getAuditTrail(collectionName, id) {
+  return [...(auditIndex.get(`${collectionName}:${id}`) || [])];
+}
+
+/**
+ * Get audit entries across collections, newest first
+ * @param {object} [options]
+ * @param {number} [options.beforeSeq] - Only entries older than this sequence
+ * @param {number} [options.limit=100] - Maximum number of entries
+ * @param {function} [options.filterFn] - Optional entry filter
+ * @returns {object} { entries, hasMore }
+ */
+function getAuditLog({ beforeSeq = Infinity, limit = 100, filterFn } = {}) {
+  const all = Array.from(collections.auditLog.values());
+  const entries = [];
+
+  for (let i = all.length - 1; i >= 0; i--) {
+    const entry = all[i];
+    if (entry.seq >= beforeSeq) continue;
+    if (filterFn && !filterFn(entry)) continue;
+    if (entries.length === limit) {
+      return { entries, hasMore: true };
+    }
+    entries.push(entry);
+  }
+
+  return { entries, hasMore: false };
+}
+
+/**
+ * Write a final snapshot and release the storage adapter
+ */
+function closeStore() {
+  clearInterval(maintenanceTimer);
+  compact();
+  adapter.close();
+}
+
 module.exports = {
   createItem,
   updateItem,
   deleteItem,
   getItem,
   getAll,
+  findNearby,
+  getTombstonesSince,
+  purgeTombstones,
+  purgeAuditLog,
+  getChangeSeq,
+  getChangesSince,
+  getPurgedThroughSeq,
+  getAuditTrail,
+  getAuditLog,
+  AUDITED_COLLECTIONS,
+  SPATIAL_COLLECTIONS,
+  closeStore,
   collections // Export for direct access if needed
 };
@@ -0,0 +1,184 @@
+/**
+ * Declarative schemas for the stored collections
+ *
+ * Each schema lists the fields the server understands. Unknown fields are
+ * allowed (offline clients attach display data such as `address`), but known
+ * fields must match their rule. Rule keys:
+ *   type       - 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array'
+ *                | 'timestamp' (ISO string or epoch ms), or an array of these
+ *   required   - must be present on create; may never be cleared on update
+ *   nullable   - null is accepted
+ *   allowEmpty - '' is accepted even when a format is set
+ *   enum       - allowed values (compared case-insensitively for strings)
+ *   min / max  - numeric range
+ *   minLength / maxLength - string length or array size
+ *   format     - named pattern, see validationService FORMATS
+ *   properties - nested rules for an object
+ *   items      - rule applied to every array element
+ *
+ * `readOnly` fields are managed by the store and rejected when a client sends
+ * them; `id` is read-only on update only (the URL names the record).
+ */
+
+// Request lifecycle states; see services/requestLifecycle for the transitions
+const REQUEST_STATUSES = ['pending', 'assigned', 'en_route', 'on_scene', 'resolved', 'cancelled', 'duplicate'];
+// Statuses older clients wrote before the lifecycle existed
+const LEGACY_REQUEST_STATUSES = {
+  accepted: 'assigned',
+  'in-progress': 'en_route',
+  completed: 'resolved'
+};
+const URGENCY_LEVELS = ['low', 'medium', 'high', 'critical'];
+const PRIORITY_LEVELS = ['low', 'normal', 'medium', 'high', 'urgent', 'critical'];
+const SHELTER_STATUSES = ['open', 'full', 'closed'];
+// Skill options volunteers pick from in CanHelpPanel
+const VOLUNTEER_SKILLS = ['first aid', 'transport', 'food', 'shelter', 'search'];
+const ACCOUNT_ROLES = ['volunteer', 'coordinator', 'shelter_manager'];
+
+const READ_ONLY_FIELDS = ['source', 'seq', 'version', 'fieldVersions'];
+
+const latitude = { type: 'number', min: -90, max: 90 };
+const longitude = { type: 'number', min: -180, max: 180 };
+
+const location = {
+  type: 'object',
+  properties: {
+    lat: { ...latitude, required: true },
+    lng: { ...longitude, required: true }
+  }
+};
+
+const phone = { type: 'string', format: 'phone' };
+const shortText = { type: 'string', maxLength: 200 };
+const longText = { type: 'string', maxLength: 5000 };
+
+const schemas = {
+  requests: {
+    fields: {
+      id: shortText,
+      type: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+      name: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+      // Anonymous requesters may leave the phone blank
+      phone: { ...phone, allowEmpty: true },
+      location: { ...location, required: true },
+      lat: latitude,
+      lng: longitude,
+      latitude,
+      longitude,
+      address: { type: 'string', maxLength: 500 },
+      details: longText,
+      description: longText,
+      status: { type: 'string', enum: REQUEST_STATUSES },
+      urgency: { type: 'string', enum: URGENCY_LEVELS },
+      severity: { type: 'string', enum: URGENCY_LEVELS },
+      priority: { type: 'string', enum: PRIORITY_LEVELS },
+      acceptedBy: { ...shortText, nullable: true },
+      duplicateOf: shortText,
+      skillsNeeded: { type: 'array', maxLength: 10, items: { type: 'string', enum: VOLUNTEER_SKILLS } },
+      // Owned by the lifecycle; client copies are ignored
+      history: { type: 'array', maxLength: 500, items: { type: 'object' } },
+      // Sending any time asks to confirm; the lifecycle stamps its own
+      confirmedAt: { type: 'timestamp' },
+      // Hex SHA-256 of the requester's owner token; kept apart from the record
+      ownerTokenHash: { type: 'string', minLength: 64, maxLength: 64 },
+      clientId: shortText,
+      createdAt: { type: 'timestamp' },
+      updatedAt: { type: 'timestamp' },
+      timestamp: { type: 'timestamp' }
+    },
+    // The lifecycle stamps who changed the status and when
+    readOnly: [...READ_ONLY_FIELDS, 'statusChangedAt', 'statusChangedBy', 'assignedAt', 'closedAt']
+  },
+
+  volunteers: {
+    fields: {
+      id: shortText,
+      name: { type: 'string', required: true, minLength: 2, maxLength: 200 },
+      phone: { ...phone, required: true },
+      // CanHelpPanel sends a list; older clients a comma-separated string
+      skills: { type: ['array', 'string'], maxLength: 50, items: { type: 'string', maxLength: 100 } },
+      location: { ...location, nullable: true },
+      // When the volunteer last shared their position
+      locationUpdatedAt: { type: 'timestamp' },
+      availability: { type: 'string', maxLength: 100 },
+      maxRadius: { type: ['number', 'string'], maxLength: 20 },
+      clientId: shortText,
+      createdAt: { type: 'timestamp' },
+      updatedAt: { type: 'timestamp' }
+    },
+    readOnly: READ_ONLY_FIELDS
+  },
+
+  shelters: {
+    fields: {
+      id: shortText,
+      name: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+      location: { ...location, required: true },
+      lat: latitude,
+      lng: longitude,
+      latitude,
+      longitude,
+      address: { type: 'string', maxLength: 500 },
+      capacity: { type: 'integer', min: 0 },
+      current: { type: 'integer', min: 0 },
+      available: { type: 'integer', min: 0 },
+      status: { type: 'string', enum: SHELTER_STATUSES },
+      isClosed: { type: 'boolean' },
+      contact: { type: 'string', maxLength: 200 },
+      facilities: { type: ['array', 'string'], maxLength: 50, items: { type: 'string', maxLength: 100 } },
+      clientId: shortText,
+      createdAt: { type: 'timestamp' },
+      updatedAt: { type: 'timestamp' }
+    },
+    readOnly: READ_ONLY_FIELDS
+  },
+
+  routes: {
+    fields: {
+      id: shortText,
+      from: { type: ['string', 'object'], required: true },
+      to: { type: ['string', 'object'], required: true },
+      // GeoJSON object, coordinate array or encoded polyline
+      geometry: { type: ['object', 'array', 'string'], required: true },
+      distance: { type: 'number', min: 0 },
+      duration: { type: 'number', min: 0 },
+      createdAt: { type: 'timestamp' },
+      updatedAt: { type: 'timestamp' }
+    },
+    readOnly: READ_ONLY_FIELDS
+  },
+
+  peers: {
+    fields: {
+      id: shortText,
+      peerId: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+      lastSeenAt: { type: 'timestamp' },
+      capabilities: { type: ['object', 'array'] },
+      createdAt: { type: 'timestamp' },
+      updatedAt: { type: 'timestamp' }
+    },
+    readOnly: READ_ONLY_FIELDS
+  },
+
+  // Sign-up body; the stored account holds a hash instead of the password
+  accounts: {
+    fields: {
+      name: { type: 'string', required: true, minLength: 2, maxLength: 200 },
+      phone: { ...phone, required: true },
+      password: { type: 'string', required: true, minLength: 6, maxLength: 200 }
+    },
+    // The server picks the volunteer ID; a coordinator can link an existing
+    // volunteer record afterwards (PATCH /api/accounts/:id)
+    readOnly: [...READ_ONLY_FIELDS, 'role', 'passwordHash', 'volunteerId']
+  }
+};
+
+module.exports = {
+  schemas,
+  REQUEST_STATUSES,
+  LEGACY_REQUEST_STATUSES,
+  URGENCY_LEVELS,
+  SHELTER_STATUSES,
+  VOLUNTEER_SKILLS,
+  ACCOUNT_ROLES
+};
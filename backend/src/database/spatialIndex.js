@@ -0,0 +1,142 @@
+/**
+ * Grid spatial index
+ *
+ * Buckets record IDs into fixed-size lat/lng cells so radius and bounding
+ * box queries only look at records in the cells they overlap, instead of
+ * measuring the distance to every record in a collection. memoryStore keeps
+ * one index per located collection and updates it on every mutation.
+ *
+ * The index only narrows the candidates: callers still check the exact
+ * distance (or bounds) of what it returns.
+ */
+
+// Roughly 1.1km north-south; small enough for street-level queries
+const DEFAULT_CELL_DEGREES = 0.01;
+const METERS_PER_DEGREE_LAT = 111320;
+
+/**
+ * Degrees of latitude/longitude covered by a radius around a point
+ * @param {{lat: number, lng: number}} center
+ * @param {number} radiusMeters
+ * @returns {{minLat: number, minLng: number, maxLat: number, maxLng: number}}
+ */
+function radiusToBBox(center, radiusMeters) {
+  const dLat = radiusMeters / METERS_PER_DEGREE_LAT;
+  const cosLat = Math.cos(center.lat * Math.PI / 180);
+  // Near the poles a radius spans every longitude
+  const dLng = cosLat > 1e-6 ? radiusMeters / (METERS_PER_DEGREE_LAT * cosLat) : 360;
+
+  return {
+    minLat: Math.max(-90, center.lat - dLat),
+    maxLat: Math.min(90, center.lat + dLat),
+    minLng: Math.max(-180, center.lng - dLng),
+    maxLng: Math.min(180, center.lng + dLng)
+  };
+}
+
+/**
+ * Create an empty spatial index
+ * @param {object} [options]
+ * @param {number} [options.cellDegrees=0.01] - Cell edge length in degrees
+ * @returns {object} Index with set/remove/search
+ */
+function createSpatialIndex({ cellDegrees = DEFAULT_CELL_DEGREES } = {}) {
+  // cell key -> Set of IDs
+  const cells = new Map();
+  // ID -> { lat, lng, key }
+  const positions = new Map();
+
+  const cellOf = (value) => Math.floor(value / cellDegrees);
+  const keyOf = (row, col) => `${row}:${col}`;
+
+  /**
+   * Forget a record's position
+   * @param {string} id
+   */
+  function remove(id) {
+    const position = positions.get(id);
+    if (!position) return;
+
+    const bucket = cells.get(position.key);
+    bucket.delete(id);
+    if (bucket.size === 0) {
+      cells.delete(position.key);
+    }
+    positions.delete(id);
+  }
+
+  /**
+   * Record (or move) a record's position
+   * @param {string} id
+   * @param {{lat: number, lng: number}|null} location - Null removes the record
+   */
+  function set(id, location) {
+    remove(id);
+    if (!location) return;
+
+    const key = keyOf(cellOf(location.lat), cellOf(location.lng));
+    if (!cells.has(key)) {
+      cells.set(key, new Set());
+    }
+    cells.get(key).add(id);
+    positions.set(id, { lat: location.lat, lng: location.lng, key });
+  }
+
+  /**
+   * IDs of records inside a bounding box
+   * @param {{minLat: number, minLng: number, maxLat: number, maxLng: number}} bbox
+   * @returns {string[]}
+   */
+  function search(bbox) {
+    const inside = (position) =>
+      position.lat >= bbox.minLat && position.lat <= bbox.maxLat &&
+      position.lng >= bbox.minLng && position.lng <= bbox.maxLng;
+
+    const minRow = cellOf(bbox.minLat);
+    const maxRow = cellOf(bbox.maxLat);
+    const minCol = cellOf(bbox.minLng);
+    const maxCol = cellOf(bbox.maxLng);
+
+    // A box spanning more cells than there are records is cheaper to scan
+    if ((maxRow - minRow + 1) * (maxCol - minCol + 1) > positions.size) {
+      return [...positions].filter(([, position]) => inside(position)).map(([id]) => id);
+    }
+
+    const ids = [];
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        for (const id of cells.get(keyOf(row, col)) || []) {
+          if (inside(positions.get(id))) {
+            ids.push(id);
+          }
+        }
+      }
+    }
+    return ids;
+  }
+
+  return {
+    set,
+    remove,
+    search,
+
+    /**
+     * IDs of records possibly within a radius (the enclosing box)
+     * @param {{lat: number, lng: number}} center
+     * @param {number} radiusMeters
+     * @returns {string[]}
+     */
+    searchRadius(center, radiusMeters) {
+      return search(radiusToBBox(center, radiusMeters));
+    },
+
+    size() {
+      return positions.size;
+    }
+  };
+}
+
+module.exports = {
+  createSpatialIndex,
+  radiusToBBox
+};
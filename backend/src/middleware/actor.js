@@ -0,0 +1,26 @@
+/**
+ * Work out who is making a request
+ *
+ * Sets `req.actor = { actor, clientId }`, which routes pass to the store so
+ * the audit log and request history can say who changed what. Clients name
+ * their device with `X-Client-Id` and, optionally, the person acting with
+ * `X-Actor-Id`; the device stands in for the person when it is missing.
+ * A signed-in volunteer (see middleware/auth) is always the actor: the
+ * session, not a header, says who they are.
+ *
+ * @returns {function} Express middleware
+ */
+function identifyActor() {
+  return (req, res, next) => {
+    const clientId = req.get('X-Client-Id') || undefined;
+    req.actor = {
+      actor: req.auth ? req.auth.volunteerId : (req.get('X-Actor-Id') || clientId),
+      clientId
+    };
+    next();
+  };
+}
+
+module.exports = {
+  identifyActor
+};
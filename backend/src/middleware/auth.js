@@ -0,0 +1,50 @@
+const { authenticateToken } = require('../services/authService');
+
+/**
+ * Read the session token of a request, if it has one
+ *
+ * Sets `req.auth = { accountId, volunteerId, role, sessionId }` for a valid
+ * `Authorization: Bearer <access token>`. Requests without the header pass
+ * through unauthenticated; a token that is expired, revoked or forged is
+ * answered with 401 so the client knows to refresh or sign in again.
+ *
+ * @returns {function} Express middleware
+ */
+function authenticate() {
+  return (req, res, next) => {
+    const header = req.get('Authorization');
+    if (!header) {
+      return next();
+    }
+
+    const [scheme, token] = header.split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({ error: 'Authorization must be "Bearer <token>"' });
+    }
+
+    try {
+      req.auth = authenticateToken(token);
+      next();
+    } catch (error) {
+      res.status(error.status || 401).json({ error: error.message });
+    }
+  };
+}
+
+/**
+ * Reject requests that are not signed in
+ * @returns {function} Express middleware
+ */
+function requireAuth() {
+  return (req, res, next) => {
+    if (!req.auth) {
+      return res.status(401).json({ error: 'Sign in required' });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  authenticate,
+  requireAuth
+};
@@ -0,0 +1,43 @@
+const { getItem } = require('../database/memoryStore');
+const { principalFor, assertCan } = require('../services/permissions');
+
+/**
+ * Check the permission matrix (see services/permissions) before a route runs
+ *
+ * Sets `req.principal` and answers 401 for the public or 403 for a role
+ * that may not take the action. Requesters prove they own a request with
+ * the `X-Owner-Token` header. Record-level rules see the stored record
+ * named by the route parameter; a missing record passes through so the
+ * route can answer 404.
+ *
+ * @param {string} collection - e.g. 'shelters'
+ * @param {string} action - e.g. 'update'
+ * @param {object} [options]
+ * @param {string} [options.idParam] - Route parameter naming the record to check
+ * @param {function} [options.changes] - (req) => changes to check; defaults to the body
+ * @returns {function} Express middleware
+ */
+function authorize(collection, action, { idParam, changes } = {}) {
+  return (req, res, next) => {
+    req.principal = principalFor(req.auth, req.actor && req.actor.clientId, req.get('X-Owner-Token'));
+
+    let record = null;
+    if (idParam) {
+      record = getItem(collection, req.params[idParam]);
+      if (!record) {
+        return next();
+      }
+    }
+
+    try {
+      assertCan(req.principal, action, collection, record, changes ? changes(req) : req.body);
+      next();
+    } catch (error) {
+      res.status(error.status || 403).json({ error: error.message });
+    }
+  };
+}
+
+module.exports = {
+  authorize
+};
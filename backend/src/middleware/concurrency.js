@@ -0,0 +1,55 @@
+const { getItem } = require('../database/memoryStore');
+const { formatETag, matchesETag } = require('../services/etagService');
+
+/**
+ * Reject writes whose If-Match header no longer matches the stored item
+ *
+ * Responds 412 with the current record (and its ETag) so the client can
+ * rebase its change. Missing items fall through to the route's own 404.
+ *
+ * @param {string} collectionName - Collection the route writes to
+ * @param {string} [param] - Route parameter holding the item ID
+ * @returns {function} Express middleware
+ */
+function ifMatch(collectionName, param = 'id') {
+  return (req, res, next) => {
+    const header = req.get('If-Match');
+    if (!header) {
+      return next();
+    }
+
+    const current = getItem(collectionName, req.params[param]);
+    if (!current || matchesETag(header, current)) {
+      return next();
+    }
+
+    res.set('ETag', formatETag(current));
+    res.status(412).json({
+      error: 'Precondition failed: record was modified',
+      current
+    });
+  };
+}
+
+/**
+ * Answer a GET with an ETag, or 304 when If-None-Match is still current
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {object} item - Item being returned
+ */
+function sendWithETag(req, res, item) {
+  const etag = formatETag(item);
+  res.set('ETag', etag);
+
+  const ifNoneMatch = req.get('If-None-Match');
+  if (ifNoneMatch && matchesETag(ifNoneMatch, item)) {
+    return res.status(304).end();
+  }
+
+  res.json(item);
+}
+
+module.exports = {
+  ifMatch,
+  sendWithETag
+};
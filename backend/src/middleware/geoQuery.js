@@ -0,0 +1,81 @@
+/**
+ * Parse location filters on list routes
+ *
+ *   ?near=lat,lng&radius=meters   records within radius of a point (default 5000m)
+ *   ?bbox=minLng,minLat,maxLng,maxLat   records inside a box (west,south,east,north)
+ *
+ * Sets `req.geo = { near?, radius?, bbox? }` when either filter is present,
+ * and responds 400 when one is malformed. Routes pass req.geo to
+ * memoryStore.findNearby.
+ */
+
+const DEFAULT_RADIUS_METERS = 5000;
+// Half the earth's circumference; anything larger matches everything anyway
+const MAX_RADIUS_METERS = 20000000;
+
+/**
+ * Parse a comma-separated list of numbers
+ * @param {string} value
+ * @param {number} count - Expected number of values
+ * @returns {number[]|null} Null when malformed
+ */
+function parseNumbers(value, count) {
+  const numbers = String(value).split(',').map(part => Number(part.trim()));
+  if (numbers.length !== count || numbers.some(number => !Number.isFinite(number))) {
+    return null;
+  }
+  return numbers;
+}
+
+const validLat = (lat) => lat >= -90 && lat <= 90;
+const validLng = (lng) => lng >= -180 && lng <= 180;
+
+/**
+ * Validate near/radius/bbox query parameters into req.geo
+ * @returns {function} Express middleware
+ */
+function geoQuery() {
+  return (req, res, next) => {
+    const { near, radius, bbox } = req.query;
+    if (near === undefined && bbox === undefined) {
+      return next();
+    }
+
+    const geo = {};
+    const fail = (message) => res.status(400).json({ error: message });
+
+    if (near !== undefined) {
+      const point = parseNumbers(near, 2);
+      if (!point || !validLat(point[0]) || !validLng(point[1])) {
+        return fail('near must be "lat,lng"');
+      }
+      geo.near = { lat: point[0], lng: point[1] };
+
+      geo.radius = radius === undefined ? DEFAULT_RADIUS_METERS : Number(radius);
+      if (!(geo.radius > 0) || geo.radius > MAX_RADIUS_METERS) {
+        return fail(`radius must be a distance in meters up to ${MAX_RADIUS_METERS}`);
+      }
+    }
+
+    if (bbox !== undefined) {
+      const box = parseNumbers(bbox, 4);
+      if (!box) {
+        return fail('bbox must be "minLng,minLat,maxLng,maxLat"');
+      }
+
+      const [minLng, minLat, maxLng, maxLat] = box;
+      if (!validLng(minLng) || !validLng(maxLng) || !validLat(minLat) || !validLat(maxLat) ||
+          minLng > maxLng || minLat > maxLat) {
+        return fail('bbox must be "minLng,minLat,maxLng,maxLat" with min below max');
+      }
+      geo.bbox = { minLat, minLng, maxLat, maxLng };
+    }
+
+    req.geo = geo;
+    next();
+  };
+}
+
+module.exports = {
+  geoQuery
+};
@@ -0,0 +1,72 @@
+const { fingerprint, getStoredResult, storeResult } = require('../services/idempotencyService');
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Drop a requester's owner token from a response body
+ * @param {*} body
+ * @returns {*}
+ */
+function withoutOwnerToken(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body) || !('ownerToken' in body)) {
+    return body;
+  }
+  const { ownerToken, ...rest } = body;
+  return rest;
+}
+
+/**
+ * Replay the original response for a repeated Idempotency-Key header
+ *
+ * The first successful (2xx) response for a key is stored; later requests
+ * with the same key and body get that response back without running the
+ * handler again. Reusing a key with a different body is rejected.
+ *
+ * A generated `ownerToken` in the response is left out of what is stored,
+ * like syncService does for replayed creates: the stored results are
+ * persisted, and anyone repeating the key and body would get the token.
+ *
+ * @param {string} scope - Namespace for keys, usually the collection name
+ * @returns {function} Express middleware
+ */
+function idempotent(scope) {
+  return (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) {
+      return next();
+    }
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+    }
+
+    const requestFingerprint = fingerprint(req.body);
+    const stored = getStoredResult(scope, key);
+
+    if (stored) {
+      if (stored.fingerprint !== requestFingerprint) {
+        return res.status(422).json({ error: 'Idempotency-Key was already used for a different request' });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.status).json(stored.body);
+    }
+
+    // Capture the handler's response so a retry can be answered with it
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        try {
+          storeResult(scope, key, { status: res.statusCode, body: withoutOwnerToken(body), fingerprint: requestFingerprint });
+        } catch (error) {
+          console.error('Failed to store idempotent response:', error);
+        }
+      }
+      return sendJson(body);
+    };
+
+    next();
+  };
+}
+
+module.exports = { idempotent };
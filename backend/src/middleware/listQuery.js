@@ -0,0 +1,208 @@
+/**
+ * Paging, sorting and projection for collection list routes
+ *
+ *   ?limit=50                 page size (max 500); answers with a page envelope
+ *   ?cursor=<nextCursor>      continue after the previous page
+ *   ?sort=-updatedAt,name     sort fields, '-' for descending
+ *   ?fields=id,name,status    only return these fields (id is always kept)
+ *   ?updatedSince=<ISO time>  only records changed after this time
+ *
+ * Without `limit` or `cursor` the route answers with the plain array older
+ * clients expect; with either it answers:
+ *
+ *   { items, hasMore, nextCursor }
+ *
+ * Cursors point after the last item returned (its sort values and ID), so
+ * records created or changed between pages do not shift later pages.
+ */
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+const FIELD_PATTERN = /^[A-Za-z_][\w]*$/;
+
+/**
+ * Malformed list parameter (400)
+ */
+class ListQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ListQueryError';
+    this.status = 400;
+  }
+}
+
+/**
+ * Parse a comma-separated list of field names
+ * @param {string} value
+ * @param {string} param - Query parameter, for the error message
+ * @returns {string[]}
+ */
+function parseFieldList(value, param) {
+  const names = String(value).split(',').map(name => name.trim()).filter(Boolean);
+  const invalid = names.find(name => !FIELD_PATTERN.test(name.replace(/^-/, '')));
+  if (names.length === 0 || invalid !== undefined) {
+    throw new ListQueryError(`Invalid ${param} parameter${invalid ? `: "${invalid}"` : ''}`);
+  }
+  return names;
+}
+
+/**
+ * Order two field values; missing values sort last either way
+ * @param {*} a
+ * @param {*} b
+ * @returns {number}
+ */
+function compareValues(a, b) {
+  const aMissing = a === undefined || a === null;
+  const bMissing = b === undefined || b === null;
+  if (aMissing || bMissing) {
+    return aMissing === bMissing ? 0 : (aMissing ? 1 : -1);
+  }
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+  return String(a) < String(b) ? -1 : (String(a) > String(b) ? 1 : 0);
+}
+
+/**
+ * Build a comparator over sort keys: [{ field, direction }], then ID
+ * @param {array} sort
+ * @returns {function} (a, b) => number, over { values, id } keys
+ */
+function keyComparator(sort) {
+  return (a, b) => {
+    for (let i = 0; i < sort.length; i++) {
+      const order = compareValues(a.values[i], b.values[i]);
+      if (order !== 0) {
+        const missing = a.values[i] === undefined || a.values[i] === null ||
+          b.values[i] === undefined || b.values[i] === null;
+        return missing ? order : order * sort[i].direction;
+      }
+    }
+    return compareValues(a.id, b.id);
+  };
+}
+
+/**
+ * Encode a cursor pointing after an item
+ * @param {string} sortParam - Sort the cursor belongs to
+ * @param {object} key - { values, id }
+ * @returns {string}
+ */
+function encodeCursor(sortParam, key) {
+  return Buffer.from(JSON.stringify({ s: sortParam, v: key.values, id: key.id })).toString('base64url');
+}
+
+/**
+ * Decode a cursor from a previous page
+ * @param {string} cursor
+ * @param {string} sortParam - Sort of the current request
+ * @returns {object} { values, id }
+ */
+function decodeCursor(cursor, sortParam) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new ListQueryError('Invalid cursor');
+  }
+  if (!decoded || !Array.isArray(decoded.v) || typeof decoded.id !== 'string') {
+    throw new ListQueryError('Invalid cursor');
+  }
+  if (decoded.s !== sortParam) {
+    throw new ListQueryError('Cursor belongs to a different sort order');
+  }
+  return { values: decoded.v, id: decoded.id };
+}
+
+/**
+ * Parse list parameters into req.list, answering 400 when one is malformed
+ * @param {object} [options]
+ * @param {string} [options.defaultSort='createdAt'] - Sort when none is given
+ * @returns {function} Express middleware
+ */
+function listQuery({ defaultSort = 'createdAt' } = {}) {
+  return (req, res, next) => {
+    try {
+      const { limit, cursor, sort, fields, updatedSince } = req.query;
+      // Location queries (see geoQuery) come nearest first unless told otherwise
+      const sortParam = sort !== undefined ? String(sort) : (req.geo ? 'distanceMeters' : defaultSort);
+
+      const list = {
+        paged: limit !== undefined || cursor !== undefined,
+        limit: DEFAULT_LIMIT,
+        sortParam,
+        sort: parseFieldList(sortParam, 'sort').map(name => ({
+          field: name.replace(/^-/, ''),
+          direction: name.startsWith('-') ? -1 : 1
+        }))
+      };
+
+      if (limit !== undefined) {
+        list.limit = Number(limit);
+        if (!Number.isInteger(list.limit) || list.limit < 1 || list.limit > MAX_LIMIT) {
+          throw new ListQueryError(`limit must be between 1 and ${MAX_LIMIT}`);
+        }
+      }
+      if (cursor !== undefined) {
+        list.after = decodeCursor(String(cursor), sortParam);
+      }
+      if (fields !== undefined) {
+        list.fields = parseFieldList(fields, 'fields');
+      }
+      if (updatedSince !== undefined) {
+        list.updatedSince = new Date(Number.isNaN(Number(updatedSince)) ? updatedSince : Number(updatedSince));
+        if (Number.isNaN(list.updatedSince.getTime())) {
+          throw new ListQueryError('updatedSince must be an ISO time or epoch milliseconds');
+        }
+      }
+
+      req.list = list;
+      next();
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  };
+}
+
+/**
+ * Answer a list route: filter by updatedSince, sort, page and project
+ * @param {object} req - Express request (after listQuery)
+ * @param {object} res - Express response
+ * @param {array} items - Every item matching the route's own filters
+ */
+function sendList(req, res, items) {
+  const { paged, limit, sort, sortParam, after, fields, updatedSince } = req.list;
+  const compare = keyComparator(sort);
+
+  let keyed = items
+    .filter(item => !updatedSince || new Date(item.updatedAt) > updatedSince)
+    .map(item => ({ item, key: { values: sort.map(({ field }) => item[field]), id: item.id } }))
+    .sort((a, b) => compare(a.key, b.key));
+
+  if (after) {
+    keyed = keyed.filter(({ key }) => compare(key, after) > 0);
+  }
+
+  const page = paged ? keyed.slice(0, limit) : keyed;
+  const project = (item) => fields
+    ? Object.fromEntries(['id', ...fields].filter(field => field in item).map(field => [field, item[field]]))
+    : item;
+  const results = page.map(({ item }) => project(item));
+
+  if (!paged) {
+    return res.json(results);
+  }
+
+  const hasMore = keyed.length > page.length;
+  res.json({
+    items: results,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(sortParam, page[page.length - 1].key) : null
+  });
+}
+
+module.exports = {
+  listQuery,
+  sendList
+};
@@ -0,0 +1,30 @@
+const { validate } = require('../services/validationService');
+
+/**
+ * Reject request bodies that do not match the collection schema
+ *
+ * Responds 422 with every failing field:
+ *   { error: 'Validation failed', details: [{ field, code, message }] }
+ *
+ * @param {string} collectionName - Collection the route writes to
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - Body is an update (PATCH)
+ * @returns {function} Express middleware
+ */
+function validateBody(collectionName, { partial = false } = {}) {
+  return (req, res, next) => {
+    const details = validate(collectionName, req.body, { partial });
+    if (details.length === 0) {
+      return next();
+    }
+
+    res.status(422).json({
+      error: 'Validation failed',
+      details
+    });
+  };
+}
+
+module.exports = {
+  validateBody
+};
@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const { getItem, getAll } = require('../database/memoryStore');
+const { authorize } = require('../middleware/authorize');
+const { listQuery, sendList } = require('../middleware/listQuery');
+const { updateAccount, publicAccount } = require('../services/authService');
+
+/**
+ * Send validation errors with their own status
+ * @param {object} res - Express response
+ * @param {Error} error
+ */
+function sendError(res, error) {
+  res.status(error.status || 500).json({
+    error: error.message,
+    ...(error.details && { details: error.details })
+  });
+}
+
+// GET /api/accounts - Get all accounts, optionally filtered by role (coordinators)
+router.get('/', authorize('accounts', 'read'), listQuery(), (req, res) => {
+  try {
+    const { role } = req.query;
+
+    const accounts = getAll('accounts', role ? (item) => item.role === role : undefined);
+
+    sendList(req, res, accounts.map(publicAccount));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/accounts/:id - Get a single account (coordinators)
+router.get('/:id', authorize('accounts', 'read'), (req, res) => {
+  try {
+    const account = getItem('accounts', req.params.id);
+
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    res.json(publicAccount(account));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PATCH /api/accounts/:id - Change role, managed shelters, linked volunteer or disable (coordinators)
+// Body: { role?, shelterIds?, volunteerId?, disabled? }
+router.patch('/:id', authorize('accounts', 'update'), (req, res) => {
+  try {
+    const { role, shelterIds, volunteerId, disabled } = req.body || {};
+
+    const account = updateAccount(req.params.id, { role, shelterIds, volunteerId, disabled });
+
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    res.json(account);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const { getAuditLog } = require('../database/memoryStore');
+const { authorize } = require('../middleware/authorize');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// GET /api/activity - Incident-wide activity feed for coordinators, newest first
+// Query: collection, actor, clientId, op, since (ISO time), limit,
+// before (the `nextBefore` of the previous page)
+router.get('/', authorize('activity', 'read'), (req, res) => {
+  try {
+    const { collection, actor, clientId, op, since, before } = req.query;
+    
+    const limit = Math.min(Math.max(Number(req.query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const beforeSeq = before !== undefined ? Number(before) : Infinity;
+    const sinceTime = since ? new Date(since).getTime() : null;
+    
+    if (Number.isNaN(beforeSeq) || Number.isNaN(sinceTime)) {
+      return res.status(400).json({ error: 'Invalid before or since parameter' });
+    }
+    
+    const { entries, hasMore } = getAuditLog({
+      beforeSeq,
+      limit,
+      filterFn: (entry) =>
+        (!collection || entry.collection === collection) &&
+        (!actor || entry.actor === actor) &&
+        (!clientId || entry.clientId === clientId) &&
+        (!op || entry.op === op) &&
+        (sinceTime === null || new Date(entry.timestamp).getTime() > sinceTime)
+    });
+    
+    res.json({
+      entries,
+      hasMore,
+      nextBefore: hasMore ? entries[entries.length - 1].seq : null
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const { getItem } = require('../database/memoryStore');
+const { validateBody } = require('../middleware/validate');
+const { requireAuth } = require('../middleware/auth');
+const { register, login, refresh, logout, publicAccount } = require('../services/authService');
+
+/**
+ * Send an auth error with its HTTP status
+ * @param {object} res - Express response
+ * @param {Error} error
+ */
+function sendError(res, error) {
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  res.status(error.status || 500).json({ error: error.message });
+}
+
+// POST /api/auth/register - Create a volunteer account and sign in
+// Body: { name, phone, password }
+router.post('/register', validateBody('accounts'), async (req, res) => {
+  try {
+    const { name, phone, password } = req.body;
+    
+    const session = await register({ name, phone, password }, req.actor);
+    
+    res.status(201).json(session);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// POST /api/auth/login - Sign in with phone and password
+// Repeated failed logins for a phone from one address, or from an address, answer 429 with Retry-After
+router.post('/login', async (req, res) => {
+  try {
+    const { phone, password } = req.body || {};
+    
+    if (typeof phone !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'Missing required fields: phone, password' });
+    }
+    
+    const session = await login(phone, password, { ...req.actor, address: req.ip });
+    
+    res.json(session);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// POST /api/auth/refresh - Exchange a refresh token for a new token pair
+router.post('/refresh', (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    
+    if (typeof refreshToken !== 'string') {
+      return res.status(400).json({ error: 'Missing required field: refreshToken' });
+    }
+    
+    res.json(refresh(refreshToken));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// POST /api/auth/logout - End the current session
+router.post('/logout', requireAuth(), (req, res) => {
+  try {
+    logout(req.auth.sessionId);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// GET /api/auth/me - The signed-in account
+router.get('/me', requireAuth(), (req, res) => {
+  try {
+    const account = getItem('accounts', req.auth.accountId);
+    
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    
+    res.json(publicAccount(account));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const { suggestAssignments, acceptProposals } = require('../services/dispatchService');
+const { broadcastRecord } = require('../socket');
+const { authorize } = require('../middleware/authorize');
+
+const MAX_BULK = 200;
+
+/**
+ * Check that a body field, when present, is a list of IDs
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isIdList(value) {
+  return value === undefined || (Array.isArray(value) && value.every(id => typeof id === 'string'));
+}
+
+// POST /api/dispatch/suggest - Ranked volunteer proposals for pending requests
+// Body (all optional): requestIds, volunteerIds, maxLoad, requireSkillMatch, alternatives, limit
+router.post('/suggest', authorize('dispatch', 'suggest'), (req, res) => {
+  try {
+    const { requestIds, volunteerIds, maxLoad, requireSkillMatch, alternatives, limit } = req.body || {};
+    
+    if (!isIdList(requestIds) || !isIdList(volunteerIds)) {
+      return res.status(400).json({ error: 'requestIds and volunteerIds must be arrays of IDs' });
+    }
+    
+    const suggestions = suggestAssignments({
+      requestIds,
+      volunteerIds,
+      maxLoad: Number(maxLoad) > 0 ? Number(maxLoad) : undefined,
+      requireSkillMatch: requireSkillMatch === true,
+      alternatives: Number(alternatives) >= 0 ? Number(alternatives) : undefined,
+      limit: Number(limit) > 0 ? Number(limit) : undefined
+    });
+    
+    res.json(suggestions);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/dispatch/accept - Assign accepted proposals in bulk
+// Body: { proposals: [{ requestId, volunteerId, requestVersion? }] }
+// Responds 200 when all were assigned, 207 with per-proposal results otherwise.
+router.post('/accept', authorize('dispatch', 'accept'), (req, res) => {
+  try {
+    const { proposals } = req.body || {};
+    
+    if (!Array.isArray(proposals) || proposals.length === 0) {
+      return res.status(400).json({ error: 'Missing required field: proposals' });
+    }
+    
+    if (proposals.length > MAX_BULK) {
+      return res.status(400).json({ error: `At most ${MAX_BULK} proposals per request` });
+    }
+    
+    if (!proposals.every(p => p && typeof p.requestId === 'string' && typeof p.volunteerId === 'string')) {
+      return res.status(400).json({ error: 'Each proposal needs a requestId and volunteerId' });
+    }
+    
+    const results = acceptProposals(proposals, req.actor);
+    
+    // Emit socket events
+    results
+      .filter(result => result.success)
+      .forEach(result => broadcastRecord('request:updated', result.request));
+    
+    const allAssigned = results.every(result => result.success);
+    res.status(allAssigned ? 200 : 207).json({
+      assigned: results.filter(result => result.success).length,
+      failed: results.filter(result => !result.success).length,
+      results
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
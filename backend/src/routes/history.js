@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const { getAuditTrail, AUDITED_COLLECTIONS } = require('../database/memoryStore');
+const { authorize } = require('../middleware/authorize');
+
+// GET /api/:collection/:id/history - Audit trail of one record, oldest first
+// Deleted records keep their history.
+router.get('/:collection/:id/history', authorize('history', 'read'), (req, res) => {
+  try {
+    const { collection, id } = req.params;
+    
+    if (!AUDITED_COLLECTIONS.includes(collection)) {
+      return res.status(404).json({ error: `Unknown collection: ${collection}` });
+    }
+    
+    const entries = getAuditTrail(collection, id);
+    
+    if (entries.length === 0) {
+      return res.status(404).json({ error: 'No history for this record' });
+    }
+    
+    res.json({ collection, id, entries });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,105 @@
+const express = require('express');
+const router = express.Router();
+const { getAll, getItem } = require('../database/memoryStore');
+const { startOffer, respondToOffer, cancelOffer } = require('../services/offerService');
+const { listQuery, sendList } = require('../middleware/listQuery');
+const { authorize } = require('../middleware/authorize');
+
+/**
+ * Send an offer error with its HTTP status
+ * @param {object} res - Express response
+ * @param {Error} error
+ */
+function sendError(res, error) {
+  res.status(error.status || 500).json({ error: error.message });
+}
+
+// GET /api/offers - Get all offers, optionally filtered by status or requestId
+router.get('/', authorize('offers', 'read'), listQuery(), (req, res) => {
+  try {
+    const { status, requestId } = req.query;
+
+    const offers = getAll('offers', (item) =>
+      (!status || item.status === status) &&
+      (!requestId || item.requestId === requestId));
+
+    sendList(req, res, offers);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/offers/:id - Get one offer with its steps
+router.get('/:id', authorize('offers', 'read'), (req, res) => {
+  try {
+    const offer = getItem('offers', req.params.id);
+
+    if (!offer) {
+      return res.status(404).json({ error: 'Offer not found' });
+    }
+
+    res.json(offer);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/offers - Start offering a pending request to volunteers
+// Body: { requestId, volunteerIds?, timeoutMs? }; candidates default to dispatch suggestions
+router.post('/', authorize('offers', 'create'), (req, res) => {
+  try {
+    const { requestId, volunteerIds, timeoutMs } = req.body || {};
+
+    if (typeof requestId !== 'string') {
+      return res.status(400).json({ error: 'Missing required field: requestId' });
+    }
+
+    if (volunteerIds !== undefined &&
+        !(Array.isArray(volunteerIds) && volunteerIds.every(id => typeof id === 'string'))) {
+      return res.status(400).json({ error: 'volunteerIds must be an array of IDs' });
+    }
+
+    const offer = startOffer(requestId, {
+      volunteerIds,
+      timeoutMs: Number(timeoutMs) > 0 ? Number(timeoutMs) : undefined,
+      context: req.actor
+    });
+
+    res.status(201).json(offer);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// POST /api/offers/:id/accept - Current candidate accepts (body: volunteerId)
+// POST /api/offers/:id/decline - Current candidate declines (body: volunteerId, reason?)
+for (const answer of ['accept', 'decline']) {
+  router.post(`/:id/${answer}`, authorize('offers', 'respond'), (req, res) => {
+    try {
+      const { volunteerId, reason } = req.body || {};
+
+      if (typeof volunteerId !== 'string') {
+        return res.status(400).json({ error: 'Missing required field: volunteerId' });
+      }
+
+      const offer = respondToOffer(req.params.id, volunteerId, answer === 'accept', reason);
+
+      res.json(offer);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+}
+
+// POST /api/offers/:id/cancel - Withdraw an open offer
+router.post('/:id/cancel', authorize('offers', 'cancel'), (req, res) => {
+  try {
+    const offer = cancelOffer(req.params.id, req.actor);
+
+    res.json(offer);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -1,35 +1,60 @@
 const express = require('express');
 const router = express.Router();
-const { createItem, updateItem, deleteItem, getAll } = require('../database/memoryStore');
+const { createItem, updateItem, deleteItem, getItem, getAll } = require('../database/memoryStore');
+const { ifMatch, sendWithETag } = require('../middleware/concurrency');
+const { validateBody } = require('../middleware/validate');
+const { formatETag } = require('../services/etagService');
+const { listQuery, sendList } = require('../middleware/listQuery');
+const { authorize } = require('../middleware/authorize');
+const { isPeerOnline } = require('../services/signalingService');
 
 // GET /api/peers - Get all peers
-router.get('/', (req, res) => {
+// ?online=true lists only peers connected for signaling (see services/signalingService)
+router.get('/', authorize('peers', 'read'), listQuery(), (req, res) => {
   try {
-    const peers = getAll('peers');
-    res.json(peers);
+    const onlineOnly = req.query.online === 'true';
+    const peers = getAll('peers', onlineOnly ? peer => isPeerOnline(peer.peerId) : undefined);
+    sendList(req, res, peers);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/peers/:peerId - Get a single peer (with ETag)
+router.get('/:peerId', authorize('peers', 'read'), (req, res) => {
+  try {
+    const peer = getItem('peers', req.params.peerId);
+    
+    if (!peer) {
+      return res.status(404).json({ error: 'Peer not found' });
+    }
+    
+    sendWithETag(req, res, peer);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // POST /api/peers - Register a new peer
-router.post('/', (req, res) => {
+// A peerId already registered is 409; its device updates it with PATCH
+router.post('/', authorize('peers', 'create'), validateBody('peers'), (req, res) => {
   try {
     const { peerId, lastSeenAt, capabilities } = req.body;
     
-    // Validate required fields
-    if (!peerId) {
-      return res.status(400).json({ error: 'Missing required field: peerId' });
+    if (getItem('peers', peerId)) {
+      return res.status(409).json({ error: 'Peer is already registered' });
     }
     
     const peerData = {
       id: peerId,
       peerId,
       lastSeenAt: lastSeenAt || new Date().toISOString(),
-      capabilities: capabilities || {}
+      capabilities: capabilities || {},
+      // Lets the same device update its registration later
+      clientId: req.actor.clientId
     };
     
-    const createdPeer = createItem('peers', peerData);
+    const createdPeer = createItem('peers', peerData, req.actor);
     
     res.status(201).json(createdPeer);
   } catch (error) {
@@ -37,18 +62,19 @@ router.post('/', (req, res) => {
   }
 });
 
-// PATCH /api/peers/:peerId - Update a peer
-router.patch('/:peerId', (req, res) => {
+// PATCH /api/peers/:peerId - Update a peer (honours If-Match)
+router.patch('/:peerId', authorize('peers', 'update', { idParam: 'peerId' }), ifMatch('peers', 'peerId'), validateBody('peers', { partial: true }), (req, res) => {
   try {
     const { peerId } = req.params;
     const updates = req.body;
     
-    const updatedPeer = updateItem('peers', peerId, updates);
+    const updatedPeer = updateItem('peers', peerId, updates, req.actor);
     
     if (!updatedPeer) {
       return res.status(404).json({ error: 'Peer not found' });
     }
     
+    res.set('ETag', formatETag(updatedPeer));
     res.json(updatedPeer);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -56,11 +82,11 @@ router.patch('/:peerId', (req, res) => {
 });
 
 // DELETE /api/peers/:peerId - Delete a peer
-router.delete('/:peerId', (req, res) => {
+router.delete('/:peerId', authorize('peers', 'delete', { idParam: 'peerId' }), (req, res) => {
   try {
     const { peerId } = req.params;
     
-    const deleted = deleteItem('peers', peerId);
+    const deleted = deleteItem('peers', peerId, req.actor);
     
     if (!deleted) {
       return res.status(404).json({ error: 'Peer not found' });
@@ -1,94 +1,174 @@
 const express = require('express');
 const router = express.Router();
-const { createItem, updateItem, deleteItem, getAll } = require('../database/memoryStore');
-const { getIO } = require('../socket');
+const { createItem, updateItem, deleteItem, getItem, getAll, findNearby } = require('../database/memoryStore');
+const { ifMatch, sendWithETag } = require('../middleware/concurrency');
+const { formatETag } = require('../services/etagService');
+const { broadcastRecord } = require('../socket');
+const { idempotent } = require('../middleware/idempotency');
+const { validateBody } = require('../middleware/validate');
+const { geoQuery } = require('../middleware/geoQuery');
+const { listQuery, sendList } = require('../middleware/listQuery');
+const { authorize } = require('../middleware/authorize');
+const { registerOwner } = require('../services/requestOwnership');
+const {
+  TRANSITIONS,
+  planCreate,
+  transitionChanges,
+  planUpdate,
+  emitTransition,
+  transitionRequest
+} = require('../services/requestLifecycle');
+
+/**
+ * Send lifecycle and validation errors with their own status
+ * @param {object} res - Express response
+ * @param {Error} error
+ */
+function sendError(res, error) {
+  res.status(error.status || 500).json({
+    error: error.message,
+    ...(error.details && { details: error.details })
+  });
+}
 
 // GET /api/requests - Get all requests or filter by status
-router.get('/', (req, res) => {
+// ?near=lat,lng&radius=m or ?bbox=minLng,minLat,maxLng,maxLat returns the
+// located requests nearest first, each with distanceMeters
+router.get('/', authorize('requests', 'read'), geoQuery(), listQuery(), (req, res) => {
   try {
     const { status } = req.query;
+    const filterFn = status ? (item) => item.status === status : undefined;
     
-    let requests;
-    if (status) {
-      requests = getAll('requests', (item) => item.status === status);
-    } else {
-      requests = getAll('requests');
-    }
+    const requests = req.geo
+      ? findNearby('requests', req.geo, filterFn)
+      : getAll('requests', filterFn);
     
-    res.json(requests);
+    sendList(req, res, requests);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// POST /api/requests - Create a new request
-router.post('/', (req, res) => {
+// GET /api/requests/:id - Get a single request (with ETag)
+router.get('/:id', authorize('requests', 'read'), (req, res) => {
   try {
-    const { type, location, name, phone, details, clientId } = req.body;
+    const request = getItem('requests', req.params.id);
     
-    // Validate required fields
-    if (!type || !location || !name) {
-      return res.status(400).json({ error: 'Missing required fields: type, location, name' });
+    if (!request) {
+      return res.status(404).json({ error: 'Request not found' });
     }
     
-    const requestData = {
+    sendWithETag(req, res, request);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/requests - Create a new request (honours Idempotency-Key)
+// The response carries the requester's `ownerToken` for X-Owner-Token, unless
+// the body sent an `ownerTokenHash` of a token the client made up itself
+router.post('/', authorize('requests', 'create'), idempotent('requests'), validateBody('requests'), (req, res) => {
+  try {
+    const { type, location, name, phone, details, clientId, ownerTokenHash } = req.body;
+    
+    const requestData = planCreate({
       type,
       location,
       name,
       phone,
       details,
-      clientId,
-      status: 'pending'
-    };
+      clientId
+    }, req.actor);
     
-    const createdRequest = createItem('requests', requestData);
+    const createdRequest = createItem('requests', requestData, req.actor);
+    const ownerToken = registerOwner(createdRequest.id, ownerTokenHash);
     
     // Emit socket event
-    const io = getIO();
-    io.emit('request:created', createdRequest);
+    broadcastRecord('request:created', createdRequest);
     
-    res.status(201).json(createdRequest);
+    res.status(201).json(ownerToken ? { ...createdRequest, ownerToken } : createdRequest);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// PATCH /api/requests/:id - Update a request
-router.patch('/:id', (req, res) => {
+// PATCH /api/requests/:id - Update a request (honours If-Match and X-Owner-Token)
+router.patch('/:id', authorize('requests', 'update', { idParam: 'id' }), ifMatch('requests'), validateBody('requests', { partial: true }), (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
-    
-    const updatedRequest = updateItem('requests', id, updates);
+    const existing = getItem('requests', id);
     
-    if (!updatedRequest) {
+    if (!existing) {
       return res.status(404).json({ error: 'Request not found' });
     }
     
+    // Status changes must follow the lifecycle
+    const { updates, transition } = planUpdate(existing, req.body, req.actor);
+    const updatedRequest = updateItem('requests', id, updates, req.actor);
+    
     // Emit socket event
-    const io = getIO();
-    io.emit('request:updated', updatedRequest);
+    broadcastRecord('request:updated', updatedRequest, { previous: existing });
+    if (transition) {
+      emitTransition(updatedRequest, transition, existing);
+    }
     
+    res.set('ETag', formatETag(updatedRequest));
     res.json(updatedRequest);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
+// POST /api/requests/:id/<action> - Move a request through its lifecycle (honours If-Match)
+// Actions: assign, reassign (body: volunteerId), unassign, depart, arrive,
+// resolve, cancel, duplicate (body: duplicateOf), confirm. Optional body: note.
+// Requesters may cancel and confirm with their X-Owner-Token.
+for (const action of Object.keys(TRANSITIONS)) {
+  const checkPermission = authorize('requests', 'update', {
+    idParam: 'id',
+    changes: (req) => transitionChanges(action, req.body || {})
+  });
+
+  router.post(`/:id/${action}`, checkPermission, ifMatch('requests'), (req, res) => {
+    try {
+      const { volunteerId, duplicateOf, note } = req.body || {};
+      
+      const result = transitionRequest(req.params.id, action, {
+        ...req.actor,
+        volunteerId,
+        duplicateOf,
+        note
+      });
+      
+      if (!result) {
+        return res.status(404).json({ error: 'Request not found' });
+      }
+      
+      // Emit socket event
+      broadcastRecord('request:updated', result.request);
+      
+      res.set('ETag', formatETag(result.request));
+      res.json(result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+}
+
 // DELETE /api/requests/:id - Delete a request
-router.delete('/:id', (req, res) => {
+router.delete('/:id', authorize('requests', 'delete', { idParam: 'id' }), (req, res) => {
   try {
     const { id } = req.params;
+    const existing = getItem('requests', id);
     
-    const deleted = deleteItem('requests', id);
+    const deleted = deleteItem('requests', id, req.actor);
     
     if (!deleted) {
       return res.status(404).json({ error: 'Request not found' });
     }
     
     // Emit socket event
-    const io = getIO();
-    io.emit('request:deleted', { id });
+    broadcastRecord('request:deleted', existing, { payload: { id } });
     
     res.json({ success: true, id });
   } catch (error) {
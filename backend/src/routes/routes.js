@@ -1,9 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const { createItem, getAll } = require('../database/memoryStore');
+const { validateBody } = require('../middleware/validate');
+const { listQuery, sendList } = require('../middleware/listQuery');
+const { authorize } = require('../middleware/authorize');
 
 // GET /api/routes - Get all cached routes with optional filters
-router.get('/', (req, res) => {
+router.get('/', authorize('routes', 'read'), listQuery(), (req, res) => {
   try {
     const { from, to } = req.query;
     
@@ -26,22 +29,17 @@ router.get('/', (req, res) => {
       routes = getAll('routes');
     }
     
-    res.json(routes);
+    sendList(req, res, routes);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // POST /api/routes - Cache a new route
-router.post('/', (req, res) => {
+router.post('/', authorize('routes', 'create'), validateBody('routes'), (req, res) => {
   try {
     const { from, to, geometry, distance, duration } = req.body;
     
-    // Validate required fields
-    if (!from || !to || !geometry) {
-      return res.status(400).json({ error: 'Missing required fields: from, to, geometry' });
-    }
-    
     const routeData = {
       from,
       to,
@@ -50,7 +48,7 @@ router.post('/', (req, res) => {
       duration
     };
     
-    const createdRoute = createItem('routes', routeData);
+    const createdRoute = createItem('routes', routeData, req.actor);
     
     res.status(201).json(createdRoute);
   } catch (error) {
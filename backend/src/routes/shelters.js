@@ -1,28 +1,47 @@
 const express = require('express');
 const router = express.Router();
-const { createItem, updateItem, deleteItem, getAll } = require('../database/memoryStore');
-const { getIO } = require('../socket');
+const { createItem, updateItem, deleteItem, getItem, getAll, findNearby } = require('../database/memoryStore');
+const { ifMatch, sendWithETag } = require('../middleware/concurrency');
+const { formatETag } = require('../services/etagService');
+const { broadcastRecord } = require('../socket');
+const { idempotent } = require('../middleware/idempotency');
+const { validateBody } = require('../middleware/validate');
+const { geoQuery } = require('../middleware/geoQuery');
+const { listQuery, sendList } = require('../middleware/listQuery');
+const { authorize } = require('../middleware/authorize');
 
 // GET /api/shelters - Get all shelters
-router.get('/', (req, res) => {
+// ?near=lat,lng&radius=m or ?bbox=minLng,minLat,maxLng,maxLat returns the
+// located shelters nearest first, each with distanceMeters
+router.get('/', authorize('shelters', 'read'), geoQuery(), listQuery(), (req, res) => {
   try {
-    const shelters = getAll('shelters');
-    res.json(shelters);
+    const shelters = req.geo ? findNearby('shelters', req.geo) : getAll('shelters');
+    sendList(req, res, shelters);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// POST /api/shelters - Create a new shelter
-router.post('/', (req, res) => {
+// GET /api/shelters/:id - Get a single shelter (with ETag)
+router.get('/:id', authorize('shelters', 'read'), (req, res) => {
   try {
-    const { name, location, capacity, current, contact } = req.body;
+    const shelter = getItem('shelters', req.params.id);
     
-    // Validate required fields
-    if (!name || !location) {
-      return res.status(400).json({ error: 'Missing required fields: name, location' });
+    if (!shelter) {
+      return res.status(404).json({ error: 'Shelter not found' });
     }
     
+    sendWithETag(req, res, shelter);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/shelters - Create a new shelter (honours Idempotency-Key)
+router.post('/', authorize('shelters', 'create'), idempotent('shelters'), validateBody('shelters'), (req, res) => {
+  try {
+    const { name, location, capacity, current, contact } = req.body;
+    
     const shelterData = {
       name,
       location,
@@ -31,11 +50,10 @@ router.post('/', (req, res) => {
       contact
     };
     
-    const createdShelter = createItem('shelters', shelterData);
+    const createdShelter = createItem('shelters', shelterData, req.actor);
     
     // Emit socket event
-    const io = getIO();
-    io.emit('shelter:created', createdShelter);
+    broadcastRecord('shelter:created', createdShelter);
     
     res.status(201).json(createdShelter);
   } catch (error) {
@@ -43,22 +61,23 @@ router.post('/', (req, res) => {
   }
 });
 
-// PATCH /api/shelters/:id - Update a shelter
-router.patch('/:id', (req, res) => {
+// PATCH /api/shelters/:id - Update a shelter (honours If-Match)
+router.patch('/:id', authorize('shelters', 'update', { idParam: 'id' }), ifMatch('shelters'), validateBody('shelters', { partial: true }), (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
+    const existing = getItem('shelters', id);
     
-    const updatedShelter = updateItem('shelters', id, updates);
+    const updatedShelter = updateItem('shelters', id, updates, req.actor);
     
     if (!updatedShelter) {
       return res.status(404).json({ error: 'Shelter not found' });
     }
     
     // Emit socket event
-    const io = getIO();
-    io.emit('shelter:updated', updatedShelter);
+    broadcastRecord('shelter:updated', updatedShelter, { previous: existing });
     
+    res.set('ETag', formatETag(updatedShelter));
     res.json(updatedShelter);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -66,19 +85,19 @@ router.patch('/:id', (req, res) => {
 });
 
 // DELETE /api/shelters/:id - Delete a shelter
-router.delete('/:id', (req, res) => {
+router.delete('/:id', authorize('shelters', 'delete', { idParam: 'id' }), (req, res) => {
   try {
     const { id } = req.params;
+    const existing = getItem('shelters', id);
     
-    const deleted = deleteItem('shelters', id);
+    const deleted = deleteItem('shelters', id, req.actor);
     
     if (!deleted) {
       return res.status(404).json({ error: 'Shelter not found' });
     }
     
     // Emit socket event
-    const io = getIO();
-    io.emit('shelter:deleted', { id });
+    broadcastRecord('shelter:deleted', existing, { payload: { id } });
     
     res.json({ success: true, id });
   } catch (error) {
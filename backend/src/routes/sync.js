@@ -1,6 +1,14 @@
 const express = require('express');
 const router = express.Router();
-const { applyClientChanges, getSnapshotSince } = require('../services/syncService');
+const { applyClientChanges, getSnapshotSince, getSnapshotPage } = require('../services/syncService');
+const {
+  SYNC_PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  isSupportedVersion,
+  decodeCursor,
+  resolvePageSize
+} = require('../services/syncProtocol');
+const { principalFor } = require('../services/permissions');
 
 // POST /api/sync - Sync client changes and get snapshot
 router.post('/', (req, res) => {
@@ -12,14 +20,45 @@ router.post('/', (req, res) => {
       return res.status(400).json({ error: 'Missing required field: clientId' });
     }
 
-    // Apply client changes from offline queue
-    const applied = applyClientChanges(changes);
+    if (!isSupportedVersion(changes.protocolVersion)) {
+      return res.status(400).json({
+        error: `Unsupported sync protocol version: ${changes.protocolVersion}`,
+        supportedVersions: SUPPORTED_PROTOCOL_VERSIONS
+      });
+    }
+
+    // v2 clients page through changes with a cursor
+    const useCursor = changes.protocolVersion >= 2;
+    let cursor = null;
+    if (useCursor && changes.cursor) {
+      cursor = decodeCursor(changes.cursor);
+      if (!cursor) {
+        return res.status(400).json({ error: 'Invalid sync cursor' });
+      }
+    }
+
+    // Apply client changes from offline queue, as far as the caller's role allows
+    const applied = applyClientChanges(changes, principalFor(req.auth, changes.clientId), req.actor);
+
+    if (useCursor) {
+      const page = getSnapshotPage(cursor, resolvePageSize(changes.limit));
+
+      return res.json({
+        protocolVersion: SYNC_PROTOCOL_VERSION,
+        applied,
+        snapshot: page.snapshot,
+        cursor: page.cursor,
+        hasMore: page.hasMore,
+        serverTime: new Date().toISOString()
+      });
+    }
 
     // Get snapshot of items updated since last sync
     const snapshot = getSnapshotSince(changes.lastSyncAt);
 
     // Return sync results
     res.json({
+      protocolVersion: SYNC_PROTOCOL_VERSION,
       applied,
       snapshot,
       serverTime: new Date().toISOString()
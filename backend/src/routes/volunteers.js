@@ -1,16 +1,25 @@
 const express = require('express');
 const router = express.Router();
-const { createItem, updateItem, deleteItem, getAll } = require('../database/memoryStore');
-const { getIO } = require('../socket');
+const { createItem, updateItem, deleteItem, getItem, getAll, findNearby } = require('../database/memoryStore');
+const { ifMatch, sendWithETag } = require('../middleware/concurrency');
+const { formatETag } = require('../services/etagService');
+const { broadcastRecord } = require('../socket');
+const { idempotent } = require('../middleware/idempotency');
+const { validateBody } = require('../middleware/validate');
+const { geoQuery } = require('../middleware/geoQuery');
+const { listQuery, sendList } = require('../middleware/listQuery');
+const { authorize } = require('../middleware/authorize');
 
 // GET /api/volunteers - Get all volunteers or filter by skills/availability
-router.get('/', (req, res) => {
+// ?near=lat,lng&radius=m or ?bbox=minLng,minLat,maxLng,maxLat returns the
+// located volunteers nearest first, each with distanceMeters
+router.get('/', authorize('volunteers', 'read'), geoQuery(), listQuery(), (req, res) => {
   try {
     const { skills, availability } = req.query;
     
-    let volunteers;
+    let filterFn;
     if (skills || availability) {
-      volunteers = getAll('volunteers', (item) => {
+      filterFn = (item) => {
         let match = true;
         
         if (skills && item.skills) {
@@ -26,28 +35,46 @@ router.get('/', (req, res) => {
         }
         
         return match;
-      });
-    } else {
-      volunteers = getAll('volunteers');
+      };
     }
     
-    res.json(volunteers);
+    const volunteers = req.geo
+      ? findNearby('volunteers', req.geo, filterFn)
+      : getAll('volunteers', filterFn);
+    
+    sendList(req, res, volunteers);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/volunteers/:id - Get a single volunteer (with ETag)
+router.get('/:id', authorize('volunteers', 'read'), (req, res) => {
+  try {
+    const volunteer = getItem('volunteers', req.params.id);
+    
+    if (!volunteer) {
+      return res.status(404).json({ error: 'Volunteer not found' });
+    }
+    
+    sendWithETag(req, res, volunteer);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// POST /api/volunteers - Create a new volunteer
-router.post('/', (req, res) => {
+// POST /api/volunteers - Create a new volunteer (honours Idempotency-Key)
+router.post('/', authorize('volunteers', 'create'), idempotent('volunteers'), validateBody('volunteers'), (req, res) => {
   try {
-    const { name, phone, skills, location, availability, clientId } = req.body;
+    const { id, name, phone, skills, location, availability, clientId } = req.body;
     
-    // Validate required fields
-    if (!name || !phone) {
-      return res.status(400).json({ error: 'Missing required fields: name, phone' });
+    if (id && getItem('volunteers', id)) {
+      return res.status(409).json({ error: 'Volunteer already exists' });
     }
     
     const volunteerData = {
+      // Signed-in volunteers create their record under their account's volunteerId
+      ...(id && { id }),
       name,
       phone,
       skills,
@@ -56,11 +83,10 @@ router.post('/', (req, res) => {
       clientId
     };
     
-    const createdVolunteer = createItem('volunteers', volunteerData);
+    const createdVolunteer = createItem('volunteers', volunteerData, req.actor);
     
     // Emit socket event
-    const io = getIO();
-    io.emit('volunteer:created', createdVolunteer);
+    broadcastRecord('volunteer:created', createdVolunteer);
     
     res.status(201).json(createdVolunteer);
   } catch (error) {
@@ -68,22 +94,23 @@ router.post('/', (req, res) => {
   }
 });
 
-// PATCH /api/volunteers/:id - Update a volunteer
-router.patch('/:id', (req, res) => {
+// PATCH /api/volunteers/:id - Update a volunteer (honours If-Match)
+router.patch('/:id', authorize('volunteers', 'update', { idParam: 'id' }), ifMatch('volunteers'), validateBody('volunteers', { partial: true }), (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
+    const existing = getItem('volunteers', id);
     
-    const updatedVolunteer = updateItem('volunteers', id, updates);
+    const updatedVolunteer = updateItem('volunteers', id, updates, req.actor);
     
     if (!updatedVolunteer) {
       return res.status(404).json({ error: 'Volunteer not found' });
     }
     
     // Emit socket event
-    const io = getIO();
-    io.emit('volunteer:updated', updatedVolunteer);
+    broadcastRecord('volunteer:updated', updatedVolunteer, { previous: existing });
     
+    res.set('ETag', formatETag(updatedVolunteer));
     res.json(updatedVolunteer);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -91,19 +118,19 @@ router.patch('/:id', (req, res) => {
 });
 
 // DELETE /api/volunteers/:id - Delete a volunteer
-router.delete('/:id', (req, res) => {
+router.delete('/:id', authorize('volunteers', 'delete', { idParam: 'id' }), (req, res) => {
   try {
     const { id } = req.params;
+    const existing = getItem('volunteers', id);
     
-    const deleted = deleteItem('volunteers', id);
+    const deleted = deleteItem('volunteers', id, req.actor);
     
     if (!deleted) {
       return res.status(404).json({ error: 'Volunteer not found' });
     }
     
     // Emit socket event
-    const io = getIO();
-    io.emit('volunteer:deleted', { id });
+    broadcastRecord('volunteer:deleted', existing, { payload: { id } });
     
     res.json({ success: true, id });
   } catch (error) {
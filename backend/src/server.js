@@ -3,6 +3,9 @@ const http = require('http');
 const cors = require('cors');
 const { initSocketServer } = require('./socket');
 const { port, allowedOrigins } = require('./config');
+const { closeStore } = require('./database/memoryStore');
+const { identifyActor } = require('./middleware/actor');
+const { authenticate } = require('./middleware/auth');
 
 const app = express();
 const httpServer = http.createServer(app);
@@ -25,15 +28,24 @@ app.use((req, res, next) => {
 });
 
 app.use(express.json());
+app.use(authenticate());
+app.use(identifyActor());
 
 // Routes
 app.use('/api/health', require('./routes/health'));
+app.use('/api/auth', require('./routes/auth'));
+app.use('/api/accounts', require('./routes/accounts'));
 app.use('/api/requests', require('./routes/requests'));
 app.use('/api/volunteers', require('./routes/volunteers'));
 app.use('/api/shelters', require('./routes/shelters'));
 app.use('/api/routes', require('./routes/routes'));
 app.use('/api/peers', require('./routes/peers'));
 app.use('/api/sync', require('./routes/sync'));
+app.use('/api/activity', require('./routes/activity'));
+app.use('/api/dispatch', require('./routes/dispatch'));
+app.use('/api/offers', require('./routes/offers'));
+// GET /api/:collection/:id/history, after the collection routers
+app.use('/api', require('./routes/history'));
 
 // Initialize Socket.IO
 initSocketServer(httpServer);
@@ -48,3 +60,17 @@ app.use((err, req, res, next) => {
 httpServer.listen(port, () => {
   console.log(`Server running on port ${port}`);
 });
+
+// Flush storage before exiting so the next boot replays a short journal
+function shutdown(signal) {
+  console.log(`Received ${signal}, shutting down...`);
+  try {
+    closeStore();
+  } catch (error) {
+    console.error('Failed to close storage:', error);
+  }
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -0,0 +1,540 @@
+/**
+ * Volunteer accounts and sessions
+ *
+ * Passwords are stored as salted scrypt hashes (see services/passwords).
+ *
+ * Signing in opens a session and returns two signed tokens:
+ *
+ *   access   - short-lived, sent as `Authorization: Bearer <token>`
+ *   refresh  - long-lived, exchanged at /api/auth/refresh for a new pair
+ *
+ * A token is `<payload>.<signature>`: base64url JSON and its HMAC-SHA256.
+ * Both name their session, so logging out revokes them at once. Refresh
+ * tokens rotate; presenting one that was already exchanged means it leaked,
+ * and the whole session is revoked.
+ *
+ * New accounts are volunteers with a volunteer ID picked by the server, so
+ * nobody can sign up as a volunteer who already exists. A coordinator links
+ * an account to an existing volunteer record with updateAccount.
+ *
+ * Signing up never makes a coordinator. The first coordinators are set up
+ * by the operator in COORDINATOR_ACCOUNTS, with a password hash made by
+ * `npm run hash-password`; they can then change any account's role.
+ */
+
+const crypto = require('crypto');
+const { createItem, updateItem, getItem, getAll } = require('../database/memoryStore');
+const { ACCOUNT_ROLES } = require('../database/schemas');
+const { ValidationError } = require('./validationService');
+const { hashPassword, verifyPassword } = require('./passwords');
+const { auth: authConfig } = require('../config');
+
+const SECRET_META_ID = 'authSecret';
+// Past this many tracked logins, expired failure counts are swept out
+const MAX_TRACKED_LOGINS = 10000;
+
+// Failed (or still running) logins: 'phone:<ip>:<phone>' or 'address:<ip>' -> { count, firstAt }
+const loginFailures = new Map();
+
+/**
+ * Error with an HTTP status for account and session operations
+ */
+class AuthError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} [status=401]
+   */
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+/**
+ * Token signing key: AUTH_SECRET, or one generated once and kept in the store
+ * so tokens stay valid across restarts.
+ * @returns {Buffer}
+ */
+function loadSecret() {
+  if (authConfig.secret) {
+    return Buffer.from(authConfig.secret);
+  }
+
+  let stored = getItem('meta', SECRET_META_ID);
+  if (!stored) {
+    stored = createItem('meta', { id: SECRET_META_ID, value: crypto.randomBytes(32).toString('base64url') });
+  }
+  return Buffer.from(stored.value, 'base64url');
+}
+
+const secret = loadSecret();
+
+/**
+ * Reduce a phone number to the digits (and leading +) used as the login name
+ * @param {string} phone
+ * @returns {string}
+ */
+function normalizePhone(phone) {
+  const value = String(phone || '').trim();
+  return (value.startsWith('+') ? '+' : '') + value.replace(/\D/g, '');
+}
+
+// Compared against when the phone is unknown, so both cases take as long
+const dummyHashPromise = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+/**
+ * Sign a token payload
+ * @param {object} payload
+ * @returns {string}
+ */
+function signToken(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(body).digest('base64url');
+  return `${body}.${signature}`;
+}
+
+/**
+ * Check a token's signature, type and expiry
+ * @param {string} token
+ * @param {string} type - 'access' or 'refresh'
+ * @returns {object} Payload
+ * @throws {AuthError}
+ */
+function readToken(token, type) {
+  const [body, signature] = String(token || '').split('.');
+  if (!body || !signature) {
+    throw new AuthError('Malformed token');
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(body).digest();
+  const given = Buffer.from(signature, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new AuthError('Invalid token signature');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch {
+    throw new AuthError('Malformed token');
+  }
+
+  if (payload.typ !== type) {
+    throw new AuthError(`Expected a ${type} token`);
+  }
+  if (Date.now() >= payload.exp) {
+    throw new AuthError('Token expired');
+  }
+  return payload;
+}
+
+/**
+ * Account fields safe to return to clients
+ * @param {object} account
+ * @returns {object}
+ */
+function publicAccount(account) {
+  const { passwordHash, ...rest } = account;
+  return rest;
+}
+
+/**
+ * Issue a token pair for a session
+ * @param {object} session
+ * @param {object} account
+ * @returns {object} { account, accessToken, accessExpiresAt, refreshToken, refreshExpiresAt }
+ */
+function issueTokens(session, account) {
+  const now = Date.now();
+  const accessExp = now + authConfig.accessTokenTtlMs;
+
+  return {
+    account: publicAccount(account),
+    accessToken: signToken({
+      typ: 'access',
+      sid: session.id,
+      sub: account.id,
+      vid: account.volunteerId,
+      role: account.role,
+      iat: now,
+      exp: accessExp
+    }),
+    accessExpiresAt: new Date(accessExp).toISOString(),
+    refreshToken: signToken({
+      typ: 'refresh',
+      sid: session.id,
+      gen: session.generation,
+      iat: now,
+      exp: new Date(session.expiresAt).getTime()
+    }),
+    refreshExpiresAt: session.expiresAt
+  };
+}
+
+/**
+ * Open a session for an account
+ * @param {object} account
+ * @param {object} [context] - { clientId }
+ * @returns {object} Token pair (see issueTokens)
+ */
+function openSession(account, context = {}) {
+  const session = createItem('sessions', {
+    accountId: account.id,
+    clientId: context.clientId || null,
+    generation: 1,
+    expiresAt: new Date(Date.now() + authConfig.refreshTokenTtlMs).toISOString(),
+    revokedAt: null
+  });
+  return issueTokens(session, account);
+}
+
+/**
+ * Find the account registered with a phone number
+ * @param {string} phone
+ * @returns {object|null}
+ */
+function findAccountByPhone(phone) {
+  const normalized = normalizePhone(phone);
+  return getAll('accounts', account => account.phone === normalized)[0] || null;
+}
+
+/**
+ * Fields of a new account
+ * @param {object} data - { name, phone, role, passwordHash }
+ * @returns {object}
+ */
+function newAccount({ name, phone, role, passwordHash }) {
+  const id = `accounts_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+  return {
+    id,
+    name: String(name).trim(),
+    phone: normalizePhone(phone),
+    volunteerId: `volunteers_${id.slice('accounts_'.length)}`,
+    role,
+    shelterIds: [],
+    passwordHash
+  };
+}
+
+/**
+ * Revoke every open session of an account
+ * @param {string} accountId
+ * @param {string} reason
+ */
+function revokeSessions(accountId, reason) {
+  const revokedAt = new Date().toISOString();
+  getAll('sessions', session => session.accountId === accountId && !session.revokedAt)
+    .forEach(session => updateItem('sessions', session.id, { revokedAt, revokedReason: reason }));
+}
+
+/**
+ * Create or update the coordinator accounts in COORDINATOR_ACCOUNTS
+ * The configured password hash wins over one set at sign-up, so whoever
+ * registered the phone number first cannot keep using it; their sessions
+ * are revoked.
+ */
+function seedCoordinators() {
+  for (const { name, phone, passwordHash } of authConfig.coordinatorAccounts) {
+    if (!normalizePhone(phone) || !String(passwordHash || '').startsWith('scrypt$')) {
+      console.warn('Skipping coordinator account without a phone number and password hash:', phone);
+      continue;
+    }
+
+    const existing = findAccountByPhone(phone);
+    if (!existing) {
+      createItem('accounts', newAccount({ name: name || normalizePhone(phone), phone, role: 'coordinator', passwordHash }));
+      console.log('Created coordinator account:', normalizePhone(phone));
+      continue;
+    }
+
+    if (existing.role !== 'coordinator' || existing.passwordHash !== passwordHash) {
+      updateItem('accounts', existing.id, { role: 'coordinator', passwordHash });
+      if (existing.passwordHash !== passwordHash) {
+        revokeSessions(existing.id, 'coordinator password set by operator');
+      }
+      console.log('Updated coordinator account:', existing.phone);
+    }
+  }
+}
+
+/**
+ * Create an account and sign it in
+ * @param {object} data - { name, phone, password }
+ * @param {object} [context] - { clientId }
+ * @returns {Promise<object>} Token pair (see issueTokens)
+ * @throws {AuthError} 409 when the phone is already registered
+ */
+async function register({ name, phone, password }, context = {}) {
+  if (findAccountByPhone(phone)) {
+    throw new AuthError('An account with this phone number already exists', 409);
+  }
+
+  const passwordHash = await hashPassword(password);
+
+  // Checked again: another sign-up may have finished while hashing
+  if (findAccountByPhone(phone)) {
+    throw new AuthError('An account with this phone number already exists', 409);
+  }
+
+  const account = createItem('accounts', newAccount({ name, phone, role: 'volunteer', passwordHash }));
+
+  return openSession(account, context);
+}
+
+/**
+ * Failure counters a login attempt counts against, with their limits
+ * A phone number is counted per client address, so failures from one
+ * caller cannot lock its owner out everywhere.
+ * @param {string} phone
+ * @param {string} [address] - Client IP
+ * @returns {Array<[string, number]>}
+ */
+function loginLimits(phone, address) {
+  const limits = [[`phone:${address || ''}:${normalizePhone(phone)}`, authConfig.loginMaxFailures]];
+  if (address) {
+    limits.push([`address:${address}`, authConfig.loginMaxFailuresPerAddress]);
+  }
+  return limits;
+}
+
+/**
+ * Refuse a login while too many recent attempts from the phone or address failed
+ * @param {Array<[string, number]>} limits - From loginLimits
+ * @throws {AuthError} 429, with `retryAfter` in seconds
+ */
+function assertLoginAllowed(limits) {
+  const now = Date.now();
+  for (const [key, limit] of limits) {
+    const failures = loginFailures.get(key);
+    if (!failures) continue;
+
+    const endsAt = failures.firstAt + authConfig.loginLockoutMs;
+    if (now >= endsAt) {
+      loginFailures.delete(key);
+    } else if (failures.count >= limit) {
+      const error = new AuthError('Too many failed logins; try again later', 429);
+      error.retryAfter = Math.ceil((endsAt - now) / 1000);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Count a login attempt as failed until it succeeds
+ * Counted before the password is checked, so attempts made in parallel
+ * cannot all get past assertLoginAllowed.
+ * @param {Array<[string, number]>} limits - From loginLimits
+ */
+function reserveLoginAttempt(limits) {
+  const now = Date.now();
+  if (loginFailures.size >= MAX_TRACKED_LOGINS) {
+    for (const [key, failures] of loginFailures) {
+      if (now >= failures.firstAt + authConfig.loginLockoutMs) loginFailures.delete(key);
+    }
+  }
+
+  for (const [key] of limits) {
+    const failures = loginFailures.get(key) || { count: 0, firstAt: now };
+    loginFailures.set(key, { ...failures, count: failures.count + 1 });
+  }
+}
+
+/**
+ * Take back a reserved attempt that succeeded
+ * Clears the phone's counter; the address keeps its other failures.
+ * @param {Array<[string, number]>} limits - From loginLimits
+ */
+function releaseLoginAttempt(limits) {
+  const [[phoneKey], ...others] = limits;
+  loginFailures.delete(phoneKey);
+  for (const [key] of others) {
+    const failures = loginFailures.get(key);
+    if (failures && failures.count > 1) {
+      loginFailures.set(key, { ...failures, count: failures.count - 1 });
+    } else {
+      loginFailures.delete(key);
+    }
+  }
+}
+
+/**
+ * Sign in with phone and password
+ * Repeated failures for a phone number from one address, or from an address
+ * overall, pause logins there (see config auth.loginMaxFailures).
+ * @param {string} phone
+ * @param {string} password
+ * @param {object} [context] - { clientId, address }
+ * @returns {Promise<object>} Token pair (see issueTokens)
+ * @throws {AuthError}
+ */
+async function login(phone, password, context = {}) {
+  const limits = loginLimits(phone, context.address);
+  assertLoginAllowed(limits);
+  reserveLoginAttempt(limits);
+
+  const account = findAccountByPhone(phone);
+  const valid = await verifyPassword(String(password || ''), account ? account.passwordHash : await dummyHashPromise);
+
+  if (!account || !valid) {
+    throw new AuthError('Invalid phone number or password');
+  }
+  releaseLoginAttempt(limits);
+  if (account.disabledAt) {
+    throw new AuthError('Account is disabled', 403);
+  }
+
+  const signedIn = updateItem('accounts', account.id, { lastLoginAt: new Date().toISOString() });
+  return openSession(signedIn, context);
+}
+
+/**
+ * Get a session that can still be used
+ * @param {string} sessionId
+ * @returns {object}
+ * @throws {AuthError}
+ */
+function getLiveSession(sessionId) {
+  const session = getItem('sessions', sessionId);
+  if (!session || session.revokedAt || Date.now() >= new Date(session.expiresAt).getTime()) {
+    throw new AuthError('Session has ended');
+  }
+  return session;
+}
+
+/**
+ * Exchange a refresh token for a new token pair
+ * @param {string} refreshToken
+ * @returns {object} Token pair (see issueTokens)
+ * @throws {AuthError}
+ */
+function refresh(refreshToken) {
+  const payload = readToken(refreshToken, 'refresh');
+  const session = getLiveSession(payload.sid);
+
+  if (payload.gen !== session.generation) {
+    updateItem('sessions', session.id, { revokedAt: new Date().toISOString(), revokedReason: 'refresh token reused' });
+    throw new AuthError('Refresh token was already used; session revoked');
+  }
+
+  const account = getItem('accounts', session.accountId);
+  if (!account || account.disabledAt) {
+    throw new AuthError('Account is no longer active');
+  }
+
+  const rotated = updateItem('sessions', session.id, {
+    generation: session.generation + 1,
+    lastRefreshedAt: new Date().toISOString()
+  });
+  return issueTokens(rotated, account);
+}
+
+/**
+ * End a session
+ * @param {string} sessionId
+ * @returns {boolean} False when it had already ended
+ */
+function logout(sessionId) {
+  const session = getItem('sessions', sessionId);
+  if (!session || session.revokedAt) {
+    return false;
+  }
+
+  updateItem('sessions', sessionId, { revokedAt: new Date().toISOString(), revokedReason: 'logout' });
+  return true;
+}
+
+/**
+ * Check an access token and the session behind it
+ * Role and shelters are read from the account, so changes apply at once.
+ * @param {string} accessToken
+ * @returns {object} { accountId, volunteerId, role, shelterIds, sessionId }
+ * @throws {AuthError}
+ */
+function authenticateToken(accessToken) {
+  const payload = readToken(accessToken, 'access');
+  getLiveSession(payload.sid);
+
+  const account = getItem('accounts', payload.sub);
+  if (!account || account.disabledAt) {
+    throw new AuthError('Account is no longer active');
+  }
+
+  return {
+    accountId: account.id,
+    volunteerId: account.volunteerId,
+    role: account.role,
+    shelterIds: account.shelterIds || [],
+    sessionId: payload.sid
+  };
+}
+
+/**
+ * Change an account's role, managed shelters, volunteer or disabled state
+ * Disabling an account revokes its sessions. Linking a volunteer gives the
+ * account that volunteer's requests and offers, so the record must exist
+ * and belong to no other account.
+ * @param {string} accountId
+ * @param {object} changes - { role?, shelterIds?, volunteerId?, disabled? }
+ * @returns {object|null} Public account, null when not found
+ * @throws {ValidationError}
+ * @throws {AuthError} 409 when the volunteer has another account
+ */
+function updateAccount(accountId, { role, shelterIds, volunteerId, disabled }) {
+  const account = getItem('accounts', accountId);
+  if (!account) {
+    return null;
+  }
+
+  const details = [];
+  if (role !== undefined && !ACCOUNT_ROLES.includes(role)) {
+    details.push({ field: 'role', code: 'enum', message: `must be one of: ${ACCOUNT_ROLES.join(', ')}` });
+  }
+  if (shelterIds !== undefined &&
+      !(Array.isArray(shelterIds) && shelterIds.every(id => typeof id === 'string'))) {
+    details.push({ field: 'shelterIds', code: 'type', message: 'must be an array of shelter IDs' });
+  }
+  if (volunteerId !== undefined && (typeof volunteerId !== 'string' || !getItem('volunteers', volunteerId))) {
+    details.push({ field: 'volunteerId', code: 'notFound', message: 'must be an existing volunteer' });
+  }
+  if (disabled !== undefined && typeof disabled !== 'boolean') {
+    details.push({ field: 'disabled', code: 'type', message: 'must be a boolean' });
+  }
+  if (details.length > 0) {
+    throw new ValidationError(details);
+  }
+  if (volunteerId !== undefined &&
+      getAll('accounts', other => other.id !== accountId && other.volunteerId === volunteerId).length > 0) {
+    throw new AuthError('This volunteer already has an account', 409);
+  }
+
+  const updates = {};
+  if (role !== undefined) updates.role = role;
+  if (shelterIds !== undefined) updates.shelterIds = shelterIds;
+  if (volunteerId !== undefined) updates.volunteerId = volunteerId;
+  if (disabled !== undefined) updates.disabledAt = disabled ? (account.disabledAt || new Date().toISOString()) : null;
+
+  const updated = updateItem('accounts', accountId, updates);
+
+  if (disabled === true) {
+    revokeSessions(accountId, 'account disabled');
+  }
+
+  return publicAccount(updated);
+}
+
+seedCoordinators();
+
+module.exports = {
+  AuthError,
+  normalizePhone,
+  hashPassword,
+  verifyPassword,
+  publicAccount,
+  register,
+  login,
+  refresh,
+  logout,
+  authenticateToken,
+  updateAccount
+};
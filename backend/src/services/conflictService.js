@@ -0,0 +1,79 @@
+/**
+ * Field-level conflict detection for offline updates
+ *
+ * Clients send the record `version` their edit was based on. A field
+ * conflicts when the server changed it after that version and the two
+ * values differ. Conflicts are settled last-writer-wins, comparing the
+ * client's edit time with the time the server last wrote the field.
+ */
+
+/**
+ * Convert an ISO string or epoch milliseconds to epoch milliseconds
+ * @param {string|number} value
+ * @returns {number|null}
+ */
+function toMillis(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const millis = typeof value === 'number' ? value : new Date(value).getTime();
+  return Number.isNaN(millis) ? null : millis;
+}
+
+/**
+ * Split an update into fields to apply and conflicts to report
+ * @param {object} existing - Current server record
+ * @param {object} updates - Fields the client wants to change
+ * @param {object} options
+ * @param {number} [options.baseVersion] - Record version the client edited
+ * @param {string|number} [options.timestamp] - When the client made the edit
+ * @returns {{accepted: object, conflicts: array}}
+ */
+function resolveFieldConflicts(existing, updates, { baseVersion, timestamp } = {}) {
+  const currentVersion = existing.version || 1;
+
+  // No base version (legacy client) or nothing changed since: apply as-is
+  if (baseVersion === undefined || baseVersion === null || baseVersion >= currentVersion) {
+    return { accepted: { ...updates }, conflicts: [] };
+  }
+
+  const clientTime = toMillis(timestamp);
+  const fieldVersions = existing.fieldVersions || {};
+  const accepted = {};
+  const conflicts = [];
+
+  for (const [field, clientValue] of Object.entries(updates)) {
+    const serverField = fieldVersions[field];
+    const serverValue = existing[field];
+
+    if (!serverField || serverField.version <= baseVersion ||
+        JSON.stringify(serverValue) === JSON.stringify(clientValue)) {
+      accepted[field] = clientValue;
+      continue;
+    }
+
+    const serverTime = toMillis(serverField.updatedAt);
+    const winner = clientTime !== null && clientTime > serverTime ? 'client' : 'server';
+
+    if (winner === 'client') {
+      accepted[field] = clientValue;
+    }
+
+    conflicts.push({
+      field,
+      clientValue,
+      serverValue,
+      winner,
+      baseVersion,
+      serverVersion: currentVersion,
+      clientUpdatedAt: clientTime !== null ? new Date(clientTime).toISOString() : null,
+      serverUpdatedAt: serverField.updatedAt
+    });
+  }
+
+  return { accepted, conflicts };
+}
+
+module.exports = {
+  resolveFieldConflicts
+};
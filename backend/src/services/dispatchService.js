@@ -0,0 +1,316 @@
+/**
+ * Volunteer-to-request dispatch recommendations
+ *
+ * Matches pending requests to available volunteers and proposes one
+ * volunteer per request, most urgent requests first. A volunteer is a
+ * candidate when they are available, have a known position, the request
+ * lies within their `maxRadius` and they are below the load limit. Candidates
+ * are scored on:
+ *
+ *   urgency   - request urgency/severity/priority, plus time spent waiting
+ *   distance  - estimated travel distance relative to the volunteer's radius
+ *   skills    - share of the request's needed skills the volunteer has
+ *   load      - how many active requests the volunteer already holds
+ *
+ * Proposals are suggestions only; acceptProposals assigns them through the
+ * request lifecycle, skipping any whose request changed in the meantime.
+ */
+
+const { getAll, getItem } = require('../database/memoryStore');
+const { VOLUNTEER_SKILLS } = require('../database/schemas');
+const { getLocation, distanceMeters } = require('./geoService');
+const { matchesETag } = require('./etagService');
+const { ACTIVE_STATES, transitionRequest } = require('./requestLifecycle');
+
+const WEIGHTS = {
+  urgency: 0.4,
+  distance: 0.3,
+  skills: 0.2,
+  load: 0.1
+};
+
+const URGENCY_RANKS = {
+  low: 1,
+  normal: 2,
+  medium: 2,
+  high: 3,
+  urgent: 3,
+  critical: 4
+};
+const MAX_URGENCY_RANK = 4;
+
+// Straight-line distance understates travel on real roads
+const ROAD_DETOUR_FACTOR = 1.3;
+const TRAVEL_SPEED_KMH = 30;
+const DEFAULT_MAX_RADIUS_METERS = 10000;
+const DEFAULT_MAX_LOAD = 3;
+const DEFAULT_ALTERNATIVES = 3;
+// Waiting this long adds a full urgency step
+const WAIT_BOOST_MS = 30 * 60 * 1000;
+
+const UNAVAILABLE = ['unavailable', 'offline', 'busy', 'off-duty'];
+
+// Request type keywords -> skills usually needed
+const TYPE_SKILLS = [
+  { pattern: /medical|injur|first aid/i, skills: ['first aid'] },
+  { pattern: /rescue|trapped|sos|search/i, skills: ['search', 'first aid'] },
+  { pattern: /food|water|supplies/i, skills: ['food'] },
+  { pattern: /shelter|housing/i, skills: ['shelter'] },
+  { pattern: /transport|evacuat/i, skills: ['transport'] }
+];
+
+/**
+ * Parse a volunteer's maximum distance ('5km', '500m', 5)
+ * Bare numbers are kilometres, matching the CanHelpPanel options.
+ * @param {string|number} maxRadius
+ * @returns {number} Radius in meters
+ */
+function parseRadius(maxRadius) {
+  if (typeof maxRadius === 'number' && maxRadius > 0) {
+    return maxRadius * 1000;
+  }
+
+  const match = /^\s*([\d.]+)\s*(km|m)?\s*$/i.exec(maxRadius || '');
+  if (!match) {
+    return DEFAULT_MAX_RADIUS_METERS;
+  }
+
+  const value = Number(match[1]);
+  return (match[2] || 'km').toLowerCase() === 'm' ? value : value * 1000;
+}
+
+/**
+ * Normalize a skills list or comma-separated string
+ * @param {array|string} skills
+ * @returns {string[]} Lowercase skill names
+ */
+function parseSkills(skills) {
+  const list = Array.isArray(skills) ? skills : String(skills || '').split(',');
+  return list.map(skill => String(skill).trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Skills a request needs: explicit `skillsNeeded`, else inferred from its type
+ * @param {object} request
+ * @returns {string[]}
+ */
+function neededSkills(request) {
+  if (Array.isArray(request.skillsNeeded) && request.skillsNeeded.length > 0) {
+    return parseSkills(request.skillsNeeded);
+  }
+
+  const text = `${request.type || ''} ${request.description || request.details || ''}`;
+  const skills = new Set();
+  for (const { pattern, skills: inferred } of TYPE_SKILLS) {
+    if (pattern.test(text)) {
+      inferred.forEach(skill => skills.add(skill));
+    }
+  }
+  return [...skills].filter(skill => VOLUNTEER_SKILLS.includes(skill));
+}
+
+/**
+ * Urgency of a request from 0 to 1, rising while it waits
+ * @param {object} request
+ * @param {number} now - Epoch milliseconds
+ * @returns {number}
+ */
+function urgencyScore(request, now) {
+  const levels = [request.urgency, request.severity, request.priority]
+    .map(level => URGENCY_RANKS[String(level || '').toLowerCase()] || 0);
+  const rank = Math.max(...levels) || URGENCY_RANKS.medium;
+
+  const createdAt = new Date(request.createdAt).getTime();
+  const waited = Number.isNaN(createdAt) ? 0 : Math.max(0, now - createdAt);
+  const boost = Math.min(1, waited / WAIT_BOOST_MS);
+
+  return Math.min(1, (rank + boost) / (MAX_URGENCY_RANK + 1));
+}
+
+/**
+ * Count active requests per volunteer
+ * @returns {Map<string, number>} volunteerId -> active request count
+ */
+function countLoads() {
+  const loads = new Map();
+  for (const request of getAll('requests', item => ACTIVE_STATES.includes(item.status) && item.acceptedBy)) {
+    loads.set(request.acceptedBy, (loads.get(request.acceptedBy) || 0) + 1);
+  }
+  return loads;
+}
+
+/**
+ * Score one volunteer for one request
+ * @param {object} request
+ * @param {object} candidate - { volunteer, location, radius, skills, load }
+ * @param {object} options - { maxLoad, requireSkillMatch, urgency }
+ * @returns {object|null} Scored match, or null if the volunteer cannot take it
+ */
+function scoreMatch(request, candidate, options) {
+  const requestLocation = getLocation(request);
+  const straightLine = distanceMeters(candidate.location, requestLocation);
+  if (straightLine > candidate.radius || candidate.load >= options.maxLoad) {
+    return null;
+  }
+
+  const needed = neededSkills(request);
+  const matchedSkills = needed.filter(skill => candidate.skills.includes(skill));
+  const missingSkills = needed.filter(skill => !candidate.skills.includes(skill));
+  if (options.requireSkillMatch && needed.length > 0 && matchedSkills.length === 0) {
+    return null;
+  }
+
+  const travelMeters = straightLine * ROAD_DETOUR_FACTOR;
+  const breakdown = {
+    urgency: options.urgency,
+    distance: 1 - Math.min(1, straightLine / candidate.radius),
+    skills: needed.length === 0 ? 1 : matchedSkills.length / needed.length,
+    load: 1 - candidate.load / options.maxLoad
+  };
+
+  const score = Object.entries(WEIGHTS)
+    .reduce((total, [factor, weight]) => total + weight * breakdown[factor], 0);
+  const round = (value) => Math.round(value * 1000) / 1000;
+
+  return {
+    volunteerId: candidate.volunteer.id,
+    score: round(score),
+    breakdown: Object.fromEntries(Object.entries(breakdown).map(([factor, value]) => [factor, round(value)])),
+    distanceMeters: Math.round(travelMeters),
+    etaMinutes: Math.round((travelMeters / 1000) / TRAVEL_SPEED_KMH * 60),
+    matchedSkills,
+    missingSkills
+  };
+}
+
+/**
+ * Propose volunteers for pending requests
+ * @param {object} [options]
+ * @param {string[]} [options.requestIds] - Only these requests (default: every pending request)
+ * @param {string[]} [options.volunteerIds] - Only these volunteers (default: every available volunteer)
+ * @param {number} [options.maxLoad=3] - Active requests a volunteer may hold
+ * @param {boolean} [options.requireSkillMatch=false] - Skip volunteers with none of the needed skills
+ * @param {number} [options.alternatives=3] - Runner-up volunteers listed per proposal
+ * @param {number} [options.limit] - Maximum number of proposals
+ * @returns {object} { generatedAt, proposals, unmatched }
+ */
+function suggestAssignments(options = {}) {
+  const {
+    requestIds,
+    volunteerIds,
+    maxLoad = DEFAULT_MAX_LOAD,
+    requireSkillMatch = false,
+    alternatives = DEFAULT_ALTERNATIVES,
+    limit
+  } = options;
+  const now = Date.now();
+  const loads = countLoads();
+
+  const candidates = getAll('volunteers', volunteer =>
+    (!volunteerIds || volunteerIds.includes(volunteer.id)) &&
+    !UNAVAILABLE.includes(String(volunteer.availability || '').toLowerCase()))
+    .map(volunteer => ({
+      volunteer,
+      location: getLocation(volunteer),
+      radius: parseRadius(volunteer.maxRadius),
+      skills: parseSkills(volunteer.skills),
+      load: loads.get(volunteer.id) || 0
+    }))
+    .filter(candidate => candidate.location);
+
+  const requests = getAll('requests', request =>
+    (!requestIds || requestIds.includes(request.id)) &&
+    (request.status || 'pending') === 'pending')
+    .map(request => ({ request, urgency: urgencyScore(request, now) }))
+    .sort((a, b) => b.urgency - a.urgency);
+
+  const proposals = [];
+  const unmatched = [];
+
+  for (const { request, urgency } of requests) {
+    if (limit !== undefined && proposals.length >= limit) break;
+
+    if (!getLocation(request)) {
+      unmatched.push({ requestId: request.id, reason: 'Request has no location' });
+      continue;
+    }
+
+    const matches = candidates
+      .map(candidate => scoreMatch(request, candidate, { maxLoad, requireSkillMatch, urgency }))
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score);
+
+    if (matches.length === 0) {
+      unmatched.push({ requestId: request.id, reason: 'No available volunteer in range' });
+      continue;
+    }
+
+    const [best, ...rest] = matches;
+
+    // The chosen volunteer carries this request into the next matches
+    const chosen = candidates.find(candidate => candidate.volunteer.id === best.volunteerId);
+    chosen.load++;
+
+    proposals.push({
+      rank: proposals.length + 1,
+      requestId: request.id,
+      requestVersion: request.version,
+      ...best,
+      alternatives: rest.slice(0, alternatives).map(({ volunteerId, score, distanceMeters: distance }) => ({
+        volunteerId,
+        score,
+        distanceMeters: distance
+      }))
+    });
+  }
+
+  return {
+    generatedAt: new Date(now).toISOString(),
+    proposals,
+    unmatched
+  };
+}
+
+/**
+ * Assign accepted proposals
+ * Each proposal is applied on its own; one failing does not stop the rest.
+ * @param {array} proposals - [{ requestId, volunteerId, requestVersion? }]
+ * @param {object} [context] - { actor, clientId } of the coordinator
+ * @returns {array} [{ requestId, volunteerId, success, status, error?, request? }]
+ */
+function acceptProposals(proposals, context = {}) {
+  return proposals.map(({ requestId, volunteerId, requestVersion }) => {
+    const fail = (status, error) => ({ requestId, volunteerId, success: false, status, error });
+
+    const request = getItem('requests', requestId);
+    if (!request) {
+      return fail(404, 'Request not found');
+    }
+    if (requestVersion !== undefined && !matchesETag(requestVersion, request)) {
+      return fail(412, 'Precondition failed: record was modified');
+    }
+    if (!getItem('volunteers', volunteerId)) {
+      return fail(404, 'Volunteer not found');
+    }
+
+    try {
+      const { request: assigned } = transitionRequest(requestId, 'assign', {
+        ...context,
+        volunteerId,
+        note: 'Accepted from dispatch suggestions'
+      });
+      return { requestId, volunteerId, success: true, status: 200, request: assigned };
+    } catch (error) {
+      return fail(error.status || 500, error.message);
+    }
+  });
+}
+
+module.exports = {
+  WEIGHTS,
+  parseRadius,
+  parseSkills,
+  neededSkills,
+  suggestAssignments,
+  acceptProposals
+};
@@ -0,0 +1,52 @@
+/**
+ * Entity tags for optimistic concurrency
+ *
+ * An item's ETag is its `version`, which memoryStore bumps on every update,
+ * plus a digest of its id and timestamps, e.g. "v3-Jd8r1kq0mZ2Xw4pA". The
+ * version alone repeats: after a storage reset, or for a record deleted and
+ * created again under the same id, an old tag would match the new record.
+ */
+
+const crypto = require('crypto');
+
+const DIGEST_LENGTH = 16;
+
+/**
+ * Format the ETag for an item
+ * @param {object} item - Stored item
+ * @returns {string} Quoted entity tag, e.g. "v3-Jd8r1kq0mZ2Xw4pA"
+ */
+function formatETag(item) {
+  const digest = crypto.createHash('sha256')
+    .update(`${item.id}\n${item.createdAt || ''}\n${item.updatedAt || ''}`)
+    .digest('base64url')
+    .slice(0, DIGEST_LENGTH);
+  return `"v${item.version || 1}-${digest}"`;
+}
+
+/**
+ * Check an If-Match header (or a sync operation's ifMatch) against an item
+ * Accepts '*' and comma-separated lists of tags, weak or strong, which must
+ * match the current tag exactly. A bare version (3 or "3") never matches:
+ * it would match a deleted and re-created record too.
+ * @param {string|number} ifMatch - Header value
+ * @param {object} item - Current stored item
+ * @returns {boolean} True if the precondition holds
+ */
+function matchesETag(ifMatch, item) {
+  if (ifMatch === undefined || ifMatch === null || ifMatch === '') {
+    return true;
+  }
+
+  const current = formatETag(item);
+
+  return String(ifMatch)
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''))
+    .some(tag => tag === '*' || tag === current);
+}
+
+module.exports = {
+  formatETag,
+  matchesETag
+};
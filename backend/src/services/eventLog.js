@@ -0,0 +1,233 @@
+/**
+ * Log of socket events, for replay and acknowledged delivery
+ *
+ * Every event socket.js sends gets an ID, `<epoch>-<seq>`, and is kept in a
+ * bounded in-memory log. A client that drops off reconnects with the last
+ * ID it saw and is sent what it missed. The epoch changes on every server
+ * start, so an ID from another epoch, or older than the log reaches back,
+ * cannot be replayed: the client has to catch up through /api/sync instead.
+ *
+ * Critical events (new SOS or critical requests, evacuation orders) must
+ * also be acknowledged. Each client a critical event was sent to stays
+ * pending until it acks; socket.js re-sends on a timer and when the client
+ * identifies again, until the event is older than `criticalTtlMs`.
+ */
+
+const crypto = require('crypto');
+const { events: config } = require('../config');
+
+const EPOCH = crypto.randomBytes(4).toString('hex');
+const EVENT_ID_PATTERN = /^([0-9a-f]+)-(\d+)$/;
+
+let seq = 0;
+const log = [];
+// client key -> Map(eventId -> { entry, sentAt })
+const pending = new Map();
+
+/**
+ * Check whether an event must be acknowledged
+ * @param {string} eventName
+ * @param {object} payload
+ * @returns {boolean}
+ */
+function isCritical(eventName, payload) {
+  if (eventName === 'evacuation:created') {
+    return true;
+  }
+  if (eventName === 'request:created' && payload) {
+    const levels = [payload.urgency, payload.severity, payload.priority].map(level => String(level || '').toLowerCase());
+    return String(payload.type || '').toUpperCase() === 'SOS' || levels.includes('critical');
+  }
+  return false;
+}
+
+/**
+ * Add an event to the log
+ * @param {string} eventName
+ * @param {object} payload
+ * @param {object} [options]
+ * @param {string[]|null} [options.rooms] - Rooms the event went to; null for everyone
+ * @param {boolean} [options.critical] - Defaults to isCritical
+ * @returns {object} Entry { id, seq, event, payload, rooms, critical, at }
+ */
+function record(eventName, payload, { rooms = null, critical } = {}) {
+  seq++;
+  const entry = {
+    id: `${EPOCH}-${seq}`,
+    seq,
+    event: eventName,
+    payload,
+    rooms,
+    critical: critical === undefined ? isCritical(eventName, payload) : Boolean(critical),
+    at: new Date().toISOString()
+  };
+
+  log.push(entry);
+  if (log.length > config.logSize) {
+    log.shift();
+  }
+  return entry;
+}
+
+/**
+ * Metadata sent with an event as its second argument
+ * @param {object} entry
+ * @returns {object} { eventId, at, critical? }
+ */
+function eventMeta(entry) {
+  return { eventId: entry.id, at: entry.at, ...(entry.critical && { critical: true }) };
+}
+
+/**
+ * ID of the newest logged event
+ * Before the first event this is `<epoch>-0`, which still tells a client
+ * from an earlier server start that it is up to date from here on.
+ * @returns {string}
+ */
+function latestEventId() {
+  return `${EPOCH}-${seq}`;
+}
+
+/**
+ * Get the events logged after an ID
+ * @param {string} lastEventId
+ * @returns {{entries: object[], complete: boolean}} `complete` is false when
+ *   events may be missing: the ID is from another epoch or the log no longer
+ *   reaches back to it
+ */
+function eventsSince(lastEventId) {
+  const match = EVENT_ID_PATTERN.exec(String(lastEventId || ''));
+  if (!match || match[1] !== EPOCH || Number(match[2]) > seq) {
+    return { entries: [...log], complete: false };
+  }
+
+  const after = Number(match[2]);
+  const oldest = log.length > 0 ? log[0].seq : seq + 1;
+  return {
+    entries: log.filter(entry => entry.seq > after),
+    complete: after >= oldest - 1
+  };
+}
+
+/**
+ * Wait for a client to acknowledge a critical event
+ * @param {string} clientKey - Client ID, or socket ID for unidentified sockets
+ * @param {object} entry
+ */
+function expectAck(clientKey, entry) {
+  if (!pending.has(clientKey)) {
+    pending.set(clientKey, new Map());
+  }
+  const events = pending.get(clientKey);
+  if (!events.has(entry.id)) {
+    events.set(entry.id, { entry, sentAt: 0 });
+  }
+}
+
+/**
+ * Note that a pending event was (re-)sent to a client
+ * @param {string} clientKey
+ * @param {string} eventId
+ */
+function markSent(clientKey, eventId) {
+  const item = pending.has(clientKey) && pending.get(clientKey).get(eventId);
+  if (item) {
+    item.sentAt = Date.now();
+  }
+}
+
+/**
+ * Record a client's acknowledgement
+ * @param {string} clientKey
+ * @param {string} eventId
+ * @returns {boolean} Whether the event was pending
+ */
+function acknowledge(clientKey, eventId) {
+  const events = pending.get(clientKey);
+  if (!events || !events.delete(eventId)) {
+    return false;
+  }
+  if (events.size === 0) {
+    pending.delete(clientKey);
+  }
+  return true;
+}
+
+/**
+ * Check whether a client still has to acknowledge an event
+ * @param {string} clientKey
+ * @param {string} eventId
+ * @returns {boolean}
+ */
+function isPending(clientKey, eventId) {
+  return Boolean(pending.has(clientKey) && pending.get(clientKey).has(eventId));
+}
+
+/**
+ * Drop pending events that are too old to re-send
+ * @param {number} [now=Date.now()]
+ */
+function expirePending(now = Date.now()) {
+  for (const [clientKey, events] of pending) {
+    for (const [eventId, { entry }] of events) {
+      if (now - new Date(entry.at).getTime() > config.criticalTtlMs) {
+        events.delete(eventId);
+      }
+    }
+    if (events.size === 0) {
+      pending.delete(clientKey);
+    }
+  }
+}
+
+/**
+ * Get a client's unacknowledged events, oldest first
+ * @param {string} clientKey
+ * @param {object} [options]
+ * @param {boolean} [options.dueOnly=false] - Only those not sent within ackTimeoutMs
+ * @returns {object[]} Entries
+ */
+function pendingFor(clientKey, { dueOnly = false } = {}) {
+  const events = pending.get(clientKey);
+  if (!events) {
+    return [];
+  }
+
+  const now = Date.now();
+  return Array.from(events.values())
+    .filter(item => !dueOnly || now - item.sentAt >= config.ackTimeoutMs)
+    .map(item => item.entry)
+    .sort((a, b) => a.seq - b.seq);
+}
+
+/**
+ * Get the keys of clients with unacknowledged events
+ * @returns {string[]}
+ */
+function pendingClients() {
+  return Array.from(pending.keys());
+}
+
+/**
+ * Forget everything pending for a client (e.g. an unidentified socket that left)
+ * @param {string} clientKey
+ */
+function forgetClient(clientKey) {
+  pending.delete(clientKey);
+}
+
+module.exports = {
+  isCritical,
+  record,
+  eventMeta,
+  latestEventId,
+  eventsSince,
+  expectAck,
+  markSent,
+  acknowledge,
+  isPending,
+  expirePending,
+  pendingFor,
+  pendingClients,
+  forgetClient
+};
@@ -0,0 +1,245 @@
+/**
+ * Socket rooms for geographic areas
+ *
+ * Record events go only to the clients watching the record's area instead
+ * of to every connected client. Two kinds of area room exist:
+ *
+ * - `geo:<geohash>` cells. A record is sent to the cells containing it at
+ *   every geohash length from `minGeohashPrecision` to `geohashPrecision`,
+ *   so a client watching a street and one watching a whole region both get
+ *   it. A viewport joins the smallest cells it can cover with at most
+ *   `maxAreaRooms` rooms.
+ * - `sector:<name>` operational sectors, bounding boxes named in the
+ *   OPERATIONAL_SECTORS setting. Clients join every sector their area
+ *   overlaps, or ask for sectors by name.
+ *
+ * Areas are points `{ lat, lng }` (e.g. the device's position) or bounding
+ * boxes `{ minLat, minLng, maxLat, maxLng }` (a map viewport).
+ */
+
+const { rooms: config } = require('../config');
+const { getLocation } = require('./geoService');
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+const GEO_PREFIX = 'geo:';
+const SECTOR_PREFIX = 'sector:';
+
+class AreaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AreaError';
+    this.status = 400;
+  }
+}
+
+/**
+ * Geohash of a point
+ * @param {{lat: number, lng: number}} location
+ * @param {number} precision - Number of characters
+ * @returns {string}
+ */
+function encodeGeohash({ lat, lng }, precision) {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    const range = evenBit ? lngRange : latRange;
+    const coordinate = evenBit ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+    value <<= 1;
+    if (coordinate >= mid) {
+      value |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    evenBit = !evenBit;
+
+    if (++bits === 5) {
+      hash += BASE32[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+
+  return hash;
+}
+
+/**
+ * Size of a geohash cell
+ * @param {number} precision
+ * @returns {{latDegrees: number, lngDegrees: number}}
+ */
+function cellSize(precision) {
+  const totalBits = precision * 5;
+  return {
+    latDegrees: 180 / 2 ** Math.floor(totalBits / 2),
+    lngDegrees: 360 / 2 ** Math.ceil(totalBits / 2)
+  };
+}
+
+/**
+ * Check whether a point lies in a bounding box
+ * @param {{lat: number, lng: number}} point
+ * @param {object} bbox - { minLat, minLng, maxLat, maxLng }
+ * @returns {boolean}
+ */
+function contains(bbox, { lat, lng }) {
+  return lat >= bbox.minLat && lat <= bbox.maxLat && lng >= bbox.minLng && lng <= bbox.maxLng;
+}
+
+/**
+ * Check whether two bounding boxes overlap
+ * @param {object} a - { minLat, minLng, maxLat, maxLng }
+ * @param {object} b
+ * @returns {boolean}
+ */
+function overlaps(a, b) {
+  return a.minLat <= b.maxLat && a.maxLat >= b.minLat && a.minLng <= b.maxLng && a.maxLng >= b.minLng;
+}
+
+/**
+ * Read a bounding box, clamped to valid coordinates
+ * @param {object} area
+ * @returns {object|null} { minLat, minLng, maxLat, maxLng }, or null when `area` is not one
+ */
+function readBBox(area) {
+  const [minLat, minLng, maxLat, maxLng] = ['minLat', 'minLng', 'maxLat', 'maxLng'].map(key => Number(area[key]));
+  if (![minLat, minLng, maxLat, maxLng].every(Number.isFinite)) {
+    return null;
+  }
+  if (minLat > maxLat || minLng > maxLng) {
+    throw new AreaError('Bounding box must have min values below max values');
+  }
+
+  return {
+    minLat: Math.max(-90, minLat),
+    minLng: Math.max(-180, minLng),
+    maxLat: Math.min(90, maxLat),
+    maxLng: Math.min(180, maxLng)
+  };
+}
+
+/**
+ * Geohash cells covering a bounding box
+ * @param {object} bbox - { minLat, minLng, maxLat, maxLng }
+ * @param {number} precision
+ * @returns {string[]|null} Null when more than `maxAreaRooms` cells are needed
+ */
+function cellsCovering(bbox, precision) {
+  const { latDegrees, lngDegrees } = cellSize(precision);
+  const index = (value, offset, size, count) => Math.min(count - 1, Math.floor((value + offset) / size));
+  const rowCount = Math.round(180 / latDegrees);
+  const colCount = Math.round(360 / lngDegrees);
+
+  const firstRow = index(bbox.minLat, 90, latDegrees, rowCount);
+  const lastRow = index(bbox.maxLat, 90, latDegrees, rowCount);
+  const firstCol = index(bbox.minLng, 180, lngDegrees, colCount);
+  const lastCol = index(bbox.maxLng, 180, lngDegrees, colCount);
+
+  if ((lastRow - firstRow + 1) * (lastCol - firstCol + 1) > config.maxAreaRooms) {
+    return null;
+  }
+
+  const cells = [];
+  for (let row = firstRow; row <= lastRow; row++) {
+    for (let col = firstCol; col <= lastCol; col++) {
+      cells.push(encodeGeohash({
+        lat: -90 + (row + 0.5) * latDegrees,
+        lng: -180 + (col + 0.5) * lngDegrees
+      }, precision));
+    }
+  }
+  return cells;
+}
+
+/**
+ * Rooms an event about a record at a location goes to
+ * @param {object} record - Anything getLocation reads
+ * @returns {string[]} Empty when the record has no location
+ */
+function roomsForRecord(record) {
+  const location = getLocation(record);
+  if (!location) {
+    return [];
+  }
+
+  const rooms = [];
+  for (let precision = config.minGeohashPrecision; precision <= config.geohashPrecision; precision++) {
+    rooms.push(GEO_PREFIX + encodeGeohash(location, precision));
+  }
+  config.sectors
+    .filter(sector => contains(sector.bbox, location))
+    .forEach(sector => rooms.push(SECTOR_PREFIX + sector.name));
+  return rooms;
+}
+
+/**
+ * Rooms a client watching an area joins
+ * @param {object} area - { lat, lng } or { minLat, minLng, maxLat, maxLng }
+ * @returns {string[]}
+ * @throws {AreaError} When the area is neither, or too large to watch
+ */
+function roomsForArea(area) {
+  if (!area || typeof area !== 'object') {
+    throw new AreaError('Area must be a location or bounding box');
+  }
+
+  const bbox = readBBox(area);
+  if (!bbox) {
+    const location = getLocation(area);
+    if (!location) {
+      throw new AreaError('Area must be a location or bounding box');
+    }
+    return [
+      GEO_PREFIX + encodeGeohash(location, config.geohashPrecision),
+      ...config.sectors.filter(sector => contains(sector.bbox, location)).map(sector => SECTOR_PREFIX + sector.name)
+    ];
+  }
+
+  for (let precision = config.geohashPrecision; precision >= config.minGeohashPrecision; precision--) {
+    const cells = cellsCovering(bbox, precision);
+    if (cells) {
+      return [
+        ...cells.map(cell => GEO_PREFIX + cell),
+        ...config.sectors.filter(sector => overlaps(sector.bbox, bbox)).map(sector => SECTOR_PREFIX + sector.name)
+      ];
+    }
+  }
+  throw new AreaError('Area is too large to watch; zoom in or join a sector');
+}
+
+/**
+ * Room of a named operational sector
+ * @param {string} name
+ * @returns {string}
+ * @throws {AreaError} When no sector has that name
+ */
+function sectorRoom(name) {
+  if (!config.sectors.some(sector => sector.name === name)) {
+    throw new AreaError(`Unknown sector: ${name}`);
+  }
+  return SECTOR_PREFIX + name;
+}
+
+/**
+ * Check whether a room is an area room
+ * @param {string} room
+ * @returns {boolean}
+ */
+function isAreaRoom(room) {
+  return room.startsWith(GEO_PREFIX) || room.startsWith(SECTOR_PREFIX);
+}
+
+module.exports = {
+  AreaError,
+  encodeGeohash,
+  roomsForRecord,
+  roomsForArea,
+  sectorRoom,
+  isAreaRoom
+};
@@ -0,0 +1,51 @@
+/**
+ * Geographic helpers shared by the services
+ *
+ * Records carry coordinates in more than one shape: REST clients send a
+ * `location: { lat, lng }` object, offline clients also store flat
+ * `lat`/`lng` or `latitude`/`longitude`. getLocation accepts all of them.
+ */
+
+const EARTH_RADIUS_METERS = 6371000;
+
+/**
+ * Read a record's coordinates
+ * @param {object} record
+ * @returns {{lat: number, lng: number}|null} Null when the record has no usable position
+ */
+function getLocation(record) {
+  if (!record) {
+    return null;
+  }
+
+  const source = record.location && typeof record.location === 'object' ? record.location : record;
+  const lat = Number(source.lat !== undefined ? source.lat : source.latitude);
+  const lng = Number(source.lng !== undefined ? source.lng : source.longitude);
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+    return null;
+  }
+
+  return { lat, lng };
+}
+
+/**
+ * Great-circle distance between two points (haversine)
+ * @param {{lat: number, lng: number}} a
+ * @param {{lat: number, lng: number}} b
+ * @returns {number} Distance in meters
+ */
+function distanceMeters(a, b) {
+  const toRad = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+module.exports = {
+  getLocation,
+  distanceMeters
+};
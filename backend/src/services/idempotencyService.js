@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const { createItem, deleteItem, getItem, getAll } = require('../database/memoryStore');
+const { idempotencyRetentionMs } = require('../config');
+
+const COLLECTION = 'idempotencyKeys';
+
+/**
+ * Fingerprint a request body so a key reused for a different request is caught
+ * @param {*} body - Request body
+ * @returns {string} SHA-256 hex digest
+ */
+function fingerprint(body) {
+  return crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+}
+
+/**
+ * Look up a stored result for an idempotency key
+ * @param {string} scope - Namespace, e.g. 'requests' or 'sync'
+ * @param {string} key - Client-supplied key
+ * @returns {object|null} Stored entry ({ status, body, fingerprint }) or null
+ */
+function getStoredResult(scope, key) {
+  const id = `${scope}:${key}`;
+  const entry = getItem(COLLECTION, id);
+
+  if (!entry) {
+    return null;
+  }
+
+  if (new Date(entry.expiresAt).getTime() <= Date.now()) {
+    deleteItem(COLLECTION, id);
+    return null;
+  }
+
+  return entry;
+}
+
+/**
+ * Remember the result returned for an idempotency key
+ * @param {string} scope - Namespace, e.g. 'requests' or 'sync'
+ * @param {string} key - Client-supplied key
+ * @param {object} result
+ * @param {number} result.status - HTTP status (or 200 for sync results)
+ * @param {*} result.body - Response body or sync result
+ * @param {string} [result.fingerprint] - Fingerprint of the original request
+ * @returns {object} Stored entry
+ */
+function storeResult(scope, key, { status, body, fingerprint: requestFingerprint }) {
+  return createItem(COLLECTION, {
+    id: `${scope}:${key}`,
+    scope,
+    key,
+    status,
+    body,
+    fingerprint: requestFingerprint,
+    expiresAt: new Date(Date.now() + idempotencyRetentionMs).toISOString()
+  });
+}
+
+/**
+ * Drop entries past the retention window
+ * @returns {number} Number of entries removed
+ */
+function purgeExpired() {
+  const now = Date.now();
+  const expired = getAll(COLLECTION, entry => new Date(entry.expiresAt).getTime() <= now);
+  expired.forEach(entry => deleteItem(COLLECTION, entry.id));
+  return expired.length;
+}
+
+const purgeTimer = setInterval(() => {
+  try {
+    purgeExpired();
+  } catch (error) {
+    console.error('Idempotency key purge failed:', error);
+  }
+}, 60 * 60 * 1000);
+purgeTimer.unref();
+
+module.exports = {
+  fingerprint,
+  getStoredResult,
+  storeResult,
+  purgeExpired
+};
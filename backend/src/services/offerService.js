@@ -0,0 +1,351 @@
+/**
+ * Auto-dispatch offers
+ *
+ * An offer walks a ranked list of volunteers for one request:
+ *
+ *   offer to candidate 1 -> wait timeoutMs -> accept? assign and stop
+ *                                          -> decline/timeout? next candidate
+ *   ...after the last candidate the offer is escalated to coordinators
+ *
+ * Volunteers receive `offer:new` in their own socket room (see socket.js
+ * identify; the socket must identify with an access token) and answer with `offer:accept` / `offer:decline`, or through the
+ * REST routes. Each step is appended to the offer record in the `offers`
+ * collection, so pending offers survive a restart: their timers are
+ * rescheduled on boot and identified volunteers get their open offers again.
+ */
+
+const { createItem, updateItem, getItem, getAll } = require('../database/memoryStore');
+const { offers: offerConfig } = require('../config');
+const {
+  broadcastRecord,
+  emitToRoom,
+  onConnection,
+  volunteerRoom,
+  COORDINATORS_ROOM,
+  getSocketPresence
+} = require('../socket');
+const { suggestAssignments } = require('./dispatchService');
+const { transitionRequest } = require('./requestLifecycle');
+const { assertCan } = require('./permissions');
+
+const COLLECTION = 'offers';
+
+// offerId -> timeout handle for the current candidate
+const timers = new Map();
+
+/**
+ * Error with an HTTP status for offer operations
+ */
+class OfferError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} status
+   */
+  constructor(message, status) {
+    super(message);
+    this.name = 'OfferError';
+    this.status = status;
+  }
+}
+
+/**
+ * Volunteer the offer is currently waiting on
+ * @param {object} offer
+ * @returns {string|null}
+ */
+function currentCandidate(offer) {
+  return offer.status === 'pending' ? offer.candidates[offer.index] : null;
+}
+
+/**
+ * Persist a step on an offer
+ * @param {object} offer - Current offer record
+ * @param {object} step - { type, volunteerId?, reason? }
+ * @param {object} [changes] - Other offer fields to update
+ * @returns {object} Updated offer
+ */
+function recordStep(offer, step, changes = {}) {
+  return updateItem(COLLECTION, offer.id, {
+    ...changes,
+    steps: [...offer.steps, { ...step, at: new Date().toISOString() }]
+  });
+}
+
+/**
+ * Wait for the current candidate's answer
+ * @param {object} offer
+ */
+function scheduleTimeout(offer) {
+  clearTimeout(timers.get(offer.id));
+
+  const delay = Math.max(0, new Date(offer.expiresAt).getTime() - Date.now());
+  const timer = setTimeout(() => handleTimeout(offer.id, offer.index), delay);
+  timer.unref();
+  timers.set(offer.id, timer);
+}
+
+/**
+ * Send the offer to its current candidate
+ * @param {object} offer
+ */
+function sendToCandidate(offer) {
+  const request = getItem('requests', offer.requestId);
+  emitToRoom(volunteerRoom(currentCandidate(offer)), 'offer:new', {
+    offerId: offer.id,
+    requestId: offer.requestId,
+    request,
+    expiresAt: offer.expiresAt
+  });
+}
+
+/**
+ * Close an offer that cannot continue
+ * @param {object} offer
+ * @param {string} status - 'accepted', 'escalated' or 'cancelled'
+ * @param {object} step - Step to record
+ * @returns {object} Updated offer
+ */
+function closeOffer(offer, status, step) {
+  clearTimeout(timers.get(offer.id));
+  timers.delete(offer.id);
+
+  const closed = recordStep(offer, step, { status, expiresAt: null, closedAt: new Date().toISOString() });
+  emitToRoom(COORDINATORS_ROOM, `offer:${status}`, closed);
+  return closed;
+}
+
+/**
+ * Move an offer to its next candidate, or escalate when none are left
+ * @param {object} offer
+ * @returns {object} Updated offer
+ */
+function advance(offer) {
+  const request = getItem('requests', offer.requestId);
+  if (!request || request.status !== 'pending') {
+    return closeOffer(offer, 'cancelled', { type: 'cancelled', reason: 'Request is no longer pending' });
+  }
+
+  const index = offer.index + 1;
+  if (index >= offer.candidates.length) {
+    return closeOffer(offer, 'escalated', { type: 'escalated', reason: 'No volunteer accepted' });
+  }
+
+  const next = recordStep(offer, { type: 'offered', volunteerId: offer.candidates[index] }, {
+    index,
+    expiresAt: new Date(Date.now() + offer.timeoutMs).toISOString()
+  });
+  sendToCandidate(next);
+  scheduleTimeout(next);
+  return next;
+}
+
+/**
+ * The current candidate did not answer in time
+ * @param {string} offerId
+ * @param {number} index - Candidate the timer was set for
+ */
+function handleTimeout(offerId, index) {
+  timers.delete(offerId);
+
+  const offer = getItem(COLLECTION, offerId);
+  // Answered (or restarted) after the timer was set
+  if (!offer || offer.status !== 'pending' || offer.index !== index) {
+    return;
+  }
+
+  const volunteerId = currentCandidate(offer);
+  const timedOut = recordStep(offer, { type: 'timeout', volunteerId });
+  emitToRoom(volunteerRoom(volunteerId), 'offer:expired', { offerId, requestId: offer.requestId });
+  advance(timedOut);
+}
+
+/**
+ * Start offering a request to volunteers
+ * @param {string} requestId
+ * @param {object} [options]
+ * @param {string[]} [options.volunteerIds] - Ranked candidates (default: dispatch suggestions)
+ * @param {number} [options.timeoutMs] - Time each candidate gets to answer
+ * @param {object} [options.context] - { actor, clientId } starting the offer
+ * @returns {object} Offer record
+ * @throws {OfferError}
+ */
+function startOffer(requestId, options = {}) {
+  const { volunteerIds, timeoutMs = offerConfig.timeoutMs, context = {} } = options;
+
+  const request = getItem('requests', requestId);
+  if (!request) {
+    throw new OfferError('Request not found', 404);
+  }
+  if (request.status !== 'pending') {
+    throw new OfferError(`Cannot offer a request that is ${request.status}`, 409);
+  }
+  if (getAll(COLLECTION, offer => offer.requestId === requestId && offer.status === 'pending').length > 0) {
+    throw new OfferError('Request already has an open offer', 409);
+  }
+
+  let candidates = volunteerIds;
+  if (!candidates) {
+    const { proposals } = suggestAssignments({
+      requestIds: [requestId],
+      alternatives: offerConfig.maxCandidates - 1
+    });
+    candidates = proposals.length > 0
+      ? [proposals[0].volunteerId, ...proposals[0].alternatives.map(alt => alt.volunteerId)]
+      : [];
+  }
+  candidates = [...new Set(candidates)].slice(0, offerConfig.maxCandidates);
+
+  const startedBy = context.actor || context.clientId || 'system';
+  const now = new Date();
+  const offer = createItem(COLLECTION, {
+    requestId,
+    candidates,
+    index: 0,
+    timeoutMs,
+    status: 'pending',
+    startedBy,
+    expiresAt: new Date(now.getTime() + timeoutMs).toISOString(),
+    steps: [{ type: 'started', by: startedBy, at: now.toISOString() }]
+  }, context);
+
+  if (candidates.length === 0) {
+    return closeOffer(offer, 'escalated', { type: 'escalated', reason: 'No candidate volunteers' });
+  }
+
+  const offered = recordStep(offer, { type: 'offered', volunteerId: candidates[0] });
+  sendToCandidate(offered);
+  scheduleTimeout(offered);
+  return offered;
+}
+
+/**
+ * Record a volunteer's answer
+ * @param {string} offerId
+ * @param {string} volunteerId - Who is answering
+ * @param {boolean} accepted
+ * @param {string} [reason] - Why they declined
+ * @returns {object} Updated offer
+ * @throws {OfferError}
+ */
+function respondToOffer(offerId, volunteerId, accepted, reason) {
+  const offer = getItem(COLLECTION, offerId);
+  if (!offer) {
+    throw new OfferError('Offer not found', 404);
+  }
+  if (currentCandidate(offer) !== volunteerId) {
+    throw new OfferError('Offer is not waiting on this volunteer', 409);
+  }
+
+  clearTimeout(timers.get(offerId));
+  timers.delete(offerId);
+
+  if (!accepted) {
+    const declined = recordStep(offer, { type: 'declined', volunteerId, ...(reason && { reason }) });
+    return advance(declined);
+  }
+
+  try {
+    const assigned = transitionRequest(offer.requestId, 'assign', {
+      actor: volunteerId,
+      volunteerId,
+      note: 'Accepted dispatch offer'
+    });
+    if (!assigned) {
+      return closeOffer(offer, 'cancelled', { type: 'cancelled', volunteerId, reason: 'Request not found' });
+    }
+    broadcastRecord('request:updated', assigned.request);
+  } catch (error) {
+    return closeOffer(offer, 'cancelled', { type: 'cancelled', volunteerId, reason: error.message });
+  }
+
+  return closeOffer(offer, 'accepted', { type: 'accepted', volunteerId });
+}
+
+/**
+ * Withdraw an open offer
+ * @param {string} offerId
+ * @param {object} [context] - { actor, clientId }
+ * @returns {object} Updated offer
+ * @throws {OfferError}
+ */
+function cancelOffer(offerId, context = {}) {
+  const offer = getItem(COLLECTION, offerId);
+  if (!offer) {
+    throw new OfferError('Offer not found', 404);
+  }
+  if (offer.status !== 'pending') {
+    throw new OfferError(`Offer is already ${offer.status}`, 409);
+  }
+
+  const volunteerId = currentCandidate(offer);
+  emitToRoom(volunteerRoom(volunteerId), 'offer:withdrawn', { offerId, requestId: offer.requestId });
+  return closeOffer(offer, 'cancelled', {
+    type: 'cancelled',
+    by: context.actor || context.clientId || 'system'
+  });
+}
+
+/**
+ * Open offers waiting on a volunteer
+ * @param {string} volunteerId
+ * @returns {array}
+ */
+function getOpenOffersFor(volunteerId) {
+  return getAll(COLLECTION, offer => currentCandidate(offer) === volunteerId);
+}
+
+/**
+ * Reschedule timers for offers that were pending when the server stopped
+ * Offers that expired meanwhile move on as soon as the event loop runs.
+ */
+function resumeOffers() {
+  for (const offer of getAll(COLLECTION, item => item.status === 'pending')) {
+    scheduleTimeout(offer);
+  }
+}
+
+// Volunteers answer over their socket; ack reports success or the error
+onConnection((socket) => {
+  const answer = (accepted) => (response, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    const presence = getSocketPresence(socket.id);
+
+    if (!presence || !presence.volunteerId) {
+      return reply({ success: false, error: 'Identify as a volunteer first' });
+    }
+    if (!response || typeof response !== 'object') {
+      return reply({ success: false, error: 'Answer needs an offerId' });
+    }
+
+    try {
+      const { offerId, reason } = response;
+      assertCan(presence.principal, 'respond', COLLECTION, getItem(COLLECTION, offerId), {
+        volunteerId: presence.volunteerId
+      });
+      const offer = respondToOffer(offerId, presence.volunteerId, accepted, reason);
+      reply({ success: true, offer });
+    } catch (error) {
+      reply({ success: false, error: error.message });
+    }
+  };
+
+  socket.on('offer:accept', answer(true));
+  socket.on('offer:decline', answer(false));
+
+  // Re-send offers a volunteer missed while disconnected
+  socket.on('identify', () => {
+    const presence = getSocketPresence(socket.id);
+    if (!presence || !presence.volunteerId) return;
+    getOpenOffersFor(presence.volunteerId).forEach(sendToCandidate);
+  });
+});
+
+resumeOffers();
+
+module.exports = {
+  OfferError,
+  startOffer,
+  respondToOffer,
+  cancelOffer,
+  getOpenOffersFor
+};
@@ -0,0 +1,57 @@
+/**
+ * Password hashing
+ *
+ * Passwords are stored as salted scrypt hashes:
+ *
+ *   scrypt$<N>$<r>$<p>$<salt>$<hash>      (salt and hash base64url)
+ *
+ * Kept apart from authService so scripts/hashPassword can make a hash for
+ * COORDINATOR_ACCOUNTS without opening the store.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 32;
+const SALT_BYTES = 16;
+
+/**
+ * Hash a password with a fresh salt
+ * @param {string} password
+ * @returns {Promise<string>} Encoded hash
+ */
+async function hashPassword(password) {
+  const { N, r, p } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64url'), hash.toString('base64url')].join('$');
+}
+
+/**
+ * Check a password against an encoded hash
+ * @param {string} password
+ * @param {string} encoded - From hashPassword
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, encoded) {
+  const [scheme, N, r, p, salt, expected] = String(encoded).split('$');
+  if (scheme !== 'scrypt' || !expected) {
+    return false;
+  }
+
+  const expectedHash = Buffer.from(expected, 'base64url');
+  const hash = await scrypt(password, Buffer.from(salt, 'base64url'), expectedHash.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  return crypto.timingSafeEqual(hash, expectedHash);
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword
+};
@@ -0,0 +1,217 @@
+/**
+ * Roles and what each may do
+ *
+ *   public           - anyone without a session: read the map, ask for help
+ *   volunteer        - also take on requests and work the ones assigned to them
+ *   shelter_manager  - a volunteer who also keeps their own shelters up to date
+ *   coordinator      - everything, including dispatch, the activity feed and accounts
+ *
+ * PERMISSIONS maps role -> collection -> action -> rule. A rule is called
+ * with the principal, the stored record (null for creates) and the changes
+ * being made, and returns whether the action is allowed. Actions are
+ * `read`, `create`, `update` and `delete`, plus a few named ones such as
+ * `respond` on offers. Request lifecycle actions (assign, resolve, ...) are
+ * checked as updates of the fields they change.
+ *
+ * Whoever asked for help may also edit, cancel or confirm their own request
+ * with its owner token (see requestOwnership), whatever their role.
+ *
+ * A principal is { role, accountId, volunteerId, shelterIds, clientId, ownerToken }.
+ */
+
+const { verifyOwnerToken } = require('./requestOwnership');
+const { LEGACY_REQUEST_STATUSES } = require('../database/schemas');
+
+const ROLES = ['public', 'volunteer', 'shelter_manager', 'coordinator'];
+
+/**
+ * Error for an action the principal may not take (see permissionError)
+ */
+class PermissionError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} [status=403]
+   */
+  constructor(message, status = 403) {
+    super(message);
+    this.name = 'PermissionError';
+    this.status = status;
+  }
+}
+
+const anyone = () => true;
+
+// Whether changes move a request to `assigned` (legacy names included)
+function assigns(changes) {
+  const status = String(changes.status || '').toLowerCase();
+  return (LEGACY_REQUEST_STATUSES[status] || status) === 'assigned';
+}
+
+// The request is theirs and stays theirs (or is released), or it is
+// unassigned and they are taking it on; taking it on is an assign and
+// nothing else, so they cannot close someone else's request on the way.
+// Confirming is left to the requester: a volunteer cannot say they are safe.
+function handlesRequest(principal, request, changes = {}) {
+  const self = principal.volunteerId;
+  if (!self || 'confirmedAt' in changes) return false;
+  const holder = request.acceptedBy || null;
+  const nextHolder = 'acceptedBy' in changes ? changes.acceptedBy || null : holder;
+  return (holder === self && (nextHolder === self || nextHolder === null)) ||
+    (holder === null && nextHolder === self && assigns(changes));
+}
+
+// What a requester may change about their own request
+const REQUESTER_FIELDS = [
+  'name', 'phone', 'address', 'details', 'description', 'urgency', 'severity', 'priority',
+  'skillsNeeded', 'location', 'lat', 'lng', 'latitude', 'longitude', 'status', 'confirmedAt', 'timestamp'
+];
+const REQUESTER_STATUSES = ['cancelled', 'resolved'];
+
+// The owner token of the request: add details, cancel, or confirm they are safe
+function isRequester(principal, request, changes = {}) {
+  if (!verifyOwnerToken(request.id, principal.ownerToken)) return false;
+  const { status } = changes;
+  return (status === undefined || REQUESTER_STATUSES.includes(status)) &&
+    Object.keys(changes).every(field => REQUESTER_FIELDS.includes(field));
+}
+
+/**
+ * Allow an action when any of the rules does
+ * @param {...function} rules
+ * @returns {function} Rule
+ */
+function anyOf(...rules) {
+  return (principal, record, changes) => rules.some(rule => rule(principal, record, changes));
+}
+
+// Their own volunteer record
+function isSelf(principal, volunteer, changes = {}) {
+  const id = volunteer ? volunteer.id : changes.id;
+  return Boolean(principal.volunteerId) && id === principal.volunteerId;
+}
+
+// A shelter their account manages
+function managesShelter(principal, shelter) {
+  return (principal.shelterIds || []).includes(shelter.id);
+}
+
+// A peer registered from the same device
+function sameDevice(principal, peer) {
+  return Boolean(principal.clientId) && peer.clientId === principal.clientId;
+}
+
+// Answering an offer made to them
+function answersForSelf(principal, offer, changes = {}) {
+  return Boolean(principal.volunteerId) && changes.volunteerId === principal.volunteerId;
+}
+
+const publicPermissions = {
+  requests: { read: anyone, create: anyone, update: isRequester },
+  volunteers: { read: anyone },
+  shelters: { read: anyone },
+  routes: { read: anyone, create: anyone },
+  peers: { read: anyone, create: anyone, update: sameDevice }
+};
+
+const volunteerPermissions = {
+  ...publicPermissions,
+  requests: { ...publicPermissions.requests, update: anyOf(handlesRequest, isRequester) },
+  volunteers: { read: anyone, create: isSelf, update: isSelf },
+  offers: { respond: answersForSelf }
+};
+
+const PERMISSIONS = {
+  public: publicPermissions,
+  volunteer: volunteerPermissions,
+  shelter_manager: {
+    ...volunteerPermissions,
+    shelters: { read: anyone, update: managesShelter }
+  },
+  // Coordinators are not listed: they may do everything (see can)
+  coordinator: {}
+};
+
+/**
+ * The principal behind a session, or the public one
+ * @param {object|null} auth - From authService.authenticateToken
+ * @param {string} [clientId] - Device making the request
+ * @param {string} [ownerToken] - Owner token of the request being changed
+ * @returns {object} { role, accountId, volunteerId, shelterIds, clientId, ownerToken }
+ */
+function principalFor(auth, clientId, ownerToken) {
+  const device = { clientId: clientId || null, ownerToken: ownerToken || null };
+  if (!auth) {
+    return { role: 'public', accountId: null, volunteerId: null, shelterIds: [], ...device };
+  }
+  return {
+    role: ROLES.includes(auth.role) ? auth.role : 'public',
+    accountId: auth.accountId,
+    volunteerId: auth.volunteerId || null,
+    shelterIds: auth.shelterIds || [],
+    ...device
+  };
+}
+
+/**
+ * Check whether a principal may take an action
+ * @param {object} principal - From principalFor
+ * @param {string} action - e.g. 'update'
+ * @param {string} collection - e.g. 'requests'
+ * @param {object|null} [record] - Stored record, null for creates
+ * @param {object} [changes] - Data being written
+ * @returns {boolean}
+ */
+function can(principal, action, collection, record = null, changes = {}) {
+  if (principal.role === 'coordinator') {
+    return true;
+  }
+
+  const rules = (PERMISSIONS[principal.role] || {})[collection];
+  const rule = rules && rules[action];
+  if (!rule) {
+    return false;
+  }
+  return Boolean(rule(principal, record, changes || {}));
+}
+
+/**
+ * Describe why a principal was refused
+ * @param {object} principal
+ * @param {string} action
+ * @param {string} collection
+ * @returns {PermissionError} 401 when signing in may help, 403 otherwise
+ */
+function permissionError(principal, action, collection) {
+  if (principal.role !== 'public') {
+    return new PermissionError(`A ${principal.role} may not ${action} ${collection}`);
+  }
+  if (principal.ownerToken) {
+    return new PermissionError(`This owner token may not ${action} ${collection}`);
+  }
+  return new PermissionError('Sign in required', 401);
+}
+
+/**
+ * Throw unless a principal may take an action
+ * @param {object} principal
+ * @param {string} action
+ * @param {string} collection
+ * @param {object|null} [record]
+ * @param {object} [changes]
+ * @throws {PermissionError}
+ */
+function assertCan(principal, action, collection, record = null, changes = {}) {
+  if (!can(principal, action, collection, record, changes)) {
+    throw permissionError(principal, action, collection);
+  }
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  PermissionError,
+  principalFor,
+  can,
+  assertCan,
+  permissionError
+};
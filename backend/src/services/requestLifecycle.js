@@ -0,0 +1,324 @@
+/**
+ * Help request lifecycle
+ *
+ *   pending -> assigned -> en_route -> on_scene -> resolved
+ *
+ * plus `cancelled` and `duplicate`, which close a request early. The
+ * requester can `confirm` a resolution, or that they are safe, which also
+ * resolves a request that is still open. Requests can
+ * be released back to `pending` until they are closed. Every change appends
+ * an entry to the request's `history` recording the actor and the time, and
+ * is announced with its own socket event (e.g. `request:assigned`).
+ *
+ * Status changes arrive either through the transition endpoints
+ * (POST /api/requests/:id/assign, ...) or as plain status updates from
+ * PATCH and offline sync, which are mapped onto the same transitions.
+ */
+
+const { getItem, getAll, updateItem } = require('../database/memoryStore');
+const { LEGACY_REQUEST_STATUSES } = require('../database/schemas');
+const { ValidationError } = require('./validationService');
+const { broadcastRecord } = require('../socket');
+
+const OPEN_STATES = ['pending', 'assigned', 'en_route', 'on_scene'];
+const ACTIVE_STATES = ['assigned', 'en_route', 'on_scene'];
+const CLOSED_STATES = ['resolved', 'cancelled', 'duplicate'];
+
+// action -> allowed source states, target state and socket event
+const TRANSITIONS = {
+  assign: { from: ['pending'], to: 'assigned', event: 'request:assigned' },
+  reassign: { from: ACTIVE_STATES, to: 'assigned', event: 'request:reassigned' },
+  unassign: { from: ACTIVE_STATES, to: 'pending', event: 'request:unassigned' },
+  depart: { from: ['assigned'], to: 'en_route', event: 'request:en_route' },
+  arrive: { from: ['assigned', 'en_route'], to: 'on_scene', event: 'request:on_scene' },
+  resolve: { from: ACTIVE_STATES, to: 'resolved', event: 'request:resolved' },
+  cancel: { from: OPEN_STATES, to: 'cancelled', event: 'request:cancelled' },
+  duplicate: { from: ['pending', 'assigned'], to: 'duplicate', event: 'request:duplicate' },
+  confirm: { from: [...OPEN_STATES, 'resolved'], to: 'resolved', event: 'request:confirmed' }
+};
+
+/**
+ * Error for a transition the current state does not allow
+ */
+class TransitionError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [details] - { action, from, to, allowed }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'TransitionError';
+    this.status = 409;
+    this.details = details;
+  }
+}
+
+/**
+ * Map a stored or client-sent status onto the lifecycle
+ * @param {string} status
+ * @returns {string} Canonical status
+ */
+function normalizeStatus(status) {
+  if (!status) {
+    return 'pending';
+  }
+  const lower = String(status).toLowerCase();
+  return LEGACY_REQUEST_STATUSES[lower] || lower;
+}
+
+/**
+ * List the actions allowed from a status
+ * @param {string} status
+ * @returns {string[]}
+ */
+function allowedActions(status) {
+  const current = normalizeStatus(status);
+  return Object.keys(TRANSITIONS).filter(action => TRANSITIONS[action].from.includes(current));
+}
+
+/**
+ * Check that a volunteer ID names someone requests can be assigned to
+ * Signed-in volunteers count before their device has posted a volunteer record.
+ * @param {string} volunteerId
+ * @returns {boolean}
+ */
+function volunteerExists(volunteerId) {
+  return Boolean(getItem('volunteers', volunteerId)) ||
+    getAll('accounts', account => account.volunteerId === volunteerId).length > 0;
+}
+
+/**
+ * Work out the fields a transition changes
+ * @param {object} existing - Current request
+ * @param {string} action - Key of TRANSITIONS
+ * @param {object} [options]
+ * @param {string} [options.actor] - Who is making the change
+ * @param {string} [options.clientId] - Device the change came from
+ * @param {string} [options.volunteerId] - Volunteer for assign/reassign
+ * @param {string} [options.duplicateOf] - Original request for duplicate
+ * @param {string} [options.note] - Free-text reason
+ * @returns {{updates: object, transition: object}}
+ * @throws {TransitionError|ValidationError}
+ */
+function planTransition(existing, action, options = {}) {
+  const definition = TRANSITIONS[action];
+  if (!definition) {
+    throw new TransitionError(`Unknown transition: ${action}`, { action });
+  }
+
+  const from = normalizeStatus(existing.status);
+  if (!definition.from.includes(from)) {
+    throw new TransitionError(`Cannot ${action} a request that is ${from}`, {
+      action,
+      from,
+      to: definition.to,
+      allowed: allowedActions(from)
+    });
+  }
+
+  const { actor, clientId, volunteerId, duplicateOf, note } = options;
+  const at = new Date().toISOString();
+  const updates = { status: definition.to };
+
+  if (action === 'assign' || action === 'reassign') {
+    if (typeof volunteerId !== 'string' || volunteerId === '') {
+      throw new ValidationError([{ field: 'volunteerId', code: 'required', message: 'must be a volunteer ID' }]);
+    }
+    if (!volunteerExists(volunteerId)) {
+      throw new ValidationError([{ field: 'volunteerId', code: 'notFound', message: 'must be an existing volunteer' }]);
+    }
+    if (action === 'reassign' && volunteerId === existing.acceptedBy) {
+      throw new TransitionError('Request is already assigned to this volunteer', { action, from });
+    }
+    updates.acceptedBy = volunteerId;
+    updates.assignedAt = at;
+  } else if (action === 'unassign') {
+    updates.acceptedBy = null;
+    updates.assignedAt = null;
+  } else if (action === 'duplicate') {
+    if (typeof duplicateOf !== 'string' || duplicateOf === '') {
+      throw new ValidationError([{ field: 'duplicateOf', code: 'required', message: 'must be a request ID' }]);
+    }
+    if (duplicateOf === existing.id) {
+      throw new ValidationError([{ field: 'duplicateOf', code: 'invalid', message: 'must name another request' }]);
+    }
+    updates.duplicateOf = duplicateOf;
+  } else if (action === 'confirm') {
+    if (existing.confirmedAt) {
+      throw new TransitionError('Request is already confirmed', { action, from });
+    }
+    updates.confirmedAt = at;
+  }
+
+  if (CLOSED_STATES.includes(definition.to) && !CLOSED_STATES.includes(from)) {
+    updates.closedAt = at;
+  }
+
+  const transition = {
+    action,
+    from,
+    status: definition.to,
+    by: actor || clientId || 'anonymous',
+    ...(clientId && { clientId }),
+    ...(updates.acceptedBy && { volunteerId: updates.acceptedBy }),
+    ...(note && { note }),
+    at
+  };
+
+  updates.history = [...(existing.history || []), transition];
+  updates.statusChangedAt = at;
+  updates.statusChangedBy = transition.by;
+
+  return { updates, transition: { ...transition, event: definition.event } };
+}
+
+/**
+ * The fields a transition would change, before any state checks
+ * Lets permission rules treat transitions like plain updates.
+ * @param {string} action - Key of TRANSITIONS
+ * @param {object} [options] - { volunteerId }
+ * @returns {object} { status, acceptedBy?, confirmedAt? }
+ */
+function transitionChanges(action, { volunteerId } = {}) {
+  const definition = TRANSITIONS[action];
+  const changes = { status: definition ? definition.to : undefined };
+  if (action === 'assign' || action === 'reassign') {
+    changes.acceptedBy = volunteerId;
+  } else if (action === 'unassign') {
+    changes.acceptedBy = null;
+  } else if (action === 'confirm') {
+    changes.confirmedAt = new Date().toISOString();
+  }
+  return changes;
+}
+
+/**
+ * Route a generic update through the lifecycle
+ * A changed `status` (or `acceptedBy`) is mapped onto a transition; other
+ * fields pass through. Client-sent `history` is dropped since the server
+ * owns it. A `confirmedAt` asks for the confirm transition, so requesters
+ * can confirm through offline sync too.
+ * @param {object} existing - Current request
+ * @param {object} updates - Fields the client wants to change
+ * @param {object} [options] - { actor, clientId }
+ * @returns {{updates: object, transition: object|null}}
+ * @throws {TransitionError|ValidationError}
+ */
+function planUpdate(existing, updates, options = {}) {
+  const { history, status, acceptedBy, confirmedAt, ...rest } = updates;
+  const from = normalizeStatus(existing.status);
+  const to = status === undefined ? from : normalizeStatus(status);
+  const assigneeChanged = acceptedBy !== undefined && acceptedBy !== (existing.acceptedBy || null);
+  const confirming = confirmedAt !== undefined && confirmedAt !== null;
+
+  if (to === from && !assigneeChanged && !confirming) {
+    return { updates: rest, transition: null };
+  }
+
+  // Taking over someone else's request must be an explicit reassign, so two
+  // volunteers accepting at once cannot silently overwrite each other
+  let action;
+  if (confirming) {
+    action = 'confirm';
+  } else if (to === 'assigned' && from !== 'pending') {
+    throw new TransitionError('Request is already assigned; use reassign to change the volunteer', {
+      from,
+      allowed: allowedActions(from)
+    });
+  } else if (to === 'assigned') {
+    action = 'assign';
+  } else if (to === 'pending') {
+    action = 'unassign';
+  } else if (to === from) {
+    throw new TransitionError('Use reassign to change the assigned volunteer', { from });
+  } else {
+    // Prefer a transition allowed from here (resolving a pending request is a confirm)
+    const candidates = Object.keys(TRANSITIONS).filter(name =>
+      TRANSITIONS[name].to === to && !['assign', 'reassign', 'unassign'].includes(name));
+    action = candidates.find(name => TRANSITIONS[name].from.includes(from)) || candidates[0];
+  }
+
+  const planned = planTransition(existing, action, {
+    ...options,
+    volunteerId: acceptedBy || existing.acceptedBy,
+    duplicateOf: rest.duplicateOf
+  });
+
+  return {
+    updates: { ...rest, ...planned.updates },
+    transition: planned.transition
+  };
+}
+
+/**
+ * Prepare a new request: every request starts out pending
+ * @param {object} data - Request fields
+ * @param {object} [options] - { actor, clientId }
+ * @returns {object} Request fields with status and history
+ */
+function planCreate(data, options = {}) {
+  const { actor, clientId } = options;
+  const at = new Date().toISOString();
+  const by = actor || clientId || 'anonymous';
+
+  const { history, acceptedBy, ...rest } = data;
+
+  return {
+    ...rest,
+    status: 'pending',
+    statusChangedAt: at,
+    statusChangedBy: by,
+    history: [{ action: 'create', from: null, status: 'pending', by, ...(clientId && { clientId }), at }]
+  };
+}
+
+/**
+ * Announce a transition on its dedicated socket event
+ * @param {object} request - Request after the transition
+ * @param {object} transition - Transition returned by planTransition/planUpdate
+ * @param {object} [previous] - Request before it, so a replaced volunteer hears of it too
+ */
+function emitTransition(request, transition, previous = null) {
+  const { event, ...entry } = transition;
+  broadcastRecord(event, request, { payload: { request, transition: entry }, previous });
+}
+
+/**
+ * Apply a transition to a stored request
+ * @param {string} id - Request ID
+ * @param {string} action - Key of TRANSITIONS
+ * @param {object} [options] - See planTransition
+ * @returns {{request: object, transition: object}|null} Null if the request does not exist
+ * @throws {TransitionError|ValidationError}
+ */
+function transitionRequest(id, action, options = {}) {
+  const existing = getItem('requests', id);
+  if (!existing) {
+    return null;
+  }
+
+  const { updates, transition } = planTransition(existing, action, options);
+  const request = updateItem('requests', id, updates, {
+    actor: options.actor,
+    clientId: options.clientId
+  });
+  emitTransition(request, transition, existing);
+
+  return { request, transition };
+}
+
+module.exports = {
+  TRANSITIONS,
+  OPEN_STATES,
+  ACTIVE_STATES,
+  CLOSED_STATES,
+  TransitionError,
+  normalizeStatus,
+  allowedActions,
+  planTransition,
+  transitionChanges,
+  planUpdate,
+  planCreate,
+  emitTransition,
+  transitionRequest
+};
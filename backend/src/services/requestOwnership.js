@@ -0,0 +1,70 @@
+/**
+ * Owner tokens for anonymous requesters
+ *
+ * People asking for help have no account. Each request can have one secret
+ * owner token; presenting it (the `X-Owner-Token` header, or `ownerToken` on
+ * a sync operation) lets the requester edit, cancel or confirm that request
+ * (see services/permissions).
+ *
+ * Clients that create requests offline make up the token themselves and send
+ * only its SHA-256 hash (`ownerTokenHash`), so the token never travels with
+ * the queued create, even when a peer relays it. Creates without a hash get
+ * a token generated here, returned once in the create response.
+ *
+ * Hashes live in the `requestOwners` collection keyed by request ID, which is
+ * never replicated. The first owner of a request is never replaced.
+ */
+
+const crypto = require('crypto');
+const { createItem, getItem } = require('../database/memoryStore');
+
+const COLLECTION = 'requestOwners';
+const TOKEN_BYTES = 32;
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Hash an owner token as clients do (hex SHA-256)
+ * @param {string} token
+ * @returns {string}
+ */
+function hashOwnerToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Record the owner of a new request
+ * @param {string} requestId
+ * @param {string} [tokenHash] - Hash proposed by the client
+ * @returns {string|null} The generated token when no hash was proposed; null
+ *   when the client keeps its own token or the request already has an owner
+ */
+function registerOwner(requestId, tokenHash) {
+  if (getItem(COLLECTION, requestId)) {
+    return null;
+  }
+
+  const token = HASH_PATTERN.test(tokenHash || '') ? null : crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+  createItem(COLLECTION, { id: requestId, tokenHash: token ? hashOwnerToken(token) : tokenHash });
+  return token;
+}
+
+/**
+ * Check an owner token against a request
+ * @param {string} requestId
+ * @param {string} [token]
+ * @returns {boolean}
+ */
+function verifyOwnerToken(requestId, token) {
+  const owner = getItem(COLLECTION, requestId);
+  if (!owner || typeof token !== 'string' || token === '') {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(Buffer.from(hashOwnerToken(token), 'hex'), Buffer.from(owner.tokenHash, 'hex'));
+}
+
+module.exports = {
+  hashOwnerToken,
+  registerOwner,
+  verifyOwnerToken
+};
@@ -0,0 +1,154 @@
+/**
+ * WebRTC signaling over the Socket.IO connection
+ *
+ * Devices sync with each other over WebRTC data channels (frontend
+ * lib/webrtc), but first have to swap offers, answers and ICE candidates.
+ * They do that through the backend's own socket:
+ *
+ *   peer:join        -> ack { success, peerId }; the server assigns the ID
+ *   signal           { to, signal } is relayed to that peer only, arriving
+ *                    as `signal` { from, signal }
+ *   broadcast        { action, ...data } reaches the other peers as
+ *                    `broadcast` { from, action, ...data } (`discover` finds peers)
+ *   peer:left        { peerId } is sent to the other peers when a peer's
+ *                    socket disconnects or it sends peer:leave
+ *
+ * Broadcasts go to peers that share an area room with the sender (see
+ * services/geoRooms), or to every peer when the sender watches no area, so
+ * discovery finds devices nearby first.
+ *
+ * Peers register themselves through /api/peers with their assigned ID;
+ * that registration is deleted when they leave.
+ */
+
+const crypto = require('crypto');
+const { getItem, deleteItem } = require('../database/memoryStore');
+const { getIO, onConnection, getSocketPresence } = require('../socket');
+const { isAreaRoom } = require('./geoRooms');
+
+// peerId -> socketId, and back
+const peerSockets = new Map();
+const socketPeers = new Map();
+
+/**
+ * Get the peer ID assigned to a socket
+ * @param {string} socketId
+ * @returns {string|null}
+ */
+function getPeerId(socketId) {
+  return socketPeers.get(socketId) || null;
+}
+
+/**
+ * Check whether a peer is connected for signaling
+ * @param {string} peerId
+ * @returns {boolean}
+ */
+function isPeerOnline(peerId) {
+  return peerSockets.has(peerId);
+}
+
+/**
+ * Get the connected peer IDs
+ * @returns {string[]}
+ */
+function getOnlinePeers() {
+  return Array.from(peerSockets.keys());
+}
+
+/**
+ * Sockets a broadcast from this socket reaches
+ * @param {object} socket
+ * @returns {object[]} Other signaling sockets
+ */
+function broadcastTargets(socket) {
+  const io = getIO();
+  const areas = Array.from(socket.rooms).filter(isAreaRoom);
+
+  return Array.from(peerSockets.values())
+    .filter(socketId => socketId !== socket.id)
+    .map(socketId => io.sockets.sockets.get(socketId))
+    .filter(target => target && (areas.length === 0 || areas.some(room => target.rooms.has(room))));
+}
+
+/**
+ * Forget a socket's peer ID, its /api/peers registration, and tell the others
+ * @param {object} socket
+ */
+function leave(socket) {
+  const peerId = socketPeers.get(socket.id);
+  if (!peerId) return;
+
+  socketPeers.delete(socket.id);
+  peerSockets.delete(peerId);
+
+  if (getItem('peers', peerId)) {
+    const presence = getSocketPresence(socket.id);
+    deleteItem('peers', peerId, { clientId: presence ? presence.clientId : undefined });
+  }
+
+  const io = getIO();
+  for (const socketId of peerSockets.values()) {
+    io.to(socketId).emit('peer:left', { peerId });
+  }
+  console.log('Peer left:', peerId);
+}
+
+onConnection((socket) => {
+  socket.on('peer:join', (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : (typeof data === 'function' ? data : () => {});
+    let peerId = socketPeers.get(socket.id);
+
+    if (!peerId) {
+      peerId = `peer-${crypto.randomBytes(8).toString('hex')}`;
+      socketPeers.set(socket.id, peerId);
+      peerSockets.set(peerId, socket.id);
+      console.log('Peer joined:', peerId, 'Socket:', socket.id);
+    }
+    reply({ success: true, peerId });
+  });
+
+  socket.on('signal', (message, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    const from = socketPeers.get(socket.id);
+
+    if (!from) {
+      return reply({ success: false, error: 'Send peer:join first' });
+    }
+    if (!message || typeof message !== 'object') {
+      return reply({ success: false, error: 'Signal must be an object' });
+    }
+    const { to, signal } = message;
+    if (!signal || !peerSockets.has(to)) {
+      return reply({ success: false, error: 'Peer not connected' });
+    }
+
+    getIO().to(peerSockets.get(to)).emit('signal', { from, signal });
+    reply({ success: true });
+  });
+
+  socket.on('broadcast', (message, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    const from = socketPeers.get(socket.id);
+
+    if (!from) {
+      return reply({ success: false, error: 'Send peer:join first' });
+    }
+    if (!message || typeof message !== 'object' || typeof message.action !== 'string') {
+      return reply({ success: false, error: 'Broadcast needs an action' });
+    }
+
+    const targets = broadcastTargets(socket);
+    targets.forEach(target => target.emit('broadcast', { ...message, from }));
+    reply({ success: true, reached: targets.length });
+  });
+
+  socket.on('peer:leave', () => leave(socket));
+  socket.on('disconnect', () => leave(socket));
+});
+
+module.exports = {
+  getPeerId,
+  isPeerOnline,
+  getOnlinePeers
+};
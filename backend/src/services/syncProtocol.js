@@ -0,0 +1,276 @@
+/**
+ * Sync wire protocol
+ *
+ * POST /api/sync body:
+ * {
+ *   protocolVersion: 2,
+ *   clientId: string,
+ *   cursor: string|null,       // v2: opaque cursor from the previous response
+ *   limit: number,             // v2: page size for the snapshot
+ *   lastSyncAt: string|null,   // v1: ISO timestamp of the previous sync
+ *   operations: [
+ *     // Canonical form
+ *     { opId, collection, op: 'create'|'update'|'delete', id, data, baseVersion, ifMatch, ownerToken, timestamp },
+ *     // Action form, as queued by the frontend offline queue
+ *     { opId, type, payload, endpoint, baseVersion, ifMatch, ownerToken, timestamp }
+ *   ]
+ * }
+ *
+ * Every operation is normalized to the canonical form before it is applied.
+ * Results in the `applied` array echo `opId` so clients can map them back
+ * to their queue items. `baseVersion` is the record version an update was
+ * made against; see conflictService for how stale updates are settled.
+ * `ifMatch` (an ETag, see etagService) instead makes a stale write fail outright.
+ * `ownerToken` authorises an anonymous requester's change to their request.
+ *
+ * Version 2 replaces wall-clock `lastSyncAt` with change-sequence cursors.
+ * The response carries `cursor` and `hasMore`; clients keep posting with
+ * the returned cursor (and no operations) until `hasMore` is false.
+ */
+
+const { LEGACY_REQUEST_STATUSES } = require('../database/schemas');
+
+const SYNC_PROTOCOL_VERSION = 2;
+const SUPPORTED_PROTOCOL_VERSIONS = [1, 2];
+
+const CURSOR_PREFIX = 'seq:';
+const DEFAULT_PAGE_SIZE = 200;
+const MAX_PAGE_SIZE = 1000;
+
+// Singular entity names used in action types -> collection names
+const ENTITY_COLLECTIONS = {
+  request: 'requests',
+  helprequest: 'requests',
+  volunteer: 'volunteers',
+  shelter: 'shelters',
+  route: 'routes',
+  peer: 'peers'
+};
+
+const VERB_OPS = {
+  create: 'create',
+  add: 'create',
+  update: 'update',
+  patch: 'update',
+  delete: 'delete',
+  remove: 'delete'
+};
+
+// Action types that do not follow the verb/entity naming
+const ACTION_ALIASES = {
+  sos: { collection: 'requests', op: 'create' }
+};
+
+// Local bookkeeping fields the frontend keeps on IndexedDB records
+const CLIENT_ONLY_FIELDS = ['hash', 'pendingSync', 'source'];
+
+/**
+ * Check whether a protocol version can be served
+ * @param {number} [version] - Version sent by the client (defaults to 1)
+ * @returns {boolean}
+ */
+function isSupportedVersion(version) {
+  return SUPPORTED_PROTOCOL_VERSIONS.includes(version === undefined ? 1 : version);
+}
+
+/**
+ * Encode a change sequence as an opaque cursor
+ * @param {number} seq - Change sequence
+ * @param {boolean} [full] - Cursor points into the middle of a full sync
+ * @returns {string} Cursor
+ */
+function encodeCursor(seq, full = false) {
+  return Buffer.from(`${CURSOR_PREFIX}${seq}${full ? ':full' : ''}`).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor from a client
+ * @returns {{seq: number, full: boolean}|null} Null if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  if (typeof cursor !== 'string') {
+    return null;
+  }
+
+  const decoded = Buffer.from(cursor, 'base64url').toString('utf8');
+  if (!decoded.startsWith(CURSOR_PREFIX)) {
+    return null;
+  }
+
+  const [seqPart, flag] = decoded.slice(CURSOR_PREFIX.length).split(':');
+  const seq = Number(seqPart);
+  if (!Number.isInteger(seq) || seq < 0) {
+    return null;
+  }
+
+  return { seq, full: flag === 'full' };
+}
+
+/**
+ * Clamp a client-requested page size
+ * @param {number} [limit]
+ * @returns {number}
+ */
+function resolvePageSize(limit) {
+  const size = Number(limit);
+  if (!Number.isInteger(size) || size <= 0) {
+    return DEFAULT_PAGE_SIZE;
+  }
+  return Math.min(size, MAX_PAGE_SIZE);
+}
+
+/**
+ * Resolve collection and op from an action type
+ * Accepts 'request:create', 'UPDATE_REQUEST', 'addHelpRequest' and aliases.
+ * @param {string} type - Action type
+ * @returns {{collection: string, op: string}|null}
+ */
+function parseActionType(type) {
+  if (!type || typeof type !== 'string') {
+    return null;
+  }
+
+  if (ACTION_ALIASES[type]) {
+    return ACTION_ALIASES[type];
+  }
+
+  let verb;
+  let entity;
+
+  if (type.includes(':')) {
+    // entity:verb
+    [entity, verb] = type.split(':');
+  } else if (type.includes('_')) {
+    // VERB_ENTITY
+    const [first, ...rest] = type.split('_');
+    verb = first;
+    entity = rest.join('');
+  } else {
+    // verbEntity
+    const match = type.match(/^([a-z]+)([A-Z].*)$/);
+    if (!match) return null;
+    [, verb, entity] = match;
+  }
+
+  const op = VERB_OPS[verb.toLowerCase()];
+  const collection = ENTITY_COLLECTIONS[entity.toLowerCase()];
+
+  return op && collection ? { collection, op } : null;
+}
+
+/**
+ * Extract collection and id from a REST endpoint such as /api/requests/abc
+ * @param {string} [endpoint]
+ * @returns {{collection?: string, id?: string}}
+ */
+function parseEndpoint(endpoint) {
+  if (!endpoint || typeof endpoint !== 'string') {
+    return {};
+  }
+
+  const match = endpoint.match(/\/api\/([^/?]+)(?:\/([^/?]+))?/);
+  if (!match) {
+    return {};
+  }
+
+  return {
+    collection: match[1],
+    id: match[2] ? decodeURIComponent(match[2]) : undefined
+  };
+}
+
+/**
+ * Drop client bookkeeping fields and fill in server-side shapes
+ * @param {string} collection
+ * @param {string} op
+ * @param {object} data
+ * @returns {object}
+ */
+function normalizeData(collection, op, data) {
+  const normalized = { ...data };
+  CLIENT_ONLY_FIELDS.forEach(field => delete normalized[field]);
+
+  // Queued actions from before the request lifecycle use older status names
+  if (collection === 'requests' && typeof normalized.status === 'string') {
+    normalized.status = LEGACY_REQUEST_STATUSES[normalized.status.toLowerCase()] || normalized.status;
+  }
+
+  if (collection === 'requests' && op === 'create') {
+    // Frontend records carry flat lat/lng, REST clients send a location object
+    if (!normalized.location && normalized.lat !== undefined && normalized.lng !== undefined) {
+      normalized.location = { lat: normalized.lat, lng: normalized.lng };
+    }
+    normalized.status = normalized.status || 'pending';
+    // SOS buttons queue records without a name; match the Help form's default
+    normalized.name = normalized.name || 'Anonymous';
+  }
+
+  return normalized;
+}
+
+/**
+ * Normalize an operation to the canonical { collection, op, id, data } form
+ * @param {object} operation - Canonical or action-form operation
+ * @returns {object} Canonical operation
+ * @throws {Error} If the operation cannot be translated
+ */
+function normalizeOperation(operation) {
+  if (!operation || typeof operation !== 'object') {
+    throw new Error('Operation must be an object');
+  }
+
+  const { opId, baseVersion, ifMatch, ownerToken, timestamp } = operation;
+
+  // Already canonical
+  if (operation.collection && operation.op) {
+    return {
+      opId,
+      collection: operation.collection,
+      op: operation.op,
+      id: operation.id,
+      data: normalizeData(operation.collection, operation.op, operation.data || {}),
+      baseVersion,
+      ifMatch,
+      ownerToken,
+      timestamp
+    };
+  }
+
+  const parsed = parseActionType(operation.type);
+  const fromEndpoint = parseEndpoint(operation.endpoint);
+
+  if (!parsed) {
+    throw new Error(`Unknown action type: ${operation.type}`);
+  }
+
+  const data = operation.payload || operation.data || {};
+  const id = operation.id || fromEndpoint.id || data.id;
+
+  if (parsed.op !== 'create' && !id) {
+    throw new Error(`Missing id for ${parsed.op} on ${parsed.collection}`);
+  }
+
+  return {
+    opId,
+    collection: parsed.collection,
+    op: parsed.op,
+    id,
+    data: normalizeData(parsed.collection, parsed.op, data),
+    baseVersion,
+    ifMatch,
+    ownerToken,
+    timestamp
+  };
+}
+
+module.exports = {
+  SYNC_PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  isSupportedVersion,
+  encodeCursor,
+  decodeCursor,
+  resolvePageSize,
+  parseActionType,
+  normalizeOperation
+};
@@ -1,64 +1,324 @@
-const { createItem, updateItem, deleteItem, getAll } = require('../database/memoryStore');
+const {
+  createItem,
+  updateItem,
+  deleteItem,
+  getItem,
+  getAll,
+  getTombstonesSince,
+  getChangeSeq,
+  getChangesSince,
+  getPurgedThroughSeq
+} = require('../database/memoryStore');
+const { storage } = require('../config');
+const { encodeCursor } = require('./syncProtocol');
+const { resolveFieldConflicts } = require('./conflictService');
+const { getStoredResult, storeResult } = require('./idempotencyService');
+const { formatETag, matchesETag } = require('./etagService');
+const { validate } = require('./validationService');
+const { planCreate, planUpdate, emitTransition } = require('./requestLifecycle');
+const { principalFor, can, permissionError } = require('./permissions');
+const { registerOwner } = require('./requestOwnership');
+const { broadcastRecord } = require('../socket');
+
+const SYNC_COLLECTIONS = ['requests', 'volunteers', 'shelters', 'routes', 'peers'];
+const { normalizeOperation } = require('./syncProtocol');
+
+// Socket event subjects for synced changes, as the REST routes name them
+const CHANGE_EVENTS = { requests: 'request', volunteers: 'volunteer', shelters: 'shelter' };
+
+/**
+ * Announce a synced change the way the REST routes do (e.g. `volunteer:updated`)
+ * @param {string} collection
+ * @param {string} change - 'created', 'updated' or 'deleted'
+ * @param {object} record - The record after the change (before it, for deletions)
+ * @param {object} [previous] - The record before an update
+ */
+function broadcastChange(collection, change, record, previous = null) {
+  const subject = CHANGE_EVENTS[collection];
+  if (subject) {
+    const payload = change === 'deleted' ? { id: record.id } : record;
+    broadcastRecord(`${subject}:${change}`, record, { payload, previous });
+  }
+}
+
+/**
+ * Build the result for an operation whose ifMatch is stale
+ * Mirrors the REST 412 response so clients can handle both the same way.
+ * @param {object} operation - { opId, op, collection, id, timestamp }
+ * @param {object} current - Current stored item
+ * @returns {object} Operation result
+ */
+function preconditionFailed(operation, current) {
+  return {
+    success: false,
+    ...operation,
+    status: 412,
+    error: 'Precondition failed: record was modified',
+    etag: formatETag(current),
+    current
+  };
+}
+
+/**
+ * Build the result for a create whose ID is already taken
+ * Mirrors the REST 409 response; creates never replace a stored record.
+ * @param {object} operation - { opId, op, collection, id, timestamp }
+ * @param {object} current - Current stored item
+ * @returns {object} Operation result
+ */
+function alreadyExists(operation, current) {
+  return {
+    success: false,
+    ...operation,
+    status: 409,
+    error: 'A record with this ID already exists',
+    etag: formatETag(current),
+    current
+  };
+}
+
+/**
+ * Build the result for an operation whose data fails the collection schema
+ * Mirrors the REST 422 response.
+ * @param {object} operation - { opId, op, collection, id, timestamp }
+ * @param {array} details - Failing fields from validationService
+ * @returns {object} Operation result
+ */
+function validationFailed(operation, details) {
+  return {
+    success: false,
+    ...operation,
+    status: 422,
+    error: 'Validation failed',
+    details
+  };
+}
+
+/**
+ * Build the result for an operation the principal's role does not allow
+ * Mirrors the REST 401/403 responses.
+ * @param {object} operation - { opId, op, collection, id, timestamp }
+ * @param {object} principal - See services/permissions
+ * @returns {object} Operation result
+ */
+function permissionDenied(operation, principal) {
+  const error = permissionError(principal, operation.op, operation.collection);
+  return {
+    success: false,
+    ...operation,
+    status: error.status,
+    error: error.message
+  };
+}
 
 /**
  * Apply client changes from offline queue
+ * Operations may be canonical or action-form (see syncProtocol)
  * @param {object} changes - Client changes object with operations
- * @returns {array} Array of operation results
+ * @param {object} [principal] - Who is syncing (see services/permissions); public when omitted
+ * @param {object} [actor] - `req.actor` of the sync request (see middleware/actor);
+ *   changes are recorded as made by its `actor`, from the syncing device
+ * @returns {array} Array of operation results, each echoing the operation's opId.
+ *   Updates based on a stale version carry a `conflicts` array; replayed
+ *   creates (same clientId + opId) carry `replayed: true`. Updates and deletes
+ *   whose `ifMatch` is stale fail with `status: 412` and the `current` record,
+ *   as do creates with an ID already in use, with `status: 409`;
+ *   data that fails the collection schema fails with `status: 422` and `details`;
+ *   request status changes the lifecycle forbids fail with `status: 409`;
+ *   changes the principal's role may not make fail with `status: 401` or `403`.
+ *   Created requests carry a generated `ownerToken` unless the client sent
+ *   an `ownerTokenHash` (see requestOwnership); an operation's `ownerToken`
+ *   lets the requester change their own request.
  */
-function applyClientChanges(changes) {
+function applyClientChanges(changes, principal = principalFor(null, changes.clientId), actor = {}) {
   const { clientId, lastSyncAt, operations } = changes;
   const results = [];
+  // Recorded in history and the audit log; the device stands in for a missing actor
+  const context = { actor: actor.actor, clientId };
 
   if (!operations || !Array.isArray(operations)) {
     return results;
   }
 
-  for (const operation of operations) {
-    const { collection, op, id, data, timestamp } = operation;
+  for (const rawOperation of operations) {
+    let operation;
+    try {
+      operation = normalizeOperation(rawOperation);
+    } catch (error) {
+      results.push({
+        success: false,
+        opId: rawOperation && rawOperation.opId,
+        op: rawOperation && (rawOperation.op || rawOperation.type),
+        collection: rawOperation && rawOperation.collection,
+        id: rawOperation && rawOperation.id,
+        error: error.message,
+        timestamp: rawOperation && rawOperation.timestamp
+      });
+      continue;
+    }
+
+    const { opId, collection, op, id, data, baseVersion, ifMatch, ownerToken, timestamp } = operation;
+    // A requester's owner token applies to this operation only
+    const opPrincipal = ownerToken ? { ...principal, ownerToken } : principal;
 
     try {
       let result;
 
       switch (op) {
-        case 'create':
-          result = createItem(collection, { ...data, clientId });
-          results.push({
+        case 'create': {
+          // A retried create with the same operation ID returns the original result
+          const idempotencyKey = opId !== undefined && opId !== null ? `${clientId}:${opId}` : null;
+          const stored = idempotencyKey && getStoredResult('sync', idempotencyKey);
+          if (stored) {
+            results.push({ ...stored.body, replayed: true });
+            break;
+          }
+
+          if (!can(opPrincipal, 'create', collection, null, data)) {
+            results.push(permissionDenied({ opId, op, collection, id, timestamp }, opPrincipal));
+            break;
+          }
+
+          const taken = data.id !== undefined && getItem(collection, data.id);
+          if (taken) {
+            results.push(alreadyExists({ opId, op, collection, id: data.id, timestamp }, taken));
+            break;
+          }
+
+          const createErrors = validate(collection, data);
+          if (createErrors.length > 0) {
+            results.push(validationFailed({ opId, op, collection, id, timestamp }, createErrors));
+            break;
+          }
+
+          // Requests always start pending, whatever the client recorded;
+          // the owner token hash is kept apart from the record
+          const { ownerTokenHash, ...fields } = data;
+          const createData = collection === 'requests'
+            ? planCreate({ ...fields, clientId }, context)
+            : { ...data, clientId };
+
+          result = createItem(collection, createData, context);
+          broadcastChange(collection, 'created', result);
+          const issuedToken = collection === 'requests' ? registerOwner(result.id, ownerTokenHash) : null;
+          const created = {
             success: true,
+            opId,
             op,
             collection,
             id: result.id,
             data: result,
             timestamp
-          });
+          };
+          // Replays do not repeat a generated owner token
+          if (idempotencyKey) {
+            storeResult('sync', idempotencyKey, { status: 200, body: created });
+          }
+          results.push(issuedToken ? { ...created, ownerToken: issuedToken } : created);
           break;
+        }
 
-        case 'update':
-          result = updateItem(collection, id, data);
-          if (result) {
-            results.push({
-              success: true,
-              op,
-              collection,
-              id,
-              data: result,
-              timestamp
-            });
-          } else {
+        case 'update': {
+          const existing = getItem(collection, id);
+          if (!existing) {
             results.push({
               success: false,
+              opId,
               op,
               collection,
               id,
               error: 'Item not found',
               timestamp
             });
+            break;
+          }
+
+          if (!can(opPrincipal, 'update', collection, existing, data)) {
+            results.push(permissionDenied({ opId, op, collection, id, timestamp }, opPrincipal));
+            break;
+          }
+
+          const updateErrors = validate(collection, data, { partial: true });
+          if (updateErrors.length > 0) {
+            results.push(validationFailed({ opId, op, collection, id, timestamp }, updateErrors));
+            break;
+          }
+
+          // An explicit precondition is strict: no field-level merging
+          if (!matchesETag(ifMatch, existing)) {
+            results.push(preconditionFailed({ opId, op, collection, id, timestamp }, existing));
+            break;
+          }
+
+          // Fields the server changed since the client's base version may conflict
+          const { accepted, conflicts } = resolveFieldConflicts(existing, data, { baseVersion, timestamp });
+
+          // Request status changes must follow the lifecycle
+          let changes = accepted;
+          let transition = null;
+          if (collection === 'requests') {
+            try {
+              ({ updates: changes, transition } = planUpdate(existing, accepted, context));
+            } catch (error) {
+              results.push({
+                success: false,
+                opId,
+                op,
+                collection,
+                id,
+                status: error.status || 409,
+                error: error.message,
+                details: error.details,
+                current: existing,
+                timestamp
+              });
+              break;
+            }
+          }
+
+          result = Object.keys(changes).length > 0
+            ? updateItem(collection, id, changes, context)
+            : existing;
+
+          if (result !== existing) {
+            broadcastChange(collection, 'updated', result, existing);
+          }
+          if (transition) {
+            emitTransition(result, transition, existing);
           }
+
+          results.push({
+            success: true,
+            opId,
+            op,
+            collection,
+            id,
+            data: result,
+            ...(conflicts.length > 0 && { conflicts }),
+            timestamp
+          });
           break;
+        }
+
+        case 'delete': {
+          const current = getItem(collection, id);
+          if (current && !can(opPrincipal, 'delete', collection, current)) {
+            results.push(permissionDenied({ opId, op, collection, id, timestamp }, opPrincipal));
+            break;
+          }
 
-        case 'delete':
-          const deleted = deleteItem(collection, id);
+          if (current && !matchesETag(ifMatch, current)) {
+            results.push(preconditionFailed({ opId, op, collection, id, timestamp }, current));
+            break;
+          }
+
+          const deleted = deleteItem(collection, id, context);
+          if (deleted) {
+            broadcastChange(collection, 'deleted', current);
+          }
           results.push({
             success: deleted,
+            opId,
             op,
             collection,
             id,
@@ -66,10 +326,12 @@ function applyClientChanges(changes) {
             timestamp
           });
           break;
+        }
 
         default:
           results.push({
             success: false,
+            opId,
             op,
             collection,
             id,
@@ -80,6 +342,7 @@ function applyClientChanges(changes) {
     } catch (error) {
       results.push({
         success: false,
+        opId,
         op,
         collection,
         id,
@@ -94,26 +357,80 @@ function applyClientChanges(changes) {
 
 /**
  * Get snapshot of all items updated after a given timestamp
+ * Deletions since the timestamp are listed under `deleted`. When the
+ * timestamp is missing or older than the tombstone retention window the
+ * snapshot is marked `full`: it holds every live item and clients should
+ * drop server records that are not in it.
  * @param {string} timestamp - ISO timestamp to compare against
  * @returns {object} Snapshot object with all collections
  */
 function getSnapshotSince(timestamp) {
   const sinceDate = timestamp ? new Date(timestamp) : new Date(0);
+  const retentionHorizon = new Date(Date.now() - storage.tombstoneRetentionMs);
+  const full = !timestamp || sinceDate < retentionHorizon;
+  const effectiveSince = full ? new Date(0) : sinceDate;
   
-  const collections = ['requests', 'volunteers', 'shelters', 'routes', 'peers'];
-  const snapshot = {};
+  const snapshot = { full, deleted: {} };
 
-  for (const collectionName of collections) {
+  for (const collectionName of SYNC_COLLECTIONS) {
     snapshot[collectionName] = getAll(collectionName, (item) => {
       const updatedAt = new Date(item.updatedAt || item.createdAt);
-      return updatedAt > sinceDate;
+      return updatedAt > effectiveSince;
     });
+    snapshot.deleted[collectionName] = full ? [] : getTombstonesSince(collectionName, effectiveSince);
   }
 
   return snapshot;
 }
 
+/**
+ * Get one page of changes after a change-sequence cursor
+ * The snapshot is `full` when the client has no cursor, its cursor predates
+ * purged tombstones, or it is ahead of this server (e.g. storage was reset).
+ * A full sync spans every page; clients should only drop missing server
+ * records once `hasMore` is false.
+ * @param {{seq: number, full: boolean}|null} cursor - Decoded cursor, null for a first sync
+ * @param {number} limit - Maximum number of changes in the page
+ * @returns {object} { snapshot, cursor, hasMore }
+ */
+function getSnapshotPage(cursor, limit) {
+  const restart = !cursor ||
+    (!cursor.full && cursor.seq < getPurgedThroughSeq()) ||
+    cursor.seq > getChangeSeq();
+  const full = restart || cursor.full;
+  const fromSeq = restart ? 0 : cursor.seq;
+
+  const { changes, hasMore } = getChangesSince(SYNC_COLLECTIONS, fromSeq, limit);
+  const snapshot = { full, deleted: {} };
+
+  for (const collectionName of SYNC_COLLECTIONS) {
+    snapshot[collectionName] = [];
+    snapshot.deleted[collectionName] = [];
+  }
+
+  for (const change of changes) {
+    if (change.deleted) {
+      // A full snapshot lists live items only
+      if (!full) {
+        snapshot.deleted[change.collection].push(change.deleted);
+      }
+    } else {
+      snapshot[change.collection].push(change.item);
+    }
+  }
+
+  const lastSeq = changes.length > 0 ? changes[changes.length - 1].seq : fromSeq;
+
+  return {
+    snapshot,
+    // Once caught up, the cursor moves to the head so the next sync starts there
+    cursor: hasMore ? encodeCursor(lastSeq, full) : encodeCursor(Math.max(lastSeq, getChangeSeq())),
+    hasMore
+  };
+}
+
 module.exports = {
   applyClientChanges,
-  getSnapshotSince
+  getSnapshotSince,
+  getSnapshotPage
 };
@@ -0,0 +1,206 @@
+/**
+ * Schema validation for collection records
+ *
+ * Checks a record (or a partial update) against the declarative schemas in
+ * database/schemas and reports every failing field at once, so a client can
+ * fix a form in one round trip.
+ */
+
+const { schemas } = require('../database/schemas');
+
+// Digits with optional leading +, spaces, dots, dashes and parentheses
+const FORMATS = {
+  phone: {
+    test: (value) => /^\+?[0-9\s().-]+$/.test(value) && /^(\D*\d){7,15}\D*$/.test(value),
+    message: 'must be a phone number with 7 to 15 digits'
+  }
+};
+
+/**
+ * Error carrying the list of failing fields
+ */
+class ValidationError extends Error {
+  /**
+   * @param {array} details - [{ field, code, message }]
+   */
+  constructor(details) {
+    super(`Validation failed: ${details.map(detail => `${detail.field} ${detail.message}`).join('; ')}`);
+    this.name = 'ValidationError';
+    this.status = 422;
+    this.details = details;
+  }
+}
+
+/**
+ * Check a value against a single type name
+ * @param {string} type
+ * @param {*} value
+ * @returns {boolean}
+ */
+function matchesType(type, value) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'timestamp':
+      return (typeof value === 'number' && Number.isFinite(value)) ||
+        (typeof value === 'string' && !Number.isNaN(Date.parse(value)));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Validate one value against its rule, collecting errors
+ * @param {string} path - Dotted field path for error messages
+ * @param {*} value
+ * @param {object} rule
+ * @param {array} errors - Collected errors (mutated)
+ */
+function checkValue(path, value, rule, errors) {
+  const fail = (code, message) => errors.push({ field: path, code, message });
+
+  if (value === null) {
+    if (!rule.nullable) {
+      fail('type', 'must not be null');
+    }
+    return;
+  }
+
+  const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+  const type = types.find(candidate => matchesType(candidate, value));
+  if (!type) {
+    fail('type', `must be ${types.join(' or ')}`);
+    return;
+  }
+
+  if (rule.enum && !rule.enum.some(allowed =>
+    typeof value === 'string' ? allowed === value.toLowerCase() : allowed === value)) {
+    fail('enum', `must be one of: ${rule.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (rule.min !== undefined && value < rule.min) {
+      fail('min', `must be at least ${rule.min}`);
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      fail('max', `must be at most ${rule.max}`);
+    }
+  }
+
+  if (typeof value === 'string' || Array.isArray(value)) {
+    const unit = typeof value === 'string' ? 'characters' : 'items';
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      fail('minLength', `must have at least ${rule.minLength} ${unit}`);
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      fail('maxLength', `must have at most ${rule.maxLength} ${unit}`);
+    }
+  }
+
+  if (rule.format && typeof value === 'string' && !(rule.allowEmpty && value === '')) {
+    const format = FORMATS[rule.format];
+    if (format && !format.test(value)) {
+      fail('format', format.message);
+    }
+  }
+
+  if (type === 'object' && rule.properties) {
+    checkFields(path, value, rule.properties, { partial: false }, errors);
+  }
+
+  if (type === 'array' && rule.items) {
+    value.forEach((element, index) => checkValue(`${path}[${index}]`, element, rule.items, errors));
+  }
+}
+
+/**
+ * Validate the known fields of an object
+ * @param {string} prefix - Path of the containing object ('' at the top level)
+ * @param {object} data
+ * @param {object} fields - field -> rule
+ * @param {object} options
+ * @param {boolean} options.partial - Skip required checks for absent fields
+ * @param {array} errors - Collected errors (mutated)
+ */
+function checkFields(prefix, data, fields, { partial }, errors) {
+  for (const [field, rule] of Object.entries(fields)) {
+    const path = prefix ? `${prefix}.${field}` : field;
+    const value = data[field];
+
+    if (value === undefined) {
+      if (rule.required && !partial) {
+        errors.push({ field: path, code: 'required', message: 'is required' });
+      }
+      continue;
+    }
+
+    if (rule.required && (value === null || value === '')) {
+      errors.push({ field: path, code: 'required', message: 'must not be empty' });
+      continue;
+    }
+
+    checkValue(path, value, rule, errors);
+  }
+}
+
+/**
+ * Validate a record for a collection
+ * @param {string} collectionName - Collection the record belongs to
+ * @param {object} data - Full record (create) or changed fields (update)
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - Validate an update rather than a whole record
+ * @returns {array} Errors as [{ field, code, message }]; empty when valid
+ */
+function validate(collectionName, data, { partial = false } = {}) {
+  const schema = schemas[collectionName];
+  if (!schema) {
+    return [];
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return [{ field: '', code: 'type', message: 'body must be an object' }];
+  }
+
+  const errors = [];
+  const readOnly = partial ? [...schema.readOnly, 'id'] : schema.readOnly;
+
+  for (const field of readOnly) {
+    if (data[field] !== undefined) {
+      errors.push({ field, code: 'readOnly', message: 'is managed by the server' });
+    }
+  }
+
+  checkFields('', data, schema.fields, { partial }, errors);
+
+  return errors;
+}
+
+/**
+ * Validate a record and throw if it fails
+ * @param {string} collectionName
+ * @param {object} data
+ * @param {object} [options] - See validate()
+ * @throws {ValidationError}
+ */
+function assertValid(collectionName, data, options) {
+  const errors = validate(collectionName, data, options);
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+}
+
+module.exports = {
+  ValidationError,
+  validate,
+  assertValid
+};
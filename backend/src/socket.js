@@ -1,8 +1,189 @@
+const crypto = require('crypto');
 const { Server } = require('socket.io');
+const { authenticateToken } = require('./services/authService');
+const { principalFor } = require('./services/permissions');
+const eventLog = require('./services/eventLog');
+const { roomsForRecord, roomsForArea, sectorRoom, isAreaRoom } = require('./services/geoRooms');
+const { events: eventConfig } = require('./config');
 
 let io;
-// Presence map: socketId -> { clientId, connectedAt }
+// Presence map: socketId -> { clientId, deliveryKey, volunteerId, role, principal, connectedAt }
 const presenceMap = new Map();
+// Subsystems that attach their own handlers to every socket (see onConnection)
+const connectionHandlers = [];
+
+const COORDINATORS_ROOM = 'coordinators';
+// Delivery keys are handed out by identify (see ackKey)
+const DELIVERY_KEY_PATTERN = /^[A-Za-z0-9_-]{22,64}$/;
+
+/**
+ * Room a volunteer's sockets join once identified
+ * @param {string} volunteerId
+ * @returns {string} Room name
+ */
+function volunteerRoom(volunteerId) {
+  return `volunteer:${volunteerId}`;
+}
+
+/**
+ * Get the principal a socket identified as (see services/permissions)
+ * @param {string} socketId
+ * @returns {object} Public principal until the socket identifies with a token
+ */
+function getSocketPrincipal(socketId) {
+  const presence = presenceMap.get(socketId);
+  return presence ? presence.principal : principalFor(null);
+}
+
+/**
+ * Check whether a socket may join a room
+ * The coordinators room and volunteer rooms carry targeted events, so only
+ * coordinators and the volunteer themselves may join them.
+ * @param {object} principal
+ * @param {string} room
+ * @returns {boolean}
+ */
+function mayJoinRoom(principal, room) {
+  if (principal.role === 'coordinator') {
+    return true;
+  }
+  if (room === COORDINATORS_ROOM) {
+    return false;
+  }
+  if (room.startsWith('volunteer:')) {
+    return Boolean(principal.volunteerId) && room === volunteerRoom(principal.volunteerId);
+  }
+  return true;
+}
+
+/**
+ * Replace the area rooms a socket is in (see services/geoRooms)
+ * @param {object} socket
+ * @param {object} subscription
+ * @param {object[]} [subscription.areas] - Locations and bounding boxes to watch
+ * @param {string[]} [subscription.sectors] - Operational sectors to watch by name
+ * @returns {string[]} Area rooms joined
+ * @throws {AreaError} When an area or sector is invalid; rooms are left unchanged
+ */
+function watchAreas(socket, { areas = [], sectors = [] } = {}) {
+  if (!Array.isArray(areas) || !Array.isArray(sectors)) {
+    throw new TypeError('areas and sectors must be arrays');
+  }
+  const rooms = new Set([...areas.flatMap(roomsForArea), ...sectors.map(sectorRoom)]);
+
+  for (const room of socket.rooms) {
+    if (isAreaRoom(room) && !rooms.has(room)) {
+      socket.leave(room);
+    }
+  }
+  socket.join([...rooms]);
+  return [...rooms];
+}
+
+/**
+ * Key that a socket's unacknowledged events are kept under
+ * The random delivery key identify hands out, which the client sends back
+ * when it reconnects. Client IDs are announced to everyone in
+ * `client:connected`, so they cannot serve as the key. Sockets that never
+ * identified fall back to their own ID.
+ * @param {object} socket
+ * @returns {string}
+ */
+function ackKey(socket) {
+  const presence = presenceMap.get(socket.id);
+  return (presence && presence.deliveryKey) || socket.id;
+}
+
+/**
+ * Check whether a logged event may go to a socket
+ * @param {object} socket
+ * @param {object} entry - See eventLog.record
+ * @returns {boolean} True for events to everyone or to a room the socket is in
+ */
+function reaches(socket, entry) {
+  return !entry.rooms || entry.rooms.some(room => socket.rooms.has(room));
+}
+
+/**
+ * Send a logged event to one socket
+ * Critical events are also held until the socket's client acknowledges them.
+ * @param {object} socket
+ * @param {object} entry - See eventLog.record
+ */
+function sendEntry(socket, entry) {
+  if (entry.critical) {
+    eventLog.expectAck(ackKey(socket), entry);
+    eventLog.markSent(ackKey(socket), entry.id);
+  }
+  socket.emit(entry.event, entry.payload, eventLog.eventMeta(entry));
+}
+
+/**
+ * Send a logged event to its room, or to everyone
+ * @param {object} entry - See eventLog.record
+ */
+function deliver(entry) {
+  if (!entry.critical) {
+    (entry.rooms ? io.to(entry.rooms) : io).emit(entry.event, entry.payload, eventLog.eventMeta(entry));
+    return;
+  }
+
+  const socketIds = entry.rooms
+    ? new Set(entry.rooms.flatMap(room => Array.from(io.sockets.adapter.rooms.get(room) || [])))
+    : io.sockets.sockets.keys();
+  for (const socketId of socketIds) {
+    const socket = io.sockets.sockets.get(socketId);
+    if (socket) {
+      sendEntry(socket, entry);
+    }
+  }
+}
+
+/**
+ * Re-send critical events that have not been acknowledged in time
+ * Clients with no socket connected get theirs when they identify again.
+ */
+function resendUnacknowledged() {
+  eventLog.expirePending();
+  for (const clientKey of eventLog.pendingClients()) {
+    const entries = eventLog.pendingFor(clientKey, { dueOnly: true });
+    if (entries.length === 0) {
+      continue;
+    }
+    const sockets = Array.from(io.sockets.sockets.values()).filter(socket => ackKey(socket) === clientKey);
+    entries.forEach(entry => sockets
+      .filter(socket => reaches(socket, entry))
+      .forEach(socket => sendEntry(socket, entry)));
+  }
+}
+
+/**
+ * Send a socket what it missed since `lastEventId`
+ * Unacknowledged critical events go first. When the log cannot cover the
+ * whole gap only critical events are sent; the client catches up on the
+ * rest through /api/sync. Room events go only to sockets now in the room.
+ * @param {object} socket
+ * @param {string} [lastEventId]
+ * @returns {{replayed: number, gap: boolean}}
+ */
+function replayMissed(socket, lastEventId) {
+  const entries = new Map(eventLog.pendingFor(ackKey(socket)).map(entry => [entry.id, entry]));
+  let gap = false;
+
+  if (lastEventId) {
+    const missed = eventLog.eventsSince(lastEventId);
+    gap = !missed.complete;
+    missed.entries
+      .filter(entry => missed.complete || entry.critical)
+      .forEach(entry => entries.set(entry.id, entry));
+  }
+
+  const ordered = Array.from(entries.values())
+    .filter(entry => reaches(socket, entry))
+    .sort((a, b) => a.seq - b.seq);
+  ordered.forEach(entry => sendEntry(socket, entry));
+  return { replayed: ordered.length, gap };
+}
 
 function initSocketServer(httpServer) {
   io = new Server(httpServer, {
@@ -16,12 +197,73 @@ function initSocketServer(httpServer) {
     console.log('Client connected:', socket.id);
 
     // Handle client identification
-    socket.on('identify', ({ clientId }) => {
-      console.log('Client identified:', clientId, 'Socket:', socket.id);
+    // The access token (see routes/auth) says who is connected: signed-in
+    // volunteers join their own room for targeted events such as offers,
+    // coordinators join a shared room for escalations. Without a token the
+    // socket stays public.
+    // Reconnecting clients pass the last event ID they saw and are sent the
+    // events they missed (see replayMissed), and the `areas` and `sectors`
+    // they watch (see joinRoom) so those rooms are joined before the replay.
+    // The reply's `deliveryKey` is passed back too, so critical events still
+    // waiting for an ack find the client again (see ackKey).
+    socket.on('identify', (identity, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      if (!identity || typeof identity !== 'object') {
+        reply({ success: false, error: 'Identify needs an object' });
+        return;
+      }
+      const { clientId, token, lastEventId, areas, sectors } = identity;
+      const deliveryKey = DELIVERY_KEY_PATTERN.test(identity.deliveryKey || '')
+        ? identity.deliveryKey
+        : crypto.randomBytes(16).toString('base64url');
+      let auth = null;
+      if (token) {
+        try {
+          auth = authenticateToken(token);
+        } catch (error) {
+          reply({ success: false, error: error.message });
+        }
+      }
+
+      const principal = principalFor(auth, clientId);
+      console.log('Client identified:', clientId, 'as', principal.role, 'Socket:', socket.id);
+      // Critical events sent before the socket identified now wait on its delivery key
+      const unidentified = presenceMap.has(socket.id) ? [] : eventLog.pendingFor(socket.id);
+      eventLog.forgetClient(socket.id);
       presenceMap.set(socket.id, {
         clientId,
+        deliveryKey,
+        volunteerId: principal.volunteerId,
+        role: principal.role,
+        principal,
         connectedAt: new Date().toISOString()
       });
+
+      // Identifying again (after signing in or out) drops rooms of the old role
+      for (const room of socket.rooms) {
+        if (room !== socket.id && !mayJoinRoom(principal, room)) {
+          socket.leave(room);
+        }
+      }
+      if (principal.volunteerId) {
+        socket.join(volunteerRoom(principal.volunteerId));
+      }
+      if (principal.role === 'coordinator') {
+        socket.join(COORDINATORS_ROOM);
+      }
+      if (areas || sectors) {
+        try {
+          watchAreas(socket, { areas, sectors });
+        } catch (error) {
+          console.warn('Socket', socket.id, 'could not watch areas:', error.message);
+        }
+      }
+      unidentified.forEach(entry => eventLog.expectAck(ackKey(socket), entry));
+
+      const { replayed, gap } = replayMissed(socket, lastEventId);
+      if (!token || auth) {
+        reply({ success: true, role: principal.role, deliveryKey, lastEventId: eventLog.latestEventId(), replayed, gap });
+      }
       
       // Broadcast client connection
       io.emit('client:connected', {
@@ -32,7 +274,23 @@ function initSocketServer(httpServer) {
     });
 
     // Handle room joining
-    socket.on('joinRoom', (roomName) => {
+    // Besides a room name, clients may send `{ areas, sectors }`: the
+    // locations and viewports they show and the sectors they work in. These
+    // replace the area rooms the socket was in, and the ack lists the new ones.
+    socket.on('joinRoom', (roomName, ack) => {
+      if (roomName && typeof roomName === 'object') {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        try {
+          reply({ success: true, rooms: watchAreas(socket, roomName) });
+        } catch (error) {
+          reply({ success: false, error: error.message });
+        }
+        return;
+      }
+      if (typeof roomName !== 'string' || !mayJoinRoom(getSocketPrincipal(socket.id), roomName)) {
+        console.warn('Socket', socket.id, 'may not join room:', roomName);
+        return;
+      }
       console.log('Socket', socket.id, 'joining room:', roomName);
       socket.join(roomName);
       
@@ -44,25 +302,30 @@ function initSocketServer(httpServer) {
     });
 
     // Legacy join handler for backward compatibility
-    socket.on('join', (data) => {
+    socket.on('join', (data = {}) => {
+      const room = typeof data.room === 'string' ? data.room : 'default';
+      if (!mayJoinRoom(getSocketPrincipal(socket.id), room)) {
+        console.warn('Socket', socket.id, 'may not join room:', room);
+        return;
+      }
       console.log('Socket joined:', data);
-      socket.join(data.room || 'default');
+      socket.join(room);
     });
 
-    // Legacy event handlers
-    socket.on('request:created', (data) => {
-      console.log('Request created:', data);
-      io.emit('request:created', data);
+    // Acknowledge a critical event (sent with `critical: true` in its metadata)
+    socket.on('event:ack', (data) => {
+      if (data && typeof data.eventId === 'string') {
+        eventLog.acknowledge(ackKey(socket), data.eventId);
+      }
     });
 
-    socket.on('volunteer:created', (data) => {
-      console.log('Volunteer created:', data);
-      io.emit('volunteer:created', data);
-    });
+    connectionHandlers.forEach(handler => handler(socket));
 
     // Handle disconnection
     socket.on('disconnect', () => {
       console.log('Client disconnected:', socket.id);
+      // Identified clients keep theirs for when they reconnect
+      eventLog.forgetClient(socket.id);
       
       const presence = presenceMap.get(socket.id);
       if (presence) {
@@ -83,6 +346,8 @@ function initSocketServer(httpServer) {
     });
   });
 
+  setInterval(resendUnacknowledged, eventConfig.ackTimeoutMs).unref();
+
   return io;
 }
 
@@ -95,15 +360,86 @@ function getIO() {
 
 /**
  * Broadcast an event to all connected clients
+ * The event is logged for replay and sent with `{ eventId, at, critical? }`
+ * as a second argument (see services/eventLog).
+ * @param {string} eventName - Name of the event
+ * @param {object} payload - Data to send
+ * @param {object} [options]
+ * @param {boolean} [options.critical] - Require acks; defaults to eventLog.isCritical
+ */
+function broadcastEvent(eventName, payload, { critical } = {}) {
+  if (!io) {
+    console.warn('Socket.io not initialized, cannot broadcast event:', eventName);
+    return;
+  }
+  deliver(eventLog.record(eventName, payload, { critical }));
+}
+
+/**
+ * Send an event to one room only
+ * Logged and sent like broadcastEvent; replayed only to sockets in the room.
+ * @param {string} room - Room name
  * @param {string} eventName - Name of the event
  * @param {object} payload - Data to send
+ * @param {object} [options]
+ * @param {boolean} [options.critical] - Require acks; defaults to eventLog.isCritical
+ */
+function emitToRoom(room, eventName, payload, { critical } = {}) {
+  if (!io) {
+    console.warn('Socket.io not initialized, cannot emit event:', eventName);
+    return;
+  }
+  deliver(eventLog.record(eventName, payload, { rooms: [room], critical }));
+}
+
+/**
+ * Send an event about a record to the clients watching its area
+ * Goes to the area rooms covering the record (and, for a moved record, its
+ * previous position), the volunteer assigned to it and coordinators. A
+ * record without a location cannot be placed, so it goes to everyone.
+ * Logged and sent like broadcastEvent.
+ * @param {string} eventName - e.g. 'request:updated'
+ * @param {object} record - Record the event is about
+ * @param {object} [options]
+ * @param {object} [options.payload=record] - Data to send, e.g. { id } for deletions
+ * @param {object} [options.previous] - The record before the change
+ * @param {boolean} [options.critical] - Require acks; defaults to eventLog.isCritical
  */
-function broadcastEvent(eventName, payload) {
+function broadcastRecord(eventName, record, { payload = record, previous = null, critical } = {}) {
   if (!io) {
     console.warn('Socket.io not initialized, cannot broadcast event:', eventName);
     return;
   }
-  io.emit(eventName, payload);
+
+  const areaRooms = [...roomsForRecord(record), ...roomsForRecord(previous)];
+  if (areaRooms.length === 0) {
+    deliver(eventLog.record(eventName, payload, { critical }));
+    return;
+  }
+
+  const rooms = new Set([...areaRooms, COORDINATORS_ROOM]);
+  [record, previous]
+    .filter(item => item && item.acceptedBy)
+    .forEach(item => rooms.add(volunteerRoom(item.acceptedBy)));
+  deliver(eventLog.record(eventName, payload, { rooms: [...rooms], critical }));
+}
+
+/**
+ * Attach handlers to every socket that connects
+ * Lets subsystems add events without socket.js requiring them.
+ * @param {function} handler - Called with each new socket
+ */
+function onConnection(handler) {
+  connectionHandlers.push(handler);
+}
+
+/**
+ * Get the presence entry of a socket
+ * @param {string} socketId
+ * @returns {object|null} { clientId, deliveryKey, volunteerId, role, principal, connectedAt }
+ */
+function getSocketPresence(socketId) {
+  return presenceMap.get(socketId) || null;
 }
 
 /**
@@ -111,7 +447,7 @@ function broadcastEvent(eventName, payload) {
  * @returns {Array} Array of connected clients
  */
 function getPresence() {
-  return Array.from(presenceMap.entries()).map(([socketId, data]) => ({
+  return Array.from(presenceMap.entries()).map(([socketId, { principal, deliveryKey, ...data }]) => ({
     socketId,
     ...data
   }));
@@ -121,5 +457,12 @@ module.exports = {
   initSocketServer, 
   getIO, 
   broadcastEvent,
+  broadcastRecord,
+  emitToRoom,
+  onConnection,
+  volunteerRoom,
+  COORDINATORS_ROOM,
+  getSocketPresence,
+  getSocketPrincipal,
   getPresence
 };
@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveFieldConflicts } = require('../src/services/conflictService');
+
+// Version 3 of a record whose status the server changed in version 3
+const existing = {
+  id: 'r1',
+  version: 3,
+  status: 'assigned',
+  details: 'original',
+  fieldVersions: {
+    status: { version: 3, updatedAt: '2026-01-01T12:00:00.000Z' },
+    details: { version: 1, updatedAt: '2026-01-01T10:00:00.000Z' }
+  }
+};
+
+test('updates without a base version are applied as sent', () => {
+  const { accepted, conflicts } = resolveFieldConflicts(existing, { status: 'cancelled' });
+  assert.deepEqual(accepted, { status: 'cancelled' });
+  assert.deepEqual(conflicts, []);
+});
+
+test('updates based on the current version are applied as sent', () => {
+  const { accepted, conflicts } = resolveFieldConflicts(existing, { status: 'cancelled' }, { baseVersion: 3 });
+  assert.deepEqual(accepted, { status: 'cancelled' });
+  assert.deepEqual(conflicts, []);
+});
+
+test('fields the server left alone since the base version are accepted', () => {
+  const { accepted, conflicts } = resolveFieldConflicts(existing, { details: 'more detail' }, {
+    baseVersion: 2,
+    timestamp: '2026-01-01T11:00:00.000Z'
+  });
+  assert.deepEqual(accepted, { details: 'more detail' });
+  assert.deepEqual(conflicts, []);
+});
+
+test('the same value on both sides is not a conflict', () => {
+  const { accepted, conflicts } = resolveFieldConflicts(existing, { status: 'assigned' }, { baseVersion: 2 });
+  assert.deepEqual(accepted, { status: 'assigned' });
+  assert.deepEqual(conflicts, []);
+});
+
+test('an older client edit loses to the server', () => {
+  const { accepted, conflicts } = resolveFieldConflicts(existing, { status: 'cancelled', details: 'note' }, {
+    baseVersion: 2,
+    timestamp: '2026-01-01T11:00:00.000Z'
+  });
+  assert.deepEqual(accepted, { details: 'note' });
+  assert.equal(conflicts.length, 1);
+  assert.deepEqual(conflicts[0], {
+    field: 'status',
+    clientValue: 'cancelled',
+    serverValue: 'assigned',
+    winner: 'server',
+    baseVersion: 2,
+    serverVersion: 3,
+    clientUpdatedAt: '2026-01-01T11:00:00.000Z',
+    serverUpdatedAt: '2026-01-01T12:00:00.000Z'
+  });
+});
+
+test('a newer client edit wins and is still reported', () => {
+  const { accepted, conflicts } = resolveFieldConflicts(existing, { status: 'cancelled' }, {
+    baseVersion: 2,
+    timestamp: Date.parse('2026-01-01T13:00:00.000Z')
+  });
+  assert.deepEqual(accepted, { status: 'cancelled' });
+  assert.equal(conflicts[0].winner, 'client');
+});
+
+test('an edit without a usable time loses', () => {
+  const { accepted, conflicts } = resolveFieldConflicts(existing, { status: 'cancelled' }, {
+    baseVersion: 2,
+    timestamp: 'not a date'
+  });
+  assert.deepEqual(accepted, {});
+  assert.equal(conflicts[0].winner, 'server');
+  assert.equal(conflicts[0].clientUpdatedAt, null);
+});
@@ -0,0 +1,113 @@
+process.env.STORAGE_DRIVER = 'memory';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { principalFor, can, assertCan, PermissionError } = require('../src/services/permissions');
+const { registerOwner } = require('../src/services/requestOwnership');
+const { transitionChanges } = require('../src/services/requestLifecycle');
+
+const anonymous = principalFor(null, 'device-1');
+const volunteer = principalFor({ role: 'volunteer', accountId: 'a1', volunteerId: 'v1' }, 'device-2');
+const manager = principalFor({ role: 'shelter_manager', accountId: 'a2', volunteerId: 'v2', shelterIds: ['s1'] }, 'device-3');
+const coordinator = principalFor({ role: 'coordinator', accountId: 'a3', volunteerId: 'v3' }, 'device-4');
+
+const pending = { id: 'r-pending', status: 'pending', acceptedBy: null };
+const theirs = { id: 'r-theirs', status: 'assigned', acceptedBy: 'v1' };
+const someoneElses = { id: 'r-other', status: 'assigned', acceptedBy: 'v9' };
+const ownerToken = registerOwner(pending.id);
+
+test('unknown roles are treated as public', () => {
+  assert.equal(principalFor({ role: 'admin', accountId: 'x' }).role, 'public');
+});
+
+test('the permission matrix', () => {
+  // [principal, action, collection, record, changes, allowed]
+  const cases = [
+    // Anyone reads the map and asks for help
+    [anonymous, 'read', 'requests', pending, {}, true],
+    [anonymous, 'create', 'requests', null, { name: 'A' }, true],
+    [anonymous, 'create', 'routes', null, {}, true],
+    [anonymous, 'read', 'shelters', { id: 's1' }, {}, true],
+    [anonymous, 'update', 'requests', pending, { details: 'x' }, false],
+    [anonymous, 'create', 'volunteers', null, { id: 'v1' }, false],
+    [anonymous, 'update', 'shelters', { id: 's1' }, { current: 3 }, false],
+    [anonymous, 'delete', 'requests', pending, {}, false],
+    [anonymous, 'read', 'activity', null, {}, false],
+
+    // Peers are updated only from the device that registered them
+    [anonymous, 'create', 'peers', null, { peerId: 'p1' }, true],
+    [anonymous, 'update', 'peers', { id: 'p1', clientId: 'device-1' }, {}, true],
+    [anonymous, 'update', 'peers', { id: 'p1', clientId: 'device-9' }, {}, false],
+
+    // Volunteers take on unassigned requests by assigning them, and only that
+    [volunteer, 'update', 'requests', pending, transitionChanges('assign', { volunteerId: 'v1' }), true],
+    [volunteer, 'update', 'requests', pending, { status: 'accepted', acceptedBy: 'v1' }, true],
+    [volunteer, 'update', 'requests', pending, { status: 'cancelled', acceptedBy: 'v1' }, false],
+    [volunteer, 'update', 'requests', pending, { status: 'resolved', acceptedBy: 'v1' }, false],
+    [volunteer, 'update', 'requests', pending, { acceptedBy: 'v1' }, false],
+    [volunteer, 'update', 'requests', pending, transitionChanges('assign', { volunteerId: 'v9' }), false],
+
+    // ...work the ones they hold, and release them
+    [volunteer, 'update', 'requests', theirs, transitionChanges('depart'), true],
+    [volunteer, 'update', 'requests', theirs, transitionChanges('resolve'), true],
+    [volunteer, 'update', 'requests', theirs, transitionChanges('unassign'), true],
+    [volunteer, 'update', 'requests', theirs, transitionChanges('reassign', { volunteerId: 'v9' }), false],
+
+    // ...but cannot confirm for the requester
+    [volunteer, 'update', 'requests', theirs, transitionChanges('confirm'), false],
+    [volunteer, 'update', 'requests', theirs, { confirmedAt: '2026-01-01T00:00:00.000Z' }, false],
+
+    // ...nor touch someone else's
+    [volunteer, 'update', 'requests', someoneElses, transitionChanges('resolve'), false],
+    [volunteer, 'update', 'requests', someoneElses, transitionChanges('assign', { volunteerId: 'v1' }), false],
+
+    // Their own volunteer record only
+    [volunteer, 'create', 'volunteers', null, { id: 'v1' }, true],
+    [volunteer, 'create', 'volunteers', null, { id: 'v9' }, false],
+    [volunteer, 'update', 'volunteers', { id: 'v1' }, { availability: 'busy' }, true],
+    [volunteer, 'update', 'volunteers', { id: 'v9' }, { availability: 'busy' }, false],
+    [volunteer, 'update', 'shelters', { id: 's1' }, { current: 3 }, false],
+
+    // Offers are answered by the volunteer they were made to
+    [volunteer, 'respond', 'offers', { id: 'o1' }, { volunteerId: 'v1' }, true],
+    [volunteer, 'respond', 'offers', { id: 'o1' }, { volunteerId: 'v9' }, false],
+
+    // Shelter managers keep their own shelters up to date
+    [manager, 'update', 'shelters', { id: 's1' }, { current: 3 }, true],
+    [manager, 'update', 'shelters', { id: 's2' }, { current: 3 }, false],
+    [manager, 'create', 'shelters', null, { name: 'New' }, false],
+
+    // Coordinators may do everything
+    [coordinator, 'update', 'requests', someoneElses, transitionChanges('confirm'), true],
+    [coordinator, 'delete', 'shelters', { id: 's1' }, {}, true],
+    [coordinator, 'read', 'activity', null, {}, true]
+  ];
+
+  for (const [principal, action, collection, record, changes, allowed] of cases) {
+    assert.equal(
+      can(principal, action, collection, record, changes),
+      allowed,
+      `${principal.role} ${action} ${collection} ${JSON.stringify(changes)}`
+    );
+  }
+});
+
+test('requesters edit, cancel and confirm their own request with its owner token', () => {
+  const requester = principalFor(null, 'device-5', ownerToken);
+  assert.equal(can(requester, 'update', 'requests', pending, { details: 'third floor' }), true);
+  assert.equal(can(requester, 'update', 'requests', pending, transitionChanges('cancel')), true);
+  assert.equal(can(requester, 'update', 'requests', pending, transitionChanges('confirm')), true);
+  assert.equal(can(requester, 'update', 'requests', pending, transitionChanges('assign', { volunteerId: 'v1' })), false);
+  assert.equal(can(requester, 'update', 'requests', pending, { acceptedBy: 'v1' }), false);
+  assert.equal(can(requester, 'update', 'requests', theirs, { details: 'x' }), false);
+  assert.equal(can(principalFor(null, 'device-5', 'wrong'), 'update', 'requests', pending, { details: 'x' }), false);
+});
+
+test('refusals say whether signing in would help', () => {
+  assert.throws(() => assertCan(anonymous, 'update', 'requests', pending, {}), error =>
+    error instanceof PermissionError && error.status === 401);
+  assert.throws(() => assertCan(volunteer, 'update', 'shelters', { id: 's1' }, {}), error =>
+    error instanceof PermissionError && error.status === 403);
+  assert.throws(() => assertCan(principalFor(null, 'device-5', ownerToken), 'delete', 'requests', pending), error =>
+    error instanceof PermissionError && error.status === 403);
+});
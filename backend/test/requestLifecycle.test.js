@@ -0,0 +1,157 @@
+process.env.STORAGE_DRIVER = 'memory';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createItem } = require('../src/database/memoryStore');
+const {
+  TRANSITIONS,
+  TransitionError,
+  normalizeStatus,
+  allowedActions,
+  planTransition,
+  planUpdate,
+  planCreate,
+  transitionChanges
+} = require('../src/services/requestLifecycle');
+const { ValidationError } = require('../src/services/validationService');
+
+const volunteer = createItem('volunteers', { name: 'Val', phone: '+15550123' });
+const other = createItem('volunteers', { name: 'Otto', phone: '+15550125' });
+
+/**
+ * A stored-looking request in a given state
+ * @param {object} [fields]
+ * @returns {object}
+ */
+function request(fields = {}) {
+  return { id: 'requests_1', status: 'pending', history: [], ...fields };
+}
+
+test('new requests start pending whatever the client sent', () => {
+  const planned = planCreate({ name: 'A', status: 'resolved', acceptedBy: 'v', history: [{}] }, { actor: 'dev-1' });
+  assert.equal(planned.status, 'pending');
+  assert.equal(planned.acceptedBy, undefined);
+  assert.equal(planned.statusChangedBy, 'dev-1');
+  assert.deepEqual(planned.history.map(entry => entry.action), ['create']);
+});
+
+test('legacy statuses map onto the lifecycle', () => {
+  assert.equal(normalizeStatus('accepted'), 'assigned');
+  assert.equal(normalizeStatus('In-Progress'), 'en_route');
+  assert.equal(normalizeStatus('completed'), 'resolved');
+  assert.equal(normalizeStatus(undefined), 'pending');
+});
+
+test('each transition is allowed only from its source states', () => {
+  const states = ['pending', 'assigned', 'en_route', 'on_scene', 'resolved', 'cancelled', 'duplicate'];
+  for (const from of states) {
+    for (const [action, definition] of Object.entries(TRANSITIONS)) {
+      const plan = () => planTransition(request({ status: from, acceptedBy: volunteer.id }), action, {
+        volunteerId: action === 'reassign' ? other.id : volunteer.id,
+        duplicateOf: 'requests_2'
+      });
+      if (definition.from.includes(from)) {
+        assert.equal(plan().updates.status, definition.to, `${action} from ${from}`);
+      } else {
+        assert.throws(plan, TransitionError, `${action} from ${from}`);
+      }
+    }
+  }
+});
+
+test('a refused transition lists what is allowed instead', () => {
+  try {
+    planTransition(request({ status: 'resolved' }), 'depart');
+    assert.fail('expected a TransitionError');
+  } catch (error) {
+    assert.equal(error.status, 409);
+    assert.deepEqual(error.details.allowed, allowedActions('resolved'));
+    assert.deepEqual(error.details.allowed, ['confirm']);
+  }
+});
+
+test('assigning stamps the volunteer, time and history', () => {
+  const { updates, transition } = planTransition(request(), 'assign', { actor: 'coord', volunteerId: volunteer.id, note: 'closest' });
+  assert.equal(updates.acceptedBy, volunteer.id);
+  assert.equal(updates.assignedAt, transition.at);
+  assert.equal(updates.statusChangedBy, 'coord');
+  assert.equal(transition.event, 'request:assigned');
+  assert.deepEqual(updates.history.map(entry => entry.action), ['assign']);
+  assert.equal(updates.history[0].note, 'closest');
+});
+
+test('assigning needs an existing volunteer', () => {
+  assert.throws(() => planTransition(request(), 'assign', {}), ValidationError);
+  assert.throws(() => planTransition(request(), 'assign', { volunteerId: 'nobody' }), error =>
+    error instanceof ValidationError && error.details[0].code === 'notFound');
+});
+
+test('accounts count as volunteers before their record is posted', () => {
+  createItem('accounts', { name: 'Acct', phone: '+15550124', volunteerId: 'volunteers_from_account' });
+  const { updates } = planTransition(request(), 'assign', { volunteerId: 'volunteers_from_account' });
+  assert.equal(updates.acceptedBy, 'volunteers_from_account');
+});
+
+test('reassigning replaces the volunteer, but not with the same one', () => {
+  const { updates, transition } = planTransition(request({ status: 'on_scene', acceptedBy: volunteer.id }), 'reassign', {
+    volunteerId: other.id
+  });
+  assert.equal(updates.status, 'assigned');
+  assert.equal(updates.acceptedBy, other.id);
+  assert.equal(transition.event, 'request:reassigned');
+
+  assert.throws(() => planTransition(request({ status: 'assigned', acceptedBy: volunteer.id }), 'reassign', {
+    volunteerId: volunteer.id
+  }), TransitionError);
+});
+
+test('unassigning releases the request', () => {
+  const { updates } = planTransition(request({ status: 'en_route', acceptedBy: volunteer.id }), 'unassign');
+  assert.equal(updates.status, 'pending');
+  assert.equal(updates.acceptedBy, null);
+  assert.equal(updates.assignedAt, null);
+});
+
+test('closing stamps closedAt once', () => {
+  assert.ok(planTransition(request({ status: 'on_scene' }), 'resolve').updates.closedAt);
+  assert.equal(planTransition(request({ status: 'resolved' }), 'confirm').updates.closedAt, undefined);
+});
+
+test('a request can be confirmed only once', () => {
+  const { updates } = planTransition(request(), 'confirm');
+  assert.equal(updates.status, 'resolved');
+  assert.ok(updates.confirmedAt);
+  assert.throws(() => planTransition(request({ status: 'resolved', confirmedAt: updates.confirmedAt }), 'confirm'), TransitionError);
+});
+
+test('duplicates must name another request', () => {
+  assert.throws(() => planTransition(request(), 'duplicate', {}), ValidationError);
+  assert.throws(() => planTransition(request(), 'duplicate', { duplicateOf: 'requests_1' }), ValidationError);
+  assert.equal(planTransition(request(), 'duplicate', { duplicateOf: 'requests_2' }).updates.duplicateOf, 'requests_2');
+});
+
+test('plain updates without a status change pass through', () => {
+  const { updates, transition } = planUpdate(request(), { details: 'more', history: [] });
+  assert.deepEqual(updates, { details: 'more' });
+  assert.equal(transition, null);
+});
+
+test('status updates map onto transitions', () => {
+  assert.equal(planUpdate(request(), { status: 'accepted', acceptedBy: volunteer.id }).transition.action, 'assign');
+  assert.equal(planUpdate(request({ status: 'assigned', acceptedBy: volunteer.id }), { status: 'en_route' }).transition.action, 'depart');
+  assert.equal(planUpdate(request({ status: 'on_scene', acceptedBy: volunteer.id }), { status: 'resolved' }).transition.action, 'resolve');
+  assert.equal(planUpdate(request(), { status: 'resolved' }).transition.action, 'confirm');
+  assert.equal(planUpdate(request({ status: 'assigned', acceptedBy: volunteer.id }), { status: 'pending' }).transition.action, 'unassign');
+  assert.equal(planUpdate(request(), { confirmedAt: '2026-01-01T00:00:00.000Z' }).transition.action, 'confirm');
+});
+
+test('taking over an assigned request through a status update is refused', () => {
+  assert.throws(() => planUpdate(request({ status: 'en_route', acceptedBy: volunteer.id }), { status: 'assigned', acceptedBy: 'other' }), TransitionError);
+  assert.throws(() => planUpdate(request({ status: 'assigned', acceptedBy: volunteer.id }), { acceptedBy: 'other' }), TransitionError);
+});
+
+test('transitions are checked as the fields they change', () => {
+  assert.deepEqual(transitionChanges('assign', { volunteerId: 'v' }), { status: 'assigned', acceptedBy: 'v' });
+  assert.deepEqual(transitionChanges('unassign'), { status: 'pending', acceptedBy: null });
+  assert.deepEqual(Object.keys(transitionChanges('confirm')), ['status', 'confirmedAt']);
+});
@@ -0,0 +1,106 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileAdapter } = require('../src/database/adapters/fileAdapter');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+
+let dataDir;
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'disaster-storage-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Load memoryStore as a fresh server start would, on the test's data dir
+ * @returns {object} memoryStore exports
+ */
+function startStore() {
+  for (const key of Object.keys(require.cache)) {
+    if (key.startsWith(SRC_DIR)) delete require.cache[key];
+  }
+  process.env.STORAGE_DRIVER = 'file';
+  process.env.DATA_DIR = dataDir;
+  return require('../src/database/memoryStore');
+}
+
+test('journal entries are replayed on load', () => {
+  const adapter = createFileAdapter({ dataDir });
+  adapter.append({ op: 'put', collection: 'requests', id: 'a', item: { id: 'a', name: 'first' } });
+  adapter.append({ op: 'put', collection: 'requests', id: 'b', item: { id: 'b', name: 'second' } });
+  adapter.append({ op: 'put', collection: 'requests', id: 'a', item: { id: 'a', name: 'edited' } });
+  adapter.append({ op: 'delete', collection: 'requests', id: 'b' });
+  adapter.close();
+
+  const reopened = createFileAdapter({ dataDir });
+  assert.deepEqual(reopened.load(), { requests: [{ id: 'a', name: 'edited' }] });
+  assert.equal(reopened.journalSize(), 4);
+  reopened.close();
+});
+
+test('compaction folds the journal into the snapshot', () => {
+  const adapter = createFileAdapter({ dataDir });
+  adapter.append({ op: 'put', collection: 'shelters', id: 's', item: { id: 's', capacity: 10 } });
+  adapter.compact({ shelters: [{ id: 's', capacity: 10 }] });
+  assert.equal(adapter.journalSize(), 0);
+  assert.equal(fs.readFileSync(path.join(dataDir, 'journal.log'), 'utf8'), '');
+
+  adapter.append({ op: 'put', collection: 'shelters', id: 't', item: { id: 't', capacity: 5 } });
+  adapter.close();
+
+  const loaded = createFileAdapter({ dataDir }).load();
+  assert.deepEqual(loaded.shelters.map(item => item.id).sort(), ['s', 't']);
+});
+
+test('a torn final journal line is skipped', () => {
+  const adapter = createFileAdapter({ dataDir });
+  adapter.append({ op: 'put', collection: 'requests', id: 'a', item: { id: 'a' } });
+  adapter.close();
+  fs.appendFileSync(path.join(dataDir, 'journal.log'), '{"op":"put","collection":"requ');
+
+  const loaded = createFileAdapter({ dataDir }).load();
+  assert.deepEqual(loaded, { requests: [{ id: 'a' }] });
+});
+
+test('an unreadable snapshot falls back to the journal', () => {
+  fs.writeFileSync(path.join(dataDir, 'snapshot.json'), 'not json');
+  const adapter = createFileAdapter({ dataDir });
+  adapter.append({ op: 'put', collection: 'requests', id: 'a', item: { id: 'a' } });
+  adapter.close();
+
+  assert.deepEqual(createFileAdapter({ dataDir }).load(), { requests: [{ id: 'a' }] });
+});
+
+test('the store recovers items, tombstones and the change sequence after a crash', () => {
+  const store = startStore();
+  const kept = store.createItem('requests', { type: 'medical', name: 'Kept', location: { lat: 1, lng: 2 } });
+  const gone = store.createItem('requests', { type: 'medical', name: 'Gone' });
+  store.updateItem('requests', kept.id, { name: 'Kept and edited' });
+  store.deleteItem('requests', gone.id);
+  const seq = store.getChangeSeq();
+  // No closeStore: the process dies with only the journal on disk
+
+  const restarted = startStore();
+  assert.equal(restarted.getItem('requests', kept.id).name, 'Kept and edited');
+  assert.equal(restarted.getItem('requests', kept.id).version, 2);
+  assert.equal(restarted.getItem('requests', gone.id), null);
+  assert.deepEqual(restarted.getTombstonesSince('requests', new Date(0)).map(tombstone => tombstone.id), [gone.id]);
+  assert.equal(restarted.getChangeSeq(), seq);
+  assert.deepEqual(restarted.findNearby('requests', { near: { lat: 1, lng: 2 }, radius: 100 }).map(item => item.id), [kept.id]);
+  assert.equal(restarted.getAuditTrail('requests', kept.id).length, 2);
+  restarted.closeStore();
+});
+
+test('creating an item never replaces one with the same ID', () => {
+  const store = startStore();
+  store.createItem('peers', { id: 'peer-1', peerId: 'peer-1', clientId: 'a' });
+  assert.throws(() => store.createItem('peers', { id: 'peer-1', peerId: 'peer-1', clientId: 'b' }), /already exists/);
+  assert.equal(store.getItem('peers', 'peer-1').clientId, 'a');
+  store.closeStore();
+});
@@ -6,10 +6,16 @@ import OfflineIndicator from './components/ui/OfflineIndicator';
 import PanicButton from './components/ui/PanicButton';
 import Home from './pages/Home';
 import Help from './pages/Help';
+import MyRequests from './pages/MyRequests';
+import Track from './pages/Track';
+import Coordinator from './pages/Coordinator';
 import Volunteer from './pages/Volunteer';
 import MapPage from './pages/MapPage';
 import OfflineGuide from './pages/OfflineGuide';
+import Conflicts from './pages/Conflicts';
+import Pair from './pages/Pair';
 import { put, initDB } from './lib/db';
+import { startRealtime } from './lib/realtime';
 import './App.css';
 
 function App() {
@@ -25,6 +31,9 @@ function App() {
       console.error('Database initialization failed:', error);
     });
 
+    // Keep local stores current from server events
+    const stopRealtime = startRealtime();
+
     // Register service worker for offline support
     if ('serviceWorker' in navigator) {
       window.addEventListener('load', () => {
@@ -63,6 +72,7 @@ function App() {
     window.addEventListener('map:addHelpRequest', handleAddHelpRequest);
 
     return () => {
+      stopRealtime();
       window.removeEventListener('map:routeFound', handleRouteFound);
       window.removeEventListener('map:addHelpRequest', handleAddHelpRequest);
     };
@@ -78,9 +88,14 @@ function App() {
           <Routes>
             <Route path="/" element={<Home />} />
             <Route path="/help" element={<Help />} />
+            <Route path="/my-requests" element={<MyRequests />} />
+            <Route path="/track/:id" element={<Track />} />
+            <Route path="/coordinator" element={<Coordinator />} />
             <Route path="/volunteer" element={<Volunteer />} />
             <Route path="/map" element={<MapPage />} />
             <Route path="/offline-guide" element={<OfflineGuide />} />
+            <Route path="/conflicts" element={<Conflicts />} />
+            <Route path="/pair" element={<Pair />} />
           </Routes>
         </main>
         <Footer />
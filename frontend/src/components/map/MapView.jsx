@@ -1,5 +1,5 @@
 import { useEffect, useState, useRef, memo } from 'react';
-import { MapContainer, TileLayer, useMapEvents } from 'react-leaflet';
+import { MapContainer, TileLayer, useMap, useMapEvents } from 'react-leaflet';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import './MapView.css';
@@ -12,6 +12,9 @@ import RoutingControl from './RoutingControl';
 // Import utilities
 import { getAll, subscribe, add, update, STORES } from '../../lib/idb';
 import { offlineQueue } from '../../lib/offlineQueue';
+import { etagOf } from '../../lib/syncProtocol';
+import { watchArea } from '../../lib/socket';
+import { loadCollection } from '../../lib/collectionLoader';
 import { seedMapFixtures } from '../../lib/fixtures/mapFixtures';
 import { computeDistanceMeters, formatDistanceMeters, formatDurationSeconds, showToast, findNearestShelter, performRouteCalculation } from '../../lib/mapHelpers';
 
@@ -38,6 +41,39 @@ function MapClickHandler({ onMapClick }) {
   return null;
 }
 
+/**
+ * ViewportWatcher Component
+ * Receives live updates for the area on screen (see lib/socket watchArea)
+ */
+function ViewportWatcher() {
+  const map = useMap();
+
+  useEffect(() => {
+    let unwatch = watchViewport(map);
+    const handleMove = () => { unwatch = watchViewport(map); };
+    map.on('moveend', handleMove);
+
+    return () => {
+      map.off('moveend', handleMove);
+      unwatch();
+    };
+  }, [map]);
+
+  return null;
+}
+
+const watchViewport = (map) => {
+  const bounds = map.getBounds();
+  return watchArea('map', {
+    areas: [{
+      minLat: bounds.getSouth(),
+      minLng: bounds.getWest(),
+      maxLat: bounds.getNorth(),
+      maxLng: bounds.getEast()
+    }]
+  });
+};
+
 // Dummy safe zones for testing (defined outside component to prevent re-creation)
 // In production, load from IndexedDB or API
 const SAFE_ZONES = [
@@ -100,7 +136,7 @@ function MapView({ filters = { showShelters: true, intensity: 50 }, mapKey = 0 }
   }, [mapKey, helpRequests, shelters]);
 
   /**
-   * Load initial data from IndexedDB on mount
+   * Load initial data from IndexedDB on mount, then page in server changes
    */
   useEffect(() => {
     const loadData = async () => {
@@ -152,6 +188,17 @@ function MapView({ filters = { showShelters: true, intensity: 50 }, mapKey = 0 }
       } catch (error) {
         console.error('Error loading initial data:', error);
       }
+
+      // Then page in what changed on the server; subscriptions re-render
+      if (navigator.onLine) {
+        for (const store of [STORES.HELP_REQUESTS, STORES.VOLUNTEERS, STORES.SHELTERS]) {
+          try {
+            await loadCollection(store);
+          } catch (error) {
+            console.warn(`[MapView] Could not load ${store} from server:`, error.message);
+          }
+        }
+      }
     };
 
     loadData();
@@ -813,7 +860,11 @@ function MapView({ filters = { showShelters: true, intensity: 50 }, mapKey = 0 }
               await offlineQueue.add({
                 type: 'UPDATE_REQUEST',
                 endpoint: `/api/requests/${request.id}`,
-                payload: { status: 'assigned', acceptedBy: volunteerId, history: updatedRequest.history }
+                baseVersion: request.version,
+                // Only one volunteer may accept: fail if someone else got there first
+                ...(request.version && { ifMatch: await etagOf(request) }),
+                // The server records the history entry itself
+                payload: { status: 'assigned', acceptedBy: volunteerId }
               });
 
               btn.textContent = 'Accepted!';
@@ -1069,6 +1120,9 @@ function MapView({ filters = { showShelters: true, intensity: 50 }, mapKey = 0 }
         {/* Map Click Handler */}
         <MapClickHandler onMapClick={handleMapClick} />
 
+        {/* Live updates for the area on screen */}
+        <ViewportWatcher />
+
         {/* Shelters Component - only show if enabled */}
         {filters.showShelters && <Shelters key="shelters-layer" />}
 
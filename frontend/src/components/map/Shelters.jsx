@@ -2,6 +2,7 @@ import { useEffect, useState, useRef } from 'react';
 import { useMap } from 'react-leaflet';
 import L from 'leaflet';
 import { getAll, subscribe, add, update, STORES } from '../../lib/idb';
+import { loadCollection } from '../../lib/collectionLoader';
 
 /**
  * Shelters Component
@@ -9,7 +10,7 @@ import { getAll, subscribe, add, update, STORES } from '../../lib/idb';
  * 
  * Features:
  * - Loads shelters from IndexedDB (offline-first)
- * - Attempts to fetch fresh data from API when online
+ * - Pages fresh data from the API into IndexedDB when online
  * - Shows detailed popup with name, capacity, status, last updated
  * - Navigate button triggers map:route event
  * - Visual indication for cached/offline data
@@ -47,19 +48,9 @@ export default function Shelters() {
     }
 
     try {
-      // TODO: Replace with your actual API endpoint
-      // const response = await fetch('/api/shelters');
-      // const data = await response.json();
-      
-      // For now, we'll just use cached data
-      // When you have an API, uncomment above and update IndexedDB:
-      // for (const shelter of data) {
-      //   await update(STORES.SHELTERS, { ...shelter, lastUpdated: Date.now() });
-      // }
-      // setShelters(data);
-      // setDataSource('online');
-      
-      console.log('API fetch would happen here when endpoint is available');
+      // Pages land in IndexedDB; the subscription below re-renders the markers
+      await loadCollection(STORES.SHELTERS);
+      setDataSource('online');
     } catch (error) {
       console.error('Error fetching shelters from API:', error);
       console.log('Falling back to cached data');
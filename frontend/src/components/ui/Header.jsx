@@ -8,8 +8,10 @@ function Header() {
   const navLinks = [
     { path: '/', label: 'Home' },
     { path: '/help', label: 'Help' },
+    { path: '/my-requests', label: 'My Requests' },
     { path: '/volunteer', label: 'Volunteer' },
     { path: '/map', label: 'Map' },
+    { path: '/coordinator', label: 'Coordinator' },
     { path: '/offline-guide', label: 'Offline Guide' },
   ];
 
@@ -1,18 +1,29 @@
 import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { getOpenConflicts } from '../../lib/conflicts';
 
 function OfflineIndicator() {
   const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [conflictCount, setConflictCount] = useState(0);
 
   useEffect(() => {
     const handleOnline = () => setIsOnline(true);
     const handleOffline = () => setIsOnline(false);
+    const refreshConflicts = () => {
+      getOpenConflicts()
+        .then(conflicts => setConflictCount(conflicts.length))
+        .catch(error => console.error('Error counting conflicts:', error));
+    };
 
     window.addEventListener('online', handleOnline);
     window.addEventListener('offline', handleOffline);
+    window.addEventListener('conflicts:updated', refreshConflicts);
+    refreshConflicts();
 
     return () => {
       window.removeEventListener('online', handleOnline);
       window.removeEventListener('offline', handleOffline);
+      window.removeEventListener('conflicts:updated', refreshConflicts);
     };
   }, []);
 
@@ -40,6 +51,14 @@ function OfflineIndicator() {
           <span>{isOnline ? 'Online' : 'Offline'}</span>
         </div>
       </div>
+      {conflictCount > 0 && (
+        <Link
+          to="/conflicts"
+          className="mt-2 block px-4 py-2 rounded-full shadow-lg text-sm font-medium bg-yellow-500 text-white text-center hover:bg-yellow-600 focus:outline-none focus:ring-2 focus:ring-yellow-400"
+        >
+          {conflictCount} sync {conflictCount === 1 ? 'conflict' : 'conflicts'} to review
+        </Link>
+      )}
       {/* Screen reader announcement */}
       <span className="sr-only">
         Connection status: {isOnline ? 'Online' : 'Offline'}
@@ -0,0 +1,85 @@
+/**
+ * Collection Loader Module
+ *
+ * Pages through a server collection (`GET /api/<collection>?limit=&cursor=`)
+ * and writes each page into IndexedDB as it arrives, so the map fills in
+ * progressively on slow connections instead of waiting for one large
+ * response.
+ *
+ * Pages are requested oldest change first. After each stored page the
+ * loader remembers the newest `updatedAt` it has seen, and later loads only
+ * ask for records changed since then (`updatedSince`). An interrupted load
+ * therefore resumes where it stopped.
+ *
+ * Deletions are not listed here; they arrive through /api/sync tombstones.
+ *
+ * @module collectionLoader
+ */
+
+import { putBatch } from './db.js';
+import { authHeaders } from './session.js';
+
+export const PAGE_SIZE = 100;
+
+const LOADED_THROUGH_PREFIX = 'loadedThrough:';
+
+/**
+ * Get the newest change already loaded for a collection
+ * @param {string} collection - Collection name
+ * @returns {string|null} ISO timestamp
+ */
+export function getLoadedThrough(collection) {
+  return localStorage.getItem(LOADED_THROUGH_PREFIX + collection);
+}
+
+/**
+ * Load a collection page by page into its IndexedDB store
+ * @param {string} collection - Collection (and store) name, e.g. 'shelters'
+ * @param {Object} [options]
+ * @param {number} [options.pageSize=100] - Records per page
+ * @param {boolean} [options.full=false] - Ignore what was loaded before
+ * @param {Function} [options.onPage] - Called with each stored page of records
+ * @param {AbortSignal} [options.signal] - Stops the load between pages
+ * @returns {Promise<{count: number, pages: number}>} Records and pages loaded
+ */
+export async function loadCollection(collection, options = {}) {
+  const { pageSize = PAGE_SIZE, full = false, onPage, signal } = options;
+  const since = full ? null : getLoadedThrough(collection);
+
+  let cursor = null;
+  let count = 0;
+  let pages = 0;
+
+  do {
+    const params = new URLSearchParams({ limit: String(pageSize), sort: 'updatedAt' });
+    if (since) params.set('updatedSince', since);
+    if (cursor) params.set('cursor', cursor);
+
+    const response = await fetch(`/api/${collection}?${params}`, { headers: await authHeaders(), signal });
+    if (!response.ok) {
+      throw new Error(`Loading ${collection} failed: HTTP ${response.status}`);
+    }
+
+    const page = await response.json();
+    if (page.items.length > 0) {
+      await putBatch(collection, page.items);
+      localStorage.setItem(
+        LOADED_THROUGH_PREFIX + collection,
+        page.items[page.items.length - 1].updatedAt
+      );
+      count += page.items.length;
+      if (onPage) onPage(page.items);
+    }
+
+    pages++;
+    cursor = page.hasMore ? page.nextCursor : null;
+  } while (cursor);
+
+  return { count, pages };
+}
+
+export default {
+  PAGE_SIZE,
+  getLoadedThrough,
+  loadCollection
+};
@@ -0,0 +1,167 @@
+/**
+ * Sync Conflicts Module
+ *
+ * Keeps field-level conflicts reported by /api/sync so the user can review
+ * them later. The server already settled each conflict last-writer-wins;
+ * reviewing lets the user keep the other value or type a merged one, which
+ * is queued as a regular update against the latest server version.
+ *
+ * Writes rejected outright (409/412, e.g. an If-Match on a record that
+ * changed) are kept the same way, with every field settled for the server.
+ *
+ * @module conflicts
+ */
+
+import { get, put, query } from './db.js';
+import { add as queueAction } from './offlineQueue.js';
+
+const STORE_NAME = 'conflicts';
+
+/**
+ * Store the conflicts carried by a sync result
+ * @param {Object} result - Entry from the sync `applied` array
+ * @returns {Promise<string|null>} Conflict record ID, or null if there were none
+ */
+export async function recordConflicts(result) {
+  if (!result || !Array.isArray(result.conflicts) || result.conflicts.length === 0) {
+    return null;
+  }
+
+  const id = `${result.collection}:${result.id}:${result.opId}`;
+
+  await put(STORE_NAME, {
+    id,
+    collection: result.collection,
+    recordId: result.id,
+    opId: result.opId,
+    fields: result.conflicts,
+    // Version after the server applied the non-conflicting fields
+    serverVersion: result.data ? result.data.version : undefined,
+    serverRecord: result.data || null,
+    status: 'open',
+    detectedAt: Date.now()
+  });
+
+  window.dispatchEvent(new CustomEvent('conflicts:updated', {
+    detail: { action: 'added', id }
+  }));
+
+  return id;
+}
+
+/**
+ * Store a write the server rejected because the record changed
+ * Every field the client tried to change that differs from the current
+ * server record becomes a conflict the server won.
+ * @param {Object} result - Failed entry from the sync `applied` array (with `current`)
+ * @param {Object} changes - Fields the queued action tried to write
+ * @returns {Promise<string|null>} Conflict record ID, or null if nothing differs
+ */
+export async function recordRejected(result, changes = {}) {
+  const current = result.current || {};
+  const clientUpdatedAt = result.timestamp ? new Date(result.timestamp).toISOString() : null;
+
+  const conflicts = Object.entries(changes)
+    .filter(([field, value]) => JSON.stringify(value) !== JSON.stringify(current[field]))
+    .map(([field, value]) => ({
+      field,
+      clientValue: value,
+      serverValue: current[field],
+      winner: 'server',
+      serverVersion: current.version,
+      clientUpdatedAt,
+      serverUpdatedAt: current.fieldVersions?.[field]?.updatedAt || current.updatedAt
+    }));
+
+  return recordConflicts({ ...result, conflicts, data: result.current });
+}
+
+/**
+ * Get conflicts that still need review
+ * @returns {Promise<Array>} Open conflict records, newest first
+ */
+export async function getOpenConflicts() {
+  const conflicts = await query(STORE_NAME, conflict => conflict.status === 'open');
+  return conflicts.sort((a, b) => b.detectedAt - a.detectedAt);
+}
+
+/**
+ * Resolve a conflict with the values the user picked
+ * Fields whose chosen value matches the server are left alone; the rest
+ * are written locally and queued as an update.
+ * @param {string} conflictId - Conflict record ID
+ * @param {Object} choices - field -> final value
+ * @returns {Promise<boolean>} True if an update was queued
+ */
+export async function resolveConflict(conflictId, choices) {
+  const conflict = await get(STORE_NAME, conflictId);
+  if (!conflict) {
+    throw new Error(`Conflict not found: ${conflictId}`);
+  }
+
+  const updates = {};
+  for (const field of conflict.fields) {
+    const chosen = choices[field.field];
+    if (chosen !== undefined && JSON.stringify(chosen) !== JSON.stringify(conflict.serverRecord?.[field.field])) {
+      updates[field.field] = chosen;
+    }
+  }
+
+  const hasUpdates = Object.keys(updates).length > 0;
+
+  if (hasUpdates) {
+    const local = await get(conflict.collection, conflict.recordId);
+    if (local) {
+      await put(conflict.collection, { ...local, ...updates });
+    }
+
+    // e.g. 'requests' -> 'request:update'
+    await queueAction({
+      type: `${conflict.collection.replace(/s$/, '')}:update`,
+      endpoint: `/api/${conflict.collection}/${conflict.recordId}`,
+      baseVersion: conflict.serverVersion,
+      payload: updates
+    });
+  }
+
+  await put(STORE_NAME, {
+    ...conflict,
+    status: 'resolved',
+    resolution: choices,
+    resolvedAt: Date.now()
+  });
+
+  window.dispatchEvent(new CustomEvent('conflicts:updated', {
+    detail: { action: 'resolved', id: conflictId }
+  }));
+
+  return hasUpdates;
+}
+
+/**
+ * Accept the server's outcome without changes
+ * @param {string} conflictId - Conflict record ID
+ * @returns {Promise<void>}
+ */
+export async function dismissConflict(conflictId) {
+  const conflict = await get(STORE_NAME, conflictId);
+  if (!conflict) return;
+
+  await put(STORE_NAME, {
+    ...conflict,
+    status: 'dismissed',
+    resolvedAt: Date.now()
+  });
+
+  window.dispatchEvent(new CustomEvent('conflicts:updated', {
+    detail: { action: 'dismissed', id: conflictId }
+  }));
+}
+
+export default {
+  recordConflicts,
+  recordRejected,
+  getOpenConflicts,
+  resolveConflict,
+  dismissConflict
+};
@@ -0,0 +1,205 @@
+/**
+ * Coordinator Module
+ *
+ * Helpers for the coordinator dashboard: how urgent a request is, whether a
+ * volunteer is free and how fresh their position is, how full a shelter
+ * is, and the dispatch calls that assign requests in bulk.
+ *
+ * Urgency follows the server's dispatch ranking: the highest of a request's
+ * `urgency`, `severity` and `priority`, so `urgent` counts as high.
+ *
+ * The dispatch calls need a coordinator session (see session) and a
+ * connection; they throw a CoordinatorError carrying the HTTP status.
+ *
+ * @module coordinator
+ */
+
+import { authHeaders } from './session.js';
+import { REQUEST_STATUS, normalizeStatus } from './requestStatus.js';
+
+export const URGENCY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+const URGENCY_RANKS = { low: 1, normal: 2, medium: 2, high: 3, urgent: 3, critical: 4 };
+const CRITICAL_RANK = 3;
+
+// Availability values the server's dispatch skips
+const UNAVAILABLE = ['unavailable', 'offline', 'busy', 'off-duty'];
+
+// A shared position older than this is shown as stale
+export const STALE_LOCATION_MS = 15 * 60 * 1000;
+
+/**
+ * Error from a dispatch call, carrying its HTTP status
+ */
+export class CoordinatorError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'CoordinatorError';
+    this.status = status;
+  }
+}
+
+/**
+ * Rank a request's urgency (1 low .. 4 critical)
+ * @param {Object} request
+ * @returns {number}
+ */
+export function urgencyRank(request) {
+  const ranks = [request.urgency, request.severity, request.priority]
+    .map(level => URGENCY_RANKS[String(level || '').toLowerCase()] || 0);
+  return Math.max(...ranks) || URGENCY_RANKS.medium;
+}
+
+/**
+ * Get a request's urgency level
+ * @param {Object} request
+ * @returns {string} One of URGENCY_LEVELS
+ */
+export function urgencyOf(request) {
+  return URGENCY_LEVELS[urgencyRank(request) - 1];
+}
+
+/**
+ * Check whether a request is high or critical and still has nobody on it
+ * @param {Object} request
+ * @returns {boolean}
+ */
+export function isUnassignedCritical(request) {
+  return normalizeStatus(request.status) === REQUEST_STATUS.PENDING && urgencyRank(request) >= CRITICAL_RANK;
+}
+
+/**
+ * Check whether a volunteer can take on work
+ * @param {Object} volunteer
+ * @returns {boolean}
+ */
+export function isAvailable(volunteer) {
+  return volunteer.available !== false &&
+    !UNAVAILABLE.includes(String(volunteer.availability || '').toLowerCase());
+}
+
+/**
+ * How long ago a volunteer last shared their position
+ * @param {Object} volunteer
+ * @param {number} [now=Date.now()]
+ * @returns {number|null} Milliseconds, or null when never shared
+ */
+export function locationAge(volunteer, now = Date.now()) {
+  const sharedAt = new Date(volunteer.locationUpdatedAt || 0).getTime();
+  return sharedAt > 0 ? Math.max(0, now - sharedAt) : null;
+}
+
+/**
+ * Get a shelter's occupancy
+ * @param {Object} shelter
+ * @returns {{current: number, capacity: number, ratio: number|null}} Ratio is
+ *   null when the capacity is unknown
+ */
+export function occupancy(shelter) {
+  const capacity = Number(shelter.capacity) || 0;
+  const current = Number.isFinite(Number(shelter.current))
+    ? Number(shelter.current)
+    : Math.max(0, capacity - (Number(shelter.available) || 0));
+  return { current, capacity, ratio: capacity > 0 ? Math.min(1, current / capacity) : null };
+}
+
+/**
+ * POST to a coordinator endpoint
+ * @param {string} path
+ * @param {Object} body
+ * @returns {Promise<Object>} Response body
+ * @throws {CoordinatorError}
+ */
+async function post(path, body) {
+  let response;
+  try {
+    response = await fetch(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(await authHeaders()) },
+      body: JSON.stringify(body)
+    });
+  } catch {
+    throw new CoordinatorError('The server cannot be reached', 0);
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new CoordinatorError(data.error || `HTTP ${response.status}`, response.status);
+  }
+  return data;
+}
+
+/**
+ * Assign requests to one volunteer
+ * Pending requests go through dispatch in one call; requests someone else
+ * already holds are reassigned one by one.
+ * @param {Array<Object>} requests - Request records
+ * @param {string} volunteerId
+ * @returns {Promise<{assigned: number, failed: Array<{requestId: string, error: string}>}>}
+ */
+export async function assignRequests(requests, volunteerId) {
+  const pending = requests.filter(request => normalizeStatus(request.status) === REQUEST_STATUS.PENDING);
+  const held = requests.filter(request => !pending.includes(request) && request.acceptedBy !== volunteerId);
+
+  let assigned = 0;
+  const failed = [];
+
+  if (pending.length > 0) {
+    const result = await post('/api/dispatch/accept', {
+      proposals: pending.map(request => ({ requestId: request.id, volunteerId, requestVersion: request.version }))
+    });
+    assigned += result.assigned;
+    result.results
+      .filter(entry => !entry.success)
+      .forEach(entry => failed.push({ requestId: entry.requestId, error: entry.error }));
+  }
+
+  for (const request of held) {
+    try {
+      await post(`/api/requests/${encodeURIComponent(request.id)}/reassign`, { volunteerId });
+      assigned++;
+    } catch (error) {
+      failed.push({ requestId: request.id, error: error.message });
+    }
+  }
+
+  return { assigned, failed };
+}
+
+/**
+ * Assign pending requests to the volunteers dispatch suggests
+ * @param {Array<string>} requestIds
+ * @returns {Promise<{assigned: number, failed: Array<{requestId: string, error: string}>}>}
+ *   Requests without a suitable volunteer are listed as failed with the reason
+ */
+export async function autoAssign(requestIds) {
+  const { proposals, unmatched } = await post('/api/dispatch/suggest', { requestIds, alternatives: 0 });
+  const failed = unmatched.map(({ requestId, reason }) => ({ requestId, error: reason }));
+
+  if (proposals.length === 0) {
+    return { assigned: 0, failed };
+  }
+
+  const result = await post('/api/dispatch/accept', {
+    proposals: proposals.map(({ requestId, volunteerId, requestVersion }) => ({ requestId, volunteerId, requestVersion }))
+  });
+  result.results
+    .filter(entry => !entry.success)
+    .forEach(entry => failed.push({ requestId: entry.requestId, error: entry.error }));
+
+  return { assigned: result.assigned, failed };
+}
+
+export default {
+  URGENCY_LEVELS,
+  STALE_LOCATION_MS,
+  CoordinatorError,
+  urgencyRank,
+  urgencyOf,
+  isUnassignedCritical,
+  isAvailable,
+  locationAge,
+  occupancy,
+  assignRequests,
+  autoAssign
+};
@@ -4,6 +4,10 @@
  * A lightweight, promise-based wrapper around IndexedDB with:
  * - Auto-initialization with 'rescue-pwa' database
  * - Object stores: requests, volunteers, shelters, routes, offlineQueue, peers
+ * - Tombstones for records the server reports as deleted
+ * - Sync conflicts awaiting user review
+ * - The signed-in volunteer's session, cached for offline use (see session.js)
+ * - Owner tokens of help requests made on this device (see ownedRequests.js)
  * - Automatic timestamp and hash generation on writes
  * - Query support with JS predicates
  * - Pub/sub watch system using BroadcastChannel
@@ -12,8 +16,11 @@
  */
 
 const DB_NAME = 'rescue-pwa';
-const DB_VERSION = 2;
-const STORES = ['requests', 'volunteers', 'shelters', 'routes', 'offlineQueue', 'peers', 'evacuationNotifications', 'crowdReports'];
+const DB_VERSION = 6;
+const STORES = ['requests', 'volunteers', 'shelters', 'routes', 'offlineQueue', 'peers', 'evacuationNotifications', 'crowdReports', 'tombstones', 'conflicts', 'session', 'ownedRequests'];
+const TOMBSTONES_STORE = 'tombstones';
+// Hold tokens and credentials; never exported or imported
+const PRIVATE_STORES = ['session', 'ownedRequests'];
 
 let dbInstance = null;
 const watchers = new Map(); // storeName -> Set<callback>
@@ -116,6 +123,10 @@ export async function initDB() {
             store.createIndex('routeKey', 'routeKey', { unique: true });
           } else if (storeName === 'offlineQueue') {
             store.createIndex('synced', 'synced', { unique: false });
+          } else if (storeName === TOMBSTONES_STORE) {
+            store.createIndex('storeName', 'storeName', { unique: false });
+          } else if (storeName === 'conflicts') {
+            store.createIndex('status', 'status', { unique: false });
           }
           
           console.log(`Created object store: ${storeName}`);
@@ -363,10 +374,9 @@ export function watch(storeName, callback) {
  */
 export async function putBatch(storeName, records) {
   const db = await initDB();
-  const transaction = db.transaction(storeName, 'readwrite');
-  const store = transaction.objectStore(storeName);
   
-  const promises = records.map(async (record) => {
+  // Hash first: a transaction closes as soon as it waits on anything else
+  const enrichedRecords = await Promise.all(records.map(async (record) => {
     const enrichedRecord = {
       ...record,
       id: record.id || generateId(),
@@ -376,7 +386,13 @@ export async function putBatch(storeName, records) {
     const recordForHash = { ...enrichedRecord };
     delete recordForHash.hash;
     enrichedRecord.hash = await computeHash(recordForHash);
-    
+    return enrichedRecord;
+  }));
+  
+  const transaction = db.transaction(storeName, 'readwrite');
+  const store = transaction.objectStore(storeName);
+  
+  const promises = enrichedRecords.map((enrichedRecord) => {
     return new Promise((resolve, reject) => {
       const request = store.put(enrichedRecord);
       request.onsuccess = () => resolve(request.result);
@@ -400,6 +416,39 @@ export async function putBatch(storeName, records) {
   return ids;
 }
 
+/**
+ * Apply server deletions to a store
+ * Removes the records and remembers a tombstone for each, so peers
+ * cannot bring them back through P2P sync.
+ * @param {string} storeName - Name of the object store
+ * @param {Array<{id: string, deletedAt: string}>} tombstones - Deleted record IDs
+ * @returns {Promise<number>} Number of tombstones applied
+ */
+export async function applyTombstones(storeName, tombstones) {
+  for (const { id, deletedAt } of tombstones) {
+    await deleteRecord(storeName, id);
+    await put(TOMBSTONES_STORE, {
+      id: `${storeName}:${id}`,
+      storeName,
+      recordId: id,
+      deletedAt
+    });
+  }
+  
+  return tombstones.length;
+}
+
+/**
+ * Check whether a record has been deleted on the server
+ * @param {string} storeName - Name of the object store
+ * @param {string} id - Record ID
+ * @returns {Promise<boolean>} True if a tombstone exists
+ */
+export async function isTombstoned(storeName, id) {
+  const tombstone = await get(TOMBSTONES_STORE, `${storeName}:${id}`);
+  return Boolean(tombstone);
+}
+
 /**
  * Get database statistics
  * @returns {Promise<Object>} Statistics for each store
@@ -432,6 +481,7 @@ export async function exportData() {
   const data = {};
   
   for (const storeName of STORES) {
+    if (PRIVATE_STORES.includes(storeName)) continue;
     data[storeName] = await getAll(storeName);
   }
   
@@ -445,7 +495,7 @@ export async function exportData() {
  */
 export async function importData(data) {
   for (const [storeName, records] of Object.entries(data)) {
-    if (STORES.includes(storeName)) {
+    if (STORES.includes(storeName) && !PRIVATE_STORES.includes(storeName)) {
       await putBatch(storeName, records);
     }
   }
@@ -492,6 +542,8 @@ export default {
   exportData,
   importData,
   cleanup,
+  applyTombstones,
+  isTombstoned,
   computeHash,
   DB_NAME,
   DB_VERSION,
@@ -0,0 +1,102 @@
+/**
+ * Location Sharing Module
+ *
+ * Puts a volunteer's current position on their volunteer record
+ * (`location`, `locationUpdatedAt`) so whoever they are heading to can see
+ * how far away they are (see requestTracking). Each share updates the local
+ * record and queues a volunteer update for the server.
+ *
+ * Shares that barely move are skipped, so a phone left sharing while
+ * offline does not fill the queue with the same position. While sharing,
+ * live updates for the area around the volunteer keep arriving (see
+ * socket.watchArea).
+ *
+ * @module locationSharing
+ */
+
+import { get, put } from './db.js';
+import { add as queueAction, flush } from './offlineQueue.js';
+import { computeDistanceMeters } from './mapHelpers.js';
+import { watchArea } from './socket.js';
+
+const MIN_MOVE_METERS = 25;
+const MAX_SILENCE_MS = 60 * 1000;
+
+let lastShared = null; // { lat, lng, at }
+let unwatchArea = null;
+
+/**
+ * Get the device position
+ * @returns {Promise<{lat: number, lng: number}|null>} Null when unavailable
+ */
+function currentPosition() {
+  return new Promise((resolve) => {
+    if (!navigator.geolocation) return resolve(null);
+    navigator.geolocation.getCurrentPosition(
+      (pos) => resolve({ lat: pos.coords.latitude, lng: pos.coords.longitude }),
+      () => resolve(null),
+      { enableHighAccuracy: true, timeout: 10000, maximumAge: 5000 }
+    );
+  });
+}
+
+/**
+ * Share the volunteer's current position
+ * @param {string} volunteerId
+ * @returns {Promise<{lat: number, lng: number}|null>} The position shared, or
+ *   null when it is unavailable or has not changed enough to share
+ */
+export async function shareLocation(volunteerId) {
+  const position = await currentPosition();
+  if (!position) return null;
+
+  const now = Date.now();
+  if (lastShared &&
+      computeDistanceMeters(lastShared, position) < MIN_MOVE_METERS &&
+      now - lastShared.at < MAX_SILENCE_MS) {
+    return null;
+  }
+  lastShared = { ...position, at: now };
+  unwatchArea = watchArea('location', { areas: [position] });
+
+  const changes = { location: position, locationUpdatedAt: new Date(now).toISOString() };
+
+  const existing = (await get('volunteers', volunteerId)) || { id: volunteerId };
+  await put('volunteers', {
+    ...existing,
+    ...changes,
+    lat: position.lat,
+    lng: position.lng,
+    latitude: position.lat,
+    longitude: position.lng
+  });
+
+  await queueAction({
+    type: 'UPDATE_VOLUNTEER',
+    endpoint: `/api/volunteers/${volunteerId}`,
+    payload: changes
+  });
+
+  if (navigator.onLine) {
+    flush().catch(error => console.warn('Queue flush failed:', error));
+  }
+
+  return position;
+}
+
+/**
+ * Forget the last shared position, so the next share always goes out,
+ * and stop watching the area around it
+ */
+export function resetLocationSharing() {
+  lastShared = null;
+  if (unwatchArea) {
+    unwatchArea();
+    unwatchArea = null;
+  }
+}
+
+export default {
+  shareLocation,
+  resetLocationSharing
+};
@@ -0,0 +1,151 @@
+/**
+ * Merkle Tree Module
+ *
+ * Hash trees over a store's records, so two peers can find the records
+ * they disagree on by comparing a few digests instead of sending every
+ * record (see webrtc.js anti-entropy).
+ *
+ * Records are placed in leaves by a hash of their ID, so the same record
+ * lands in the same leaf on every device. With FANOUT 16 and DEPTH 2 there
+ * are 256 leaves; a node's path is the hex digits leading to it ('' is the
+ * root, 'a' a child of the root, 'a3' a leaf).
+ *
+ * - A leaf's digest covers the sorted `id:hash` pairs in it, using the
+ *   `hash` db.put stores on every record. Leaves also list each record's
+ *   timestamp, so a peer can tell which side has the newer version.
+ * - An inner node's digest covers its children's digests
+ * - An empty node's digest is ''
+ *
+ * Equal digests mean equal contents, so a comparison only descends into
+ * children whose digests differ.
+ *
+ * @module merkleTree
+ */
+
+const HEX = '0123456789abcdef';
+export const FANOUT = HEX.length;
+export const DEPTH = 2;
+
+/**
+ * Leaf path of a record ID
+ * FNV-1a: cheap, and the same on every device.
+ * @param {string} id
+ * @returns {string} DEPTH hex digits
+ */
+export function leafPath(id) {
+  let hash = 0x811c9dc5;
+  for (const char of String(id)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0').slice(0, DEPTH);
+}
+
+/**
+ * SHA-256 of a string, hex-encoded
+ * @param {string} text
+ * @returns {Promise<string>}
+ */
+async function digestOf(text) {
+  const buffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Build the tree of a set of records
+ * @param {Array<Object>} records - Records with `id` and `hash`
+ * @returns {Promise<Object>} Tree for nodeInfo and the differing* helpers
+ */
+export async function buildTree(records) {
+  // leaf path -> [[id, hash, timestamp]]
+  const leaves = new Map();
+  for (const record of records) {
+    const path = leafPath(record.id);
+    if (!leaves.has(path)) leaves.set(path, []);
+    leaves.get(path).push([record.id, record.hash || '', record.timestamp || 0]);
+  }
+
+  const digests = new Map();
+  for (const [path, entries] of leaves) {
+    entries.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    digests.set(path, await digestOf(entries.map(([id, hash]) => `${id}:${hash}`).join('|')));
+  }
+
+  // Fill in inner nodes from the leaves up
+  for (let length = DEPTH - 1; length >= 0; length--) {
+    const parents = new Set(
+      Array.from(digests.keys()).filter(path => path.length === length + 1).map(path => path.slice(0, length))
+    );
+    for (const parent of parents) {
+      const children = Array.from(HEX, digit => digests.get(parent + digit) || '');
+      digests.set(parent, await digestOf(children.join(',')));
+    }
+  }
+
+  return { leaves, digests };
+}
+
+/**
+ * Digest of a node
+ * @param {Object} tree
+ * @param {string} path
+ * @returns {string} '' for an empty node
+ */
+export function nodeDigest(tree, path) {
+  return tree.digests.get(path) || '';
+}
+
+/**
+ * Describe a node for a peer comparing against it
+ * @param {Object} tree
+ * @param {string} path
+ * @returns {Object} { path, digest, children } for inner nodes (child
+ *   digests in hex digit order), { path, digest, entries } for leaves
+ */
+export function nodeInfo(tree, path) {
+  const digest = nodeDigest(tree, path);
+  if (path.length >= DEPTH) {
+    return { path, digest, entries: tree.leaves.get(path) || [] };
+  }
+  return { path, digest, children: Array.from(HEX, digit => nodeDigest(tree, path + digit)) };
+}
+
+/**
+ * Paths of the children whose digests differ from a remote node's
+ * @param {Object} tree - Local tree
+ * @param {Object} remote - nodeInfo of an inner node from the peer
+ * @returns {Array<string>}
+ */
+export function differingChildren(tree, remote) {
+  return Array.from(HEX, digit => remote.path + digit)
+    .filter((path, index) => remote.children[index] !== nodeDigest(tree, path) && remote.children[index] !== '');
+}
+
+/**
+ * IDs in a remote leaf worth fetching
+ * Records missing here, or changed there with a newer timestamp; the same
+ * rule webrtc.js applies when the records arrive.
+ * @param {Object} tree - Local tree
+ * @param {Object} remote - nodeInfo of a leaf from the peer
+ * @returns {Array<string>}
+ */
+export function differingEntries(tree, remote) {
+  const local = new Map((tree.leaves.get(remote.path) || []).map(([id, hash, timestamp]) => [id, { hash, timestamp }]));
+  return remote.entries
+    .filter(([id, hash, timestamp]) => {
+      const mine = local.get(id);
+      return !mine || (mine.hash !== hash && timestamp > mine.timestamp);
+    })
+    .map(([id]) => id);
+}
+
+export default {
+  FANOUT,
+  DEPTH,
+  leafPath,
+  buildTree,
+  nodeDigest,
+  nodeInfo,
+  differingChildren,
+  differingEntries
+};
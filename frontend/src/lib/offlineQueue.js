@@ -10,14 +10,30 @@
  * - Progress tracking during flush
  * - BroadcastChannel for cross-tab coordination
  * - Retry mechanism with exponential backoff
+ * - Pending items are flushed as one /api/sync batch (see syncProtocol)
+ * - Writes rejected as conflicts (409/412) leave the queue for review
+ * - Writes rejected as invalid (400/422) fail at once instead of retrying
  * 
  * @module offlineQueue
  */
 
 import { get, put, deleteRecord, query, getAll } from './db.js';
+import {
+  SYNC_ENDPOINT,
+  buildSyncPayload,
+  mapResultsByOpId,
+  pullChanges
+} from './syncProtocol.js';
+import { recordConflicts, recordRejected } from './conflicts.js';
+import { authHeaders } from './session.js';
 
 const STORE_NAME = 'offlineQueue';
 const MAX_RETRIES = 3;
+// Statuses retrying cannot fix: the record changed under us
+const CONFLICT_STATUSES = [409, 412];
+// The change itself was rejected (e.g. schema validation, or the signed-in
+// role may not make it); retrying sends the same change
+const REJECTED_STATUSES = [400, 403, 422];
 const RETRY_DELAY_BASE = 1000; // 1 second
 let flushInProgress = false;
 let flushCompleteCallbacks = [];
@@ -74,7 +90,7 @@ function broadcast(type, data) {
  * @param {Object} action - Action to queue
  * @param {string} action.type - Action type (e.g., 'CREATE_REQUEST', 'UPDATE_VOLUNTEER')
  * @param {Object} action.payload - Action data
- * @param {string} [action.endpoint] - API endpoint (defaults to '/api/sync')
+ * @param {string} [action.endpoint] - REST endpoint of the record, used to resolve its ID
  * @returns {Promise<string>} Queue item ID
  * 
  * @example
@@ -137,34 +153,36 @@ export async function getLength() {
 }
 
 /**
- * Placeholder function to send action to server
- * Backend team should implement the actual /api/sync endpoint
+ * Send a batch of operations to the sync endpoint
  * 
- * @param {Object} action - Action to send
+ * @param {Object} syncPayload - Body built by syncProtocol.buildSyncPayload
  * @returns {Promise<Object>} Server response
  * 
- * Expected endpoint behavior:
+ * Endpoint behavior (see syncProtocol):
  * POST /api/sync
- * Body: { type: string, payload: object, endpoint?: string }
- * Response: { success: boolean, data?: object, error?: string }
+ * Body: { protocolVersion, clientId, cursor, limit, operations: [{ opId, type, payload, endpoint }] }
+ * Response: { protocolVersion, applied: [{ opId, success, error?, status? }], snapshot, cursor, hasMore, serverTime }
+ *
+ * Non-OK responses throw an Error carrying the HTTP `status`.
  */
-export async function sendToServer(action) {
-  const endpoint = action.endpoint || '/api/sync';
-  
+export async function sendToServer(syncPayload) {
   try {
-    const response = await fetch(endpoint, {
+    const response = await fetch(SYNC_ENDPOINT, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...(await authHeaders()),
       },
-      body: JSON.stringify(action),
+      body: JSON.stringify(syncPayload),
       // Add timeout
       signal: AbortSignal.timeout(10000) // 10 seconds
     });
     
     if (!response.ok) {
       const errorText = await response.text().catch(() => 'Unknown error');
-      throw new Error(`Server error: ${response.status} ${errorText}`);
+      const error = new Error(`Server error: ${response.status} ${errorText}`);
+      error.status = response.status;
+      throw error;
     }
     
     const result = await response.json();
@@ -177,78 +195,181 @@ export async function sendToServer(action) {
 }
 
 /**
- * Process a single queue item
+ * Record a failed attempt on a queue item
  * @param {Object} item - Queue item
- * @param {Function} onProgress - Progress callback
- * @returns {Promise<boolean>} True if successful, false otherwise
+ * @param {string} message - Error message
+ * @param {boolean} [permanent=false] - Fail now instead of after MAX_RETRIES
+ * @returns {Promise<Object>} Updated queue item
  */
-async function processItem(item, onProgress) {
-  try {
-    // Update last attempt
-    await put(STORE_NAME, {
-      ...item,
-      lastAttempt: Date.now()
-    });
-    
-    // Attempt to send
-    const result = await sendToServer(item.action);
-    
-    // Mark as synced
-    await put(STORE_NAME, {
-      ...item,
-      synced: true,
-      syncedAt: Date.now(),
-      result
-    });
-    
-    // Report progress
-    if (onProgress) {
-      onProgress({
-        id: item.id,
-        action: item.action,
-        status: 'success',
-        result
-      });
-    }
-    
-    console.log(`Successfully synced queue item: ${item.id}`);
-    return true;
+async function markItemFailed(item, message, permanent = false) {
+  const updatedItem = {
+    ...item,
+    retries: (item.retries || 0) + 1,
+    error: message,
+    lastError: message,
+    lastAttempt: Date.now()
+  };
+  
+  // Check if max retries exceeded
+  if (permanent || updatedItem.retries >= MAX_RETRIES) {
+    updatedItem.failed = true;
+    updatedItem.failedAt = Date.now();
     
+    console.warn(`Queue item ${item.id} exceeded max retries (${MAX_RETRIES})`);
+  }
+  
+  await put(STORE_NAME, updatedItem);
+  return updatedItem;
+}
+
+/**
+ * Describe a failed sync result, including any failing fields
+ * @param {Object} result - Failed entry from the sync `applied` array
+ * @returns {string} Error message
+ */
+function formatResultError(result) {
+  if (!Array.isArray(result.details) || result.details.length === 0) {
+    return result.error;
+  }
+  
+  const fields = result.details.map(detail => `${detail.field} ${detail.message}`);
+  return `${result.error}: ${fields.join('; ')}`;
+}
+
+/**
+ * Move a rejected write out of the queue and into conflict review
+ * @param {Object} item - Queue item
+ * @param {Object} result - Failed sync result carrying `current`
+ * @returns {Promise<void>}
+ */
+async function moveToConflicts(item, result) {
+  const { payload, data } = item.action;
+  
+  await recordRejected(result, payload || data);
+  await deleteRecord(STORE_NAME, item.id);
+  
+  emitEvent('conflicts-detected', {
+    id: item.id,
+    collection: result.collection,
+    recordId: result.id,
+    status: result.status
+  });
+}
+
+/**
+ * Send queue items to the server as one sync batch
+ * @param {Array<Object>} items - Queue items
+ * @param {Function} onProgress - Progress callback, called once per item
+ * @returns {Promise<Array<Object>>} Per-item outcomes ({ id, status })
+ */
+async function processBatch(items, onProgress) {
+  const outcomes = [];
+  const attemptAt = Date.now();
+  
+  let response;
+  try {
+    response = await sendToServer(buildSyncPayload(items));
   } catch (error) {
-    console.error(`Failed to sync queue item: ${item.id}`, error);
-    
-    // Increment retry count
-    const updatedItem = {
-      ...item,
-      retries: (item.retries || 0) + 1,
-      error: error.message,
-      lastError: error.message,
-      lastAttempt: Date.now()
-    };
-    
-    // Check if max retries exceeded
-    if (updatedItem.retries >= MAX_RETRIES) {
-      updatedItem.failed = true;
-      updatedItem.failedAt = Date.now();
+    // Transport failure: every item in the batch gets a retry
+    for (const item of items) {
+      const updatedItem = await markItemFailed(item, error.message);
+      const status = updatedItem.failed ? 'failed' : 'retry';
+      outcomes.push({ id: item.id, status });
       
-      console.warn(`Queue item ${item.id} exceeded max retries (${MAX_RETRIES})`);
+      if (onProgress) {
+        onProgress({
+          id: item.id,
+          action: item.action,
+          status,
+          error: error.message,
+          retries: updatedItem.retries
+        });
+      }
     }
+    return outcomes;
+  }
+  
+  const resultsByOpId = mapResultsByOpId(response.applied);
+  
+  for (const item of items) {
+    const result = resultsByOpId.get(item.id);
     
-    await put(STORE_NAME, updatedItem);
-    
-    // Report progress
-    if (onProgress) {
-      onProgress({
-        id: item.id,
-        action: item.action,
-        status: updatedItem.failed ? 'failed' : 'retry',
-        error: error.message,
-        retries: updatedItem.retries
+    if (result && result.success) {
+      await put(STORE_NAME, {
+        ...item,
+        lastAttempt: attemptAt,
+        synced: true,
+        syncedAt: Date.now(),
+        result
       });
+      outcomes.push({ id: item.id, status: 'success' });
+      
+      // Applied, but some fields lost to newer server edits: keep them for review
+      if (result.conflicts && result.conflicts.length > 0) {
+        await recordConflicts(result);
+        emitEvent('conflicts-detected', {
+          id: item.id,
+          collection: result.collection,
+          recordId: result.id,
+          count: result.conflicts.length
+        });
+      }
+      
+      if (onProgress) {
+        onProgress({
+          id: item.id,
+          action: item.action,
+          status: 'success',
+          result
+        });
+      }
+      
+      console.log(`Successfully synced queue item: ${item.id}`);
+    } else if (result && CONFLICT_STATUSES.includes(result.status)) {
+      // Retrying would fail the same way; let the user decide instead
+      console.warn(`Queue item ${item.id} conflicts with the server copy`, result.error);
+      
+      await moveToConflicts(item, result);
+      outcomes.push({ id: item.id, status: 'conflict' });
+      
+      if (onProgress) {
+        onProgress({
+          id: item.id,
+          action: item.action,
+          status: 'conflict',
+          error: result.error
+        });
+      }
+    } else {
+      const message = result ? formatResultError(result) : 'No result returned for operation';
+      console.error(`Failed to sync queue item: ${item.id}`, message);
+      
+      const rejected = Boolean(result && REJECTED_STATUSES.includes(result.status));
+      const updatedItem = await markItemFailed(item, message, rejected);
+      const status = updatedItem.failed ? 'failed' : 'retry';
+      outcomes.push({ id: item.id, status });
+      
+      if (onProgress) {
+        onProgress({
+          id: item.id,
+          action: item.action,
+          status,
+          error: message,
+          retries: updatedItem.retries
+        });
+      }
     }
-    
-    return false;
   }
+  
+  // Bring local stores up to date with what the server holds,
+  // paging through the rest of the changes if there are more
+  try {
+    await pullChanges(response, sendToServer);
+  } catch (error) {
+    console.error('Failed to apply sync snapshot:', error);
+  }
+  
+  return outcomes;
 }
 
 /**
@@ -291,6 +412,7 @@ export async function flush(onProgress) {
     success: 0,
     failed: 0,
     retry: 0,
+    conflict: 0,
     duration: 0,
     items: []
   };
@@ -311,60 +433,51 @@ export async function flush(onProgress) {
     emitEvent('flush-started', { total: items.length });
     broadcast('flush-started', { total: items.length });
     
-    // Process items sequentially to avoid overwhelming the server
-    for (let i = 0; i < items.length; i++) {
-      const item = items[i];
-      
-      // Skip failed items (exceeded max retries)
-      if (item.failed) {
-        results.failed++;
-        continue;
-      }
-      
-      // Apply retry delay if needed
-      if (item.retries > 0) {
-        const delay = getRetryDelay(item.retries - 1);
+    // Skip failed items (exceeded max retries)
+    const pending = items.filter(item => !item.failed);
+    results.failed = items.length - pending.length;
+    
+    if (pending.length > 0) {
+      // Back off only when every pending item has already been retried
+      const minRetries = Math.min(...pending.map(item => item.retries || 0));
+      if (minRetries > 0) {
+        const delay = getRetryDelay(minRetries - 1);
         await new Promise(resolve => setTimeout(resolve, delay));
       }
       
-      // Process the item
-      const success = await processItem(item, (progress) => {
+      // All pending items go to the server as a single operations payload
+      let processed = 0;
+      const outcomes = await processBatch(pending, (progress) => {
+        processed++;
+        
         // Emit progress event
         emitEvent('flush-progress', {
           ...progress,
-          current: i + 1,
-          total: items.length,
-          percentage: Math.round(((i + 1) / items.length) * 100)
+          current: processed,
+          total: pending.length,
+          percentage: Math.round((processed / pending.length) * 100)
         });
         
         broadcast('flush-progress', {
           id: progress.id,
           status: progress.status,
-          current: i + 1,
-          total: items.length
+          current: processed,
+          total: pending.length
         });
         
         // Call user callback
         if (onProgress) {
           onProgress({
             ...progress,
-            current: i + 1,
-            total: items.length
+            current: processed,
+            total: pending.length
           });
         }
       });
       
-      if (success) {
-        results.success++;
-        results.items.push({ id: item.id, status: 'success' });
-      } else {
-        if (item.retries >= MAX_RETRIES) {
-          results.failed++;
-          results.items.push({ id: item.id, status: 'failed' });
-        } else {
-          results.retry++;
-          results.items.push({ id: item.id, status: 'retry' });
-        }
+      for (const outcome of outcomes) {
+        results[outcome.status]++;
+        results.items.push(outcome);
       }
     }
     
@@ -400,6 +513,26 @@ export async function flush(onProgress) {
   }
 }
 
+/**
+ * Bring the local stores up to date with the server
+ * Flushes pending queue items, which pulls changes as well, or asks only for
+ * the changes since the stored cursor when there is nothing to send.
+ * @returns {Promise<Object>} Flush results, or the pull summary ({ pages, records })
+ */
+export async function syncNow() {
+  const pending = (await peekAll()).filter(item => !item.failed);
+  if (pending.length > 0 || flushInProgress) {
+    return flush();
+  }
+  
+  if (!navigator.onLine) {
+    return { skipped: true, reason: 'offline' };
+  }
+  
+  const response = await sendToServer(buildSyncPayload([]));
+  return pullChanges(response, sendToServer);
+}
+
 /**
  * Register a callback for when flush completes
  * @param {Function} callback - Callback function
@@ -504,7 +637,8 @@ export async function retryItem(id) {
   
   // Try to sync immediately if online
   if (navigator.onLine) {
-    return await processItem(resetItem);
+    const [outcome] = await processBatch([resetItem]);
+    return outcome.status === 'success';
   }
   
   return false;
@@ -562,6 +696,7 @@ const offlineQueue = {
   add,
   peekAll,
   flush,
+  syncNow,
   onFlushComplete,
   getLength,
   sendToServer,
@@ -0,0 +1,192 @@
+/**
+ * Owned Requests Module
+ *
+ * People asking for help have no account, so each request made on this
+ * device gets a secret owner token instead. The token is made up here when
+ * the request is created and kept in the private `ownedRequests` store;
+ * only its SHA-256 hash travels with the queued create (`ownerTokenHash`),
+ * so a peer relaying the create cannot act for the requester.
+ *
+ * Later changes (more details, cancelling, confirming they are safe) go
+ * through the offline queue with the token as the operation's `ownerToken`,
+ * which is what the server checks before applying them. Those queue items
+ * are not shared with peers (see webrtc).
+ *
+ * Records: { id: requestId, token, createdAt }
+ *
+ * @module ownedRequests
+ */
+
+import { get, put, getAll, deleteRecord } from './db.js';
+import { add as queueAction, flush } from './offlineQueue.js';
+import { REQUEST_STATUS } from './requestStatus.js';
+
+const STORE = 'ownedRequests';
+const TOKEN_BYTES = 32;
+
+/**
+ * Hex SHA-256 of a token, as the server stores it
+ * @param {string} token
+ * @returns {Promise<string>}
+ */
+async function hashToken(token) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Make up an owner token for a new request
+ * @returns {Promise<{token: string, hash: string}>} Keep `token`, send `hash` as ownerTokenHash
+ */
+export async function createOwnerToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(TOKEN_BYTES));
+  const token = btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  return { token, hash: await hashToken(token) };
+}
+
+/**
+ * Remember that this device owns a request
+ * @param {string} requestId
+ * @param {string} token
+ * @returns {Promise<void>}
+ */
+export async function rememberOwnedRequest(requestId, token) {
+  await put(STORE, { id: requestId, token, createdAt: Date.now() });
+}
+
+/**
+ * Forget a request, e.g. when its create was undone before it was sent
+ * @param {string} requestId
+ * @returns {Promise<void>}
+ */
+export async function forgetOwnedRequest(requestId) {
+  await deleteRecord(STORE, requestId);
+}
+
+/**
+ * Get the owner token of a request made on this device
+ * @param {string} requestId
+ * @returns {Promise<string|null>}
+ */
+export async function getOwnerToken(requestId) {
+  const owned = await get(STORE, requestId);
+  return owned ? owned.token : null;
+}
+
+/**
+ * List the requests made on this device, newest first
+ * Requests not yet (or no longer) in the local store come back as null.
+ * @returns {Promise<Array<{id: string, createdAt: number, request: Object|null}>>}
+ */
+export async function getOwnedRequests() {
+  const owned = await getAll(STORE);
+  const requests = await Promise.all(owned.map(entry => get('requests', entry.id)));
+
+  return owned
+    .map((entry, index) => ({ id: entry.id, createdAt: entry.createdAt, request: requests[index] || null }))
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Fetch the server copy of each owned request into the local store
+ * @returns {Promise<number>} Requests refreshed
+ */
+export async function refreshOwnedRequests() {
+  if (!navigator.onLine) return 0;
+
+  const owned = await getAll(STORE);
+  let refreshed = 0;
+
+  for (const { id } of owned) {
+    try {
+      const response = await fetch(`/api/requests/${encodeURIComponent(id)}`, { signal: AbortSignal.timeout(10000) });
+      if (!response.ok) continue;
+      await put('requests', await response.json());
+      refreshed++;
+    } catch (error) {
+      console.warn(`Could not refresh request ${id}:`, error.message);
+    }
+  }
+
+  return refreshed;
+}
+
+/**
+ * Change an owned request locally and queue the change for the server
+ * @param {string} requestId
+ * @param {Object} changes - Fields the requester may change
+ * @param {Object} [localChanges] - What the local copy should show meanwhile (defaults to changes)
+ * @returns {Promise<Object>} Updated local record
+ * @throws {Error} When this device does not own the request
+ */
+export async function updateOwnedRequest(requestId, changes, localChanges = changes) {
+  const token = await getOwnerToken(requestId);
+  if (!token) {
+    throw new Error('This request was not made on this device');
+  }
+
+  const existing = (await get('requests', requestId)) || { id: requestId };
+  const updated = { ...existing, ...localChanges, pendingSync: true };
+  await put('requests', updated);
+
+  await queueAction({
+    type: 'UPDATE_REQUEST',
+    endpoint: `/api/requests/${requestId}`,
+    baseVersion: existing.version,
+    ownerToken: token,
+    payload: changes
+  });
+
+  if (navigator.onLine) {
+    flush().catch(error => console.warn('Queue flush failed:', error));
+  }
+
+  return updated;
+}
+
+/**
+ * Append to the request's details
+ * @param {string} requestId
+ * @param {string} text
+ * @returns {Promise<Object>}
+ */
+export async function addDetails(requestId, text) {
+  const existing = await get('requests', requestId);
+  const previous = existing && (existing.details || '');
+  const stamp = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  const details = `${previous ? `${previous}\n` : ''}[${stamp}] ${text.trim()}`;
+  return updateOwnedRequest(requestId, { details });
+}
+
+/**
+ * Withdraw a request that is no longer needed
+ * @param {string} requestId
+ * @returns {Promise<Object>}
+ */
+export async function cancelOwnedRequest(requestId) {
+  return updateOwnedRequest(requestId, { status: REQUEST_STATUS.CANCELLED });
+}
+
+/**
+ * Confirm the request is resolved, or that the requester is safe
+ * The server stamps its own confirmation time and closes an open request.
+ * @param {string} requestId
+ * @returns {Promise<Object>}
+ */
+export async function confirmSafe(requestId) {
+  const confirmedAt = new Date().toISOString();
+  return updateOwnedRequest(requestId, { confirmedAt }, { confirmedAt, status: REQUEST_STATUS.RESOLVED });
+}
+
+export default {
+  createOwnerToken,
+  rememberOwnedRequest,
+  forgetOwnedRequest,
+  getOwnerToken,
+  getOwnedRequests,
+  refreshOwnedRequests,
+  updateOwnedRequest,
+  addDetails,
+  cancelOwnedRequest,
+  confirmSafe
+};
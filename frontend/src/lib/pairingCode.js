@@ -0,0 +1,144 @@
+/**
+ * Pairing Code Module
+ *
+ * Turns a WebRTC offer or answer into a short text blob that fits in a QR
+ * code, and back, so two phones can pair with no signaling server (see
+ * webrtc.createPairingOffer). A code looks like `DMP1z.<base64url>`:
+ *
+ * - `DMP1` marks a pairing code of this format
+ * - `z` means the JSON inside is deflate-compressed; `j` means plain JSON,
+ *   for browsers without CompressionStream
+ *
+ * The SDP already lists the ICE candidates gathered while the offer or
+ * answer was made, so nothing else has to be exchanged.
+ *
+ * @module pairingCode
+ */
+
+import QRCode from 'qrcode';
+import jsQR from 'jsqr';
+
+const PREFIX = 'DMP1';
+const COMPRESSED = 'z';
+const PLAIN = 'j';
+
+/**
+ * Error for text that is not a usable pairing code
+ */
+export class PairingCodeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PairingCodeError';
+  }
+}
+
+const canCompress = () => typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+
+/**
+ * Run bytes through a (de)compression stream
+ * @param {Uint8Array} bytes
+ * @param {CompressionStream|DecompressionStream} stream
+ * @returns {Promise<Uint8Array>}
+ */
+async function transform(bytes, stream) {
+  const buffer = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+  return new Uint8Array(buffer);
+}
+
+const toBase64Url = (bytes) => btoa(String.fromCharCode(...bytes))
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const fromBase64Url = (text) => {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+};
+
+/**
+ * Encode a pairing message
+ * @param {Object} message - { type: 'offer'|'answer', from, sdp }
+ * @returns {Promise<string>} Pairing code
+ */
+export async function encodePairingCode(message) {
+  const json = new TextEncoder().encode(JSON.stringify(message));
+
+  if (canCompress()) {
+    const compressed = await transform(json, new CompressionStream('deflate-raw'));
+    return `${PREFIX}${COMPRESSED}.${toBase64Url(compressed)}`;
+  }
+  return `${PREFIX}${PLAIN}.${toBase64Url(json)}`;
+}
+
+/**
+ * Decode a pairing code typed, pasted or scanned by the user
+ * Whitespace and line breaks added by messaging apps are ignored.
+ * @param {string} text
+ * @returns {Promise<Object>} { type, from, sdp }
+ * @throws {PairingCodeError}
+ */
+export async function decodePairingCode(text) {
+  const code = String(text || '').replace(/\s+/g, '');
+  const match = /^DMP1([zj])\.([A-Za-z0-9_-]+)$/.exec(code);
+  if (!match) {
+    throw new PairingCodeError('This is not a pairing code');
+  }
+
+  let message;
+  try {
+    let bytes = fromBase64Url(match[2]);
+    if (match[1] === COMPRESSED) {
+      if (!canCompress()) {
+        throw new PairingCodeError('This browser cannot read compressed pairing codes');
+      }
+      bytes = await transform(bytes, new DecompressionStream('deflate-raw'));
+    }
+    message = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    if (error instanceof PairingCodeError) throw error;
+    throw new PairingCodeError('The pairing code is damaged or incomplete');
+  }
+
+  if (!message || !['offer', 'answer'].includes(message.type) || typeof message.sdp !== 'string') {
+    throw new PairingCodeError('The pairing code is damaged or incomplete');
+  }
+  return message;
+}
+
+/**
+ * Draw a pairing code as a QR code
+ * @param {string} code
+ * @returns {Promise<string>} Image data URL
+ */
+export function renderPairingQr(code) {
+  return QRCode.toDataURL(code, { errorCorrectionLevel: 'L', margin: 2, width: 320 });
+}
+
+/**
+ * Look for a QR code in the current camera frame
+ * @param {HTMLVideoElement} video
+ * @param {HTMLCanvasElement} canvas - Scratch canvas to draw the frame on
+ * @returns {string|null} The QR code's text, or null when none is visible
+ */
+export function readQrFromVideo(video, canvas) {
+  const { videoWidth: width, videoHeight: height } = video;
+  if (!width || !height) return null;
+
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(video, 0, 0, width, height);
+
+  const result = jsQR(context.getImageData(0, 0, width, height).data, width, height, {
+    inversionAttempts: 'dontInvert'
+  });
+  return result ? result.data : null;
+}
+
+export default {
+  PairingCodeError,
+  encodePairingCode,
+  decodePairingCode,
+  renderPairingQr,
+  readQrFromVideo
+};
@@ -0,0 +1,128 @@
+/**
+ * Realtime Module
+ *
+ * Keeps IndexedDB current from the backend's Socket.IO events, so `watch`
+ * and `subscribe` listeners (MapView, Shelters, the dashboards) update as
+ * soon as anything changes on the server:
+ *
+ * - `request:created` / `request:updated` (and the same for volunteers and
+ *   shelters) put the record into its store
+ * - `request:deleted` etc. remove it and leave a tombstone, as sync does
+ * - `evacuation:created` stores the order in `evacuationNotifications`
+ *
+ * Record events arrive only for the areas pages watch (socket.watchArea),
+ * or for everything when signed in as a coordinator.
+ *
+ * A record whose local copy still has changes waiting in the offline queue
+ * (`pendingSync`), or is newer than the event, is left alone; the next sync
+ * settles it.
+ *
+ * Only events the server logged itself are applied: they arrive with an
+ * `eventId` in their metadata. Anything else on the socket is ignored.
+ *
+ * Critical events (SOS requests, evacuation orders) are acknowledged once
+ * stored, so the server stops re-sending them.
+ *
+ * The server replays events sent while the socket was down. When it cannot
+ * (socket GAP_EVENT), a delta sync from the stored cursor catches up instead
+ * (offlineQueue.syncNow).
+ *
+ * @module realtime
+ */
+
+import { get, put, applyTombstones } from './db.js';
+import { onSocketEvent, acknowledge, GAP_EVENT } from './socket.js';
+import { syncNow } from './offlineQueue.js';
+
+// Event subject -> store
+const EVENT_STORES = {
+  request: 'requests',
+  volunteer: 'volunteers',
+  shelter: 'shelters',
+  evacuation: 'evacuationNotifications'
+};
+
+let stopFns = null;
+
+/**
+ * Store a record from an event unless the local copy should win
+ * @param {string} storeName
+ * @param {Object} record
+ * @returns {Promise<boolean>} Whether the record was stored
+ */
+async function applyRecord(storeName, record) {
+  if (!record || !record.id) return false;
+
+  const local = await get(storeName, record.id);
+  if (local && (local.pendingSync || (local.version || 0) > (record.version || 0))) {
+    return false;
+  }
+
+  await put(storeName, record);
+  return true;
+}
+
+/**
+ * Remove a record deleted on the server
+ * @param {string} storeName
+ * @param {Object} payload - { id }
+ * @returns {Promise<void>}
+ */
+async function applyDeletion(storeName, { id } = {}) {
+  if (!id) return;
+  await applyTombstones(storeName, [{ id, deletedAt: new Date().toISOString() }]);
+}
+
+/**
+ * Catch up on changes made while disconnected
+ * @returns {Promise<void>}
+ */
+async function catchUp() {
+  try {
+    await syncNow();
+  } catch (error) {
+    console.warn('Delta sync after missed events failed:', error.message);
+  }
+}
+
+/**
+ * Start applying live events to the local stores
+ * Safe to call more than once.
+ * @returns {Function} Stop function
+ */
+export function startRealtime() {
+  if (stopFns) return stopRealtime;
+
+  const handle = (work) => (payload, meta) => {
+    if (!meta || !meta.eventId) return;
+    work(payload)
+      .then(() => acknowledge(meta))
+      .catch(error => console.error('Could not apply live update:', error));
+  };
+
+  window.addEventListener(GAP_EVENT, catchUp);
+  stopFns = [
+    () => window.removeEventListener(GAP_EVENT, catchUp),
+    ...Object.entries(EVENT_STORES).flatMap(([subject, storeName]) => [
+      onSocketEvent(`${subject}:created`, handle(record => applyRecord(storeName, record))),
+      onSocketEvent(`${subject}:updated`, handle(record => applyRecord(storeName, record))),
+      onSocketEvent(`${subject}:deleted`, handle(payload => applyDeletion(storeName, payload)))
+    ])
+  ];
+
+  return stopRealtime;
+}
+
+/**
+ * Stop applying live events
+ */
+export function stopRealtime() {
+  if (!stopFns) return;
+  stopFns.forEach(stop => stop());
+  stopFns = null;
+}
+
+export default {
+  startRealtime,
+  stopRealtime
+};
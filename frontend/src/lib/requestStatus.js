@@ -0,0 +1,98 @@
+/**
+ * Request Status Module
+ *
+ * Client copy of the server's help request lifecycle:
+ *
+ *   pending -> assigned -> en_route -> on_scene -> resolved
+ *
+ * plus `cancelled` and `duplicate`. The server rejects any other status
+ * change; records stored before the lifecycle existed may still carry the
+ * older names, which normalizeStatus maps onto it. Whoever asked for help
+ * may also cancel an open request, or confirm they are safe (`confirmedAt`),
+ * which resolves it.
+ *
+ * @module requestStatus
+ */
+
+export const REQUEST_STATUS = {
+  PENDING: 'pending',
+  ASSIGNED: 'assigned',
+  EN_ROUTE: 'en_route',
+  ON_SCENE: 'on_scene',
+  RESOLVED: 'resolved',
+  CANCELLED: 'cancelled',
+  DUPLICATE: 'duplicate'
+};
+
+export const STATUS_LABELS = {
+  pending: 'Pending',
+  assigned: 'Assigned',
+  en_route: 'En route',
+  on_scene: 'On scene',
+  resolved: 'Resolved',
+  cancelled: 'Cancelled',
+  duplicate: 'Duplicate'
+};
+
+const LEGACY_STATUSES = {
+  accepted: REQUEST_STATUS.ASSIGNED,
+  'in-progress': REQUEST_STATUS.EN_ROUTE,
+  completed: REQUEST_STATUS.RESOLVED
+};
+
+const CLOSED_STATUSES = [REQUEST_STATUS.RESOLVED, REQUEST_STATUS.CANCELLED, REQUEST_STATUS.DUPLICATE];
+
+// The step a responder takes next from each active status
+const NEXT_STEP = {
+  assigned: { status: REQUEST_STATUS.EN_ROUTE, label: 'On my way' },
+  en_route: { status: REQUEST_STATUS.ON_SCENE, label: 'Arrived' },
+  on_scene: { status: REQUEST_STATUS.RESOLVED, label: 'Mark Resolved' }
+};
+
+/**
+ * Map a stored status onto the lifecycle
+ * @param {string} [status] - Stored status
+ * @returns {string} Canonical status
+ */
+export function normalizeStatus(status) {
+  if (!status) return REQUEST_STATUS.PENDING;
+  const lower = String(status).toLowerCase();
+  return LEGACY_STATUSES[lower] || lower;
+}
+
+/**
+ * Check whether a request no longer needs help
+ * @param {Object} request - Request record
+ * @returns {boolean}
+ */
+export function isClosed(request) {
+  return CLOSED_STATUSES.includes(normalizeStatus(request.status));
+}
+
+/**
+ * Get a display label for a request's status
+ * @param {Object} request - Request record
+ * @returns {string}
+ */
+export function getStatusLabel(request) {
+  const status = normalizeStatus(request.status);
+  return STATUS_LABELS[status] || status;
+}
+
+/**
+ * Get the responder's next step for a request
+ * @param {Object} request - Request record
+ * @returns {{status: string, label: string}|null} Null when there is no next step
+ */
+export function getNextStep(request) {
+  return NEXT_STEP[normalizeStatus(request.status)] || null;
+}
+
+export default {
+  REQUEST_STATUS,
+  STATUS_LABELS,
+  normalizeStatus,
+  isClosed,
+  getStatusLabel,
+  getNextStep
+};
@@ -0,0 +1,115 @@
+/**
+ * Request Tracking Module
+ *
+ * What someone waiting for help needs to see: their request's status, the
+ * volunteer assigned to it and how far away that volunteer is. Server
+ * copies are saved to IndexedDB as they are fetched, so the last known
+ * state is still there offline.
+ *
+ * The ETA follows the road route from the volunteer's shared location
+ * (see locationSharing) when routing.js can compute one, online or from its
+ * cache; otherwise it is a rough straight-line estimate.
+ *
+ * @module requestTracking
+ */
+
+import { get, put } from './db.js';
+import { computeRoute } from './routing.js';
+import { computeDistanceMeters } from './mapHelpers.js';
+
+// Assumed speed for straight-line estimates (about 30 km/h)
+const STRAIGHT_LINE_SPEED_MPS = 8.3;
+
+/**
+ * Get a record's position, whichever fields it was stored with
+ * @param {Object|null} record
+ * @returns {{lat: number, lng: number}|null}
+ */
+export function getPosition(record) {
+  if (!record) return null;
+  const { location } = record;
+  if (location && Number.isFinite(location.lat) && Number.isFinite(location.lng)) {
+    return { lat: location.lat, lng: location.lng };
+  }
+  const lat = record.lat ?? record.latitude;
+  const lng = record.lng ?? record.longitude;
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+}
+
+/**
+ * Fetch a record from the server into its store, or read the stored copy
+ * @param {string} collection - Collection (and store) name
+ * @param {string} id
+ * @returns {Promise<{record: Object|null, fromCache: boolean}>}
+ */
+async function loadRecord(collection, id) {
+  if (navigator.onLine) {
+    try {
+      const response = await fetch(`/api/${collection}/${encodeURIComponent(id)}`, { signal: AbortSignal.timeout(10000) });
+      if (response.ok) {
+        const record = await response.json();
+        await put(collection, record);
+        return { record, fromCache: false };
+      }
+    } catch (error) {
+      console.warn(`Could not load ${collection} ${id}:`, error.message);
+    }
+  }
+
+  return { record: (await get(collection, id)) || null, fromCache: true };
+}
+
+/**
+ * Load a request and the volunteer assigned to it
+ * @param {string} requestId
+ * @returns {Promise<{request: Object|null, volunteer: Object|null, fromCache: boolean}>}
+ *   `fromCache` is true when any part came from the device instead of the server
+ */
+export async function loadTracking(requestId) {
+  const { record: request, fromCache } = await loadRecord('requests', requestId);
+  if (!request || !request.acceptedBy) {
+    return { request, volunteer: null, fromCache };
+  }
+
+  const volunteer = await loadVolunteer(request.acceptedBy);
+  return { request, volunteer: volunteer.record, fromCache: fromCache || volunteer.fromCache };
+}
+
+/**
+ * Load an assigned volunteer
+ * @param {string} volunteerId
+ * @returns {Promise<{record: Object|null, fromCache: boolean}>}
+ */
+export function loadVolunteer(volunteerId) {
+  return loadRecord('volunteers', volunteerId);
+}
+
+/**
+ * Estimate how long the volunteer needs to reach the request
+ * @param {Object} volunteer - Volunteer record with a shared location
+ * @param {Object} request - Request record
+ * @returns {Promise<{duration: number, distance: number, estimated: boolean}|null>}
+ *   Seconds and meters; `estimated` for straight-line guesses. Null when
+ *   either position is unknown.
+ */
+export async function estimateEta(volunteer, request) {
+  const from = getPosition(volunteer);
+  const to = getPosition(request);
+  if (!from || !to) return null;
+
+  try {
+    const route = await computeRoute([from.lat, from.lng], [to.lat, to.lng]);
+    return { duration: route.duration, distance: route.distance, estimated: false };
+  } catch (error) {
+    console.warn('No route for ETA, estimating:', error.message);
+    const distance = computeDistanceMeters(from, to);
+    return { duration: distance / STRAIGHT_LINE_SPEED_MPS, distance, estimated: true };
+  }
+}
+
+export default {
+  getPosition,
+  loadTracking,
+  loadVolunteer,
+  estimateEta
+};
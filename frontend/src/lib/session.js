@@ -0,0 +1,316 @@
+/**
+ * Session Module
+ *
+ * Volunteer sign-up, login and logout against /api/auth, with an offline
+ * session cache in IndexedDB (`session` store):
+ *
+ * - `current` holds the signed-in account and its tokens. The access token
+ *   is refreshed shortly before it expires; the refresh token keeps a
+ *   volunteer signed in for weeks without re-entering the password.
+ * - `credential:<phone>` holds a PBKDF2 verifier of the password from the
+ *   last successful online login, so the same volunteer can log in again
+ *   on this device while the server is unreachable. The password itself is
+ *   never stored.
+ *
+ * An offline login gives local access only. The password is kept in memory
+ * until the connection returns, then used once to open a real session.
+ *
+ * Changes are announced with a window `session:changed` event.
+ *
+ * @module session
+ */
+
+import { get, put, deleteRecord } from './db.js';
+
+export const SESSION_EVENT = 'session:changed';
+
+const STORE = 'session';
+const CURRENT_ID = 'current';
+const AUTH_ENDPOINT = '/api/auth';
+const PBKDF2_ITERATIONS = 150000;
+// Refresh this long before the access token expires
+const REFRESH_MARGIN_MS = 30 * 1000;
+
+// Password of an offline login, held until the server can be reached
+let pendingPassword = null;
+let refreshing = null;
+
+/**
+ * Reduce a phone number to the digits (and leading +) the server logs in with
+ * @param {string} phone
+ * @returns {string}
+ */
+export function normalizePhone(phone) {
+  const value = String(phone || '').trim();
+  return (value.startsWith('+') ? '+' : '') + value.replace(/\D/g, '');
+}
+
+/**
+ * Error from an auth endpoint, carrying its HTTP status
+ */
+export class SessionError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'SessionError';
+    this.status = status;
+  }
+}
+
+/**
+ * Call an auth endpoint
+ * @param {string} path - e.g. '/login'
+ * @param {Object} body
+ * @param {string} [accessToken] - Sent as a Bearer token
+ * @returns {Promise<Object|null>} Response body
+ * @throws {SessionError} On an HTTP error; network failures throw TypeError
+ */
+async function callAuth(path, body, accessToken) {
+  const response = await fetch(`${AUTH_ENDPOINT}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(accessToken && { Authorization: `Bearer ${accessToken}` })
+    },
+    body: JSON.stringify(body || {}),
+    signal: AbortSignal.timeout(10000)
+  });
+
+  const data = response.status === 204 ? null : await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new SessionError((data && data.error) || `HTTP ${response.status}`, response.status);
+  }
+  return data;
+}
+
+/**
+ * Derive the offline password verifier
+ * @param {string} password
+ * @param {Uint8Array} salt
+ * @returns {Promise<string>} Hex digest
+ */
+async function deriveVerifier(password, salt) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations: PBKDF2_ITERATIONS },
+    key,
+    256
+  );
+  return Array.from(new Uint8Array(bits)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Remember a password verifier for offline logins
+ * @param {Object} account - Account returned by the server
+ * @param {string} password
+ */
+async function cacheCredential(account, password) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  await put(STORE, {
+    id: `credential:${account.phone}`,
+    phone: account.phone,
+    salt: Array.from(salt),
+    iterations: PBKDF2_ITERATIONS,
+    verifier: await deriveVerifier(password, salt),
+    account
+  });
+}
+
+/**
+ * Store the current session and announce it
+ * @param {Object|null} session - Null signs out
+ * @returns {Promise<Object|null>}
+ */
+async function setCurrent(session) {
+  if (session) {
+    await put(STORE, { ...session, id: CURRENT_ID });
+  } else {
+    await deleteRecord(STORE, CURRENT_ID);
+  }
+  window.dispatchEvent(new CustomEvent(SESSION_EVENT, { detail: { session } }));
+  return session;
+}
+
+/**
+ * Turn a server token response into a stored session
+ * @param {Object} tokens - { account, accessToken, accessExpiresAt, refreshToken, refreshExpiresAt }
+ * @returns {Object} Session
+ */
+function toSession(tokens) {
+  return {
+    account: tokens.account,
+    accessToken: tokens.accessToken,
+    accessExpiresAt: tokens.accessExpiresAt,
+    refreshToken: tokens.refreshToken,
+    refreshExpiresAt: tokens.refreshExpiresAt,
+    offline: false,
+    signedInAt: Date.now()
+  };
+}
+
+/**
+ * Get the cached session
+ * @returns {Promise<Object|null>} { account, accessToken, refreshToken, offline, ... }
+ */
+export async function getSession() {
+  return (await get(STORE, CURRENT_ID)) || null;
+}
+
+/**
+ * Create an account on the server and sign in
+ * Needs a connection: the server must own the account, and picks its
+ * volunteer ID (see Session.account.volunteerId).
+ * @param {Object} details - { name, phone, password }
+ * @returns {Promise<Object>} Session
+ * @throws {SessionError|TypeError}
+ */
+export async function signUp({ name, phone, password }) {
+  const tokens = await callAuth('/register', { name, phone, password });
+  await cacheCredential(tokens.account, password);
+  return setCurrent(toSession(tokens));
+}
+
+/**
+ * Log in with phone and password
+ * Falls back to the cached verifier when the server cannot be reached.
+ * @param {Object} credentials - { phone, password }
+ * @returns {Promise<Object>} Session (`offline: true` when verified locally)
+ * @throws {SessionError} 401 on wrong credentials
+ */
+export async function logIn({ phone, password }) {
+  try {
+    const tokens = await callAuth('/login', { phone, password });
+    pendingPassword = null;
+    await cacheCredential(tokens.account, password);
+    return setCurrent(toSession(tokens));
+  } catch (error) {
+    // An unreachable server (or a proxy answering for it) may fall back;
+    // a rejected password may not
+    if (error instanceof SessionError && error.status < 500) throw error;
+    return logInOffline(phone, password);
+  }
+}
+
+/**
+ * Verify a login against the cached verifier
+ * @param {string} phone
+ * @param {string} password
+ * @returns {Promise<Object>} Offline session
+ * @throws {SessionError}
+ */
+async function logInOffline(phone, password) {
+  const credential = await get(STORE, `credential:${normalizePhone(phone)}`);
+  if (!credential) {
+    throw new SessionError('You are offline and have not logged in on this device before', 0);
+  }
+
+  const verifier = await deriveVerifier(password, new Uint8Array(credential.salt));
+  if (verifier !== credential.verifier) {
+    throw new SessionError('Invalid phone number or password', 401);
+  }
+
+  pendingPassword = password;
+  return setCurrent({
+    account: credential.account,
+    accessToken: null,
+    refreshToken: null,
+    offline: true,
+    signedInAt: Date.now()
+  });
+}
+
+/**
+ * Log out: end the server session (when reachable) and drop the tokens
+ * The offline verifier stays so the volunteer can log back in during an outage.
+ */
+export async function logOut() {
+  const session = await getSession();
+  pendingPassword = null;
+
+  if (session && session.accessToken && navigator.onLine) {
+    try {
+      await callAuth('/logout', null, await getAccessToken());
+    } catch (error) {
+      console.warn('Server logout failed; tokens dropped locally:', error.message);
+    }
+  }
+
+  await setCurrent(null);
+}
+
+/**
+ * Exchange the refresh token for a new token pair
+ * @param {Object} session
+ * @returns {Promise<Object>} Updated session (without tokens when refused)
+ */
+async function refreshSession(session) {
+  try {
+    const tokens = await callAuth('/refresh', { refreshToken: session.refreshToken });
+    return setCurrent({ ...toSession(tokens), signedInAt: session.signedInAt });
+  } catch (error) {
+    if (!(error instanceof SessionError) || error.status >= 500) throw error;
+    // Revoked or expired: keep working locally until the next login
+    return setCurrent({ ...session, accessToken: null, refreshToken: null, offline: true });
+  }
+}
+
+/**
+ * Get a usable access token, refreshing or completing an offline login first
+ * @returns {Promise<string|null>} Null when signed out or offline
+ */
+export async function getAccessToken() {
+  let session = await getSession();
+  if (!session || !navigator.onLine) {
+    return session && session.accessToken;
+  }
+
+  if (session.offline && pendingPassword) {
+    try {
+      session = await logIn({ phone: session.account.phone, password: pendingPassword });
+    } catch (error) {
+      console.warn('Could not open a server session yet:', error.message);
+    }
+    return session.accessToken;
+  }
+
+  const expiresAt = new Date(session.accessExpiresAt || 0).getTime();
+  if (session.refreshToken && expiresAt - Date.now() < REFRESH_MARGIN_MS) {
+    // Concurrent callers share one refresh; a second would look like token reuse
+    refreshing = refreshing || refreshSession(session).finally(() => { refreshing = null; });
+    try {
+      session = await refreshing;
+    } catch (error) {
+      console.warn('Token refresh failed:', error.message);
+    }
+  }
+
+  return session.accessToken;
+}
+
+/**
+ * Authorization header for API calls, empty when not signed in
+ * @returns {Promise<Object>}
+ */
+export async function authHeaders() {
+  const token = await getAccessToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+// Finish an offline login as soon as the server can be reached
+if (typeof window !== 'undefined') {
+  window.addEventListener('online', () => {
+    if (pendingPassword) {
+      getAccessToken().catch(error => console.warn('Session resume failed:', error));
+    }
+  });
+}
+
+export default {
+  SESSION_EVENT,
+  normalizePhone,
+  getSession,
+  signUp,
+  logIn,
+  logOut,
+  getAccessToken,
+  authHeaders
+};
@@ -0,0 +1,238 @@
+/**
+ * Socket Module
+ *
+ * One Socket.IO connection to the backend, shared by the whole app. It
+ * opens when the first listener subscribes with onSocketEvent and closes
+ * when the last one unsubscribes, so pages without live updates cost
+ * nothing. Socket.IO reconnects by itself after the connection drops;
+ * listen for `connect` and `disconnect` to show whether updates are live.
+ *
+ * Every (re)connection sends `identify` with the device's client ID and,
+ * when signed in, the access token, so the server knows the socket's role
+ * and joins it to its volunteer or coordinator room. Signing in or out
+ * identifies again.
+ *
+ * Server events carry `{ eventId, at, critical? }` as a second argument.
+ * The last event ID seen is kept in localStorage and sent with `identify`,
+ * so the server replays what was missed while disconnected. When it cannot
+ * (it restarted, or too much happened) GAP_EVENT is dispatched on window
+ * and listeners should catch up another way. Critical events must be
+ * acknowledged with `acknowledge(meta)` or the server sends them again.
+ * The server waits for those acks under a delivery key it hands out on
+ * `identify`; the key is kept in localStorage and sent back on reconnect.
+ *
+ * Record events only reach clients watching the record's area. Pages say
+ * what they show with `watchArea` (a map viewport, a tracked request, the
+ * volunteer's position); the union of all watched areas is sent with
+ * `identify` and whenever it changes. Coordinators get every event.
+ *
+ * The backend is reached on the page's own origin (the dev server proxies
+ * /socket.io like /api).
+ *
+ * @module socket
+ */
+
+import { io } from 'socket.io-client';
+import { getClientId } from './syncProtocol.js';
+import { getAccessToken, SESSION_EVENT } from './session.js';
+
+const LAST_EVENT_KEY = 'lastSocketEventId';
+const DELIVERY_KEY = 'socketDeliveryKey';
+
+/** Window event dispatched when missed server events could not be replayed */
+export const GAP_EVENT = 'socket:gap';
+
+let socket = null;
+let listenerCount = 0;
+// Owner key -> { areas, sectors } (see watchArea)
+const watchedAreas = new Map();
+
+/**
+ * Split an event ID into the server start it belongs to and its sequence
+ * @param {string} eventId - `<epoch>-<seq>`
+ * @returns {{epoch: string, seq: number}|null}
+ */
+function parseEventId(eventId) {
+  const match = /^([0-9a-f]+)-(\d+)$/.exec(eventId || '');
+  return match ? { epoch: match[1], seq: Number(match[2]) } : null;
+}
+
+/**
+ * Remember the newest event ID seen
+ * Re-sent critical events are older than ones already seen and are ignored;
+ * an ID from a new server start replaces the old one.
+ * @param {string} eventId
+ */
+function rememberEventId(eventId) {
+  const next = parseEventId(eventId);
+  if (!next) return;
+
+  const current = parseEventId(localStorage.getItem(LAST_EVENT_KEY));
+  if (!current || current.epoch !== next.epoch || next.seq > current.seq) {
+    localStorage.setItem(LAST_EVENT_KEY, eventId);
+  }
+}
+
+/**
+ * Everything watched, as the server's joinRoom expects it
+ * @returns {{areas: Object[], sectors: string[]}}
+ */
+function currentAreas() {
+  const subscriptions = Array.from(watchedAreas.values());
+  return {
+    areas: subscriptions.flatMap(subscription => subscription.areas),
+    sectors: [...new Set(subscriptions.flatMap(subscription => subscription.sectors))]
+  };
+}
+
+/**
+ * Send the watched areas to the server
+ * @param {import('socket.io-client').Socket} connection
+ */
+function joinAreas(connection) {
+  connection.emit('joinRoom', currentAreas(), (reply = {}) => {
+    if (!reply.success) {
+      console.warn('Could not watch areas:', reply.error);
+    }
+  });
+}
+
+/**
+ * Tell the server who is connected
+ * @param {import('socket.io-client').Socket} connection
+ * @returns {Promise<void>}
+ */
+async function identify(connection) {
+  let token = null;
+  try {
+    token = await getAccessToken();
+  } catch (error) {
+    console.warn('Identifying without a session:', error.message);
+  }
+
+  const lastEventId = localStorage.getItem(LAST_EVENT_KEY);
+  const deliveryKey = localStorage.getItem(DELIVERY_KEY);
+  const identity = { clientId: getClientId(), token, lastEventId, deliveryKey, ...currentAreas() };
+  connection.emit('identify', identity, (reply = {}) => {
+    if (!reply.success) {
+      console.warn('Socket identify failed:', reply.error);
+      return;
+    }
+    rememberEventId(reply.lastEventId);
+    if (reply.deliveryKey) {
+      localStorage.setItem(DELIVERY_KEY, reply.deliveryKey);
+    }
+    if (reply.gap) {
+      window.dispatchEvent(new CustomEvent(GAP_EVENT, { detail: { lastEventId } }));
+    }
+  });
+}
+
+const reidentify = () => {
+  if (socket && socket.connected) {
+    identify(socket);
+  }
+};
+
+/**
+ * Get the shared connection, opening it if needed
+ * @returns {import('socket.io-client').Socket}
+ */
+export function getSocket() {
+  if (!socket) {
+    socket = io({ transports: ['websocket', 'polling'] });
+    const connection = socket;
+    connection.on('connect', () => identify(connection));
+    connection.onAny((eventName, payload, meta) => {
+      if (meta && meta.eventId) rememberEventId(meta.eventId);
+    });
+    window.addEventListener(SESSION_EVENT, reidentify);
+  }
+  return socket;
+}
+
+/**
+ * Check whether live updates are arriving
+ * @returns {boolean}
+ */
+export function isConnected() {
+  return Boolean(socket && socket.connected);
+}
+
+/**
+ * Receive record events for an area
+ * Calling again with the same key replaces that key's areas. Does not open
+ * the connection by itself.
+ * @param {string} key - Who is watching, e.g. 'map'
+ * @param {Object} subscription
+ * @param {Object[]} [subscription.areas] - `{ lat, lng }` points and
+ *   `{ minLat, minLng, maxLat, maxLng }` bounding boxes
+ * @param {string[]} [subscription.sectors] - Operational sector names
+ * @returns {Function} Stops watching (unless the key was replaced since)
+ *
+ * @example
+ * const unwatch = watchArea('map', { areas: [{ minLat, minLng, maxLat, maxLng }] });
+ */
+export function watchArea(key, { areas = [], sectors = [] } = {}) {
+  const subscription = { areas, sectors };
+  watchedAreas.set(key, subscription);
+  if (socket && socket.connected) joinAreas(socket);
+
+  return () => {
+    if (watchedAreas.get(key) !== subscription) return;
+    watchedAreas.delete(key);
+    if (socket && socket.connected) joinAreas(socket);
+  };
+}
+
+/**
+ * Confirm a critical event was handled, so the server stops re-sending it
+ * Does nothing for other events. Unacknowledged events are sent again on
+ * reconnect, so there is no need to retry while offline.
+ * @param {Object} meta - Second argument the event arrived with
+ */
+export function acknowledge(meta) {
+  if (meta && meta.critical && socket && socket.connected) {
+    socket.emit('event:ack', { eventId: meta.eventId });
+  }
+}
+
+/**
+ * Listen for a server event
+ * @param {string} eventName - e.g. 'request:updated'
+ * @param {Function} handler - Called with the event payload and its
+ *   `{ eventId, at, critical? }` metadata
+ * @returns {Function} Unsubscribe function
+ *
+ * @example
+ * const unsubscribe = onSocketEvent('request:updated', (request) => {
+ *   console.log('Request changed:', request.id);
+ * });
+ */
+export function onSocketEvent(eventName, handler) {
+  const connection = getSocket();
+  connection.on(eventName, handler);
+  listenerCount++;
+
+  let subscribed = true;
+  return () => {
+    if (!subscribed) return;
+    subscribed = false;
+    connection.off(eventName, handler);
+    listenerCount--;
+
+    if (listenerCount === 0 && socket === connection) {
+      window.removeEventListener(SESSION_EVENT, reidentify);
+      connection.disconnect();
+      socket = null;
+    }
+  };
+}
+
+export default {
+  getSocket,
+  isConnected,
+  onSocketEvent,
+  watchArea,
+  acknowledge
+};
@@ -0,0 +1,278 @@
+/**
+ * Sync Protocol Module
+ *
+ * Client side of the versioned /api/sync wire protocol.
+ * The offline queue batches its pending actions into one request:
+ *
+ *   POST /api/sync
+ *   {
+ *     protocolVersion: 2,
+ *     clientId: string,
+ *     cursor: string | null,
+ *     limit: number,
+ *     operations: [{ opId, type, payload, endpoint, baseVersion, ifMatch, ownerToken, timestamp }]
+ *   }
+ *
+ * The backend translates each action (e.g. 'request:create', 'UPDATE_REQUEST',
+ * 'sos') into a collection operation and answers with
+ * { protocolVersion, applied: [{ opId, success, error?, data?, conflicts? }], snapshot, cursor, hasMore, serverTime }.
+ * `opId` is the offline queue item ID, so results map back to queue items.
+ * It is stable across retries, so the server treats it as an idempotency key
+ * and a retried create returns the original record instead of a duplicate.
+ * Updates carry the record `version` they were made against as `baseVersion`;
+ * fields the server changed since then come back in `conflicts`.
+ * An `ifMatch` ETag (see etagOf) makes the write all-or-nothing instead: if
+ * the record has moved on, the result fails with `status: 412` and the
+ * `current` record.
+ * An `ownerToken` lets an anonymous requester change their own request
+ * (see ownedRequests).
+ *
+ * `cursor` is opaque. While `hasMore` is true the client keeps posting the
+ * returned cursor (with no operations) to catch up in bounded pages.
+ *
+ * @module syncProtocol
+ */
+
+import { putBatch, getAll, deleteRecord, applyTombstones, cleanup } from './db.js';
+
+export const SYNC_PROTOCOL_VERSION = 2;
+export const SYNC_ENDPOINT = '/api/sync';
+export const SYNC_PAGE_SIZE = 200;
+
+const CLIENT_ID_KEY = 'clientId';
+const CURSOR_KEY = 'syncCursor';
+const LAST_SYNC_KEY = 'lastSyncAt';
+const SNAPSHOT_STORES = ['requests', 'volunteers', 'shelters', 'routes', 'peers'];
+// Matches the server's default tombstone retention window
+const TOMBSTONE_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Get this device's stable client ID, creating one on first use
+ * @returns {string} Client ID
+ */
+export function getClientId() {
+  let clientId = localStorage.getItem(CLIENT_ID_KEY);
+
+  if (!clientId) {
+    clientId = `client-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
+    localStorage.setItem(CLIENT_ID_KEY, clientId);
+  }
+
+  return clientId;
+}
+
+/**
+ * Get the cursor returned by the last completed sync page
+ * @returns {string|null} Opaque cursor
+ */
+export function getSyncCursor() {
+  return localStorage.getItem(CURSOR_KEY);
+}
+
+/**
+ * Remember the cursor returned by the server
+ * @param {string} cursor - Opaque cursor
+ */
+export function setSyncCursor(cursor) {
+  if (cursor) {
+    localStorage.setItem(CURSOR_KEY, cursor);
+  }
+}
+
+/**
+ * Get the server time of the last completed sync (for display only)
+ * @returns {string|null} ISO timestamp
+ */
+export function getLastSyncAt() {
+  return localStorage.getItem(LAST_SYNC_KEY);
+}
+
+/**
+ * ETag of a server record, as the backend's etagService formats it
+ * The version plus a digest of the record's ID and timestamps, e.g.
+ * "v3-Jd8r1kq0mZ2Xw4pA". Only full tags match an If-Match.
+ * @param {Object} record - Record as the server sent it
+ * @returns {Promise<string>} Quoted entity tag
+ */
+export async function etagOf(record) {
+  const text = `${record.id}\n${record.createdAt || ''}\n${record.updatedAt || ''}`;
+  const buffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  const digest = btoa(String.fromCharCode(...new Uint8Array(buffer)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '')
+    .slice(0, 16);
+  return `"v${record.version || 1}-${digest}"`;
+}
+
+/**
+ * Convert an offline queue item into a protocol operation
+ * @param {Object} item - Offline queue item ({ id, action })
+ * @returns {Object} Operation
+ */
+export function toOperation(item) {
+  const { type, payload, data, endpoint, baseVersion, ifMatch, ownerToken, timestamp } = item.action;
+
+  return {
+    opId: item.id,
+    type,
+    // Some callers queue `data` instead of `payload`
+    payload: payload || data,
+    endpoint,
+    baseVersion,
+    ifMatch,
+    ownerToken,
+    timestamp: timestamp || item.createdAt
+  };
+}
+
+/**
+ * Build a sync request body from queue items
+ * @param {Array<Object>} items - Offline queue items
+ * @param {string|null} [cursor] - Cursor to resume from (defaults to the stored one)
+ * @returns {Object} Sync request body
+ */
+export function buildSyncPayload(items, cursor = getSyncCursor()) {
+  return {
+    protocolVersion: SYNC_PROTOCOL_VERSION,
+    clientId: getClientId(),
+    cursor,
+    limit: SYNC_PAGE_SIZE,
+    operations: items.map(toOperation)
+  };
+}
+
+/**
+ * Index server results by queue item ID
+ * @param {Array<Object>} applied - `applied` array from the sync response
+ * @returns {Map<string, Object>} opId -> result
+ */
+export function mapResultsByOpId(applied = []) {
+  const byOpId = new Map();
+
+  for (const result of applied) {
+    if (result.opId !== undefined && result.opId !== null) {
+      byOpId.set(result.opId, result);
+    }
+  }
+
+  return byOpId;
+}
+
+/**
+ * Write one snapshot page into the local stores
+ * Records listed under `snapshot.deleted` are removed.
+ * @param {Object} snapshot - collectionName -> records, plus `deleted`
+ * @param {Object<string, Set>} [liveIds] - Collects record IDs seen during a full sync
+ * @returns {Promise<number>} Number of records written or removed
+ */
+export async function applySnapshot(snapshot = {}, liveIds = null) {
+  const deleted = snapshot.deleted || {};
+  let count = 0;
+
+  for (const storeName of SNAPSHOT_STORES) {
+    const records = Array.isArray(snapshot[storeName]) ? snapshot[storeName] : [];
+
+    if (liveIds) {
+      records.forEach(record => liveIds[storeName].add(record.id));
+    }
+
+    if (records.length > 0) {
+      await putBatch(storeName, records);
+      count += records.length;
+    }
+
+    if (Array.isArray(deleted[storeName]) && deleted[storeName].length > 0) {
+      count += await applyTombstones(storeName, deleted[storeName]);
+    }
+  }
+
+  return count;
+}
+
+/**
+ * Remove server-sourced records that a full sync did not return
+ * Local-only records are left alone.
+ * @param {Object<string, Set>} liveIds - storeName -> IDs returned by the server
+ * @returns {Promise<number>} Number of records removed
+ */
+async function pruneMissing(liveIds) {
+  let count = 0;
+
+  for (const storeName of SNAPSHOT_STORES) {
+    const existing = await getAll(storeName);
+
+    for (const record of existing) {
+      if (record.source === 'server' && !liveIds[storeName].has(record.id)) {
+        await deleteRecord(storeName, record.id);
+        count++;
+      }
+    }
+  }
+
+  return count;
+}
+
+/**
+ * Apply a sync response and fetch any remaining pages
+ *
+ * Incremental pages advance the stored cursor one by one, so an interrupted
+ * catch-up resumes where it stopped. A full sync only stores its cursor
+ * once every page has arrived, since pruning needs the complete picture.
+ *
+ * @param {Object} response - First sync response
+ * @param {Function} send - Posts a sync body and resolves with the response
+ * @returns {Promise<{pages: number, records: number}>} Pull summary
+ */
+export async function pullChanges(response, send) {
+  const full = Boolean(response.snapshot && response.snapshot.full);
+  const liveIds = full
+    ? Object.fromEntries(SNAPSHOT_STORES.map(storeName => [storeName, new Set()]))
+    : null;
+
+  let page = response;
+  let pages = 0;
+  let records = 0;
+
+  for (;;) {
+    records += await applySnapshot(page.snapshot, liveIds);
+    pages++;
+
+    if (!full) {
+      setSyncCursor(page.cursor);
+    }
+
+    if (!page.hasMore) break;
+
+    page = await send(buildSyncPayload([], page.cursor));
+  }
+
+  if (full) {
+    records += await pruneMissing(liveIds);
+    setSyncCursor(page.cursor);
+  }
+
+  if (page.serverTime) {
+    localStorage.setItem(LAST_SYNC_KEY, page.serverTime);
+  }
+
+  await cleanup('tombstones', TOMBSTONE_MAX_AGE);
+
+  return { pages, records };
+}
+
+export default {
+  SYNC_PROTOCOL_VERSION,
+  SYNC_ENDPOINT,
+  SYNC_PAGE_SIZE,
+  getClientId,
+  getSyncCursor,
+  setSyncCursor,
+  getLastSyncAt,
+  etagOf,
+  toOperation,
+  buildSyncPayload,
+  mapResultsByOpId,
+  applySnapshot,
+  pullChanges
+};
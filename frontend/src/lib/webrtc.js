@@ -7,18 +7,29 @@
  * Features:
  * - Peer-to-peer data synchronization (no central server needed)
  * - Library-optional: Can use simple-peer or native RTCPeerConnection
- * - Syncs help requests, volunteers, and offline queue items
+ * - Syncs help requests, volunteers, and shelters
  * - Idempotent updates using id + timestamp + hash
+ * - Anti-entropy sync: peers compare hash trees of each store (see
+ *   merkleTree) and send only the records that differ
  * - Cross-tab coordination via BroadcastChannel
+ * - Manual pairing by QR code or pasted text when neither the internet nor
+ *   the backend is reachable (createPairingOffer)
  * 
  * Configuration:
  * - STUN servers: Free public STUN servers for NAT traversal
- * - Signaling server: Optional WebSocket server for peer discovery
+ * - Signaling: the backend's Socket.IO connection (see lib/socket and the
+ *   backend's services/signalingService) assigns peer IDs, relays offers and
+ *   answers, and carries discovery broadcasts
  * 
  * @module webrtc
  */
 
-import { put, get, query, getAll } from './db.js';
+import { put, get, query, getAll, deleteRecord, isTombstoned, watch } from './db.js';
+import { getSocket, isConnected as isSocketConnected, onSocketEvent } from './socket.js';
+import { getClientId } from './syncProtocol.js';
+import { authHeaders } from './session.js';
+import { encodePairingCode, decodePairingCode, PairingCodeError } from './pairingCode.js';
+import { buildTree, nodeDigest, nodeInfo, differingChildren, differingEntries } from './merkleTree.js';
 
 /**
  * WebRTC Configuration
@@ -53,61 +64,52 @@ const RTC_CONFIG = {
 };
 
 /**
- * Signaling Server Configuration
- * 
- * The signaling server helps peers discover each other and exchange
- * connection information (SDP offers/answers and ICE candidates).
- * 
- * Backend Setup Instructions:
- * 1. Install ws: npm install ws
- * 2. Create backend/src/signaling-server.js:
- * 
- *    const WebSocket = require('ws');
- *    const wss = new WebSocket.Server({ port: 8080 });
- *    const peers = new Map();
- *    
- *    wss.on('connection', (ws) => {
- *      const peerId = Math.random().toString(36).substring(7);
- *      peers.set(peerId, ws);
- *      
- *      ws.send(JSON.stringify({ type: 'id', peerId }));
- *      
- *      ws.on('message', (data) => {
- *        const msg = JSON.parse(data);
- *        if (msg.to && peers.has(msg.to)) {
- *          peers.get(msg.to).send(JSON.stringify({
- *            ...msg,
- *            from: peerId
- *          }));
- *        } else if (msg.type === 'broadcast') {
- *          peers.forEach((peer, id) => {
- *            if (id !== peerId) peer.send(JSON.stringify({ ...msg, from: peerId }));
- *          });
- *        }
- *      });
- *      
- *      ws.on('close', () => peers.delete(peerId));
- *    });
- * 
- * 3. Start server: node backend/src/signaling-server.js
- * 
- * @constant {string}
+ * How long to wait for the backend to answer a signaling message
+ * @constant {number}
+ */
+const SIGNALING_TIMEOUT_MS = 10000;
+
+/**
+ * How long a manually paired phone has to connect
+ * @constant {number}
  */
-const SIGNALING_SERVER_URL = 'ws://localhost:8080'; // Change to your server URL
+const PAIRING_TIMEOUT_MS = 60 * 1000;
 
 /**
  * Stores to sync via P2P
+ * Not the offline queue: queued changes may carry a requester's owner
+ * token, and only this device should send them to the server.
  * @constant {Array<string>}
  */
-const SYNC_STORES = ['requests', 'volunteers', 'shelters', 'offlineQueue'];
+const SYNC_STORES = ['requests', 'volunteers', 'shelters'];
+
+/**
+ * Most records per `sync` message when sending what a peer asked for
+ * Keeps messages well below the data channel's size limit.
+ * @constant {number}
+ */
+const RECORDS_PER_MESSAGE = 50;
+
+/**
+ * Window event fired when sync progress with a peer changes
+ * The event's detail is getSyncProgress(peerId).
+ * @constant {string}
+ */
+export const SYNC_PROGRESS_EVENT = 'webrtc:sync-progress';
 
 /**
  * Local peer state
  */
 let localPeerId = null;
-let signalingSocket = null;
+let signalingStops = null; // socket listener unsubscribers while discovery runs
 let activePeers = new Map(); // peerId -> peer connection
 let discoveryCallbacks = [];
+let pendingPairing = null; // { peer, remote } while an offer waits for its answer
+let localPairingId = null;
+let syncSessions = new Map(); // peerId -> anti-entropy state, see startSyncSession
+let storeTrees = new Map(); // storeName -> Promise<tree>, dropped whenever the store changes
+
+SYNC_STORES.forEach(storeName => watch(storeName, () => storeTrees.delete(storeName)));
 
 /**
  * BroadcastChannel for cross-tab communication
@@ -357,97 +359,138 @@ export function initLocalPeer(isInitiator, onData) {
   };
 }
 
+/**
+ * Register this device under its peer ID through /api/peers
+ * @param {string} peerId
+ * @returns {Promise<void>}
+ */
+async function registerPeer(peerId) {
+  const response = await fetch('/api/peers', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Client-Id': getClientId(),
+      ...(await authHeaders())
+    },
+    body: JSON.stringify({
+      peerId,
+      lastSeenAt: new Date().toISOString(),
+      capabilities: { dataChannel: true, stores: SYNC_STORES }
+    }),
+    signal: AbortSignal.timeout(SIGNALING_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Peer registration failed: HTTP ${response.status}`);
+  }
+}
+
+/**
+ * Get a peer ID from the signaling server and register it
+ * Each socket connection gets its own ID, so this runs again after reconnects.
+ * @returns {Promise<string>} Local peer ID
+ */
+async function joinSignaling() {
+  const reply = await getSocket().timeout(SIGNALING_TIMEOUT_MS).emitWithAck('peer:join');
+  if (!reply.success) {
+    throw new Error(reply.error || 'Signaling server refused to join');
+  }
+
+  localPeerId = reply.peerId;
+  log('Received peer ID:', localPeerId);
+  registerPeer(localPeerId).catch(error => log('Could not register peer:', error.message));
+  return localPeerId;
+}
+
+/**
+ * Tell discovery callbacks about a peer
+ * @param {Object} peerInfo - { peerId, signal? }
+ */
+function notifyDiscovered(peerInfo) {
+  discoveryCallbacks.forEach(callback => callback(peerInfo));
+}
+
+/**
+ * Send a signal to one peer through the signaling server
+ * @param {string} peerId - Remote peer ID
+ * @param {Object} signal - Offer or answer
+ * @returns {Promise<boolean>} Whether the server delivered it
+ */
+async function sendSignal(peerId, signal) {
+  if (!isSocketConnected()) {
+    log('Cannot send signal: signaling server not connected');
+    return false;
+  }
+
+  const reply = await getSocket().timeout(SIGNALING_TIMEOUT_MS).emitWithAck('signal', { to: peerId, signal });
+  if (!reply.success) {
+    log('Signal not delivered:', reply.error);
+  }
+  return Boolean(reply.success);
+}
+
 /**
  * Connect to signaling server for peer discovery
  * @param {Function} onPeerDiscovered - Callback when peer is discovered
  * @returns {Promise<string>} Local peer ID
  */
 export async function startDiscovery(onPeerDiscovered) {
-  return new Promise((resolve, reject) => {
-    if (localPeerId && signalingSocket && signalingSocket.readyState === WebSocket.OPEN) {
-      log('Already connected to signaling server');
-      resolve(localPeerId);
-      return;
-    }
-    
-    log('Connecting to signaling server:', SIGNALING_SERVER_URL);
-    
-    try {
-      signalingSocket = new WebSocket(SIGNALING_SERVER_URL);
-      
-      signalingSocket.onopen = () => {
-        log('Connected to signaling server');
-      };
-      
-      signalingSocket.onmessage = (event) => {
-        try {
-          const msg = JSON.parse(event.data);
-          
-          switch (msg.type) {
-            case 'id':
-              localPeerId = msg.peerId;
-              log('Received peer ID:', localPeerId);
-              resolve(localPeerId);
-              break;
-              
-            case 'peer-discovered':
-              log('Peer discovered:', msg.from);
-              if (onPeerDiscovered) {
-                onPeerDiscovered({ peerId: msg.from, signal: msg.signal });
-              }
-              break;
-              
-            case 'signal':
-              log('Received signal from:', msg.from);
-              handleIncomingSignal(msg.from, msg.signal);
-              break;
-              
-            case 'broadcast':
-              log('Received broadcast from:', msg.from);
-              if (msg.action === 'discover' && onPeerDiscovered) {
-                onPeerDiscovered({ peerId: msg.from });
-              }
-              break;
-              
-            default:
-              log('Unknown message type:', msg.type);
-          }
-        } catch (error) {
-          console.error('Failed to handle message:', error);
+  if (onPeerDiscovered && !discoveryCallbacks.includes(onPeerDiscovered)) {
+    discoveryCallbacks.push(onPeerDiscovered);
+  }
+
+  if (localPeerId && isSocketConnected()) {
+    log('Already connected to signaling server');
+    return localPeerId;
+  }
+
+  if (!signalingStops) {
+    log('Connecting to signaling server');
+    signalingStops = [
+      onSocketEvent('signal', ({ from, signal }) => {
+        log('Received signal from:', from);
+        handleIncomingSignal(from, signal).catch(error => console.error('Failed to handle signal:', error));
+      }),
+      onSocketEvent('broadcast', (msg) => {
+        log('Received broadcast from:', msg.from);
+        if (msg.action === 'discover') {
+          notifyDiscovered({ peerId: msg.from });
         }
-      };
-      
-      signalingSocket.onerror = (error) => {
-        console.error('Signaling socket error:', error);
-        reject(error);
-      };
-      
-      signalingSocket.onclose = () => {
+      }),
+      onSocketEvent('peer:left', ({ peerId }) => {
+        log('Peer left:', peerId);
+        disconnectPeer(peerId);
+      }),
+      // A new connection means a new peer ID
+      onSocketEvent('connect', () => {
+        if (localPeerId) {
+          joinSignaling().catch(error => console.error('Failed to rejoin signaling:', error));
+        }
+      }),
+      onSocketEvent('disconnect', () => {
         log('Signaling server disconnected');
-        localPeerId = null;
-      };
-      
-    } catch (error) {
-      console.error('Failed to connect to signaling server:', error);
-      
-      // Fallback: Generate local peer ID without signaling server
-      localPeerId = generatePeerId();
-      log('Using local peer ID (no signaling server):', localPeerId);
-      resolve(localPeerId);
-    }
-  });
+      })
+    ];
+  }
+
+  try {
+    return await joinSignaling();
+  } catch (error) {
+    console.error('Failed to connect to signaling server:', error);
+
+    // Fallback: Generate local peer ID without signaling server
+    localPeerId = generatePeerId();
+    log('Using local peer ID (no signaling server):', localPeerId);
+    return localPeerId;
+  }
 }
 
 /**
  * Broadcast discovery message to find peers
  */
 export function broadcastDiscovery() {
-  if (signalingSocket && signalingSocket.readyState === WebSocket.OPEN) {
-    signalingSocket.send(JSON.stringify({
-      type: 'broadcast',
-      action: 'discover',
-      peerId: localPeerId
-    }));
+  if (signalingStops && isSocketConnected()) {
+    getSocket().emit('broadcast', { action: 'discover' });
     log('Broadcast discovery message');
   } else {
     log('Cannot broadcast: signaling server not connected');
@@ -466,18 +509,15 @@ async function handleIncomingSignal(peerId, signal) {
     // Create new peer for incoming connection
     peer = initLocalPeer(false, (data) => handlePeerData(peerId, data));
     activePeers.set(peerId, peer);
+    syncDataWithPeer(peerId);
   }
   
   // Process signal
   const answer = await peer.connectSignal(signal);
   
   // Send answer back if we're the receiver
-  if (answer && signalingSocket) {
-    signalingSocket.send(JSON.stringify({
-      type: 'signal',
-      to: peerId,
-      signal: answer
-    }));
+  if (answer) {
+    await sendSignal(peerId, answer);
   }
 }
 
@@ -519,56 +559,275 @@ export async function syncWithPeer(peerInfo) {
     // Create and send signal via signaling server
     const offerSignal = await peer.signal();
     
-    if (signalingSocket && signalingSocket.readyState === WebSocket.OPEN) {
-      signalingSocket.send(JSON.stringify({
-        type: 'signal',
-        to: peerId,
-        signal: offerSignal
-      }));
-    } else {
-      log('Cannot send signal: signaling server not connected');
+    if (!(await sendSignal(peerId, offerSignal))) {
+      disconnectPeer(peerId);
+      throw new Error(`Could not reach peer: ${peerId}`);
     }
   }
   
   // Start syncing data
-  await syncDataWithPeer(peer);
+  syncDataWithPeer(peerId);
   
   return peer;
 }
 
+/**
+ * Hash tree of a store's records
+ * Built on first use and kept until the store changes.
+ * @param {string} storeName
+ * @returns {Promise<Object>} See merkleTree.buildTree
+ */
+function storeTree(storeName) {
+  if (!storeTrees.has(storeName)) {
+    const tree = getAll(storeName).then(buildTree);
+    tree.catch(() => storeTrees.delete(storeName));
+    storeTrees.set(storeName, tree);
+  }
+  return storeTrees.get(storeName);
+}
+
 /**
  * Sync local data with peer
- * Sends recent items from all sync stores
- * @param {Object} peer - Peer connection
+ * 
+ * Anti-entropy: this side walks the peer's hash tree of each store from the
+ * root down, only into nodes whose digests differ from its own, then asks
+ * for the records in differing leaves that are missing here or newer there.
+ * The peer does the same, so each side fetches what it lacks and stores
+ * that already match cost one message each way.
+ * 
+ *   merkle:get    { store, paths }  -> merkle:nodes { store, nodes }
+ *   merkle:want   { store, ids }    -> sync { store, items, missing }
+ * 
+ * @param {string} peerId - Peer ID
  */
-async function syncDataWithPeer(peer) {
+function syncDataWithPeer(peerId) {
+  if (!activePeers.has(peerId)) return;
+  
+  log('Starting data sync with peer:', peerId);
+  
+  const stores = {};
+  SYNC_STORES.forEach((storeName) => {
+    stores[storeName] = { pendingNodes: 0, wanted: new Set(), requested: 0, received: 0, sent: 0 };
+  });
+  syncSessions.set(peerId, { startedAt: Date.now(), finishedAt: null, stores });
+  
+  SYNC_STORES.forEach(storeName => requestNodes(peerId, storeName, ['']));
+  reportProgress(peerId);
+}
+
+/**
+ * Sync state of one store with a peer
+ * @param {string} peerId
+ * @param {string} storeName
+ * @returns {Object|null}
+ */
+function syncStore(peerId, storeName) {
+  const session = syncSessions.get(peerId);
+  return (session && session.stores[storeName]) || null;
+}
+
+/**
+ * Ask a peer for nodes of its tree of a store
+ * @param {string} peerId
+ * @param {string} storeName
+ * @param {Array<string>} paths
+ */
+function requestNodes(peerId, storeName, paths) {
+  const peer = activePeers.get(peerId);
+  const store = syncStore(peerId, storeName);
+  if (!peer || !store) return;
+  
+  store.pendingNodes++;
+  peer.send({ type: 'merkle:get', store: storeName, paths });
+}
+
+/**
+ * Answer a peer's merkle:get
+ * @param {string} peerId
+ * @param {string} storeName
+ * @param {Array<string>} paths
+ */
+async function handleTreeRequest(peerId, storeName, paths) {
+  const peer = activePeers.get(peerId);
+  if (!peer || !SYNC_STORES.includes(storeName) || !Array.isArray(paths)) return;
+  
+  const tree = await storeTree(storeName);
+  peer.send({
+    type: 'merkle:nodes',
+    store: storeName,
+    nodes: paths.map(path => nodeInfo(tree, String(path)))
+  });
+}
+
+/**
+ * Compare nodes of a peer's tree with this side's
+ * Descends into differing children, and asks for the records worth
+ * fetching from differing leaves.
+ * @param {string} peerId
+ * @param {string} storeName
+ * @param {Array<Object>} nodes - merkleTree.nodeInfo results
+ */
+async function handleTreeNodes(peerId, storeName, nodes) {
+  const store = syncStore(peerId, storeName);
+  if (!store) return;
+  
   try {
-    log('Starting data sync');
+    const tree = await storeTree(storeName);
+    const childPaths = [];
+    const candidates = [];
     
-    for (const storeName of SYNC_STORES) {
-      const items = await getAll(storeName);
+    for (const node of Array.isArray(nodes) ? nodes : []) {
+      if (node.digest === nodeDigest(tree, node.path)) continue;
       
-      // Send items in batches to avoid overwhelming the connection
-      const batchSize = 10;
-      for (let i = 0; i < items.length; i += batchSize) {
-        const batch = items.slice(i, i + batchSize);
-        
-        peer.send({
-          type: 'sync',
-          store: storeName,
-          items: batch
-        });
-        
-        // Small delay between batches
-        await new Promise(resolve => setTimeout(resolve, 100));
+      if (node.entries) {
+        candidates.push(...differingEntries(tree, node));
+      } else {
+        childPaths.push(...differingChildren(tree, node));
       }
     }
     
-    log('Data sync complete');
+    if (childPaths.length > 0) {
+      requestNodes(peerId, storeName, childPaths);
+    }
     
-  } catch (error) {
-    console.error('Failed to sync data:', error);
+    const ids = [];
+    for (const id of candidates) {
+      // Never ask for records the server has deleted
+      if (!store.wanted.has(id) && !(await isTombstoned(storeName, id))) {
+        ids.push(id);
+      }
+    }
+    
+    const peer = activePeers.get(peerId);
+    if (peer && ids.length > 0) {
+      ids.forEach(id => store.wanted.add(id));
+      store.requested += ids.length;
+      peer.send({ type: 'merkle:want', store: storeName, ids });
+    }
+  } finally {
+    // Counted down last, so the store never looks done while requests go out
+    store.pendingNodes = Math.max(0, store.pendingNodes - 1);
+    reportProgress(peerId);
+  }
+}
+
+/**
+ * Send the records a peer asked for
+ * IDs no longer here are listed as `missing` so the peer stops waiting.
+ * @param {string} peerId
+ * @param {string} storeName
+ * @param {Array<string>} ids
+ */
+async function handleTreeWant(peerId, storeName, ids) {
+  const peer = activePeers.get(peerId);
+  if (!peer || !SYNC_STORES.includes(storeName) || !Array.isArray(ids)) return;
+  
+  const items = [];
+  const missing = [];
+  for (const id of ids) {
+    const item = await get(storeName, id);
+    if (item) {
+      items.push(item);
+    } else {
+      missing.push(id);
+    }
+  }
+  
+  for (let i = 0; i < items.length; i += RECORDS_PER_MESSAGE) {
+    peer.send({ type: 'sync', store: storeName, items: items.slice(i, i + RECORDS_PER_MESSAGE) });
+  }
+  if (missing.length > 0) {
+    peer.send({ type: 'sync', store: storeName, items: [], missing });
+  }
+  
+  const store = syncStore(peerId, storeName);
+  if (store) {
+    store.sent += items.length;
+    reportProgress(peerId);
+  }
+}
+
+/**
+ * Mark records asked for with merkle:want as arrived
+ * @param {string} peerId
+ * @param {string} storeName
+ * @param {Array<Object>} items - Records received
+ * @param {Array<string>} [missing] - IDs the peer no longer has
+ */
+function settleWanted(peerId, storeName, items, missing = []) {
+  const store = syncStore(peerId, storeName);
+  if (!store) return;
+  
+  items.forEach((item) => {
+    if (store.wanted.delete(item.id)) store.received++;
+  });
+  missing.forEach(id => store.wanted.delete(id));
+  reportProgress(peerId);
+}
+
+/**
+ * Get sync progress with a peer
+ * 
+ * Per store, `state` is 'comparing' while tree nodes are being compared,
+ * 'fetching' while asked-for records are on their way, then 'done'.
+ * `requested` and `received` count records fetched from the peer, `sent`
+ * records the peer fetched from here.
+ * 
+ * @param {string} peerId - Peer ID
+ * @returns {Object|null} { peerId, state: 'syncing'|'done', startedAt,
+ *   finishedAt, stores: { [storeName]: { state, requested, received, sent } } },
+ *   or null when no sync with that peer has started
+ */
+export function getSyncProgress(peerId) {
+  const session = syncSessions.get(peerId);
+  if (!session) return null;
+  
+  const stores = {};
+  for (const [storeName, store] of Object.entries(session.stores)) {
+    let state = 'done';
+    if (store.pendingNodes > 0) {
+      state = 'comparing';
+    } else if (store.wanted.size > 0) {
+      state = 'fetching';
+    }
+    stores[storeName] = { state, requested: store.requested, received: store.received, sent: store.sent };
+  }
+  
+  return {
+    peerId,
+    state: session.finishedAt ? 'done' : 'syncing',
+    startedAt: session.startedAt,
+    finishedAt: session.finishedAt,
+    stores
+  };
+}
+
+/**
+ * Listen for sync progress with any peer
+ * @param {Function} callback - Called with getSyncProgress(peerId) on every change
+ * @returns {Function} Unsubscribe function
+ */
+export function onSyncProgress(callback) {
+  const listener = (event) => callback(event.detail);
+  window.addEventListener(SYNC_PROGRESS_EVENT, listener);
+  return () => window.removeEventListener(SYNC_PROGRESS_EVENT, listener);
+}
+
+/**
+ * Announce a change in sync progress with a peer
+ * @param {string} peerId
+ */
+function reportProgress(peerId) {
+  const session = syncSessions.get(peerId);
+  if (!session) return;
+  
+  const stores = Object.values(getSyncProgress(peerId).stores);
+  if (!session.finishedAt && stores.every(store => store.state === 'done')) {
+    session.finishedAt = Date.now();
+    log('Data sync complete with peer:', peerId);
   }
+  
+  window.dispatchEvent(new CustomEvent(SYNC_PROGRESS_EVENT, { detail: getSyncProgress(peerId) }));
 }
 
 /**
@@ -583,6 +842,19 @@ async function handlePeerData(peerId, data) {
     switch (data.type) {
       case 'sync':
         await handleSyncData(data.store, data.items);
+        settleWanted(peerId, data.store, data.items, data.missing);
+        break;
+        
+      case 'merkle:get':
+        await handleTreeRequest(peerId, data.store, data.paths);
+        break;
+        
+      case 'merkle:nodes':
+        await handleTreeNodes(peerId, data.store, data.nodes);
+        break;
+        
+      case 'merkle:want':
+        await handleTreeWant(peerId, data.store, data.ids);
         break;
         
       case 'update':
@@ -621,10 +893,22 @@ async function handlePeerData(peerId, data) {
  * @param {Array} items - Items to sync
  */
 async function handleSyncData(storeName, items) {
+  // Peers on older versions also send their offline queue
+  if (!SYNC_STORES.includes(storeName)) {
+    log(`Ignored items for unsynced store: ${storeName}`);
+    return;
+  }
+  
   log(`Syncing ${items.length} items to ${storeName}`);
   
   for (const item of items) {
     try {
+      // Never resurrect records the server has deleted
+      if (await isTombstoned(storeName, item.id)) {
+        log(`Skipped deleted item: ${item.id}`);
+        continue;
+      }
+      
       // Check if item already exists
       const existing = await get(storeName, item.id);
       
@@ -697,6 +981,143 @@ function notifyOtherTabs(action, storeName, item) {
   }
 }
 
+/**
+ * Peer ID this device puts in pairing codes
+ * The signaling ID when there is one, otherwise a local one.
+ * @returns {string}
+ */
+function pairingPeerId() {
+  if (localPeerId) return localPeerId;
+  if (!localPairingId) {
+    localPairingId = generatePeerId();
+  }
+  return localPairingId;
+}
+
+/**
+ * Start pairing with a phone nearby, without a signaling server
+ *
+ * Manual pairing takes three steps:
+ * 1. This phone shows the code returned here (as a QR code or text)
+ * 2. The other phone scans or pastes it into answerPairingOffer and shows
+ *    the answer code it gets back
+ * 3. This phone scans or pastes that into completePairing
+ *
+ * The phones then connect directly; both need to be on the same Wi-Fi or
+ * hotspot when there is no internet. Starting again drops an unanswered offer.
+ *
+ * @returns {Promise<string>} Offer pairing code
+ */
+export async function createPairingOffer() {
+  cancelPairing();
+
+  const remote = { peerId: null };
+  const peer = initLocalPeer(true, (data) => handlePeerData(remote.peerId, data));
+  pendingPairing = { peer, remote };
+
+  const offer = await peer.signal();
+  return encodePairingCode({ type: 'offer', from: pairingPeerId(), sdp: offer.sdp.sdp });
+}
+
+/**
+ * Answer the offer code shown on another phone
+ * Data sync starts as soon as the phones connect.
+ * @param {string} text - Offer code, scanned or pasted
+ * @returns {Promise<{code: string, peerId: string}>} Answer code to show the
+ *   other phone, and its peer ID
+ * @throws {PairingCodeError}
+ */
+export async function answerPairingOffer(text) {
+  const offer = await decodePairingCode(text);
+  if (offer.type !== 'offer') {
+    throw new PairingCodeError('This is an answer code. Scan the code the other phone shows first.');
+  }
+
+  const peerId = offer.from;
+  disconnectPeer(peerId);
+  const peer = initLocalPeer(false, (data) => handlePeerData(peerId, data));
+  activePeers.set(peerId, peer);
+
+  const answer = await peer.connectSignal({ type: 'offer', sdp: { type: 'offer', sdp: offer.sdp } });
+  syncDataWithPeer(peerId);
+
+  const code = await encodePairingCode({ type: 'answer', from: pairingPeerId(), sdp: answer.sdp.sdp });
+  return { code, peerId };
+}
+
+/**
+ * Finish pairing with the answer code from the other phone
+ * Data sync starts as soon as the phones connect.
+ * @param {string} text - Answer code, scanned or pasted
+ * @returns {Promise<string>} The other phone's peer ID
+ * @throws {PairingCodeError}
+ */
+export async function completePairing(text) {
+  if (!pendingPairing) {
+    throw new PairingCodeError('Start pairing on this phone first');
+  }
+
+  const answer = await decodePairingCode(text);
+  if (answer.type !== 'answer') {
+    throw new PairingCodeError('This is an offer code. Scan the answer the other phone shows.');
+  }
+
+  const { peer, remote } = pendingPairing;
+  await peer.connectSignal({ type: 'answer', sdp: { type: 'answer', sdp: answer.sdp } });
+  pendingPairing = null;
+
+  remote.peerId = answer.from;
+  disconnectPeer(answer.from);
+  activePeers.set(answer.from, peer);
+  syncDataWithPeer(answer.from);
+
+  return answer.from;
+}
+
+/**
+ * Drop an offer that has not been answered
+ */
+export function cancelPairing() {
+  if (pendingPairing) {
+    pendingPairing.peer.destroy();
+    pendingPairing = null;
+  }
+}
+
+/**
+ * Wait until a peer is connected
+ * @param {string} peerId
+ * @param {number} [timeoutMs=PAIRING_TIMEOUT_MS]
+ * @returns {Promise<void>} Rejects when the connection fails or takes too long
+ */
+export function waitForPeer(peerId, timeoutMs = PAIRING_TIMEOUT_MS) {
+  const peer = activePeers.get(peerId);
+  if (!peer) {
+    return Promise.reject(new Error(`Unknown peer: ${peerId}`));
+  }
+
+  const pc = peer._pc;
+  return new Promise((resolve, reject) => {
+    let timer = null;
+    const finish = (error) => {
+      clearTimeout(timer);
+      pc.removeEventListener('connectionstatechange', check);
+      if (error) reject(error); else resolve();
+    };
+    function check() {
+      if (pc.connectionState === 'connected') {
+        finish();
+      } else if (pc.connectionState === 'failed' || pc.connectionState === 'closed') {
+        finish(new Error('The connection to the other phone failed'));
+      }
+    }
+
+    timer = setTimeout(() => finish(new Error('The other phone did not connect in time')), timeoutMs);
+    pc.addEventListener('connectionstatechange', check);
+    check();
+  });
+}
+
 /**
  * Get list of active peers
  * @returns {Array<string>} Array of peer IDs
@@ -714,6 +1135,7 @@ export function disconnectPeer(peerId) {
   if (peer) {
     peer.destroy();
     activePeers.delete(peerId);
+    syncSessions.delete(peerId);
     log('Disconnected from peer:', peerId);
   }
 }
@@ -726,6 +1148,7 @@ export function disconnectAll() {
     peer.destroy();
   });
   activePeers.clear();
+  syncSessions.clear();
   log('Disconnected from all peers');
 }
 
@@ -741,12 +1164,18 @@ export function getLocalPeerId() {
  * Cleanup resources
  */
 export function cleanup() {
+  cancelPairing();
   disconnectAll();
   
-  if (signalingSocket) {
-    signalingSocket.close();
-    signalingSocket = null;
+  if (signalingStops) {
+    if (isSocketConnected()) {
+      getSocket().emit('peer:leave');
+    }
+    signalingStops.forEach(stop => stop());
+    signalingStops = null;
   }
+  localPeerId = null;
+  discoveryCallbacks = [];
   
   if (broadcastChannel) {
     broadcastChannel.close();
@@ -763,6 +1192,13 @@ export default {
   startDiscovery,
   broadcastDiscovery,
   syncWithPeer,
+  createPairingOffer,
+  answerPairingOffer,
+  completePairing,
+  cancelPairing,
+  waitForPeer,
+  getSyncProgress,
+  onSyncProgress,
   getActivePeers,
   disconnectPeer,
   disconnectAll,
@@ -0,0 +1,190 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getOpenConflicts, resolveConflict, dismissConflict } from '../lib/conflicts';
+
+// Show a stored value in a readable way
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Custom entries come from a text box; keep numbers as numbers
+const parseCustomValue = (text, field) => {
+  if (typeof field.serverValue === 'number' || typeof field.clientValue === 'number') {
+    const number = Number(text);
+    return Number.isNaN(number) ? text : number;
+  }
+  return text;
+};
+
+function ConflictCard({ conflict, onDone }) {
+  // field -> 'client' | 'server' | 'custom'
+  const [picks, setPicks] = useState(() =>
+    Object.fromEntries(conflict.fields.map(field => [field.field, field.winner]))
+  );
+  const [customValues, setCustomValues] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleApply = async () => {
+    setIsSaving(true);
+    try {
+      const choices = {};
+      for (const field of conflict.fields) {
+        const pick = picks[field.field];
+        if (pick === 'client') {
+          choices[field.field] = field.clientValue;
+        } else if (pick === 'custom') {
+          choices[field.field] = parseCustomValue(customValues[field.field] || '', field);
+        } else {
+          choices[field.field] = field.serverValue;
+        }
+      }
+      await resolveConflict(conflict.id, choices);
+      onDone();
+    } catch (error) {
+      console.error('Error resolving conflict:', error);
+      alert('Could not save your choice. Please try again.');
+      setIsSaving(false);
+    }
+  };
+
+  const handleKeepServer = async () => {
+    setIsSaving(true);
+    await dismissConflict(conflict.id);
+    onDone();
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-start justify-between mb-4">
+        <div>
+          <h2 className="text-lg font-bold text-gray-900">
+            {conflict.serverRecord?.name || conflict.serverRecord?.description || conflict.recordId}
+          </h2>
+          <p className="text-sm text-gray-600">
+            {conflict.collection} · detected {new Date(conflict.detectedAt).toLocaleString()}
+          </p>
+        </div>
+      </div>
+
+      <div className="space-y-4">
+        {conflict.fields.map(field => (
+          <fieldset key={field.field} className="border border-gray-200 rounded-lg p-4">
+            <legend className="px-2 text-sm font-semibold text-gray-700">{field.field}</legend>
+            <p className="text-xs text-gray-500 mb-3">
+              Kept on server: {field.winner === 'client' ? 'your change' : 'the newer change by someone else'}
+            </p>
+
+            <div className="space-y-2">
+              <label className="flex items-center gap-3 text-sm text-gray-800">
+                <input
+                  type="radio"
+                  name={`${conflict.id}-${field.field}`}
+                  checked={picks[field.field] === 'client'}
+                  onChange={() => setPicks({ ...picks, [field.field]: 'client' })}
+                />
+                <span>Yours: <span className="font-medium">{formatValue(field.clientValue)}</span></span>
+              </label>
+
+              <label className="flex items-center gap-3 text-sm text-gray-800">
+                <input
+                  type="radio"
+                  name={`${conflict.id}-${field.field}`}
+                  checked={picks[field.field] === 'server'}
+                  onChange={() => setPicks({ ...picks, [field.field]: 'server' })}
+                />
+                <span>Server: <span className="font-medium">{formatValue(field.serverValue)}</span></span>
+              </label>
+
+              <label className="flex items-center gap-3 text-sm text-gray-800">
+                <input
+                  type="radio"
+                  name={`${conflict.id}-${field.field}`}
+                  checked={picks[field.field] === 'custom'}
+                  onChange={() => setPicks({ ...picks, [field.field]: 'custom' })}
+                />
+                <span>Merge:</span>
+                <input
+                  type="text"
+                  aria-label={`Merged value for ${field.field}`}
+                  value={customValues[field.field] ?? ''}
+                  onFocus={() => setPicks({ ...picks, [field.field]: 'custom' })}
+                  onChange={(e) => setCustomValues({ ...customValues, [field.field]: e.target.value })}
+                  className="flex-1 px-3 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white text-gray-900"
+                  placeholder="Type a combined value"
+                />
+              </label>
+            </div>
+          </fieldset>
+        ))}
+      </div>
+
+      <div className="flex gap-3 mt-6">
+        <button
+          onClick={handleApply}
+          disabled={isSaving}
+          className="flex-1 px-4 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 transition-colors"
+        >
+          Apply choices
+        </button>
+        <button
+          onClick={handleKeepServer}
+          disabled={isSaving}
+          className="flex-1 px-4 py-2 bg-transparent text-gray-700 font-medium rounded-lg border border-gray-300 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-gray-400 disabled:opacity-50 transition-colors"
+        >
+          Keep server version
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function Conflicts() {
+  const [conflicts, setConflicts] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const loadConflicts = useCallback(async () => {
+    try {
+      setConflicts(await getOpenConflicts());
+    } catch (error) {
+      console.error('Error loading conflicts:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadConflicts();
+
+    window.addEventListener('conflicts:updated', loadConflicts);
+    return () => window.removeEventListener('conflicts:updated', loadConflicts);
+  }, [loadConflicts]);
+
+  return (
+    <div className="min-h-screen bg-[#dfe7ff] py-8 px-4">
+      <div className="max-w-3xl mx-auto">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Sync Conflicts</h1>
+        <p className="text-gray-600 mb-6">
+          These changes you made offline overlapped with newer edits from someone else.
+          Choose which value to keep, or type a merged one.
+        </p>
+
+        {isLoading ? (
+          <p className="text-gray-600">Loading...</p>
+        ) : conflicts.length === 0 ? (
+          <div className="bg-white rounded-lg shadow-md p-6 text-center text-gray-600">
+            No conflicts to review.
+          </div>
+        ) : (
+          <div className="space-y-6">
+            {conflicts.map(conflict => (
+              <ConflictCard key={conflict.id} conflict={conflict} onDone={loadConflicts} />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Conflicts;
@@ -0,0 +1,437 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { getAll, watch } from '../lib/db';
+import { loadCollection } from '../lib/collectionLoader';
+import { getSession, SESSION_EVENT } from '../lib/session';
+import { REQUEST_STATUS, STATUS_LABELS, normalizeStatus, isClosed, getStatusLabel } from '../lib/requestStatus';
+import {
+  URGENCY_LEVELS,
+  STALE_LOCATION_MS,
+  urgencyRank,
+  urgencyOf,
+  isUnassignedCritical,
+  isAvailable,
+  locationAge,
+  occupancy,
+  assignRequests,
+  autoAssign
+} from '../lib/coordinator';
+
+const COLLECTIONS = ['requests', 'volunteers', 'shelters'];
+
+const URGENCY_STYLES = {
+  critical: 'bg-red-600 text-white',
+  high: 'bg-orange-500 text-white',
+  medium: 'bg-yellow-400 text-gray-900',
+  low: 'bg-green-500 text-white'
+};
+
+// "12 min" style duration
+const formatAge = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  return hours < 24 ? `${hours}h ${minutes % 60}m` : `${Math.floor(hours / 24)}d`;
+};
+
+const waitedMs = (request) => Date.now() - new Date(request.createdAt || request.timestamp || Date.now()).getTime();
+
+// Keep a store's records in state, following local and live changes
+function useStore(storeName) {
+  const [records, setRecords] = useState([]);
+
+  useEffect(() => {
+    let active = true;
+    const load = () => getAll(storeName)
+      .then(items => { if (active) setRecords(items); })
+      .catch(error => console.error(`Error loading ${storeName}:`, error));
+
+    load();
+    const unwatch = watch(storeName, load);
+    return () => {
+      active = false;
+      unwatch();
+    };
+  }, [storeName]);
+
+  return records;
+}
+
+// Fetch what changed since the last visit; live events arrive through the
+// stores (see lib/realtime)
+function useFreshCollections() {
+  useEffect(() => {
+    COLLECTIONS.forEach(store => {
+      loadCollection(store).catch(error => console.warn(`Could not load ${store}:`, error.message));
+    });
+  }, []);
+}
+
+function Panel({ title, children, className = '' }) {
+  return (
+    <section className={`bg-white rounded-lg shadow-md p-6 ${className}`}>
+      <h2 className="text-lg font-bold text-gray-900 mb-4">{title}</h2>
+      {children}
+    </section>
+  );
+}
+
+function UrgencyBadge({ request }) {
+  const level = urgencyOf(request);
+  return (
+    <span className={`px-2 py-0.5 text-xs font-semibold rounded ${URGENCY_STYLES[level]}`}>
+      {level}
+    </span>
+  );
+}
+
+function CoordinatorDashboard() {
+  useFreshCollections();
+  const requests = useStore('requests');
+  const volunteers = useStore('volunteers');
+  const shelters = useStore('shelters');
+
+  const [filters, setFilters] = useState({ status: 'open', urgency: '', type: '', area: '' });
+  const [selected, setSelected] = useState(() => new Set());
+  const [volunteerId, setVolunteerId] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const volunteersById = useMemo(() => new Map(volunteers.map(v => [v.id, v])), [volunteers]);
+  const types = useMemo(() => [...new Set(requests.map(r => r.type).filter(Boolean))].sort(), [requests]);
+
+  const queue = useMemo(() => {
+    const area = filters.area.trim().toLowerCase();
+    return requests
+      .filter(request => {
+        const status = normalizeStatus(request.status);
+        if (filters.status === 'open' && isClosed(request)) return false;
+        if (filters.status && filters.status !== 'open' && status !== filters.status) return false;
+        if (filters.urgency && urgencyOf(request) !== filters.urgency) return false;
+        if (filters.type && request.type !== filters.type) return false;
+        if (area && !String(request.address || '').toLowerCase().includes(area)) return false;
+        return true;
+      })
+      .sort((a, b) => urgencyRank(b) - urgencyRank(a) || waitedMs(b) - waitedMs(a));
+  }, [requests, filters]);
+
+  const critical = useMemo(
+    () => requests.filter(isUnassignedCritical).sort((a, b) => waitedMs(b) - waitedMs(a)),
+    [requests]
+  );
+
+  const loads = useMemo(() => {
+    const counts = new Map();
+    requests
+      .filter(request => request.acceptedBy && !isClosed(request))
+      .forEach(request => counts.set(request.acceptedBy, (counts.get(request.acceptedBy) || 0) + 1));
+    return counts;
+  }, [requests]);
+
+  const roster = useMemo(
+    () => [...volunteers].sort((a, b) => Number(isAvailable(b)) - Number(isAvailable(a)) ||
+      String(a.name || '').localeCompare(String(b.name || ''))),
+    [volunteers]
+  );
+
+  const selectedRequests = queue.filter(request => selected.has(request.id));
+
+  const toggleSelected = (id) => {
+    const next = new Set(selected);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    setSelected(next);
+  };
+
+  const toggleAll = () => {
+    setSelected(selectedRequests.length === queue.length ? new Set() : new Set(queue.map(r => r.id)));
+  };
+
+  // Runs a dispatch call and reports how it went
+  const dispatch = async (work) => {
+    setIsWorking(true);
+    setMessage(null);
+    try {
+      const { assigned, failed } = await work();
+      setMessage({
+        type: failed.length > 0 ? 'warning' : 'success',
+        text: `${assigned} assigned${failed.length > 0
+          ? `, ${failed.length} not assigned: ${failed.map(f => f.error).filter((e, i, all) => all.indexOf(e) === i).join('; ')}`
+          : ''}`
+      });
+      setSelected(new Set());
+    } catch (error) {
+      console.error('Dispatch failed:', error);
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleAssign = () => dispatch(() => assignRequests(selectedRequests, volunteerId));
+
+  const handleAutoAssign = (requestIds) => dispatch(() => autoAssign(requestIds));
+
+  const pendingSelected = selectedRequests
+    .filter(request => normalizeStatus(request.status) === REQUEST_STATUS.PENDING)
+    .map(request => request.id);
+
+  return (
+    <div className="space-y-6">
+      <div className="grid gap-6 lg:grid-cols-3">
+        <Panel title={`Unassigned critical (${critical.length})`} className="lg:col-span-1 border-2 border-red-200">
+          {critical.length === 0 ? (
+            <p className="text-sm text-gray-600">Every high or critical request has someone on it.</p>
+          ) : (
+            <>
+              <ul className="space-y-3 max-h-80 overflow-y-auto">
+                {critical.map(request => (
+                  <li key={request.id} className="flex items-start justify-between gap-3 text-sm">
+                    <div>
+                      <UrgencyBadge request={request} />{' '}
+                      <span className="font-medium text-gray-900">{request.description || request.type}</span>
+                      <p className="text-gray-600">{request.address || 'No address'} · waiting {formatAge(waitedMs(request))}</p>
+                    </div>
+                    <button
+                      onClick={() => handleAutoAssign([request.id])}
+                      disabled={isWorking}
+                      className="shrink-0 px-3 py-1 bg-red-600 text-white text-xs font-medium rounded hover:bg-red-700 disabled:opacity-50"
+                    >
+                      Auto-assign
+                    </button>
+                  </li>
+                ))}
+              </ul>
+              <button
+                onClick={() => handleAutoAssign(critical.map(request => request.id))}
+                disabled={isWorking}
+                className="mt-4 w-full px-4 py-2 bg-red-600 text-white font-medium rounded-lg hover:bg-red-700 disabled:opacity-50 transition-colors"
+              >
+                Auto-assign all critical
+              </button>
+            </>
+          )}
+        </Panel>
+
+        <Panel title="Shelters" className="lg:col-span-2">
+          {shelters.length === 0 ? (
+            <p className="text-sm text-gray-600">No shelters loaded.</p>
+          ) : (
+            <ul className="grid gap-3 sm:grid-cols-2 max-h-80 overflow-y-auto">
+              {shelters.map(shelter => {
+                const { current, capacity, ratio } = occupancy(shelter);
+                return (
+                  <li key={shelter.id} className="text-sm">
+                    <div className="flex justify-between">
+                      <span className="font-medium text-gray-900">{shelter.name}</span>
+                      <span className="text-gray-600">
+                        {capacity > 0 ? `${current}/${capacity}` : 'capacity unknown'}
+                        {shelter.status && shelter.status !== 'open' ? ` · ${shelter.status}` : ''}
+                      </span>
+                    </div>
+                    <div className="h-2 mt-1 bg-gray-100 rounded">
+                      <div
+                        className={`h-2 rounded ${ratio >= 0.9 ? 'bg-red-500' : ratio >= 0.7 ? 'bg-yellow-500' : 'bg-green-500'}`}
+                        style={{ width: `${Math.round((ratio || 0) * 100)}%` }}
+                      />
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </Panel>
+      </div>
+
+      <div className="grid gap-6 lg:grid-cols-3">
+        <Panel title={`Request queue (${queue.length})`} className="lg:col-span-2">
+          <div className="grid gap-3 sm:grid-cols-4 mb-4">
+            <select
+              aria-label="Status"
+              value={filters.status}
+              onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-lg bg-white text-gray-900"
+            >
+              <option value="open">Open</option>
+              <option value="">All statuses</option>
+              {Object.entries(STATUS_LABELS).map(([status, label]) => (
+                <option key={status} value={status}>{label}</option>
+              ))}
+            </select>
+            <select
+              aria-label="Urgency"
+              value={filters.urgency}
+              onChange={(e) => setFilters({ ...filters, urgency: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-lg bg-white text-gray-900"
+            >
+              <option value="">All urgencies</option>
+              {URGENCY_LEVELS.map(level => <option key={level} value={level}>{level}</option>)}
+            </select>
+            <select
+              aria-label="Type"
+              value={filters.type}
+              onChange={(e) => setFilters({ ...filters, type: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-lg bg-white text-gray-900"
+            >
+              <option value="">All types</option>
+              {types.map(type => <option key={type} value={type}>{type}</option>)}
+            </select>
+            <input
+              type="text"
+              aria-label="Area"
+              value={filters.area}
+              onChange={(e) => setFilters({ ...filters, area: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-lg bg-white text-gray-900"
+              placeholder="Area or street"
+            />
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3 mb-4 p-3 bg-gray-50 rounded-lg">
+            <span className="text-sm text-gray-700">{selectedRequests.length} selected</span>
+            <select
+              aria-label="Volunteer to assign"
+              value={volunteerId}
+              onChange={(e) => setVolunteerId(e.target.value)}
+              className="flex-1 min-w-[12rem] px-3 py-2 border border-gray-300 rounded-lg bg-white text-gray-900"
+            >
+              <option value="">Choose a volunteer...</option>
+              {roster.filter(isAvailable).map(volunteer => (
+                <option key={volunteer.id} value={volunteer.id}>
+                  {volunteer.name || volunteer.id} ({loads.get(volunteer.id) || 0} active)
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={handleAssign}
+              disabled={isWorking || !volunteerId || selectedRequests.length === 0}
+              className="px-4 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+            >
+              Assign / reassign
+            </button>
+            <button
+              onClick={() => handleAutoAssign(pendingSelected)}
+              disabled={isWorking || pendingSelected.length === 0}
+              className="px-4 py-2 bg-transparent text-gray-700 font-medium rounded-lg border border-gray-300 hover:bg-gray-100 disabled:opacity-50 transition-colors"
+            >
+              Auto-assign pending
+            </button>
+          </div>
+
+          {message && (
+            <p className={`mb-4 text-sm ${message.type === 'error' ? 'text-red-700' : message.type === 'warning' ? 'text-yellow-700' : 'text-green-700'}`}>
+              {message.text}
+            </p>
+          )}
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-left">
+              <thead className="text-gray-600 border-b">
+                <tr>
+                  <th className="py-2 pr-2">
+                    <input
+                      type="checkbox"
+                      aria-label="Select all"
+                      checked={queue.length > 0 && selectedRequests.length === queue.length}
+                      onChange={toggleAll}
+                    />
+                  </th>
+                  <th className="py-2 pr-2">Urgency</th>
+                  <th className="py-2 pr-2">Request</th>
+                  <th className="py-2 pr-2">Status</th>
+                  <th className="py-2 pr-2">Volunteer</th>
+                  <th className="py-2">Waiting</th>
+                </tr>
+              </thead>
+              <tbody>
+                {queue.map(request => (
+                  <tr key={request.id} className="border-b last:border-0 align-top">
+                    <td className="py-2 pr-2">
+                      <input
+                        type="checkbox"
+                        aria-label={`Select ${request.description || request.id}`}
+                        checked={selected.has(request.id)}
+                        onChange={() => toggleSelected(request.id)}
+                      />
+                    </td>
+                    <td className="py-2 pr-2"><UrgencyBadge request={request} /></td>
+                    <td className="py-2 pr-2">
+                      <p className="font-medium text-gray-900">{request.description || request.type}</p>
+                      <p className="text-gray-600">{request.type} · {request.address || 'No address'}</p>
+                    </td>
+                    <td className="py-2 pr-2 text-gray-800">{getStatusLabel(request)}</td>
+                    <td className="py-2 pr-2 text-gray-800">
+                      {request.acceptedBy ? (volunteersById.get(request.acceptedBy)?.name || request.acceptedBy) : '—'}
+                    </td>
+                    <td className="py-2 text-gray-600">{isClosed(request) ? '—' : formatAge(waitedMs(request))}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {queue.length === 0 && <p className="py-4 text-center text-gray-600">No requests match these filters.</p>}
+          </div>
+        </Panel>
+
+        <Panel title={`Volunteers (${roster.filter(isAvailable).length} available)`}>
+          <ul className="space-y-3 max-h-[40rem] overflow-y-auto">
+            {roster.map(volunteer => {
+              const age = locationAge(volunteer);
+              return (
+                <li key={volunteer.id} className="text-sm">
+                  <div className="flex justify-between">
+                    <span className="font-medium text-gray-900">{volunteer.name || volunteer.id}</span>
+                    <span className={isAvailable(volunteer) ? 'text-green-700' : 'text-gray-500'}>
+                      {isAvailable(volunteer) ? 'available' : volunteer.availability || 'unavailable'}
+                    </span>
+                  </div>
+                  <p className="text-gray-600">
+                    {loads.get(volunteer.id) || 0} active ·{' '}
+                    {age === null ? (
+                      'location not shared'
+                    ) : (
+                      <span className={age > STALE_LOCATION_MS ? 'text-yellow-700' : ''}>
+                        location {formatAge(age)} old
+                      </span>
+                    )}
+                  </p>
+                </li>
+              );
+            })}
+          </ul>
+        </Panel>
+      </div>
+    </div>
+  );
+}
+
+function Coordinator() {
+  const [session, setSession] = useState(undefined);
+
+  useEffect(() => {
+    const load = () => getSession().then(setSession).catch(() => setSession(null));
+    load();
+    window.addEventListener(SESSION_EVENT, load);
+    return () => window.removeEventListener(SESSION_EVENT, load);
+  }, []);
+
+  const isCoordinator = session?.account?.role === 'coordinator';
+
+  return (
+    <div className="min-h-screen bg-[#dfe7ff] py-8 px-4">
+      <div className="max-w-7xl mx-auto">
+        <h1 className="text-3xl font-bold text-gray-900 mb-6">Coordinator Dashboard</h1>
+
+        {session === undefined ? (
+          <p className="text-gray-600">Loading...</p>
+        ) : !isCoordinator ? (
+          <div className="bg-white rounded-lg shadow-md p-6 text-center text-gray-600">
+            This dashboard is for coordinators.{' '}
+            <Link to="/volunteer" className="text-blue-600 hover:underline">Log in</Link> with a coordinator account.
+          </div>
+        ) : (
+          <CoordinatorDashboard />
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Coordinator;
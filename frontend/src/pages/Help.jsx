@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { add, remove } from '../lib/idb';
 import * as offlineQueue from '../lib/offlineQueue';
+import { createOwnerToken, rememberOwnedRequest, forgetOwnedRequest } from '../lib/ownedRequests';
 
 // Helper to generate unique ID
 const generateUUID = () => {
@@ -171,11 +172,15 @@ function Help() {
       // Save to IndexedDB
       await add('requests', request);
 
+      // Keep the owner token here; only its hash goes to the server
+      const { token, hash } = await createOwnerToken();
+      await rememberOwnedRequest(id, token);
+
       // Add to offline queue
       try {
         await offlineQueue.add({
           type: 'request:create',
-          payload: request
+          payload: { ...request, ownerTokenHash: hash }
         });
       } catch (queueErr) {
         console.warn('Offline queue not available:', queueErr);
@@ -223,6 +228,7 @@ function Help() {
     try {
       // Remove from IndexedDB
       await remove('requests', lastRequestId);
+      await forgetOwnedRequest(lastRequestId);
 
       // Try to remove from offline queue
       try {
@@ -398,6 +404,14 @@ function Help() {
               <p className="text-sm text-gray-600">
                 Status: <span className="font-medium text-yellow-600">Pending sync</span>
               </p>
+              {lastRequestId && (
+                <Link to={`/track/${lastRequestId}`} className="block text-sm font-medium text-blue-600 hover:underline">
+                  See whether help is on the way
+                </Link>
+              )}
+              <Link to="/my-requests" className="text-sm font-medium text-blue-600 hover:underline">
+                Add details, cancel or mark yourself safe in My Requests
+              </Link>
             </div>
           )}
         </form>
@@ -0,0 +1,176 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { watch } from '../lib/db';
+import {
+  getOwnedRequests,
+  refreshOwnedRequests,
+  addDetails,
+  cancelOwnedRequest,
+  confirmSafe
+} from '../lib/ownedRequests';
+import { getStatusLabel, isClosed } from '../lib/requestStatus';
+
+function OwnedRequestCard({ entry }) {
+  const { id, createdAt, request } = entry;
+  const [details, setDetails] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Runs one of the requester's changes; the list refreshes from the store
+  const run = async (change) => {
+    setIsSaving(true);
+    try {
+      await change();
+    } catch (error) {
+      console.error('Error updating request:', error);
+      alert('Could not save your change. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAddDetails = (e) => {
+    e.preventDefault();
+    if (!details.trim()) return;
+    run(async () => {
+      await addDetails(id, details);
+      setDetails('');
+    });
+  };
+
+  const handleCancel = () => {
+    if (!confirm('Cancel this request? Volunteers will stop coming.')) return;
+    run(() => cancelOwnedRequest(id));
+  };
+
+  const handleConfirmSafe = () => run(() => confirmSafe(id));
+
+  if (!request) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-6 text-gray-600">
+        Request from {new Date(createdAt).toLocaleString()} is not on this device yet.
+      </div>
+    );
+  }
+
+  const closed = isClosed(request);
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-start justify-between mb-4">
+        <div>
+          <h2 className="text-lg font-bold text-gray-900">{request.description || 'Help request'}</h2>
+          <p className="text-sm text-gray-600">
+            Sent {new Date(createdAt).toLocaleString()}
+            {request.pendingSync && ' · waiting to sync'}
+            {' · '}
+            <Link to={`/track/${id}`} className="text-blue-600 hover:underline">Track</Link>
+          </p>
+        </div>
+        <span className="px-3 py-1 text-sm font-medium rounded-full bg-gray-100 text-gray-800">
+          {getStatusLabel(request)}
+        </span>
+      </div>
+
+      {request.details && (
+        <p className="text-sm text-gray-700 whitespace-pre-line mb-4">{request.details}</p>
+      )}
+
+      {request.confirmedAt && (
+        <p className="text-sm font-medium text-green-700 mb-4">
+          You confirmed you are safe at {new Date(request.confirmedAt).toLocaleString()}.
+        </p>
+      )}
+
+      {!closed && (
+        <form onSubmit={handleAddDetails} className="flex gap-3 mb-4">
+          <input
+            type="text"
+            aria-label="More details"
+            value={details}
+            onChange={(e) => setDetails(e.target.value)}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white text-gray-900"
+            placeholder="e.g., Water rising, 3 people, one injured"
+          />
+          <button
+            type="submit"
+            disabled={isSaving || !details.trim()}
+            className="px-4 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 transition-colors"
+          >
+            Add details
+          </button>
+        </form>
+      )}
+
+      <div className="flex gap-3">
+        {!request.confirmedAt && (
+          <button
+            onClick={handleConfirmSafe}
+            disabled={isSaving}
+            className="flex-1 px-4 py-2 bg-green-600 text-white font-medium rounded-lg hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-green-500 disabled:opacity-50 transition-colors"
+          >
+            I'm safe
+          </button>
+        )}
+        {!closed && (
+          <button
+            onClick={handleCancel}
+            disabled={isSaving}
+            className="flex-1 px-4 py-2 bg-transparent text-gray-700 font-medium rounded-lg border border-gray-300 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-gray-400 disabled:opacity-50 transition-colors"
+          >
+            Cancel request
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function MyRequests() {
+  const [owned, setOwned] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const loadOwned = useCallback(async () => {
+    try {
+      setOwned(await getOwnedRequests());
+    } catch (error) {
+      console.error('Error loading your requests:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadOwned();
+    refreshOwnedRequests().catch(error => console.warn('Could not refresh your requests:', error));
+
+    return watch('requests', loadOwned);
+  }, [loadOwned]);
+
+  return (
+    <div className="min-h-screen bg-[#dfe7ff] py-8 px-4">
+      <div className="max-w-3xl mx-auto">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">My Requests</h1>
+        <p className="text-gray-600 mb-6">
+          Requests for help sent from this device. Add details as things change,
+          cancel a request you no longer need, or let responders know you are safe.
+        </p>
+
+        {isLoading ? (
+          <p className="text-gray-600">Loading...</p>
+        ) : owned.length === 0 ? (
+          <div className="bg-white rounded-lg shadow-md p-6 text-center text-gray-600">
+            No requests from this device. <Link to="/help" className="text-blue-600 hover:underline">Ask for help</Link>
+          </div>
+        ) : (
+          <div className="space-y-6">
+            {owned.map(entry => (
+              <OwnedRequestCard key={entry.id} entry={entry} />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default MyRequests;
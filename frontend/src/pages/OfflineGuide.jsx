@@ -203,6 +203,16 @@ function OfflineGuide() {
               </Button>
             </div>
 
+            <div className="flex items-center justify-between pb-4 border-b border-gray-200">
+              <div>
+                <h3 className="font-semibold text-gray-900">Sync Phone to Phone</h3>
+                <p className="text-sm text-gray-600">Pair with a nearby phone by QR code - no internet needed</p>
+              </div>
+              <Button onClick={() => navigate('/pair')}>
+                Pair
+              </Button>
+            </div>
+
             <div className="flex items-center justify-between">
               <div>
                 <h3 className="font-semibold text-gray-900">View Nearby Requests</h3>
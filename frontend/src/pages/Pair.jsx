@@ -0,0 +1,366 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  createPairingOffer,
+  answerPairingOffer,
+  completePairing,
+  cancelPairing,
+  waitForPeer,
+  disconnectPeer,
+  getSyncProgress,
+  onSyncProgress
+} from '../lib/webrtc';
+import { renderPairingQr, readQrFromVideo } from '../lib/pairingCode';
+
+// How often the camera frame is checked for a QR code
+const SCAN_INTERVAL_MS = 250;
+
+const BUTTON = 'px-4 py-2 font-medium rounded-lg focus:outline-none focus:ring-2 disabled:opacity-50 transition-colors';
+const PRIMARY_BUTTON = `${BUTTON} bg-blue-600 text-white hover:bg-blue-700 focus:ring-blue-500`;
+const SECONDARY_BUTTON = `${BUTTON} bg-transparent text-gray-700 border border-gray-300 hover:bg-gray-100 focus:ring-gray-400`;
+
+const STORE_LABELS = {
+  requests: 'Requests',
+  volunteers: 'Volunteers',
+  shelters: 'Shelters'
+};
+
+const STATE_LABELS = {
+  comparing: 'Comparing...',
+  fetching: 'Receiving...',
+  done: 'Up to date'
+};
+
+const canUseCamera = () => Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+
+function QrScanner({ onScan }) {
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let stream = null;
+    let timer = null;
+    let stopped = false;
+
+    const scan = () => {
+      if (stopped) return;
+      const text = readQrFromVideo(videoRef.current, canvasRef.current);
+      if (text) {
+        onScan(text);
+        return;
+      }
+      timer = setTimeout(scan, SCAN_INTERVAL_MS);
+    };
+
+    if (!canUseCamera()) return undefined;
+
+    navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+      .then((media) => {
+        stream = media;
+        if (stopped) {
+          stream.getTracks().forEach(track => track.stop());
+          return;
+        }
+        videoRef.current.srcObject = stream;
+        return videoRef.current.play().then(scan);
+      })
+      .catch((cameraError) => {
+        console.warn('Camera unavailable:', cameraError);
+        setError('The camera is not available. Paste the code instead.');
+      });
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      if (stream) stream.getTracks().forEach(track => track.stop());
+    };
+  }, [onScan]);
+
+  if (!canUseCamera()) {
+    return <p className="text-sm text-red-700">This browser cannot use the camera. Paste the code instead.</p>;
+  }
+  if (error) {
+    return <p className="text-sm text-red-700">{error}</p>;
+  }
+
+  return (
+    <div>
+      <video ref={videoRef} className="w-full max-w-sm mx-auto rounded-lg bg-black" muted playsInline />
+      <canvas ref={canvasRef} className="hidden" />
+      <p className="text-sm text-gray-600 text-center mt-2">Point the camera at the code on the other phone.</p>
+    </div>
+  );
+}
+
+function CodeDisplay({ code, title, hint }) {
+  const [qr, setQr] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    renderPairingQr(code)
+      .then(url => { if (!cancelled) setQr(url); })
+      .catch(error => console.warn('Could not draw QR code:', error));
+    return () => { cancelled = true; };
+  }, [code]);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      setCopied(true);
+    } catch (error) {
+      console.warn('Could not copy code:', error);
+      alert('Copying is not available. Select the text and copy it by hand.');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h2 className="text-lg font-bold text-gray-900 mb-1">{title}</h2>
+      <p className="text-sm text-gray-600 mb-4">{hint}</p>
+      {qr && <img src={qr} alt="Pairing QR code" className="mx-auto mb-4 w-64 h-64" />}
+      <textarea
+        readOnly
+        value={code}
+        rows={3}
+        onFocus={(e) => e.target.select()}
+        className="w-full p-2 text-xs font-mono border border-gray-300 rounded-lg break-all"
+      />
+      <button onClick={handleCopy} className={`${SECONDARY_BUTTON} mt-2`}>
+        {copied ? 'Copied' : 'Copy code'}
+      </button>
+    </div>
+  );
+}
+
+function CodeInput({ title, hint, submitLabel, onSubmit, disabled }) {
+  const [text, setText] = useState('');
+  const [isScanning, setIsScanning] = useState(false);
+
+  // The scanner restarts whenever its callback changes, so keep it stable
+  const onSubmitRef = useRef(onSubmit);
+  useEffect(() => {
+    onSubmitRef.current = onSubmit;
+  });
+  const handleScan = useCallback((scanned) => {
+    setIsScanning(false);
+    setText(scanned);
+    onSubmitRef.current(scanned);
+  }, []);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (text.trim()) onSubmit(text);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-md p-6 space-y-4">
+      <div>
+        <h2 className="text-lg font-bold text-gray-900 mb-1">{title}</h2>
+        <p className="text-sm text-gray-600">{hint}</p>
+      </div>
+
+      {isScanning && <QrScanner onScan={handleScan} />}
+
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        rows={3}
+        placeholder="Paste the code here"
+        className="w-full p-2 text-xs font-mono border border-gray-300 rounded-lg"
+      />
+
+      <div className="flex gap-2">
+        <button type="button" onClick={() => setIsScanning(!isScanning)} disabled={disabled} className={SECONDARY_BUTTON}>
+          {isScanning ? 'Stop camera' : 'Scan QR code'}
+        </button>
+        <button type="submit" disabled={disabled || !text.trim()} className={PRIMARY_BUTTON}>
+          {submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+function SyncStatus({ peerId }) {
+  const [progress, setProgress] = useState(() => getSyncProgress(peerId));
+
+  useEffect(() => onSyncProgress((update) => {
+    if (update.peerId === peerId) setProgress(update);
+  }), [peerId]);
+
+  if (!progress) return null;
+
+  return (
+    <ul className="mt-4 text-sm text-left divide-y divide-gray-100">
+      {Object.entries(progress.stores).map(([storeName, store]) => (
+        <li key={storeName} className="flex justify-between py-2">
+          <span className="font-medium text-gray-900">{STORE_LABELS[storeName] || storeName}</span>
+          <span className={store.state === 'done' ? 'text-green-700' : 'text-gray-600'}>
+            {STATE_LABELS[store.state]}
+            {store.requested > 0 && ` ${store.received}/${store.requested} received`}
+            {store.sent > 0 && `, ${store.sent} sent`}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function Pair() {
+  // null until the user picks: 'offer' shows a code first, 'answer' scans one first
+  const [role, setRole] = useState(null);
+  const [code, setCode] = useState(null);
+  const [peerId, setPeerId] = useState(null);
+  // idle | connecting | connected
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  // An offer nobody answered is dropped when leaving the page
+  useEffect(() => cancelPairing, []);
+
+  const run = async (step) => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      await step();
+    } catch (stepError) {
+      console.error('Pairing failed:', stepError);
+      setError(stepError.message);
+      setStatus('idle');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const connect = async (remotePeerId) => {
+    setPeerId(remotePeerId);
+    setStatus('connecting');
+    await waitForPeer(remotePeerId);
+    setStatus('connected');
+  };
+
+  const handleStartOffer = () => run(async () => {
+    setRole('offer');
+    setCode(await createPairingOffer());
+  });
+
+  const handleAnswer = (text) => run(async () => {
+    const answer = await answerPairingOffer(text);
+    setCode(answer.code);
+    await connect(answer.peerId);
+  });
+
+  const handleComplete = (text) => run(async () => {
+    await connect(await completePairing(text));
+  });
+
+  const handleReset = () => {
+    cancelPairing();
+    if (peerId) disconnectPeer(peerId);
+    setRole(null);
+    setCode(null);
+    setPeerId(null);
+    setStatus('idle');
+    setError(null);
+  };
+
+  return (
+    <div className="min-h-screen bg-[#dfe7ff] py-8 px-4">
+      <div className="max-w-3xl mx-auto space-y-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Sync Phone to Phone</h1>
+          <p className="text-gray-700">
+            Share requests, volunteers and shelters with a phone next to you, with no internet or server.
+            Both phones need to be on the same Wi-Fi or hotspot.
+          </p>
+        </div>
+
+        {error && (
+          <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+            <p className="text-sm text-red-800">{error}</p>
+          </div>
+        )}
+
+        {!role && (
+          <div className="grid md:grid-cols-2 gap-4">
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <h2 className="text-lg font-bold text-gray-900 mb-2">Show a code</h2>
+              <p className="text-sm text-gray-600 mb-4">Start here on one phone.</p>
+              <button onClick={handleStartOffer} disabled={isBusy} className={PRIMARY_BUTTON}>
+                Start pairing
+              </button>
+            </div>
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <h2 className="text-lg font-bold text-gray-900 mb-2">Scan a code</h2>
+              <p className="text-sm text-gray-600 mb-4">Use this on the other phone.</p>
+              <button onClick={() => setRole('answer')} className={SECONDARY_BUTTON}>
+                Answer a code
+              </button>
+            </div>
+          </div>
+        )}
+
+        {role === 'offer' && code && status === 'idle' && (
+          <>
+            <CodeDisplay
+              code={code}
+              title="1. Let the other phone scan this"
+              hint="On the other phone, open this page and choose Answer a code."
+            />
+            <CodeInput
+              title="2. Scan their answer"
+              hint="The other phone now shows a code of its own."
+              submitLabel="Connect"
+              onSubmit={handleComplete}
+              disabled={isBusy}
+            />
+          </>
+        )}
+
+        {role === 'answer' && !code && (
+          <CodeInput
+            title="1. Scan the code on the other phone"
+            hint="Or paste it if it was sent as text."
+            submitLabel="Answer"
+            onSubmit={handleAnswer}
+            disabled={isBusy}
+          />
+        )}
+
+        {role === 'answer' && code && status === 'connecting' && (
+          <CodeDisplay
+            code={code}
+            title="2. Let the other phone scan this"
+            hint="The phones connect as soon as it does."
+          />
+        )}
+
+        {status === 'connecting' && (
+          <p className="text-center text-gray-700">Waiting for the other phone to connect...</p>
+        )}
+
+        {status === 'connected' && (
+          <div className="bg-white rounded-lg shadow-md p-6 text-center">
+            <p className="text-lg font-bold text-green-700 mb-2">Connected</p>
+            <p className="text-gray-700">
+              Only records one phone is missing are sent. Keep this page open until both phones are up to date.
+            </p>
+            <SyncStatus peerId={peerId} />
+          </div>
+        )}
+
+        {role && (
+          <div className="text-center">
+            <button onClick={handleReset} className={SECONDARY_BUTTON}>
+              {status === 'connected' ? 'Disconnect' : 'Start over'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Pair;
@@ -0,0 +1,237 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { get, watch } from '../lib/db';
+import { onSocketEvent, isConnected, watchArea } from '../lib/socket';
+import { loadTracking, loadVolunteer, estimateEta, getPosition } from '../lib/requestTracking';
+import { REQUEST_STATUS, STATUS_LABELS, normalizeStatus, getStatusLabel } from '../lib/requestStatus';
+import { formatDistanceMeters, formatDurationSeconds } from '../lib/mapHelpers';
+
+// The steps shown to the requester, in order
+const STEPS = [
+  REQUEST_STATUS.PENDING,
+  REQUEST_STATUS.ASSIGNED,
+  REQUEST_STATUS.EN_ROUTE,
+  REQUEST_STATUS.ON_SCENE,
+  REQUEST_STATUS.RESOLVED
+];
+
+// Statuses where the volunteer is on the way and an ETA makes sense
+const MOVING_STATUSES = [REQUEST_STATUS.ASSIGNED, REQUEST_STATUS.EN_ROUTE];
+
+const STATUS_MESSAGES = {
+  pending: 'Your request is in the queue and waiting for a volunteer. There is no need to send it again.',
+  assigned: 'A volunteer has taken on your request.',
+  en_route: 'A volunteer is on the way.',
+  on_scene: 'The volunteer has arrived.',
+  resolved: 'This request is resolved.',
+  cancelled: 'This request was cancelled.',
+  duplicate: 'This request was merged with another report of the same emergency.'
+};
+
+// "3 min ago" style age of a timestamp
+const formatAge = (timestamp) => {
+  const minutes = Math.round((Date.now() - new Date(timestamp).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m ago`;
+};
+
+function Track() {
+  const { id } = useParams();
+  const [request, setRequest] = useState(null);
+  const [volunteer, setVolunteer] = useState(null);
+  const [fromCache, setFromCache] = useState(false);
+  const [isLive, setIsLive] = useState(isConnected());
+  const [eta, setEta] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const load = useCallback(async () => {
+    try {
+      const tracking = await loadTracking(id);
+      setRequest(tracking.request);
+      setVolunteer(tracking.volunteer);
+      setFromCache(tracking.fromCache);
+    } catch (error) {
+      console.error('Error loading request:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [id]);
+
+  // Initial load, and again whenever updates may have been missed
+  useEffect(() => {
+    load();
+
+    const unsubscribers = [
+      onSocketEvent('connect', () => {
+        setIsLive(true);
+        load();
+      }),
+      onSocketEvent('disconnect', () => setIsLive(false))
+    ];
+    window.addEventListener('online', load);
+
+    return () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      window.removeEventListener('online', load);
+    };
+  }, [load]);
+
+  // Status changes, including a volunteer being assigned or replaced, reach
+  // the local store as they happen (see lib/realtime)
+  useEffect(() => {
+    return watch('requests', () => {
+      get('requests', id)
+        .then(stored => { if (stored) setRequest(stored); })
+        .catch(error => console.warn('Could not read request:', error));
+    });
+  }, [id]);
+
+  const volunteerId = request ? request.acceptedBy || null : null;
+
+  // The assigned volunteer and their shared location
+  useEffect(() => {
+    if (!volunteerId) {
+      setVolunteer(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    loadVolunteer(volunteerId).then(({ record }) => {
+      if (!cancelled) setVolunteer(record);
+    });
+
+    const unwatch = watch('volunteers', () => {
+      get('volunteers', volunteerId)
+        .then(stored => { if (!cancelled && stored) setVolunteer(stored); })
+        .catch(error => console.warn('Could not read volunteer:', error));
+    });
+
+    return () => {
+      cancelled = true;
+      unwatch();
+    };
+  }, [volunteerId]);
+
+  const status = request ? normalizeStatus(request.status) : null;
+  const from = getPosition(volunteer);
+  const to = getPosition(request);
+
+  // Updates are only sent to clients watching the request's area
+  const toLat = to ? to.lat : null;
+  const toLng = to ? to.lng : null;
+  useEffect(() => {
+    if (toLat === null) return undefined;
+    return watchArea(`track:${id}`, { areas: [{ lat: toLat, lng: toLng }] });
+  }, [id, toLat, toLng]);
+  // Recompute only when a position moves by more than ~10m
+  const etaKey = MOVING_STATUSES.includes(status) && from && to
+    ? [from.lat, from.lng, to.lat, to.lng].map(n => n.toFixed(4)).join(',')
+    : null;
+
+  useEffect(() => {
+    if (!etaKey) {
+      setEta(null);
+      return undefined;
+    }
+
+    // The key carries both positions, so the ETA depends on nothing else
+    const [volunteerLat, volunteerLng, requestLat, requestLng] = etaKey.split(',').map(Number);
+    let cancelled = false;
+    estimateEta({ lat: volunteerLat, lng: volunteerLng }, { lat: requestLat, lng: requestLng })
+      .then(result => { if (!cancelled) setEta(result); })
+      .catch(error => console.warn('Could not estimate ETA:', error));
+
+    return () => { cancelled = true; };
+  }, [etaKey]);
+
+  const stepIndex = STEPS.indexOf(status);
+
+  return (
+    <div className="min-h-screen bg-[#dfe7ff] py-8 px-4">
+      <div className="max-w-3xl mx-auto">
+        <h1 className="text-3xl font-bold text-gray-900 mb-6">Track Your Request</h1>
+
+        {(!isLive || fromCache) && request && (
+          <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+            <p className="text-sm text-yellow-800">
+              Offline: showing the last status saved on this device. It will update when the connection returns.
+            </p>
+          </div>
+        )}
+
+        {isLoading ? (
+          <p className="text-gray-600">Loading...</p>
+        ) : !request ? (
+          <div className="bg-white rounded-lg shadow-md p-6 text-center text-gray-600">
+            This request is not on this device and could not be loaded.{' '}
+            <Link to="/my-requests" className="text-blue-600 hover:underline">See my requests</Link>
+          </div>
+        ) : (
+          <div className="space-y-6">
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <div className="flex items-start justify-between mb-4">
+                <div>
+                  <h2 className="text-lg font-bold text-gray-900">{request.description || 'Help request'}</h2>
+                  {request.address && <p className="text-sm text-gray-600">{request.address}</p>}
+                </div>
+                <span className="px-3 py-1 text-sm font-medium rounded-full bg-gray-100 text-gray-800">
+                  {getStatusLabel(request)}
+                </span>
+              </div>
+
+              <p className="text-gray-800 mb-4">{STATUS_MESSAGES[status] || ''}</p>
+
+              {stepIndex >= 0 && (
+                <ol className="flex gap-2">
+                  {STEPS.map((step, index) => (
+                    <li
+                      key={step}
+                      className={`flex-1 text-center text-xs font-medium py-2 rounded ${
+                        index <= stepIndex ? 'bg-green-600 text-white' : 'bg-gray-100 text-gray-500'
+                      }`}
+                    >
+                      {STATUS_LABELS[step]}
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </div>
+
+            {volunteerId && (
+              <div className="bg-white rounded-lg shadow-md p-6">
+                <h2 className="text-lg font-bold text-gray-900 mb-2">Your volunteer</h2>
+                <p className="text-gray-800 mb-2">{volunteer?.name || 'A volunteer'}</p>
+
+                {eta && (
+                  <p className="text-2xl font-bold text-blue-700">
+                    {eta.estimated ? 'About ' : ''}{formatDurationSeconds(eta.duration)} away
+                    <span className="ml-2 text-sm font-normal text-gray-600">
+                      ({formatDistanceMeters(eta.distance)}{eta.estimated ? ', rough estimate' : ''})
+                    </span>
+                  </p>
+                )}
+
+                {MOVING_STATUSES.includes(status) && (
+                  <p className="text-sm text-gray-600 mt-2">
+                    {from
+                      ? `Location shared ${volunteer.locationUpdatedAt ? formatAge(volunteer.locationUpdatedAt) : 'earlier'}`
+                      : 'The volunteer has not shared their location yet.'}
+                  </p>
+                )}
+              </div>
+            )}
+
+            <p className="text-center text-sm text-gray-600">
+              <Link to="/my-requests" className="text-blue-600 hover:underline">
+                Add details, cancel or mark yourself safe
+              </Link>
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Track;
@@ -1,6 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { getAll, subscribe, add } from '../lib/idb';
+import { REQUEST_STATUS, normalizeStatus, isClosed, getStatusLabel, getNextStep } from '../lib/requestStatus';
+import { getSession, signUp, logIn, logOut } from '../lib/session';
+import { shareLocation, resetLocationSharing } from '../lib/locationSharing';
 
 // Constants for nearby requests
 const MAX_RESULTS = 100; // Show more results
@@ -68,6 +71,7 @@ function Volunteer() {
   const [locationInterval, setLocationInterval] = useState(null);
   const [volunteerName, setVolunteerName] = useState("");
   const [volunteerPhone, setVolunteerPhone] = useState("");
+  const [volunteerPassword, setVolunteerPassword] = useState("");
   const [isRegistered, setIsRegistered] = useState(false);
   const [acceptedRequests, setAcceptedRequests] = useState([]);
   const [isConnected, setIsConnected] = useState(false);
@@ -77,7 +81,7 @@ function Volunteer() {
   const [loginPassword, setLoginPassword] = useState("");
   const [loginPhone, setLoginPhone] = useState("");
   
-  // Get current volunteer ID (you can enhance this with real auth later)
+  // Current volunteer ID; replaced by the account's once signed in
   const navigate = useNavigate();
   const volunteerId = localStorage.getItem('volunteerId') || `vol-${Date.now()}-${Math.random().toString(36).slice(2,9)}`;
 
@@ -98,36 +102,66 @@ function Volunteer() {
     };
   }, []);
 
-  const loadVolunteerInfo = () => {
-    // Check if volunteer info exists in localStorage
+  const loadVolunteerInfo = async () => {
+    // Older versions kept the password here in plaintext
+    localStorage.removeItem('volunteerPassword');
+    localStorage.removeItem('volunteerConnected');
+
+    // A cached session (even an offline one) means the volunteer is signed in
+    const session = await getSession().catch(() => null);
+    if (session) {
+      applySession(session);
+      return;
+    }
+
     const savedName = localStorage.getItem('volunteerName');
     const savedPhone = localStorage.getItem('volunteerPhone');
-    const connected = localStorage.getItem('volunteerConnected') === 'true';
-    
     if (savedName && savedPhone) {
       setVolunteerName(savedName);
       setVolunteerPhone(savedPhone);
       setIsRegistered(true);
-      setIsConnected(connected);
+      setIsConnected(false);
     }
   };
 
+  /**
+   * Show a signed-in account and adopt its volunteer ID on this device
+   * @param {Object} session - From lib/session
+   */
+  const applySession = (session) => {
+    const { account } = session;
+    localStorage.setItem('volunteerId', account.volunteerId);
+    localStorage.setItem('volunteerName', account.name);
+    localStorage.setItem('volunteerPhone', account.phone);
+    setVolunteerName(account.name);
+    setVolunteerPhone(account.phone);
+    setIsRegistered(true);
+    setIsConnected(true);
+  };
+
   const handleSaveVolunteerInfo = async (e) => {
     e.preventDefault();
     
-    if (!volunteerName.trim() || !volunteerPhone.trim()) {
+    if (!volunteerName.trim() || !volunteerPhone.trim() || !volunteerPassword.trim()) {
       alert('Please fill in all fields');
       return;
     }
 
-    // Generate a simple password if not set (for first registration)
-    const password = `pass${Date.now().toString().slice(-6)}`;
+    if (volunteerPassword.length < 6) {
+      alert('Password must be at least 6 characters');
+      return;
+    }
 
-    // Save to localStorage
-    localStorage.setItem('volunteerName', volunteerName);
-    localStorage.setItem('volunteerPhone', volunteerPhone);
-    localStorage.setItem('volunteerId', volunteerId);
-    localStorage.setItem('volunteerPassword', password);
+    let session;
+    try {
+      session = await signUp({ name: volunteerName, phone: volunteerPhone, password: volunteerPassword });
+    } catch (error) {
+      console.error('Error creating volunteer account:', error);
+      alert(error.status ? error.message : 'Registration needs a connection to the server. Please try again when online.');
+      return;
+    }
+    setVolunteerPassword('');
+    applySession(session);
 
     // Save to IndexedDB volunteers store
     try {
@@ -145,7 +179,7 @@ function Volunteer() {
       });
 
       const volunteerRecord = {
-        id: volunteerId,
+        id: session.account.volunteerId,
         name: volunteerName,
         contact: volunteerPhone,
         available: true,
@@ -161,10 +195,7 @@ function Volunteer() {
 
       await add('volunteers', volunteerRecord);
 
-      setIsRegistered(true);
-      setIsConnected(true);
-      localStorage.setItem('volunteerConnected', 'true');
-      alert(`Registration successful! Your password is: ${password}\n\nPlease save this password. You'll need it to log back in.`);
+      alert('Registration successful! Log back in with your phone number and password.');
 
       // Navigate to the map and show my requests
       navigate('/map');
@@ -192,12 +223,12 @@ function Volunteer() {
     setSosCount(sosRequests.length);
 
     // Count my accepted requests
-    const accepted = requests.filter(r => r.acceptedBy === volunteerId && r.status !== 'completed' && r.status !== 'resolved');
+    const accepted = requests.filter(r => r.acceptedBy === volunteerId && !isClosed(r));
     setMyAcceptedCount(accepted.length);
     setAcceptedRequests(accepted);
 
     // Count helped people
-    const completed = requests.filter(r => r.acceptedBy === volunteerId && (r.status === 'completed' || r.status === 'resolved'));
+    const completed = requests.filter(r => r.acceptedBy === volunteerId && normalizeStatus(r.status) === REQUEST_STATUS.RESOLVED);
     setHelpedCount(completed.length);
   };
 
@@ -213,18 +244,23 @@ function Volunteer() {
     const sharing = e.target.checked;
     setSharingLocation(sharing);
 
+    // Puts the position on the volunteer record for the people being helped
+    const share = () => {
+      window.dispatchEvent(new CustomEvent('volunteer:share-location'));
+      shareLocation(volunteerId).catch(error => console.warn('Could not share location:', error));
+    };
+
     if (sharing) {
       // Start sharing location every 10 seconds
-      window.dispatchEvent(new CustomEvent('volunteer:share-location'));
+      share();
       
-      const interval = setInterval(() => {
-        window.dispatchEvent(new CustomEvent('volunteer:share-location'));
-      }, 10000);
+      const interval = setInterval(share, 10000);
       
       setLocationInterval(interval);
     } else {
       // Stop sharing
       window.dispatchEvent(new CustomEvent('volunteer:stop-share-location'));
+      resetLocationSharing();
       
       if (locationInterval) {
         clearInterval(locationInterval);
@@ -233,11 +269,11 @@ function Volunteer() {
     }
   };
 
-  const handleConnectToggle = () => {
+  const handleConnectToggle = async () => {
     if (isConnected) {
-      // Disconnect - show login form next time
+      // Disconnect ends the session - show login form next time
+      await logOut().catch(error => console.error('Error logging out:', error));
       setIsConnected(false);
-      localStorage.setItem('volunteerConnected', 'false');
       alert('Disconnected from volunteer dashboard');
     } else {
       // Show login form to connect
@@ -245,47 +281,45 @@ function Volunteer() {
     }
   };
 
-  const handleLogin = (e) => {
+  const handleLogin = async (e) => {
     e.preventDefault();
     
-    const savedName = localStorage.getItem('volunteerName');
-    const savedPhone = localStorage.getItem('volunteerPhone');
-    const savedPassword = localStorage.getItem('volunteerPassword');
-    
-    if (!savedName || !savedPhone || !savedPassword) {
-      alert('No account found. Please sign up first.');
-      setIsSignUpMode(true);
+    let session;
+    try {
+      session = await logIn({ phone: loginPhone, password: loginPassword });
+    } catch (error) {
+      if (error.status === 401) {
+        alert('Invalid credentials. Please check your phone number and password.');
+      } else {
+        alert(error.message || 'Login failed. Please try again.');
+      }
       return;
     }
+
+    applySession(session);
+    setShowLoginForm(false);
+    setLoginName('');
+    setLoginPassword('');
+    setLoginPhone('');
+    alert(session.offline
+      ? 'Logged in offline. Your changes will sync once the connection returns.'
+      : 'Successfully logged in!');
     
-    // Verify credentials
-    if (loginName === savedName && loginPhone === savedPhone && loginPassword === savedPassword) {
-      setIsConnected(true);
-      localStorage.setItem('volunteerConnected', 'true');
-      setShowLoginForm(false);
-      setLoginName('');
-      setLoginPassword('');
-      setLoginPhone('');
-      alert('Successfully logged in!');
-      
-      // Optionally request location again
-      if (navigator.geolocation) {
-        navigator.geolocation.getCurrentPosition((pos) => {
-          add('volunteers', {
-            id: volunteerId,
-            name: savedName,
-            contact: savedPhone,
-            lat: pos.coords.latitude,
-            lng: pos.coords.longitude,
-            latitude: pos.coords.latitude,
-            longitude: pos.coords.longitude,
-            available: true,
-            timestamp: Date.now()
-          }).catch(console.error);
-        });
-      }
-    } else {
-      alert('Invalid credentials. Please check your name, phone, and password.');
+    // Optionally request location again
+    if (navigator.geolocation) {
+      navigator.geolocation.getCurrentPosition((pos) => {
+        add('volunteers', {
+          id: session.account.volunteerId,
+          name: session.account.name,
+          contact: session.account.phone,
+          lat: pos.coords.latitude,
+          lng: pos.coords.longitude,
+          latitude: pos.coords.latitude,
+          longitude: pos.coords.longitude,
+          available: true,
+          timestamp: Date.now()
+        }).catch(console.error);
+      });
     }
   };
 
@@ -302,11 +336,22 @@ function Volunteer() {
       return;
     }
 
-    // Save new account
-    localStorage.setItem('volunteerName', loginName);
-    localStorage.setItem('volunteerPhone', loginPhone);
-    localStorage.setItem('volunteerId', volunteerId);
-    localStorage.setItem('volunteerPassword', loginPassword);
+    // Create the account on the server
+    let session;
+    try {
+      session = await signUp({ name: loginName, phone: loginPhone, password: loginPassword });
+    } catch (error) {
+      console.error('Error creating volunteer account:', error);
+      alert(error.status ? error.message : 'Sign up needs a connection to the server. Please try again when online.');
+      return;
+    }
+
+    applySession(session);
+    setShowLoginForm(false);
+    setIsSignUpMode(false);
+    setLoginName('');
+    setLoginPassword('');
+    setLoginPhone('');
 
     // Capture location and save to IndexedDB
     try {
@@ -323,9 +368,9 @@ function Volunteer() {
       });
 
       const volunteerRecord = {
-        id: volunteerId,
-        name: loginName,
-        contact: loginPhone,
+        id: session.account.volunteerId,
+        name: session.account.name,
+        contact: session.account.phone,
         available: true,
         timestamp: Date.now(),
       };
@@ -338,17 +383,6 @@ function Volunteer() {
       }
 
       await add('volunteers', volunteerRecord);
-
-      setVolunteerName(loginName);
-      setVolunteerPhone(loginPhone);
-      setIsRegistered(true);
-      setIsConnected(true);
-      localStorage.setItem('volunteerConnected', 'true');
-      setShowLoginForm(false);
-      setIsSignUpMode(false);
-      setLoginName('');
-      setLoginPassword('');
-      setLoginPhone('');
       
       alert('Sign up successful! You are now connected.');
     } catch (error) {
@@ -362,9 +396,12 @@ function Volunteer() {
       const request = acceptedRequests.find(r => r.id === requestId);
       if (!request) return;
 
+      // Releasing hands the request back to the pool
+      const releasing = newStatus === REQUEST_STATUS.PENDING;
       const updatedRequest = {
         ...request,
         status: newStatus,
+        ...(releasing && { acceptedBy: null }),
         history: [
           ...(request.history || []),
           { status: newStatus, by: volunteerId, at: Date.now() }
@@ -378,10 +415,12 @@ function Volunteer() {
       await offlineQueue.add({
         type: 'UPDATE_REQUEST',
         endpoint: `/api/requests/${requestId}`,
-        payload: { status: newStatus, history: updatedRequest.history }
+        baseVersion: request.version,
+        // The server records the history entry itself
+        payload: releasing ? { status: newStatus, acceptedBy: null } : { status: newStatus }
       });
 
-      alert(`Request marked as ${newStatus}!`);
+      alert(releasing ? 'Request released for another volunteer.' : `Request marked as ${getStatusLabel(updatedRequest)}!`);
     } catch (error) {
       console.error('Error updating request status:', error);
       alert('Error updating status');
@@ -420,7 +459,7 @@ function Volunteer() {
     // Filter for help requests that are not completed/resolved/cancelled
     const needRequests = allRequests.filter(r => {
       const validType = r.type === 'need' || r.type === 'SOS' || r.type === 'General';
-      const notCompleted = r.status !== 'completed' && r.status !== 'resolved' && r.status !== 'cancelled';
+      const notCompleted = !isClosed(r);
       return validType && notCompleted;
     });
 
@@ -499,6 +538,18 @@ function Volunteer() {
                 required
               />
             </div>
+            <div className="mb-4">
+              <label className="block text-gray-900 font-semibold mb-2">Password</label>
+              <input
+                type="password"
+                value={volunteerPassword}
+                onChange={(e) => setVolunteerPassword(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white text-gray-900"
+                placeholder="Create a password (min 6 characters)"
+                autoComplete="new-password"
+                required
+              />
+            </div>
             <button
               type="submit"
               className="w-full px-6 py-3 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 transition shadow"
@@ -539,17 +590,19 @@ function Volunteer() {
             {isSignUpMode ? 'Sign Up as Volunteer' : 'Login to Continue'}
           </h3>
           <form onSubmit={isSignUpMode ? handleSignUp : handleLogin}>
-            <div className="mb-4">
-              <label className="block text-gray-900 font-semibold mb-2">Name</label>
-              <input
-                type="text"
-                value={loginName}
-                onChange={(e) => setLoginName(e.target.value)}
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white text-gray-900"
-                placeholder="Enter your name"
-                required
-              />
-            </div>
+            {isSignUpMode && (
+              <div className="mb-4">
+                <label className="block text-gray-900 font-semibold mb-2">Name</label>
+                <input
+                  type="text"
+                  value={loginName}
+                  onChange={(e) => setLoginName(e.target.value)}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white text-gray-900"
+                  placeholder="Enter your name"
+                  required
+                />
+              </div>
+            )}
             <div className="mb-4">
               <label className="block text-gray-900 font-semibold mb-2">Phone Number</label>
               <input
@@ -619,36 +672,33 @@ function Volunteer() {
                     )}
                   </div>
                   <span className={`px-3 py-1 rounded-full text-xs font-semibold ${
-                    request.status === 'assigned' ? 'bg-yellow-100 text-yellow-800' :
-                    request.status === 'in-progress' ? 'bg-blue-100 text-blue-800' :
+                    normalizeStatus(request.status) === REQUEST_STATUS.ASSIGNED ? 'bg-yellow-100 text-yellow-800' :
+                    normalizeStatus(request.status) === REQUEST_STATUS.EN_ROUTE ? 'bg-blue-100 text-blue-800' :
+                    normalizeStatus(request.status) === REQUEST_STATUS.ON_SCENE ? 'bg-indigo-100 text-indigo-800' :
                     'bg-gray-100 text-gray-800'
                   }`}>
-                    {request.status || 'pending'}
+                    {getStatusLabel(request)}
                   </span>
                 </div>
                 
                 <div className="flex gap-2 mt-4">
-                  {request.status !== 'in-progress' && (
-                    <button
-                      onClick={() => handleUpdateStatus(request.id, 'in-progress')}
-                      className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-semibold hover:bg-blue-700 transition"
-                    >
-                      Mark In Progress
-                    </button>
-                  )}
-                  {request.status === 'in-progress' && (
+                  {getNextStep(request) && (
                     <button
-                      onClick={() => handleUpdateStatus(request.id, 'resolved')}
-                      className="px-4 py-2 bg-green-600 text-white rounded-lg text-sm font-semibold hover:bg-green-700 transition"
+                      onClick={() => handleUpdateStatus(request.id, getNextStep(request).status)}
+                      className={`px-4 py-2 text-white rounded-lg text-sm font-semibold transition ${
+                        getNextStep(request).status === REQUEST_STATUS.RESOLVED
+                          ? 'bg-green-600 hover:bg-green-700'
+                          : 'bg-blue-600 hover:bg-blue-700'
+                      }`}
                     >
-                      Mark Resolved
+                      {getNextStep(request).label}
                     </button>
                   )}
                   <button
-                    onClick={() => handleUpdateStatus(request.id, 'cancelled')}
+                    onClick={() => handleUpdateStatus(request.id, REQUEST_STATUS.PENDING)}
                     className="px-4 py-2 bg-red-600 text-white rounded-lg text-sm font-semibold hover:bg-red-700 transition"
                   >
-                    Cancel
+                    Release
                   </button>
                   {request.lat && request.lng && (
                     <button
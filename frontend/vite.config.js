@@ -4,4 +4,12 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // Forward API calls (offline queue sync etc.) to the backend in development
+    proxy: {
+      '/api': 'http://localhost:4000',
+      // Live updates (see src/lib/socket.js)
+      '/socket.io': { target: 'http://localhost:4000', ws: true },
+    },
+  },
 })